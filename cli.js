@@ -1,11 +1,11 @@
 #!/usr/bin/env node
 
 /**
- * VibeKit VDK Setup Wizard
+ * VibeKit VDK CLI
  * -----------------------
- * This interactive script helps configure VibeKit VDK for your development project.
- * It creates a custom rule structure based on your selected IDE/tools, frameworks,
- * languages, and technologies.
+ * Entry point for the `vdk` command. Provides the interactive setup wizard
+ * (`vdk init`) and the scan, analyze, generate, list, sync, validate, clean,
+ * config, info and deploy subcommands documented in docs/CLI-Reference.md.
  *
  * Repository: https://github.com/idominikosgr/VibeKit-VDK-CLI
  */
@@ -13,14 +13,32 @@
 import fs from 'fs';
 import path from 'path';
 import inquirer from 'inquirer';
-import { exec } from 'child_process';
-import ora from 'ora';
+import { Command, CommanderError, InvalidArgumentError } from 'commander';
 import { fileURLToPath } from 'url';
 
+import { runScanner, DEFAULT_IGNORE_PATTERNS } from './src/scanner/index.js';
+import { parseConcurrency } from './src/scanner/utils/concurrency.js';
+import { ScanReport, REPORT_FORMATS } from './src/scanner/utils/scan-report.js';
+import { RuleValidator } from './src/scanner/utils/validator.js';
+import { getVersion } from './src/scanner/utils/version.js';
+import { EXIT_CODES, CLIError, getExitCodeForError } from './src/shared/exit-codes.js';
+import { createFileSystem } from './src/shared/file-system.js';
+import { GenerationManifest } from './src/shared/manifest.js';
+import { RULE_TYPES, generateRuleType } from './src/commands/generate.js';
+import { LIST_TYPES, listItems } from './src/commands/list.js';
+import { cleanProject } from './src/commands/clean.js';
+import { CONFIG_ACTIONS, runConfigAction } from './src/commands/config.js';
+import { showInfo } from './src/commands/info.js';
+import { showAnalysis } from './src/commands/analyze.js';
+import { deployRules } from './src/commands/deploy.js';
+
 // Get directory paths for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Bundled rule templates used by the template-based setup
+const RULE_TEMPLATES_DIR = path.join(__dirname, 'templates', '.ai', 'rules');
+
 // Setup colors for CLI
 const colors = {
   reset: '\x1b[0m',
@@ -30,7 +48,9 @@ const colors = {
   yellow: '\x1b[33m',
   red: '\x1b[31m',
   cyan: '\x1b[36m',
-  magenta: '\x1b[35m'
+  magenta: '\x1b[35m',
+  dim: '\x1b[2m',
+  gray: '\x1b[90m'
 };
 
 /**
@@ -99,53 +119,6 @@ function validateProjectDirectory(dirPath) {
   };
 }
 
-/**
- * Parse command line arguments
- * @returns {Object} - Parsed arguments
- */
-function parseArguments() {
-  const args = process.argv.slice(2);
-  const parsed = {
-    targetDir: null,
-    help: false
-  };
-
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
-    if (arg === '--target-dir' && i + 1 < args.length) {
-      parsed.targetDir = args[i + 1];
-      i++; // Skip next argument as it's the value
-    } else if (arg.startsWith('--target-dir=')) {
-      parsed.targetDir = arg.split('=')[1];
-    } else if (arg === '--help' || arg === '-h') {
-      parsed.help = true;
-    }
-  }
-
-  return parsed;
-}
-
-/**
- * Show help message
- */
-function showHelp() {
-  console.log(`
-${colors.bright}${colors.cyan}VibeKit VDK CLI Setup Wizard${colors.reset}
-
-${colors.bright}Usage:${colors.reset}
-  node cli.js [options]
-
-${colors.bright}Options:${colors.reset}
-  --target-dir <path>   Target directory for installation (default: current directory)
-  --help, -h           Show this help message
-
-${colors.bright}Examples:${colors.reset}
-  node cli.js                           # Install in current directory
-  node cli.js --target-dir /path/to/my-project
-  node cli.js --target-dir=~/my-project
-`);
-}
-
 /**
  * Import the centralized IDE configuration from the shared module
  * This ensures consistency between setup-wizard and project-scanner
@@ -174,20 +147,20 @@ const ideTools = ideConfig.getIDEOptionsForWizard();
  * Each framework will enable specific rule files
  */
 const frameworks = [
-  { name: 'React', folder: 'React-Modern', description: 'Modern React with hooks and functional components' },
-  { name: 'Next.js', folder: 'NextJS-Comprehensive', description: 'Next.js with App Router and React Server Components' },
-  { name: 'Vue.js', folder: 'Vue-Modern', description: 'Vue 3 with Composition API' },
-  { name: 'Angular', folder: 'Angular-Modern', description: 'Modern Angular with best practices' },
-  { name: 'Svelte', folder: 'Svelte', description: 'Svelte with runes and component patterns' },
-  { name: 'Express.js', folder: 'Node-Express', description: 'Node.js Express with structured routing' },
-  { name: 'NestJS', folder: 'NestJS', description: 'NestJS framework for scalable server-side applications' },
-  { name: 'Django', folder: 'Django-Modern', description: 'Django with modern Python features' },
-  { name: 'Flask', folder: 'Flask', description: 'Python Flask for lightweight web applications' },
-  { name: 'FastAPI', folder: 'FastAPI', description: 'Python FastAPI with type hints' },
-  { name: 'Flutter', folder: 'Flutter', description: 'Flutter for cross-platform app development' },
-  { name: 'SwiftUI', folder: 'SwiftUI', description: 'Modern SwiftUI with NavigationStack patterns' },
-  { name: 'React Native', folder: 'ReactNative-Mobile', description: 'React Native for mobile app development' },
-  { name: 'None/Other', folder: 'Generic-Framework', description: 'Skip framework-specific rules' }
+  { id: 'react', name: 'React', folder: 'React-Modern', description: 'Modern React with hooks and functional components' },
+  { id: 'nextjs', name: 'Next.js', folder: 'NextJS', description: 'Next.js with App Router and React Server Components' },
+  { id: 'vue', name: 'Vue.js', folder: 'Vue3', description: 'Vue 3 with Composition API' },
+  { id: 'angular', name: 'Angular', folder: 'Angular-Modern', description: 'Modern Angular with best practices' },
+  { id: 'svelte', name: 'Svelte', folder: 'Svelte5', description: 'Svelte with runes and component patterns' },
+  { id: 'express', name: 'Express.js', folder: 'NodeExpress', description: 'Node.js Express with structured routing' },
+  { id: 'nestjs', name: 'NestJS', folder: 'NestJS', description: 'NestJS framework for scalable server-side applications' },
+  { id: 'django', name: 'Django', folder: 'Django-Modern', description: 'Django with modern Python features' },
+  { id: 'flask', name: 'Flask', folder: 'Flask', description: 'Python Flask for lightweight web applications' },
+  { id: 'fastapi', name: 'FastAPI', folder: 'FastAPI', description: 'Python FastAPI with type hints' },
+  { id: 'flutter', name: 'Flutter', folder: 'Flutter', description: 'Flutter for cross-platform app development' },
+  { id: 'swiftui', name: 'SwiftUI', folder: 'SwiftUI', description: 'Modern SwiftUI with NavigationStack patterns' },
+  { id: 'react-native', name: 'React Native', folder: 'ReactNative-Mobile', description: 'React Native for mobile app development' },
+  { id: 'none', name: 'None/Other', folder: 'Generic-Framework', description: 'Skip framework-specific rules' }
 ];
 
 /**
@@ -195,19 +168,19 @@ const frameworks = [
  * Each language will enable specific rule files
  */
 const languages = [
-  { name: 'TypeScript', folder: 'TypeScript-Modern', description: 'Modern TypeScript with functional programming patterns' },
-  { name: 'JavaScript', folder: 'JavaScript', description: 'JavaScript with modern ES features' },
-  { name: 'Python', folder: 'Python3', description: 'Python 3 with typing and modern patterns' },
-  { name: 'Java', folder: 'Java', description: 'Java with modern language features' },
-  { name: 'C#', folder: 'CSharp', description: 'C# with .NET Core and modern patterns' },
-  { name: 'Go', folder: 'Go', description: 'Go with idiomatic patterns' },
-  { name: 'Ruby', folder: 'Ruby', description: 'Ruby with modern language features' },
-  { name: 'PHP', folder: 'PHP', description: 'PHP with modern language features' },
-  { name: 'Swift', folder: 'Swift', description: 'Swift 5.9/6.0 with macros and concurrency' },
-  { name: 'Kotlin', folder: 'Kotlin', description: 'Kotlin for Android and server-side' },
-  { name: 'Rust', folder: 'Rust', description: 'Rust with memory safety patterns' },
-  { name: 'C++', folder: 'CPP20', description: 'Modern C++ with C++20 features' },
-  { name: 'Other', folder: 'Generic-Language', description: 'Skip language-specific rules' }
+  { id: 'typescript', name: 'TypeScript', folder: 'TypeScript-Modern', description: 'Modern TypeScript with functional programming patterns' },
+  { id: 'javascript', name: 'JavaScript', folder: 'JavaScript', description: 'JavaScript with modern ES features' },
+  { id: 'python', name: 'Python', folder: 'Python3', description: 'Python 3 with typing and modern patterns' },
+  { id: 'java', name: 'Java', folder: 'Java', description: 'Java with modern language features' },
+  { id: 'csharp', name: 'C#', folder: 'CSharp', description: 'C# with .NET Core and modern patterns' },
+  { id: 'go', name: 'Go', folder: 'Go', description: 'Go with idiomatic patterns' },
+  { id: 'ruby', name: 'Ruby', folder: 'Ruby', description: 'Ruby with modern language features' },
+  { id: 'php', name: 'PHP', folder: 'PHP', description: 'PHP with modern language features' },
+  { id: 'swift', name: 'Swift', folder: 'Swift', description: 'Swift 5.9/6.0 with macros and concurrency' },
+  { id: 'kotlin', name: 'Kotlin', folder: 'Kotlin', description: 'Kotlin for Android and server-side' },
+  { id: 'rust', name: 'Rust', folder: 'Rust', description: 'Rust with memory safety patterns' },
+  { id: 'cpp', name: 'C++', folder: 'CPP20', description: 'Modern C++ with C++20 features' },
+  { id: 'other', name: 'Other', folder: 'Generic-Language', description: 'Skip language-specific rules' }
 ];
 
 /**
@@ -215,18 +188,18 @@ const languages = [
  * Each stack represents a combination of technologies that work well together
  */
 const stacks = [
-  { name: 'NextJS Enterprise Stack', folder: 'NextJS-Enterprise-Stack', description: 'Enterprise-grade Next.js setup' },
-  { name: 'Supabase + Next.js', folder: 'Supabase-NextJS-Stack', description: 'Next.js with Supabase backend' },
-  { name: 'tRPC Full-Stack', folder: 'TRPC-FullStack', description: 'End-to-end typesafe APIs with tRPC' },
-  { name: 'MERN Stack', folder: 'MERN-Stack', description: 'MongoDB, Express, React, Node.js' },
-  { name: 'MEAN Stack', folder: 'MEAN-Stack', description: 'MongoDB, Express, Angular, Node.js' },
-  { name: 'Laravel + Vue', folder: 'Laravel-Vue-Stack', description: 'Laravel backend with Vue frontend' },
-  { name: 'Django REST + React', folder: 'Django-React-Stack', description: 'Django REST Framework with React' },
-  { name: 'Spring Boot + React', folder: 'Spring-React-Stack', description: 'Spring Boot backend with React frontend' },
-  { name: 'Astro Content Stack', folder: 'Astro-Content-Stack', description: 'Astro with content-focused approach' },
-  { name: 'Ecommerce Stack', folder: 'Ecommerce-Stack', description: 'Full e-commerce solution' },
-  { name: 'React Native Mobile', folder: 'ReactNative-Mobile-Stack', description: 'React Native with mobile best practices' },
-  { name: 'None/Other', folder: 'Generic-Stack', description: 'Skip stack-specific rules' }
+  { id: 'nextjs-enterprise', name: 'NextJS Enterprise Stack', folder: 'NextJS-Enterprise-Stack', description: 'Enterprise-grade Next.js setup' },
+  { id: 'supabase-nextjs', name: 'Supabase + Next.js', folder: 'Supabase-NextJS-Stack', description: 'Next.js with Supabase backend' },
+  { id: 'trpc', name: 'tRPC Full-Stack', folder: 'TRPC-FullStack', description: 'End-to-end typesafe APIs with tRPC' },
+  { id: 'mern', name: 'MERN Stack', folder: 'MERN-Stack', description: 'MongoDB, Express, React, Node.js' },
+  { id: 'mean', name: 'MEAN Stack', folder: 'MEAN-Stack', description: 'MongoDB, Express, Angular, Node.js' },
+  { id: 'laravel-vue', name: 'Laravel + Vue', folder: 'Laravel-Vue-Stack', description: 'Laravel backend with Vue frontend' },
+  { id: 'django-react', name: 'Django REST + React', folder: 'Django-React-Stack', description: 'Django REST Framework with React' },
+  { id: 'spring-react', name: 'Spring Boot + React', folder: 'Spring-React-Stack', description: 'Spring Boot backend with React frontend' },
+  { id: 'astro-content', name: 'Astro Content Stack', folder: 'Astro-Content-Stack', description: 'Astro with content-focused approach' },
+  { id: 'ecommerce', name: 'Ecommerce Stack', folder: 'Ecommerce-Stack', description: 'Full e-commerce solution' },
+  { id: 'react-native-mobile', name: 'React Native Mobile', folder: 'ReactNative-Mobile-Stack', description: 'React Native with mobile best practices' },
+  { id: 'none', name: 'None/Other', folder: 'Generic-Stack', description: 'Skip stack-specific rules' }
 ];
 
 /**
@@ -234,20 +207,20 @@ const stacks = [
  * Multiple technologies can be selected to enable specific rule files
  */
 const technologies = [
-  { name: 'Tailwind CSS', folder: 'TailwindCSS', description: 'Utility-first CSS framework' },
-  { name: 'Redux', folder: 'Redux-Modern', description: 'Modern Redux with toolkit pattern' },
-  { name: 'GraphQL', folder: 'GraphQL', description: 'GraphQL API development' },
-  { name: 'Prisma', folder: 'Prisma', description: 'Next-generation ORM for Node.js' },
-  { name: 'PostgreSQL', folder: 'PostgreSQL', description: 'PostgreSQL database integration' },
-  { name: 'MongoDB', folder: 'MongoDB', description: 'MongoDB database integration' },
-  { name: 'Docker', folder: 'Docker', description: 'Docker containerization' },
-  { name: 'AWS', folder: 'AWS', description: 'AWS cloud services integration' },
-  { name: 'Firebase', folder: 'Firebase', description: 'Firebase backend services' },
-  { name: 'shadcn/ui', folder: 'ShadcnUI', description: 'Component library using Tailwind CSS' },
-  { name: 'Agentic AI', folder: 'Agentic-AI-Development', description: 'AI agents for development assistance' },
-  { name: 'MCP Servers', folder: 'MCP-Integration', description: 'Multi-context processing integration' },
-  { name: 'Sequential Thinking', folder: 'Sequential-Thinking-Advanced', description: 'Advanced sequential reasoning patterns' },
-  { name: 'Memory Management', folder: 'Memory-Management', description: 'Patterns for memory and state management' }
+  { id: 'tailwind', name: 'Tailwind CSS', folder: 'Tailwind4', description: 'Utility-first CSS framework' },
+  { id: 'redux', name: 'Redux', folder: 'Redux-Modern', description: 'Modern Redux with toolkit pattern' },
+  { id: 'graphql', name: 'GraphQL', folder: 'GraphQL', description: 'GraphQL API development' },
+  { id: 'prisma', name: 'Prisma', folder: 'Prisma', description: 'Next-generation ORM for Node.js' },
+  { id: 'postgresql', name: 'PostgreSQL', folder: 'PostgreSQL', description: 'PostgreSQL database integration' },
+  { id: 'mongodb', name: 'MongoDB', folder: 'MongoDB', description: 'MongoDB database integration' },
+  { id: 'docker', name: 'Docker', folder: 'Docker-Kubernetes', description: 'Docker containerization' },
+  { id: 'aws', name: 'AWS', folder: 'AWS', description: 'AWS cloud services integration' },
+  { id: 'firebase', name: 'Firebase', folder: 'Firebase', description: 'Firebase backend services' },
+  { id: 'shadcn', name: 'shadcn/ui', folder: 'ShadcnUI', description: 'Component library using Tailwind CSS' },
+  { id: 'agentic-ai', name: 'Agentic AI', folder: 'Agentic-AI-Development', description: 'AI agents for development assistance' },
+  { id: 'mcp', name: 'MCP Servers', folder: 'MCP-Integration', description: 'Multi-context processing integration' },
+  { id: 'sequential-thinking', name: 'Sequential Thinking', folder: 'Sequential-Thinking-Advanced', description: 'Advanced sequential reasoning patterns' },
+  { id: 'memory-management', name: 'Memory Management', folder: 'Memory-Management', description: 'Patterns for memory and state management' }
 ];
 
 /**
@@ -255,16 +228,19 @@ const technologies = [
  * These provide specific capabilities or workflows
  */
 const tools = [
-  { name: 'AI Code Review', folder: 'AI-Code-Review', description: 'Automated code review with AI' },
-  { name: 'AI Pair Programming', folder: 'AI-Pair-Programming', description: 'Collaborative coding assistance' },
-  { name: 'Memory Handoff', folder: 'AI-Session-Handoff', description: 'Persistent context between sessions' },
-  { name: 'AI Refactoring', folder: 'AI-Refactoring', description: 'Intelligent code refactoring' },
-  { name: 'API Development', folder: 'API-Endpoints', description: 'Tools for API design and implementation' },
-  { name: 'Performance Optimization', folder: 'Optimize-Performance', description: 'Code optimization guidance' },
-  { name: 'Task Breakdown', folder: 'Task-Breakdown', description: 'Decompose complex tasks into steps' },
-  { name: 'Write Tests', folder: 'Write-Tests', description: 'Generate test suites for code' }
+  { id: 'ai-code-review', name: 'AI Code Review', folder: 'AI-Code-Review', description: 'Automated code review with AI' },
+  { id: 'ai-pair-programming', name: 'AI Pair Programming', folder: 'AI-Pair-Programming', description: 'Collaborative coding assistance' },
+  { id: 'memory-handoff', name: 'Memory Handoff', folder: 'AI-Session-Handoff', description: 'Persistent context between sessions' },
+  { id: 'ai-refactoring', name: 'AI Refactoring', folder: 'AI-Refactoring', description: 'Intelligent code refactoring' },
+  { id: 'api-development', name: 'API Development', folder: 'API-Endpoints', description: 'Tools for API design and implementation' },
+  { id: 'performance-optimization', name: 'Performance Optimization', folder: 'Optimize-Performance', description: 'Code optimization guidance' },
+  { id: 'task-breakdown', name: 'Task Breakdown', folder: 'Task-Breakdown', description: 'Decompose complex tasks into steps' },
+  { id: 'write-tests', name: 'Write Tests', folder: 'Write-Tests', description: 'Generate test suites for code' }
 ];
 
+// File system layer used for every write, an in-memory one during --dry-run
+let fileSystem = createFileSystem();
+
 // User selections
 const userSelections = {
   projectPath: null, // Will be set based on arguments or user input
@@ -277,9 +253,144 @@ const userSelections = {
   tools: [],
   verbose: false,
   setupMode: 'automatic',
-  syncRules: false
+  syncRules: false,
+  force: false
 };
 
+/**
+ * Keys accepted in a `vdk init --answers` file
+ */
+const ANSWER_KEYS = ['ide', 'mode', 'framework', 'language', 'stack', 'tech', 'technologies', 'tools', 'verbose', 'syncRules'];
+
+/**
+ * Find a wizard catalog entry by its id
+ * @param {Array} catalog - One of frameworks, languages, stacks, technologies or tools
+ * @param {string} id - Id given on the command line or in an answers file
+ * @param {string} label - Name of the option, used in error messages
+ * @returns {Object} - The matching catalog entry
+ */
+function resolveCatalogEntry(catalog, id, label) {
+  const entry = catalog.find(item => item.id === String(id).trim().toLowerCase());
+  if (!entry) {
+    throw new CLIError(
+      `Unknown ${label} "${id}". Expected one of: ${catalog.map(item => item.id).join(', ')}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+  return entry;
+}
+
+/**
+ * Normalize a list of ids given as an array or a comma-separated string
+ * @param {string|string[]} value - Ids
+ * @returns {string[]} - Non-empty ids
+ */
+function parseIdList(value) {
+  const ids = Array.isArray(value) ? value : String(value).split(',');
+  return ids.map(id => String(id).trim()).filter(Boolean);
+}
+
+/**
+ * Load wizard answers from a JSON file
+ * @param {string} filePath - Path to the answers file
+ * @returns {Object} - Parsed answers
+ */
+function loadAnswersFile(filePath) {
+  const answersPath = path.resolve(filePath);
+  if (!fs.existsSync(answersPath)) {
+    throw new CLIError(`Answers file not found: ${answersPath}`, EXIT_CODES.FILE_SYSTEM_ERROR);
+  }
+
+  let answers;
+  try {
+    answers = JSON.parse(fs.readFileSync(answersPath, 'utf8'));
+  } catch (error) {
+    throw new CLIError(`Invalid answers file ${answersPath}: ${error.message}`, EXIT_CODES.CONFIGURATION_ERROR);
+  }
+
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new CLIError(`Answers file ${answersPath} must contain a JSON object`, EXIT_CODES.CONFIGURATION_ERROR);
+  }
+
+  const unknownKeys = Object.keys(answers).filter(key => !ANSWER_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new CLIError(
+      `Unknown key(s) in answers file: ${unknownKeys.join(', ')}. Expected: ${ANSWER_KEYS.join(', ')}`,
+      EXIT_CODES.CONFIGURATION_ERROR
+    );
+  }
+
+  return answers;
+}
+
+/**
+ * Collect wizard answers from --answers and the individual flags, flags take precedence
+ * @param {Object} options - `vdk init` options
+ * @returns {Object|null} - Preset answers, or null when nothing was preset
+ */
+function collectPresetAnswers(options) {
+  const answers = options.answers ? loadAnswersFile(options.answers) : {};
+
+  for (const key of ['ide', 'framework', 'language', 'stack', 'tech', 'tools']) {
+    if (options[key] !== undefined) {
+      answers[key] = options[key];
+    }
+  }
+
+  if (options.sync) {
+    answers.syncRules = true;
+  }
+
+  return Object.keys(answers).length > 0 ? answers : null;
+}
+
+/**
+ * Apply preset answers to the user selections, validating every id
+ * @param {Object} answers - Answers collected by collectPresetAnswers
+ * @returns {boolean} - Whether any framework, language, stack, technology or tool was selected
+ */
+function applyPresetAnswers(answers) {
+  if (answers.ide) {
+    const ide = ideConfig.getIDEConfigById(answers.ide);
+    if (!ide) {
+      throw new CLIError(
+        `Unknown IDE "${answers.ide}". Expected one of: ${ideTools.map(tool => tool.id).join(', ')}`,
+        EXIT_CODES.INVALID_ARGUMENTS
+      );
+    }
+    userSelections.ideTool = ide.id;
+    userSelections.ideToolName = ide.name;
+  }
+
+  if (answers.framework) {
+    userSelections.framework = resolveCatalogEntry(frameworks, answers.framework, 'framework');
+  }
+  if (answers.language) {
+    userSelections.language = resolveCatalogEntry(languages, answers.language, 'language');
+  }
+  if (answers.stack) {
+    userSelections.stack = resolveCatalogEntry(stacks, answers.stack, 'stack');
+  }
+
+  const techIds = answers.tech ?? answers.technologies;
+  if (techIds) {
+    userSelections.technologies = parseIdList(techIds).map(id => resolveCatalogEntry(technologies, id, 'technology'));
+  }
+  if (answers.tools) {
+    userSelections.tools = parseIdList(answers.tools).map(id => resolveCatalogEntry(tools, id, 'tool'));
+  }
+
+  if (answers.verbose !== undefined) {
+    userSelections.verbose = Boolean(answers.verbose);
+  }
+  userSelections.syncRules = Boolean(answers.syncRules);
+
+  return Boolean(
+    userSelections.framework || userSelections.language || userSelections.stack ||
+    userSelections.technologies.length > 0 || userSelections.tools.length > 0
+  );
+}
+
 /**
  * Select the IDE or tool to use for AI-assisted development
  * This will determine where rule files are stored and how they're structured
@@ -472,8 +583,10 @@ async function selectTools() {
   return Promise.resolve();
 }
 
-// Function to confirm the selections
-async function confirmSelections() {
+/**
+ * Print the current selections for review
+ */
+function printSelectionSummary() {
   console.log(`\n${colors.bright}${colors.magenta}Review your selections:${colors.reset}`);
   console.log(`IDE/Tool: ${colors.cyan}${userSelections.ideToolName}${colors.reset}`);
   console.log(`Framework: ${colors.cyan}${userSelections.framework ? userSelections.framework.name : 'None'}${colors.reset}`);
@@ -497,6 +610,11 @@ async function confirmSelections() {
       console.log(`  • ${colors.cyan}${tool.name}${colors.reset}`);
     });
   }
+}
+
+// Function to confirm the selections
+async function confirmSelections() {
+  printSelectionSummary();
 
   const { confirmed } = await inquirer.prompt([{
     type: 'confirm',
@@ -518,7 +636,7 @@ async function copyRuleFiles() {
   try {
     // Get the target directory path based on the selected IDE
     const ideTool = userSelections.ideTool;
-    const targetDir = ideConfig.ensureRuleDirectory(ideTool, userSelections.projectPath);
+    const targetDir = ideConfig.ensureRuleDirectory(ideTool, userSelections.projectPath, fileSystem);
     console.log(`${colors.green}✓${colors.reset} Created rule directory: ${colors.cyan}${targetDir}${colors.reset}`);
 
     // First, try using the project scanner for automatic setup if that mode was selected
@@ -533,8 +651,11 @@ async function copyRuleFiles() {
       }
     }
 
+    // Files copied below are recorded next to the ones the scanner generated
+    const manifest = GenerationManifest.load(userSelections.projectPath, fileSystem);
+
     // Fall back to template-based rule generation
-    await createRuleFilesFromTemplates(targetDir);
+    await createRuleFilesFromTemplates(targetDir, manifest);
 
     // Create directories if they don't exist
     const directories = [
@@ -548,20 +669,22 @@ async function copyRuleFiles() {
     ];
 
     for (const dir of directories) {
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+      if (!fileSystem.existsSync(dir)) {
+        fileSystem.mkdirSync(dir, { recursive: true });
       }
     }
 
     // Copy selected rule files
-    await copyLanguageRules(targetDir);
-    await copyFrameworkRules(targetDir);
-    await copyStackRules(targetDir);
-    await copyTechnologyRules(targetDir);
-    await copyToolRules(targetDir);
+    await copyLanguageRules(targetDir, manifest);
+    await copyFrameworkRules(targetDir, manifest);
+    await copyStackRules(targetDir, manifest);
+    await copyTechnologyRules(targetDir, manifest);
+    await copyToolRules(targetDir, manifest);
 
     // Update MCP configuration
-    await updateMCPConfiguration(targetDir);
+    await updateMCPConfiguration(targetDir, manifest);
+
+    await manifest.save();
 
     console.log(`\n${colors.green}✓${colors.reset} Setup complete! Rules have been installed for ${colors.cyan}${userSelections.ideToolName}${colors.reset}`);
     return true;
@@ -571,101 +694,118 @@ async function copyRuleFiles() {
   }
 }
 
+/**
+ * Copy a bundled rule template into the project and record it in the generation manifest
+ * @param {string} source - Template file
+ * @param {string} target - Destination rule file
+ * @param {GenerationManifest} manifest - Manifest of the project
+ */
+function installRuleTemplate(source, target, manifest) {
+  fileSystem.copyFileSync(source, target);
+  manifest.record(target, fileSystem.readFileSync(target, 'utf8'), path.relative(RULE_TEMPLATES_DIR, source).split(path.sep).join('/'));
+}
+
 // Helper function to copy language rules
-async function copyLanguageRules(targetDir) {
+async function copyLanguageRules(targetDir, manifest) {
   if (!userSelections.language || !userSelections.language.folder) {
     return;
   }
 
-  const templateDir = path.join(__dirname, 'templates', 'languages');
+  const templateDir = path.join(RULE_TEMPLATES_DIR, 'languages');
   const langSource = path.join(templateDir, `${userSelections.language.folder}.mdc`);
   const langTarget = path.join(targetDir, 'languages', `${userSelections.language.folder}.mdc`);
 
-  if (fs.existsSync(langSource)) {
-    fs.copyFileSync(langSource, langTarget);
+  if (fileSystem.existsSync(langSource)) {
+    installRuleTemplate(langSource, langTarget, manifest);
     console.log(`${colors.green}✓${colors.reset} Copied ${userSelections.language.name} language rules`);
   } else {
     console.log(`${colors.yellow}→${colors.reset} No template found for ${userSelections.language.name}`);
+    fileSystem.recordSkip(langTarget, 'no bundled template');
   }
 }
 
 // Helper function to copy framework rules
-async function copyFrameworkRules(targetDir) {
+async function copyFrameworkRules(targetDir, manifest) {
   if (!userSelections.framework || !userSelections.framework.folder) {
     return;
   }
 
-  const templateDir = path.join(__dirname, 'templates', 'technologies');
+  const templateDir = path.join(RULE_TEMPLATES_DIR, 'technologies');
   const frameworkSource = path.join(templateDir, `${userSelections.framework.folder}.mdc`);
   const frameworkTarget = path.join(targetDir, 'technologies', `${userSelections.framework.folder}.mdc`);
 
-  if (fs.existsSync(frameworkSource)) {
-    fs.copyFileSync(frameworkSource, frameworkTarget);
+  if (fileSystem.existsSync(frameworkSource)) {
+    installRuleTemplate(frameworkSource, frameworkTarget, manifest);
     console.log(`${colors.green}✓${colors.reset} Copied ${userSelections.framework.name} framework rules`);
   } else {
     console.log(`${colors.yellow}→${colors.reset} No template found for ${userSelections.framework.name}`);
+    fileSystem.recordSkip(frameworkTarget, 'no bundled template');
   }
 }
 
 // Helper function to copy stack rules
-async function copyStackRules(targetDir) {
+async function copyStackRules(targetDir, manifest) {
   if (!userSelections.stack || !userSelections.stack.folder) {
     return;
   }
 
-  const templateDir = path.join(__dirname, 'templates', 'stacks');
+  const templateDir = path.join(RULE_TEMPLATES_DIR, 'stacks');
   const stackSource = path.join(templateDir, `${userSelections.stack.folder}.mdc`);
   const stackTarget = path.join(targetDir, 'stacks', `${userSelections.stack.folder}.mdc`);
 
-  if (fs.existsSync(stackSource)) {
-    fs.copyFileSync(stackSource, stackTarget);
+  if (fileSystem.existsSync(stackSource)) {
+    installRuleTemplate(stackSource, stackTarget, manifest);
     console.log(`${colors.green}✓${colors.reset} Copied ${userSelections.stack.name} stack rules`);
   } else {
     console.log(`${colors.yellow}→${colors.reset} No template found for ${userSelections.stack.name}`);
+    fileSystem.recordSkip(stackTarget, 'no bundled template');
   }
 }
 
 // Helper function to copy technology rules
-async function copyTechnologyRules(targetDir) {
+async function copyTechnologyRules(targetDir, manifest) {
   if (!userSelections.technologies || userSelections.technologies.length === 0) {
     return;
   }
 
-  const templateDir = path.join(__dirname, 'templates', 'technologies');
+  const templateDir = path.join(RULE_TEMPLATES_DIR, 'technologies');
 
   for (const tech of userSelections.technologies) {
     if (tech.folder) {
       const techSource = path.join(templateDir, `${tech.folder}.mdc`);
       const techTarget = path.join(targetDir, 'technologies', `${tech.folder}.mdc`);
 
-      if (fs.existsSync(techSource)) {
-        fs.copyFileSync(techSource, techTarget);
+      if (fileSystem.existsSync(techSource)) {
+        installRuleTemplate(techSource, techTarget, manifest);
         console.log(`${colors.green}✓${colors.reset} Copied ${tech.name} technology rules`);
       } else {
         console.log(`${colors.yellow}→${colors.reset} No template found for ${tech.name}`);
+        fileSystem.recordSkip(techTarget, 'no bundled template');
       }
     }
   }
 }
 
 // Helper function to copy tool rules
-async function copyToolRules(targetDir) {
+async function copyToolRules(targetDir, manifest) {
   if (!userSelections.tools || userSelections.tools.length === 0) {
     return;
   }
 
-  const templateDir = path.join(__dirname, 'templates', 'tools');
+  // AI assistant tools are shipped as task rules
+  const templateDir = path.join(RULE_TEMPLATES_DIR, 'tasks');
 
   for (const tool of userSelections.tools) {
     if (tool.folder) {
       const toolSource = path.join(templateDir, `${tool.folder}.mdc`);
-      const toolTarget = path.join(targetDir, 'tools', `${tool.folder}.mdc`);
+      const toolTarget = path.join(targetDir, 'tasks', `${tool.folder}.mdc`);
 
-      if (fs.existsSync(toolSource)) {
-        fs.copyFileSync(toolSource, toolTarget);
+      if (fileSystem.existsSync(toolSource)) {
+        installRuleTemplate(toolSource, toolTarget, manifest);
         console.log(`${colors.green}✓${colors.reset} Copied ${tool.name} tool rules`);
       } else {
         console.log(`${colors.yellow}→${colors.reset} No template found for ${tool.name}`);
+        fileSystem.recordSkip(toolTarget, 'no bundled template');
       }
     }
   }
@@ -675,38 +815,18 @@ async function copyToolRules(targetDir) {
 async function createRuleFilesFromScanner(targetDir) {
   console.log(`${colors.blue}Running Project Scanner to analyze your codebase...${colors.reset}`);
 
-  const scannerPath = path.join(__dirname, 'src', 'scanner');
-  const spinner = ora('Scanning project...').start();
-
-  // The scanner target directory should be the .ai/rules folder or equivalent
-  const projectPath = userSelections.projectPath;
-
   try {
-    // Execute the scanner with proper arguments
-    const outputPath = targetDir;
-    const command = `node "${path.join(scannerPath, 'index.js')}" --path "${projectPath}" --output "${outputPath}" ${userSelections.verbose ? '--verbose' : ''}`;
-    
-    if (userSelections.verbose) {
-      console.log(`${colors.dim}Running command: ${command}${colors.reset}`);
-    }
-    
-    const { stdout, stderr } = await execPromise(command);
+    // The scanner target directory should be the .ai/rules folder or equivalent
+    await runScanner({
+      path: userSelections.projectPath,
+      output: targetDir,
+      verbose: userSelections.verbose,
+      fileSystem
+    });
 
-    spinner.succeed('Project scan completed successfully!');
     console.log(`${colors.green}✓${colors.reset} Successfully generated rule files using Project Scanner`);
-
-    if (userSelections.verbose) {
-      console.log(`\n${colors.dim}Scanner output:${colors.reset}`);
-      console.log(stdout);
-      if (stderr) {
-        console.log(`\n${colors.dim}Scanner warnings:${colors.reset}`);
-        console.log(stderr);
-      }
-    }
-
     return true;
   } catch (error) {
-    spinner.fail('Project scan failed');
     console.error(`${colors.red}Error running Project Scanner:${colors.reset} ${error.message}`);
     if (userSelections.verbose) {
       console.error(`${colors.red}Error details:${colors.reset}`);
@@ -718,11 +838,11 @@ async function createRuleFilesFromScanner(targetDir) {
 }
 
 // Create rule files from templates
-async function createRuleFilesFromTemplates(targetDir) {
+async function createRuleFilesFromTemplates(targetDir, manifest) {
   console.log(`${colors.blue}Creating base rule files from templates...${colors.reset}`);
 
   const projectName = path.basename(path.resolve(userSelections.projectPath));
-  const templateDir = path.join(__dirname, 'templates', 'rules');
+  const templateDir = RULE_TEMPLATES_DIR;
 
   // Core rule files
   const coreFiles = [
@@ -737,8 +857,8 @@ async function createRuleFilesFromTemplates(targetDir) {
     const templatePath = path.join(templateDir, file);
     const targetPath = path.join(targetDir, file);
 
-    if (fs.existsSync(templatePath) && !fs.existsSync(targetPath)) {
-      let content = fs.readFileSync(templatePath, 'utf8');
+    if (fileSystem.existsSync(templatePath) && (userSelections.force || !fileSystem.existsSync(targetPath))) {
+      let content = fileSystem.readFileSync(templatePath, 'utf8');
 
       // Replace variables
       content = content.replace(/\{\{projectName\}\}/g, projectName);
@@ -756,12 +876,15 @@ async function createRuleFilesFromTemplates(targetDir) {
       const today = new Date().toISOString().split('T')[0];
       content = content.replace(/\{\{date\}\}/g, today);
 
-      fs.writeFileSync(targetPath, content, 'utf8');
+      fileSystem.writeFileSync(targetPath, content, 'utf8');
+      manifest.record(targetPath, content, file);
       console.log(`${colors.green}✓${colors.reset} Created ${file}`);
-    } else if (fs.existsSync(targetPath)) {
+    } else if (fileSystem.existsSync(targetPath)) {
       console.log(`${colors.yellow}→${colors.reset} File ${file} already exists, skipping`);
+      fileSystem.recordSkip(targetPath, 'already exists (use --force to overwrite)');
     } else {
       console.log(`${colors.yellow}→${colors.reset} Template ${file} not found, skipping`);
+      fileSystem.recordSkip(targetPath, 'template not found');
     }
   }
 
@@ -832,6 +955,12 @@ async function selectSetupMode() {
  * Downloads the latest rules from the remote repository
  */
 async function syncWithRemoteRules() {
+  // Syncing writes the local rules cache, which a dry run must not touch
+  if (fileSystem.dryRun) {
+    console.log(`${colors.yellow}→${colors.reset} Dry run: skipping remote rules sync, using local templates`);
+    return false;
+  }
+
   console.log(`\n${colors.bright}${colors.blue}Synchronizing with remote rules repository...${colors.reset}`);
   console.log(`Repository: ${colors.cyan}https://github.com/idominikosgr/VibeKit-VDK-AI-rules${colors.reset}`);
 
@@ -880,22 +1009,22 @@ async function syncWithRemoteRules() {
  * @param {string} targetDir - Path to the rules directory
  * @returns {boolean} - Success status
  */
-async function updateMCPConfiguration(targetDir) {
+async function updateMCPConfiguration(targetDir, manifest) {
   console.log(`${colors.blue}Updating MCP configuration with editor paths...${colors.reset}`);
 
   // Check if the MCP configuration file exists
   const mcpFilePath = path.join(targetDir, '03-mcp-configuration.mdc');
-  if (!fs.existsSync(mcpFilePath)) {
+  if (!fileSystem.existsSync(mcpFilePath)) {
     console.log(`${colors.yellow}→${colors.reset} MCP configuration file not found. Creating from template...`);
 
     // Copy from template if available
-    const templatePath = path.join(__dirname, 'templates', 'rules', '03-mcp-configuration.mdc');
-    if (fs.existsSync(templatePath)) {
-      fs.copyFileSync(templatePath, mcpFilePath);
+    const templatePath = path.join(RULE_TEMPLATES_DIR, '03-mcp-configuration.mdc');
+    if (fileSystem.existsSync(templatePath)) {
+      installRuleTemplate(templatePath, mcpFilePath, manifest);
     } else {
       // Create minimal MCP configuration file
       console.log(`${colors.yellow}→${colors.reset} Template not found. Creating minimal MCP configuration.`);
-      fs.writeFileSync(mcpFilePath, `---
+      fileSystem.writeFileSync(mcpFilePath, `---
 description: Defines the available Model Context Protocol (MCP) servers and their capabilities.
 globs:
 alwaysApply: false
@@ -908,13 +1037,15 @@ compatibleWith: ["Memory-MCP", "Sequential-Thinking-Advanced", "MCP-Integration"
 This file documents the Model Context Protocol (MCP) servers available in your environment.
 
 `, 'utf8');
+      manifest.record(mcpFilePath, fileSystem.readFileSync(mcpFilePath, 'utf8'), 'built-in');
     }
   }
 
   // Update the MCP configuration with editor paths
   try {
-    const success = editorPathResolver.updateMCPConfigurationFile(userSelections.projectPath, targetDir);
+    const success = editorPathResolver.updateMCPConfigurationFile(userSelections.projectPath, targetDir, fileSystem);
     if (success) {
+      manifest.refresh(mcpFilePath, fileSystem.readFileSync(mcpFilePath, 'utf8'));
       console.log(`${colors.green}✓${colors.reset} Successfully updated MCP configuration with editor paths`);
     } else {
       console.log(`${colors.yellow}→${colors.reset} Failed to update MCP configuration. Manual update may be required.`);
@@ -926,21 +1057,6 @@ This file documents the Model Context Protocol (MCP) servers available in your e
   }
 }
 
-// Helper function to promisify exec
-function execPromise(command) {
-  return new Promise((resolve, reject) => {
-    exec(command, (error, stdout, stderr) => {
-      if (error) {
-        // Only reject if there's an actual error (non-zero exit code)
-        reject(error);
-      } else {
-        // Success - stderr might contain warnings but that's OK
-        resolve({ stdout, stderr });
-      }
-    });
-  });
-}
-
 // Handle process interruption gracefully
 process.on('SIGINT', () => {
   console.log(`\n${colors.yellow}⚠️ Setup cancelled by user${colors.reset}`);
@@ -952,24 +1068,79 @@ process.on('SIGTERM', () => {
   process.exit(0);
 });
 
+/**
+ * Run the setup without prompts, using the selections applied from presets
+ * Mirrors the interactive flow for the selected setup mode
+ */
+async function runPresetSetup() {
+  if (!userSelections.ideTool) {
+    // Same IDE detection as the interactive automatic mode
+    const detectedIDEs = ideConfig.detectIDEs(userSelections.projectPath);
+    const ide = detectedIDEs[0] || ideConfig.getIDEConfigById('generic');
+    userSelections.ideTool = ide.id;
+    userSelections.ideToolName = ide.name;
+    console.log(`${colors.green}✓${colors.reset} ${detectedIDEs.length > 0 ? 'Auto-detected IDE' : 'Using'}: ${colors.cyan}${ide.name}${colors.reset}`);
+  }
+
+  if (userSelections.syncRules || userSelections.setupMode === 'remote') {
+    await syncWithRemoteRules();
+  }
+
+  console.log(`${colors.green}✓${colors.reset} Setup mode: ${colors.cyan}${userSelections.setupMode}${colors.reset}`);
+  printSelectionSummary();
+
+  const success = await copyRuleFiles();
+  if (!success) {
+    throw new CLIError('Rule setup failed', EXIT_CODES.GENERAL_ERROR);
+  }
+
+  if (fileSystem.dryRun) {
+    return;
+  }
+
+  console.log(`\n${colors.bright}${colors.green}🎉 Setup Complete!${colors.reset}`);
+  console.log(`\nVibeKit VDK CLI has been configured for your project.`);
+  console.log(`Rules have been installed for ${colors.cyan}${userSelections.ideToolName}${colors.reset}`);
+}
+
+/**
+ * Setup modes accepted by `vdk init --mode`
+ */
+const SETUP_MODES = ['automatic', 'manual', 'hybrid', 'remote'];
+
+/**
+ * Normalize a setup mode given on the command line
+ * @param {string} mode - Mode name, `auto` is accepted as a shorthand
+ * @returns {string|null} - Normalized mode or null when not provided
+ */
+function normalizeSetupMode(mode) {
+  if (!mode) {
+    return null;
+  }
+
+  const normalized = mode === 'auto' ? 'automatic' : mode;
+  if (!SETUP_MODES.includes(normalized)) {
+    throw new CLIError(`Unknown setup mode "${mode}". Expected one of: auto, ${SETUP_MODES.join(', ')}`, EXIT_CODES.INVALID_ARGUMENTS);
+  }
+  return normalized;
+}
+
 // Main execution flow
-async function main() {
+async function runWizard(projectPathArg, options = {}) {
   try {
-    // Parse command line arguments
-    const args = parseArguments();
-    
-    if (args.help) {
-      showHelp();
-      return;
-    }
+    // Validate preset answers before touching anything
+    const presetAnswers = collectPresetAnswers(options);
+    const requestedMode = normalizeSetupMode(options.mode || presetAnswers?.mode);
+    userSelections.verbose = Boolean(options.verbose);
+    userSelections.force = Boolean(options.force);
+    const hasPresetSelections = presetAnswers ? applyPresetAnswers(presetAnswers) : false;
 
     // Set project path from arguments or use current directory
-    const targetProjectPath = args.targetDir || process.cwd();
+    const targetProjectPath = projectPathArg || options.targetDir || process.cwd();
     
     // Validate that the target directory exists
     if (!fs.existsSync(targetProjectPath)) {
-      console.error(`${colors.red}❌ Error: Target directory does not exist: ${targetProjectPath}${colors.reset}`);
-      process.exit(1);
+      throw new CLIError(`Target directory does not exist: ${targetProjectPath}`, EXIT_CODES.FILE_SYSTEM_ERROR);
     }
 
     // Validate if this looks like a project directory
@@ -981,7 +1152,7 @@ async function main() {
       console.log(`${colors.yellow}No common project files were found (package.json, .git, requirements.txt, etc.)${colors.reset}`);
       
       // Check if running in non-interactive environment
-      const isInteractive = process.stdin.isTTY && process.stdout.isTTY;
+      const isInteractive = process.stdin.isTTY && process.stdout.isTTY && !options.skipPrompts && !presetAnswers;
       
       if (!isInteractive) {
         console.log(`${colors.yellow}→ Non-interactive mode: Installing anyway...${colors.reset}`);
@@ -997,7 +1168,7 @@ async function main() {
         ]);
         
         if (!continueAnyway) {
-          console.log(`${colors.cyan}Installation cancelled. Please run this in a project directory or specify a different target with --target-dir${colors.reset}`);
+          console.log(`${colors.cyan}Installation cancelled. Please run this in a project directory or pass a different path to vdk init${colors.reset}`);
           process.exit(0);
         }
       }
@@ -1009,26 +1180,20 @@ async function main() {
     // Set the validated project path
     userSelections.projectPath = path.resolve(targetProjectPath);
 
-    // Check if running in non-interactive environment
-    const isInteractive = process.stdin.isTTY && process.stdout.isTTY;
+    // Presets (flags or an answers file) and non-interactive environments skip all prompts
+    const isInteractive = process.stdin.isTTY && process.stdout.isTTY && !options.skipPrompts && !presetAnswers;
     
     if (!isInteractive) {
-      console.log(`\n${colors.yellow}⚠️ Non-interactive environment detected${colors.reset}`);
-      console.log(`${colors.cyan}→${colors.reset} Using automatic setup with default options...`);
-      
-      // Use automatic setup with defaults
-      userSelections.setupMode = 'automatic';
-      userSelections.verbose = false;
-      userSelections.syncRules = true;
-      userSelections.ideTool = 'generic';
-      userSelections.ideToolName = 'Generic AI Tool';
-      
-      await copyRuleFiles();
-      
-      console.log(`\n${colors.bright}${colors.green}🎉 Setup Complete!${colors.reset}`);
-      console.log(`\nVibeKit VDK CLI has been configured with default settings.`);
-      console.log(`Rules have been installed for ${colors.cyan}${userSelections.ideToolName}${colors.reset}`);
-      
+      if (presetAnswers) {
+        console.log(`\n${colors.cyan}→${colors.reset} Using preset answers, skipping prompts...`);
+      } else {
+        console.log(`\n${colors.yellow}⚠️ Non-interactive environment detected${colors.reset}`);
+        console.log(`${colors.cyan}→${colors.reset} Using automatic setup with default options...`);
+      }
+
+      // Explicit selections mean a manual setup unless a mode was requested
+      userSelections.setupMode = requestedMode || (hasPresetSelections ? 'manual' : 'automatic');
+      await runPresetSetup();
       return;
     }
 
@@ -1041,7 +1206,12 @@ async function main() {
     console.log(`We'll analyze your codebase and generate custom AI assistant rules.\n`);
 
     // Step 1: Select setup mode
-    await selectSetupMode();
+    if (requestedMode) {
+      userSelections.setupMode = requestedMode;
+      console.log(`${colors.green}✓${colors.reset} Using ${colors.cyan}${requestedMode}${colors.reset} setup mode`);
+    } else {
+      await selectSetupMode();
+    }
 
     // Step 2: Sync with remote rules if requested
     if (userSelections.syncRules) {
@@ -1138,6 +1308,10 @@ async function main() {
       }
     }
 
+    if (fileSystem.dryRun) {
+      return;
+    }
+
     // Success message
     console.log(`\n${colors.bright}${colors.green}🎉 Setup Complete!${colors.reset}`);
     console.log(`\nVibeKit VDK CLI has been configured for your project.`);
@@ -1174,20 +1348,516 @@ async function main() {
       console.error(`\n${colors.yellow}⚠️ Setup cancelled by user${colors.reset}`);
       process.exit(0);
     } else {
-      console.error(`\n${colors.red}❌ Setup failed:${colors.reset} ${error.message}`);
-      if (userSelections.verbose) {
-        console.error(`\n${colors.dim}Stack trace:${colors.reset}`);
-        console.error(error.stack);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Summarize planned changes by action
+ * @param {Object[]} changes - Changes reported by the dry-run file system
+ * @returns {Object} - Counts for create, overwrite, unchanged, skip and remove
+ */
+function summarizeChanges(changes) {
+  const summary = { create: 0, overwrite: 0, unchanged: 0, skip: 0, remove: 0 };
+  for (const change of changes) {
+    summary[change.action]++;
+  }
+  return summary;
+}
+
+/**
+ * Print the planned-changes report of a dry run
+ * @param {Object[]} changes - Changes reported by the dry-run file system
+ */
+function printPlannedChanges(changes) {
+  const markers = {
+    create: `${colors.green}+ create   ${colors.reset}`,
+    overwrite: `${colors.yellow}~ overwrite${colors.reset}`,
+    unchanged: `${colors.gray}= unchanged${colors.reset}`,
+    skip: `${colors.gray}- skip     ${colors.reset}`,
+    remove: `${colors.red}- remove   ${colors.reset}`
+  };
+
+  console.log(`\n${colors.bright}${colors.cyan}Planned changes (dry run, nothing was written):${colors.reset}`);
+  if (changes.length === 0) {
+    console.log(`${colors.gray}  No files would be written${colors.reset}`);
+  }
+  for (const change of changes) {
+    const reason = change.reason ? ` ${colors.dim}(${change.reason})${colors.reset}` : '';
+    console.log(`  ${markers[change.action]} ${path.relative(process.cwd(), change.path)}${reason}`);
+  }
+
+  const summary = summarizeChanges(changes);
+  console.log(`\n${summary.create} to create, ${summary.overwrite} to overwrite, ${summary.unchanged} unchanged, ${summary.skip} skipped, ${summary.remove} to remove`);
+
+  for (const change of changes.filter(item => item.diff)) {
+    console.log('');
+    for (const line of change.diff.trimEnd().split('\n')) {
+      if (line.startsWith('+++') || line.startsWith('---')) {
+        console.log(`${colors.bright}${line}${colors.reset}`);
+      } else if (line.startsWith('@@')) {
+        console.log(`${colors.cyan}${line}${colors.reset}`);
+      } else if (line.startsWith('+')) {
+        console.log(`${colors.green}${line}${colors.reset}`);
+      } else if (line.startsWith('-')) {
+        console.log(`${colors.red}${line}${colors.reset}`);
+      } else {
+        console.log(line);
       }
-      process.exit(1);
     }
   }
 }
 
-// Run the main function if this script is executed directly
-if (import.meta.url === `file://${process.argv[1]}`) {
-  main().catch(error => {
-    console.error(`\n${colors.red}❌ Unhandled error:${colors.reset} ${error.message}`);
-    process.exit(1);
+/**
+ * Run an operation against the in-memory file system and report what it would change
+ * @param {Function} operation - Async operation that writes through `fileSystem`
+ * @param {Object} options - Command options (json)
+ * @returns {Promise<Object[]>} - The planned changes
+ */
+async function runDryRun(operation, options = {}) {
+  fileSystem = createFileSystem({ dryRun: true });
+
+  let changes;
+  try {
+    // Keep stdout clean for the JSON report
+    await (options.json ? runSilently(() => operation(fileSystem)) : operation(fileSystem));
+    changes = fileSystem.getChanges(process.cwd());
+  } finally {
+    fileSystem = createFileSystem();
+  }
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify({ dryRun: true, changes, summary: summarizeChanges(changes) }, null, 2)}\n`);
+  } else {
+    printPlannedChanges(changes);
+  }
+
+  return changes;
+}
+
+/**
+ * Run an operation with console.log and console.info muted, so stdout only
+ * carries what the caller prints afterwards (e.g. a JSON report)
+ * @param {Function} operation - Async operation
+ * @returns {Promise<*>} Result of the operation
+ */
+async function runSilently(operation) {
+  const log = console.log;
+  const info = console.info;
+  console.log = () => {};
+  console.info = () => {};
+
+  try {
+    return await operation();
+  } finally {
+    console.log = log;
+    console.info = info;
+  }
+}
+
+/**
+ * Apply global output options before any command runs
+ * @param {Object} options - Global options (color, quiet)
+ */
+function applyGlobalOptions(options) {
+  if (options.color === false || process.env.NO_COLOR) {
+    Object.keys(colors).forEach(key => {
+      colors[key] = '';
+    });
+  }
+
+  if (options.quiet) {
+    console.log = () => {};
+    console.info = () => {};
+  }
+}
+
+/**
+ * Merge the options of a command with the global program options
+ * @param {Command} command - The commander command being executed
+ * @returns {Object} - Combined options, with --debug implying --verbose
+ */
+function getCommandOptions(command) {
+  const options = command.optsWithGlobals();
+  return { ...options, verbose: Boolean(options.verbose || options.debug) };
+}
+
+/**
+ * Fail before analyzing when the project path of a command does not exist
+ * @param {string} projectPath - Value of --path
+ */
+function assertProjectDirectory(projectPath) {
+  const resolvedPath = path.resolve(projectPath || process.cwd());
+  if (!fs.existsSync(resolvedPath) || !fs.statSync(resolvedPath).isDirectory()) {
+    throw new CLIError(`Project directory does not exist: ${resolvedPath}`, EXIT_CODES.FILE_SYSTEM_ERROR);
+  }
+}
+
+/**
+ * Commander parser for --concurrency
+ * @param {string} value - Option value
+ * @returns {number} - Positive integer
+ */
+function parseConcurrencyOption(value) {
+  try {
+    return parseConcurrency(value);
+  } catch (error) {
+    throw new InvalidArgumentError('Expected a positive integer.');
+  }
+}
+
+/**
+ * Commander parser for --report-format
+ * @param {string} value - Option value
+ * @returns {string} - Report format
+ */
+function parseReportFormatOption(value) {
+  if (!REPORT_FORMATS.includes(value)) {
+    throw new InvalidArgumentError(`Expected one of: ${REPORT_FORMATS.join(', ')}.`);
+  }
+  return value;
+}
+
+/**
+ * Convert the comma-separated --exclude value into glob patterns
+ * Plain names such as `build` exclude the directory anywhere in the tree
+ * @param {string} exclude - Comma-separated names or glob patterns
+ * @returns {string[]} - Glob patterns
+ */
+function parseExcludePatterns(exclude) {
+  return exclude
+    .split(',')
+    .map(pattern => pattern.trim())
+    .filter(Boolean)
+    .map(pattern => (/[*?/[\]{}]/.test(pattern) ? pattern : `**/${pattern}/**`));
+}
+
+/**
+ * Print the results of a single rule file validation
+ * @param {Object} result - Result returned by RuleValidator.validateRuleFile
+ */
+function printValidationResult(result) {
+  const status = result.valid ? `${colors.green}✓${colors.reset}` : `${colors.red}✗${colors.reset}`;
+  console.log(`${status} ${result.file}`);
+  result.errors.forEach(error => console.log(`  ${colors.red}-${colors.reset} ${error}`));
+  result.warnings.forEach(warning => console.log(`  ${colors.yellow}!${colors.reset} ${warning}`));
+}
+
+/**
+ * Validate a rule file or a directory of rule files
+ * @param {Object} options - Command options (path, strict, verbose)
+ */
+async function validateRules(options) {
+  const targetPath = path.resolve(options.path);
+  if (!fs.existsSync(targetPath)) {
+    throw new CLIError(`Path not found: ${targetPath}`, EXIT_CODES.FILE_SYSTEM_ERROR);
+  }
+
+  const validator = new RuleValidator({
+    strictMode: options.strict,
+    verbose: options.verbose
   });
-}
\ No newline at end of file
+
+  if (fs.statSync(targetPath).isFile()) {
+    const result = await validator.validateRuleFile(targetPath, path.basename(targetPath));
+    printValidationResult(result);
+    if (!result.valid || (options.strict && result.warnings.length > 0)) {
+      throw new CLIError(`Validation failed for ${path.basename(targetPath)}`, EXIT_CODES.VALIDATION_ERROR);
+    }
+    return;
+  }
+
+  const validation = await validator.validateRuleDirectory(targetPath);
+  if (validation.results) {
+    Object.values(validation.results.validationDetails)
+      .filter(result => !result.valid || result.warnings.length > 0)
+      .forEach(printValidationResult);
+  }
+
+  const hasWarnings = validation.results && validation.results.warnings.length > 0;
+  if (!validation.success || (options.strict && hasWarnings)) {
+    throw new CLIError(`Validation failed: ${validation.message}`, EXIT_CODES.VALIDATION_ERROR);
+  }
+  console.log(`${colors.green}✓${colors.reset} ${validation.message}`);
+}
+
+/**
+ * Print a sync status report
+ */
+async function showSyncStatus() {
+  const status = await ruleSync.checkSyncStatus();
+  console.log(`${colors.bright}Sync Status:${colors.reset}`);
+  console.log(`Needs sync: ${status.needsSync ? colors.yellow + 'Yes' + colors.reset : colors.green + 'No' + colors.reset}`);
+  console.log(`Last sync: ${status.lastSync ? status.lastSync.toISOString() : colors.gray + 'Never' + colors.reset}`);
+  console.log(`Remote commit: ${status.remoteCommit ? status.remoteCommit.substring(0, 8) + '...' : colors.gray + 'Unknown' + colors.reset}`);
+}
+
+/**
+ * Run a sync operation, reporting failures as network errors
+ * @param {Function} operation - Async sync operation
+ */
+async function runSyncOperation(operation) {
+  try {
+    await operation();
+  } catch (error) {
+    if (typeof error.exitCode !== 'number' && getExitCodeForError(error) === EXIT_CODES.GENERAL_ERROR) {
+      error.exitCode = EXIT_CODES.NETWORK_ERROR;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Build the `vdk` command line program
+ * @returns {Command} - Configured commander program
+ */
+function createProgram() {
+  const program = new Command();
+
+  program
+    .name('vdk')
+    .description('Analyzes your codebase and deploys project-aware rules to any AI coding assistant')
+    .version(getVersion(), '-v, --version', 'Show version information')
+    .option('-V, --verbose', 'Enable verbose output', false)
+    .option('-q, --quiet', 'Suppress non-error output', false)
+    .option('--debug', 'Enable debug logging', false)
+    .option('--no-color', 'Disable colored output')
+    .exitOverride()
+    .hook('preAction', (thisCommand) => {
+      applyGlobalOptions(thisCommand.opts());
+    });
+
+  // Running `vdk` without a command starts the setup wizard
+  program
+    .usage('[options] [command]')
+    .argument('[command]')
+    .option('--target-dir <path>', 'Target directory for the setup wizard (default: current directory)')
+    .action(async (commandName, options, command) => {
+      if (commandName) {
+        program.error(`error: unknown command '${commandName}'`, { code: 'commander.unknownCommand' });
+      }
+      await runWizard(null, getCommandOptions(command));
+    });
+
+  program
+    .command('init [project-path]')
+    .alias('wizard')
+    .alias('setup')
+    .description('Initialize VDK in a project using the interactive setup wizard')
+    .option('--mode <mode>', 'Setup mode: auto, manual, hybrid or remote')
+    .option('--skip-prompts', 'Use default values for all prompts', false)
+    .option('--force', 'Overwrite existing rule files', false)
+    .option('--ide <id>', 'IDE or AI tool id (e.g. cursor, windsurf, generic)')
+    .option('--framework <id>', 'Framework id (e.g. nextjs, react, django)')
+    .option('--language <id>', 'Primary language id (e.g. typescript, python)')
+    .option('--stack <id>', 'Stack id (e.g. mern, supabase-nextjs)')
+    .option('--tech <ids>', 'Comma-separated technology ids (e.g. tailwind,prisma)')
+    .option('--tools <ids>', 'Comma-separated AI assistant tool ids (e.g. write-tests)')
+    .option('--answers <file>', 'JSON file with answers for every wizard step')
+    .option('--sync', 'Sync with the remote rules repository before setup', false)
+    .option('--dry-run', 'Show the files that would be created, overwritten or skipped without writing anything', false)
+    .option('--json', 'With --dry-run, print the planned changes as JSON', false)
+    .action(async (projectPath, options, command) => {
+      const initOptions = getCommandOptions(command);
+      if (initOptions.dryRun) {
+        await runDryRun(() => runWizard(projectPath, initOptions), initOptions);
+        return;
+      }
+      await runWizard(projectPath, initOptions);
+    });
+
+  program
+    .command('scan')
+    .description('Analyze the project and generate rules without interactive prompts')
+    .option('-p, --path <path>', 'Project path to scan', process.cwd())
+    .option('-o, --output <path>', 'Output directory for rules', './.ai/rules')
+    .option('-d, --deep', 'Enable deep analysis mode', false)
+    .option('--exclude <patterns>', 'Comma-separated names or glob patterns to exclude')
+    .option('--no-cache', 'Re-analyze every file instead of reusing the scan cache in .vdk/cache')
+    .option('--concurrency <n>', 'Maximum number of files read and analyzed at once', parseConcurrencyOption)
+    .option('--workers', 'Parse source files in worker threads (multi-core machines only)', false)
+    .option('--explain', 'Print the confidence and evidence of every detected language, framework, stack and pattern', false)
+    .option('--templates <templates>', 'Comma-separated list of templates to use', 'project-context')
+    .option('--strict', 'Fail when generated rules do not pass validation', false)
+    .option('--skip-validation', 'Skip validation of generated rule files', false)
+    .option('--ide-integration', 'Set up IDE integration', false)
+    .option('--watch', 'Watch for file changes and regenerate rules (requires --ide-integration)', false)
+    .option('--dry-run', 'Show the rule files that would be written without writing anything', false)
+    .option('--json', 'Print the scan report as JSON to stdout (with --dry-run: the planned changes)', false)
+    .option('--report <file>', 'Save the scan report to a file (.json, .md or .html)')
+    .option('--report-format <format>', `Format of the --report file: ${REPORT_FORMATS.join(', ')} (default: from the file extension)`, parseReportFormatOption)
+    .action(async (options, command) => {
+      const scanOptions = getCommandOptions(command);
+      assertProjectDirectory(scanOptions.path);
+      if (scanOptions.exclude) {
+        scanOptions.ignorePattern = [...DEFAULT_IGNORE_PATTERNS, ...parseExcludePatterns(scanOptions.exclude)];
+      }
+
+      if (scanOptions.dryRun) {
+        await runDryRun(dryRunFileSystem => runScanner({ ...scanOptions, fileSystem: dryRunFileSystem }), scanOptions);
+        return;
+      }
+
+      const result = scanOptions.json
+        ? await runSilently(() => runScanner(scanOptions))
+        : await runScanner(scanOptions);
+      if (scanOptions.json) {
+        process.stdout.write(ScanReport.render(result.report, 'json'));
+      }
+      if (scanOptions.strict && result.validation && !result.validation.success) {
+        throw new CLIError(`Rule validation failed: ${result.validation.message}`, EXIT_CODES.VALIDATION_ERROR);
+      }
+    });
+
+  program
+    .command('analyze')
+    .description('Analyze the project and print a summary without generating rules')
+    .option('-p, --path <path>', 'Project path to analyze', process.cwd())
+    .option('-d, --deep', 'Enable deep analysis mode', false)
+    .option('--exclude <patterns>', 'Comma-separated names or glob patterns to exclude')
+    .option('--no-cache', 'Re-analyze every file instead of reusing the scan cache in .vdk/cache')
+    .option('--concurrency <n>', 'Maximum number of files read and analyzed at once', parseConcurrencyOption)
+    .option('--workers', 'Parse source files in worker threads (multi-core machines only)', false)
+    .action(async (options, command) => {
+      const analyzeOptions = getCommandOptions(command);
+      assertProjectDirectory(analyzeOptions.path);
+      if (analyzeOptions.exclude) {
+        analyzeOptions.ignorePattern = [...DEFAULT_IGNORE_PATTERNS, ...parseExcludePatterns(analyzeOptions.exclude)];
+      }
+      await showAnalysis(analyzeOptions);
+    });
+
+  program
+    .command('generate <rule-type>')
+    .description(`Generate a single rule type (${Object.keys(RULE_TYPES).join(', ')})`)
+    .option('-p, --path <path>', 'Project path to analyze', process.cwd())
+    .option('-o, --output <path>', 'Output directory for rules', './.ai/rules')
+    .option('--template <name>', 'Template to use (required for task rules)')
+    .option('--no-cache', 'Re-analyze every file instead of reusing the scan cache in .vdk/cache')
+    .option('--concurrency <n>', 'Maximum number of files read and analyzed at once', parseConcurrencyOption)
+    .option('--workers', 'Parse source files in worker threads (multi-core machines only)', false)
+    .option('--force', 'Overwrite existing files', false)
+    .action(async (ruleType, options, command) => {
+      const generateOptions = getCommandOptions(command);
+      assertProjectDirectory(generateOptions.path);
+      await generateRuleType(ruleType, generateOptions);
+    });
+
+  program
+    .command('list <type>')
+    .description(`List generated rules or bundled templates (${LIST_TYPES.join(', ')})`)
+    .option('-p, --path <path>', 'Rules directory used by `list rules`', './.ai/rules')
+    .action((type, options, command) => {
+      listItems(type, getCommandOptions(command));
+    });
+
+  program
+    .command('sync')
+    .description('Synchronize rule templates with the remote rule repository')
+    .option('--force', 'Force sync, overwriting local changes', false)
+    .action(async (options) => {
+      await runSyncOperation(() => ruleSync.performSync({ force: options.force }));
+    });
+
+  program
+    .command('sync-status')
+    .description('Check synchronization status')
+    .action(async () => {
+      await runSyncOperation(showSyncStatus);
+    });
+
+  program
+    .command('sync-init')
+    .description('Initialize sync configuration')
+    .action(async () => {
+      await runSyncOperation(ruleSync.initializeSync);
+    });
+
+  program
+    .command('validate')
+    .description('Validate rule files')
+    .option('-p, --path <path>', 'Rule file or directory to validate', './.ai/rules')
+    .option('--strict', 'Treat warnings as validation errors', false)
+    .action(async (options, command) => {
+      await validateRules(getCommandOptions(command));
+    });
+
+  program
+    .command('clean')
+    .alias('uninstall')
+    .description('Remove the files VDK generated (unless modified), caches and temporary files')
+    .option('-p, --path <path>', 'Project path', process.cwd())
+    .option('-o, --output <path>', 'Rules directory searched by --temp, relative to the project path', '.ai/rules')
+    .option('--rules', 'Remove generated rule files that were not modified since generation (default)', false)
+    .option('--cache', 'Clean analysis cache', false)
+    .option('--temp', 'Clean temporary files', false)
+    .option('--all', 'Clean everything, including the last scan report', false)
+    .option('-y, --yes', 'Do not ask for confirmation', false)
+    .action(async (options, command) => {
+      const cleanOptions = getCommandOptions(command);
+      await cleanProject({ ...cleanOptions, projectPath: cleanOptions.path });
+    });
+
+  program
+    .command('config <action> [key] [value]')
+    .description(`Manage configuration settings (${CONFIG_ACTIONS.join(', ')})`)
+    .action((action, key, value) => {
+      runConfigAction(action, key, value);
+    });
+
+  program
+    .command('info')
+    .description('Display system and project information')
+    .option('-p, --path <path>', 'Project path', process.cwd())
+    .action((options) => {
+      const projectPath = path.resolve(options.path);
+      showInfo({ projectPath, projectValidation: validateProjectDirectory(projectPath) });
+    });
+
+  program
+    .command('deploy')
+    .description('Deploy generated rules to the rule folders of your AI assistants')
+    .option('-p, --path <path>', 'Project path', process.cwd())
+    .option('-s, --source <path>', 'Rules directory to deploy, relative to the project path', '.ai/rules')
+    .option('--ide <ids...>', 'IDE ids to deploy to (default: detected IDEs)')
+    .action(async (options) => {
+      await deployRules({ ...options, projectPath: options.path });
+    });
+
+  return program;
+}
+
+/**
+ * Parse the command line and run the selected command, exiting with a documented exit code
+ * @param {string[]} argv - Process arguments
+ */
+async function main(argv = process.argv) {
+  const program = createProgram();
+
+  try {
+    await program.parseAsync(argv);
+  } catch (error) {
+    if (error instanceof CommanderError) {
+      // Help and version output exit with 0, everything else is a usage error
+      process.exit(error.exitCode === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.INVALID_ARGUMENTS);
+    }
+
+    console.error(`\n${colors.red}❌ ${error.message}${colors.reset}`);
+    if (program.opts().debug && error.stack) {
+      console.error(`\n${colors.dim}Stack trace:${colors.reset}`);
+      console.error(error.stack);
+    }
+    process.exit(getExitCodeForError(error));
+  }
+}
+
+// Run the CLI if this script is executed directly (including through the `vdk` bin link)
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === __filename) {
+  main();
+}
+
+export {
+  createProgram,
+  main
+};
@@ -0,0 +1,255 @@
+/**
+ * analyze.js
+ *
+ * Implements `vdk analyze`: runs the scanner's analysis (structure, technologies,
+ * patterns and dependencies) without generating or validating rules, and prints
+ * a summary of what it found and what changed since the last scan.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+
+import { analyzeProject } from '../scanner/index.js';
+import { ScanReport } from '../scanner/utils/scan-report.js';
+import { DEFAULTS } from '../scanner/utils/constants.js';
+
+// Detection categories compared with the last scan
+const COMPARED_CATEGORIES = ['languages', 'frameworks', 'stacks', 'patterns'];
+
+/**
+ * Prints a label/value pair
+ * @param {string} label - Field label
+ * @param {string} value - Field value
+ */
+function printField(label, value) {
+  console.log(`  ${chalk.gray(`${label}:`.padEnd(21))} ${value}`);
+}
+
+/**
+ * Colors a percentage by how reliable it is
+ * @param {number} value - Percentage (0-100)
+ * @returns {string}
+ */
+function formatPercent(value) {
+  const color = value >= 80 ? chalk.green : value >= 50 ? chalk.yellow : chalk.red;
+  return color(`${value}%`);
+}
+
+/**
+ * Name of a technology with its resolved version
+ * @param {Object} techStack - Tech stack of the report
+ * @param {string} name - Technology name
+ * @returns {string}
+ */
+function withVersion(techStack, name) {
+  const version = techStack.technologyVersions[name]?.version;
+  return version ? `${name} ${version}` : name;
+}
+
+/**
+ * Most frequent entries of a count map, e.g. "useState (12), useEffect (9)"
+ * @param {Object} counts - Number of files per name
+ * @param {number} limit - Maximum number of entries
+ * @returns {string}
+ */
+function formatCounts(counts, limit = 8) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([name, count]) => `${name} (${count})`)
+    .join(', ');
+}
+
+/**
+ * Reads the report of the last `vdk scan`
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object|null>} The report, null when there is none or it cannot be read
+ */
+async function readLastReport(projectPath) {
+  try {
+    const content = await fs.readFile(path.join(projectPath, DEFAULTS.STATE_DIR, DEFAULTS.SCAN_REPORT_FILE), 'utf8');
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rule files written by the last scan that are no longer on disk, e.g. after `vdk clean`
+ * @param {string} projectPath - Project root
+ * @param {Object} lastReport - Report of the last scan
+ * @returns {Promise<string[]>} Project-relative paths of the missing rule files
+ */
+async function findMissingRules(projectPath, lastReport) {
+  const missing = [];
+  for (const file of lastReport.rules?.files || []) {
+    try {
+      await fs.access(path.join(projectPath, file));
+    } catch {
+      missing.push(file);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Compares the detections of the analysis with those of the last scan
+ * @param {Object} report - Report of the analysis
+ * @param {Object|null} lastReport - Report of the last scan
+ * @param {string[]} [missingRules] - Rule files of the last scan that are no longer on disk
+ * @returns {Object|null} { generatedAt, added, removed, missingRules } with detection names by category,
+ *   null when the project was never scanned or none of its rules are left
+ */
+function compareWithLastScan(report, lastReport, missingRules = []) {
+  if (!lastReport?.detections) return null;
+  if (missingRules.length > 0 && missingRules.length === lastReport.rules.files.length) return null;
+
+  const added = {};
+  const removed = {};
+  for (const category of COMPARED_CATEGORIES) {
+    const current = (report.detections[category] || []).map(detection => detection.name);
+    const previous = (lastReport.detections[category] || []).map(detection => detection.name);
+    added[category] = current.filter(name => !previous.includes(name));
+    removed[category] = previous.filter(name => !current.includes(name));
+  }
+
+  return { generatedAt: lastReport.generatedAt, added, removed, missingRules };
+}
+
+/**
+ * Prints the summary of an analysis
+ * @param {Object} report - Report of the analysis
+ * @param {Object|null} changes - Result of compareWithLastScan
+ */
+function printSummary(report, changes) {
+  const { structure, techStack, patterns, dependencies, workspace } = report;
+  const confidence = category => Object.fromEntries(
+    (report.detections[category] || []).map(detection => [detection.name, detection.confidence])
+  );
+
+  console.log(chalk.cyan(`\nProject: ${report.project.name}`));
+  printField('Path', report.project.path);
+  printField('Files', `${structure.fileCount} in ${structure.directoryCount} directories`);
+  if (workspace.isMonorepo) {
+    printField('Workspace', `${workspace.packages.length} packages (${workspace.tools.join(', ')})`);
+  }
+
+  console.log(chalk.cyan('\nLanguages'));
+  if (techStack.primaryLanguages.length === 0) {
+    console.log(chalk.gray('  No source files found'));
+  }
+  for (const language of techStack.primaryLanguages) {
+    const share = techStack.languageShares[language];
+    const version = techStack.languageVersions[language];
+    printField(version ? `${language} ${version}` : language, share !== undefined ? `${share}% of files` : `declared in ${DEFAULTS.PROJECT_CONFIG_FILE}`);
+  }
+
+  console.log(chalk.cyan('\nTechnologies'));
+  const frameworkConfidence = confidence('frameworks');
+  printField('Frameworks', techStack.frameworks.length > 0
+    ? techStack.frameworks.map(name => `${withVersion(techStack, name)} (${formatPercent(frameworkConfidence[name] ?? 0)})`).join(', ')
+    : chalk.gray('none'));
+  for (const [label, field] of [['Libraries', 'libraries'], ['Testing', 'testingFrameworks'], ['Build tools', 'buildTools'], ['Linters', 'linters']]) {
+    if (techStack[field].length > 0) {
+      printField(label, techStack[field].map(name => withVersion(techStack, name)).join(', '));
+    }
+  }
+  if (techStack.stacks.length > 0) {
+    printField('Stacks', techStack.stacks.join(', '));
+  }
+
+  console.log(chalk.cyan('\nConventions'));
+  const conventions = Object.entries(patterns.namingConventions).filter(([, convention]) => convention.total > 0);
+  if (conventions.length === 0) {
+    console.log(chalk.gray('  No named elements found'));
+  }
+  for (const [element, convention] of conventions) {
+    const share = Math.round((convention.patterns[convention.dominant] || 0) / convention.total * 100);
+    const dominant = convention.dominant === 'mixed' ? chalk.yellow('mixed') : `${convention.dominant} (${formatPercent(share)})`;
+    printField(element, `${dominant} ${chalk.gray(`of ${convention.total}`)}`);
+  }
+  for (const area of patterns.areaConventions.areas.filter(candidate => candidate.divergent.length > 0)) {
+    printField(`${area.path}/`, area.divergent.map(element => `${element} ${area.namingConventions[element].dominant}`).join(', '));
+  }
+  printField('Naming consistency', formatPercent(patterns.consistencyMetrics.namingConsistency || 0));
+  if (report.codeStyle.sources.length > 0) {
+    printField('Style configs', report.codeStyle.sources.join(', '));
+  }
+  const samples = Object.entries(report.sampling.languages);
+  if (samples.length > 0) {
+    printField('Sampled files', samples.map(([language, sample]) => `${language} ${sample.files.length} of ${sample.total}`).join(', '));
+  }
+
+  const { reactUsage } = patterns;
+  if (Object.keys(reactUsage.hooks).length > 0 || reactUsage.customHooks.length > 0) {
+    console.log(chalk.cyan('\nReact'));
+    if (Object.keys(reactUsage.hooks).length > 0) {
+      printField('Hooks', formatCounts(reactUsage.hooks));
+    }
+    if (reactUsage.customHooks.length > 0) {
+      printField('Custom hooks', reactUsage.customHooks.join(', '));
+    }
+    if (Object.keys(reactUsage.propPatterns).length > 0) {
+      printField('Props', formatCounts(reactUsage.propPatterns));
+    }
+  }
+
+  console.log(chalk.cyan('\nArchitecture'));
+  if (patterns.architecturalPatterns.length === 0) {
+    console.log(chalk.gray('  No architectural pattern detected'));
+  }
+  for (const pattern of patterns.architecturalPatterns) {
+    console.log(`  ${pattern.name} ${formatPercent(pattern.confidence)}${pattern.description ? chalk.gray(` - ${pattern.description}`) : ''}`);
+  }
+  printField('Overall consistency', formatPercent(patterns.consistencyMetrics.overallConsistency || 0));
+
+  console.log(chalk.cyan('\nDependencies'));
+  printField('Module graph', `${dependencies.moduleCount} modules, ${dependencies.edgeCount} imports`);
+  if (dependencies.cycles.length === 0) {
+    printField('Cycles', chalk.green('none'));
+  } else {
+    printField('Cycles', chalk.yellow(String(dependencies.cycles.length)));
+    dependencies.cycles.forEach(cycle => console.log(chalk.yellow(`    ${cycle.join(' → ')}`)));
+  }
+
+  console.log(chalk.cyan('\nSince the last scan'));
+  if (!changes) {
+    console.log(chalk.yellow('  No rules generated yet, run `vdk scan` to generate them'));
+  } else {
+    const differences = COMPARED_CATEGORIES.flatMap(category => [
+      ...changes.added[category].map(name => chalk.green(`  + ${category}: ${name}`)),
+      ...changes.removed[category].map(name => chalk.red(`  - ${category}: ${name}`))
+    ]);
+    differences.push(...changes.missingRules.map(file => chalk.red(`  - rule file: ${file}`)));
+
+    if (differences.length === 0) {
+      console.log(chalk.green(`  Nothing changed since ${changes.generatedAt}, the rules are up to date`));
+    } else {
+      differences.forEach(line => console.log(line));
+      console.log(chalk.yellow('  Run `vdk scan` to regenerate the rules'));
+    }
+  }
+  console.log('');
+}
+
+/**
+ * Analyzes a project and prints a summary without generating rules
+ * @param {Object} options - Command options (path, ignorePattern, deep, cache, concurrency, workers, verbose)
+ * @returns {Promise<Object>} { report, changes } where report has the layout of the scan report
+ *   without generated rules and changes is the result of compareWithLastScan
+ */
+async function showAnalysis(options = {}) {
+  const analysis = await analyzeProject(options);
+  const report = ScanReport.build(analysis);
+  const lastReport = await readLastReport(analysis.projectPath);
+  const missingRules = lastReport ? await findMissingRules(analysis.projectPath, lastReport) : [];
+  const changes = compareWithLastScan(report, lastReport, missingRules);
+
+  printSummary(report, changes);
+  return { report, changes };
+}
+
+export {
+  showAnalysis
+};
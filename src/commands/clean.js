@@ -0,0 +1,201 @@
+/**
+ * clean.js
+ *
+ * Implements `vdk clean`: removes generated rules, the analysis cache, the
+ * last scan report and temporary files left behind by previous runs. Rules are removed based on
+ * the generation manifest, so only files VDK wrote and nobody edited since
+ * are deleted.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+
+import { GenerationManifest } from '../shared/manifest.js';
+import { DEFAULTS } from '../scanner/utils/constants.js';
+
+/**
+ * Recursively collects files whose name matches a pattern
+ * @param {string} dirPath - Directory to walk
+ * @param {RegExp} pattern - File name pattern
+ * @returns {string[]} Absolute file paths
+ */
+function findFiles(dirPath, pattern) {
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findFiles(entryPath, pattern));
+    } else if (pattern.test(entry.name)) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Asks for confirmation before removing user-visible files
+ * @param {string} message - Confirmation prompt
+ * @param {boolean} assumeYes - Skip the prompt
+ * @returns {boolean} Whether to continue
+ */
+async function confirm(message, assumeYes) {
+  if (assumeYes || !(process.stdin.isTTY && process.stdout.isTTY)) {
+    return true;
+  }
+
+  const { confirmed } = await inquirer.prompt([{
+    type: 'confirm',
+    name: 'confirmed',
+    message,
+    default: false
+  }]);
+  return confirmed;
+}
+
+/**
+ * Removes empty directories from a file's directory up to (excluding) a root
+ * @param {string} filePath - Removed file
+ * @param {string} rootPath - Directory to stop at
+ */
+function removeEmptyParents(filePath, rootPath) {
+  let dirPath = path.dirname(filePath);
+  while (dirPath.startsWith(rootPath + path.sep) && fs.existsSync(dirPath) && fs.readdirSync(dirPath).length === 0) {
+    fs.rmdirSync(dirPath);
+    dirPath = path.dirname(dirPath);
+  }
+}
+
+/**
+ * Removes the generated files recorded in the manifest that are still unmodified
+ * @param {string} projectPath - Project root
+ * @param {boolean} assumeYes - Skip the confirmation prompt
+ * @returns {{removed: string[], modified: string[]}} Removed files and kept, modified files
+ */
+async function cleanGeneratedFiles(projectPath, assumeYes) {
+  const manifest = GenerationManifest.load(projectPath);
+  const entries = manifest.getEntries();
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow(`No generated files recorded in ${path.relative(process.cwd(), manifest.manifestPath)}, no rules removed.`));
+    return { removed: [], modified: [] };
+  }
+
+  const unmodified = [];
+  const modified = [];
+
+  for (const entry of entries) {
+    const status = manifest.getStatus(entry);
+    if (status === 'unmodified') {
+      unmodified.push(entry);
+    } else if (status === 'modified') {
+      modified.push(entry);
+    } else {
+      manifest.remove(entry.path);
+    }
+  }
+
+  const removed = [];
+  if (unmodified.length > 0 && await confirm(`Remove ${unmodified.length} generated rule file(s)?`, assumeYes)) {
+    const snapshotRoot = path.join(projectPath, DEFAULTS.STATE_DIR, DEFAULTS.BASE_SNAPSHOT_DIR);
+
+    for (const entry of unmodified) {
+      const filePath = path.join(projectPath, entry.path);
+      const snapshotPath = path.join(snapshotRoot, entry.path);
+
+      // Never delete outside the project, whatever the manifest says
+      if (!filePath.startsWith(projectPath + path.sep)) {
+        manifest.remove(entry.path);
+        continue;
+      }
+
+      fs.rmSync(filePath, { force: true });
+      removeEmptyParents(filePath, projectPath);
+      if (fs.existsSync(snapshotPath)) {
+        fs.rmSync(snapshotPath, { force: true });
+        removeEmptyParents(snapshotPath, projectPath);
+      }
+
+      manifest.remove(entry.path);
+      removed.push(filePath);
+    }
+  }
+
+  if (manifest.getEntries().length > 0) {
+    await manifest.save();
+  } else if (fs.existsSync(manifest.manifestPath)) {
+    fs.rmSync(manifest.manifestPath, { force: true });
+    removeEmptyParents(manifest.manifestPath, projectPath);
+  }
+
+  if (modified.length > 0) {
+    console.log(chalk.yellow(`→ Kept ${modified.length} generated file(s) modified since generation:`));
+    modified.forEach(entry => console.log(chalk.yellow(`  ~ ${entry.path}`)));
+  }
+
+  return { removed, modified: modified.map(entry => path.join(projectPath, entry.path)) };
+}
+
+/**
+ * Removes generated artifacts from a project
+ * @param {Object} options - Command options (projectPath, output, rules, cache, temp, all, yes);
+ *   without any of rules, cache, temp or all only the generated rules are cleaned
+ * @returns {string[]} Removed paths
+ */
+async function cleanProject(options = {}) {
+  const projectPath = path.resolve(options.projectPath || process.cwd());
+  const rulesDir = path.resolve(projectPath, options.output || '.ai/rules');
+  const stateDir = path.join(projectPath, DEFAULTS.STATE_DIR);
+  const cacheDir = path.join(stateDir, 'cache');
+  const scanReportPath = path.join(stateDir, DEFAULTS.SCAN_REPORT_FILE);
+
+  const cleanCache = options.all || options.cache;
+  const cleanTemp = options.all || options.temp;
+  const cleanRules = options.all || options.rules || (!cleanCache && !cleanTemp);
+  const removed = [];
+
+  if (cleanTemp) {
+    // Backups created by rule sync conflict resolution and interrupted writes
+    for (const file of findFiles(rulesDir, /(\.backup\.\d+|\.tmp)$/)) {
+      fs.rmSync(file, { force: true });
+      removed.push(file);
+    }
+  }
+
+  if (cleanCache && fs.existsSync(cacheDir)) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    removed.push(cacheDir);
+  }
+
+  if (options.all && fs.existsSync(scanReportPath)) {
+    fs.rmSync(scanReportPath, { force: true });
+    removed.push(scanReportPath);
+  }
+
+  if (cleanRules) {
+    const result = await cleanGeneratedFiles(projectPath, options.yes);
+    removed.push(...result.removed);
+  }
+
+  if (fs.existsSync(stateDir) && fs.readdirSync(stateDir).length === 0) {
+    fs.rmdirSync(stateDir);
+  }
+
+  if (removed.length === 0) {
+    console.log(chalk.green('✓ Already clean'));
+  } else {
+    console.log(chalk.green(`✓ Removed ${removed.length} item(s):`));
+    removed.forEach(item => console.log(`  - ${path.relative(process.cwd(), item) || '.'}`));
+  }
+
+  return removed;
+}
+
+export {
+  cleanProject
+};
@@ -0,0 +1,136 @@
+/**
+ * config.js
+ *
+ * Implements `vdk config <action> [key] [value]` on top of the VDK
+ * configuration file managed by the rule sync module.
+ */
+
+import chalk from 'chalk';
+
+import * as ruleSync from '../sync/rule-sync.js';
+import { CLIError, EXIT_CODES } from '../shared/exit-codes.js';
+
+const CONFIG_ACTIONS = ['get', 'set', 'list', 'reset'];
+
+/**
+ * Reads a dotted key (e.g. "scan.timeout") from a configuration object
+ * @param {Object} config - Configuration object
+ * @param {string} key - Dotted key
+ * @returns {*} The value, or undefined when missing
+ */
+function getConfigValue(config, key) {
+  return key.split('.').reduce((value, part) => (
+    value !== null && typeof value === 'object' ? value[part] : undefined
+  ), config);
+}
+
+/**
+ * Writes a dotted key into a configuration object, creating parents as needed
+ * @param {Object} config - Configuration object
+ * @param {string} key - Dotted key
+ * @param {*} value - Value to store
+ */
+function setConfigValue(config, key, value) {
+  const parts = key.split('.');
+  let target = config;
+
+  for (const part of parts.slice(0, -1)) {
+    if (target[part] === null || typeof target[part] !== 'object') {
+      target[part] = {};
+    }
+    target = target[part];
+  }
+
+  target[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Parses a command line value, accepting JSON literals and falling back to strings
+ * @param {string} rawValue - Value as typed by the user
+ * @returns {*} Parsed value
+ */
+function parseConfigValue(rawValue) {
+  try {
+    return JSON.parse(rawValue);
+  } catch {
+    return rawValue;
+  }
+}
+
+/**
+ * Formats a configuration value for display
+ * @param {*} value - Value to format
+ * @returns {string} Printable value
+ */
+function formatConfigValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Runs a configuration action
+ * @param {string} action - One of CONFIG_ACTIONS
+ * @param {string} [key] - Dotted configuration key
+ * @param {string} [value] - Value for `set`
+ * @returns {*} The affected value or configuration
+ */
+function runConfigAction(action, key, value) {
+  if (!CONFIG_ACTIONS.includes(action)) {
+    throw new CLIError(
+      `Unknown config action "${action}". Expected one of: ${CONFIG_ACTIONS.join(', ')}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+
+  if ((action === 'get' || action === 'set') && !key) {
+    throw new CLIError(`config ${action} requires a key`, EXIT_CODES.INVALID_ARGUMENTS);
+  }
+
+  if (action === 'set' && value === undefined) {
+    throw new CLIError('config set requires a value', EXIT_CODES.INVALID_ARGUMENTS);
+  }
+
+  const config = ruleSync.loadSyncConfig();
+
+  switch (action) {
+    case 'get': {
+      const current = getConfigValue(config, key);
+      if (current === undefined) {
+        throw new CLIError(`Configuration key not found: ${key}`, EXIT_CODES.CONFIGURATION_ERROR);
+      }
+      console.log(formatConfigValue(current));
+      return current;
+    }
+
+    case 'set': {
+      const parsed = parseConfigValue(value);
+      setConfigValue(config, key, parsed);
+      ruleSync.saveSyncConfig(config);
+      console.log(chalk.green(`✓ ${key} = ${formatConfigValue(parsed)}`));
+      return parsed;
+    }
+
+    case 'reset': {
+      const defaults = { ...ruleSync.defaultSyncConfig };
+      ruleSync.saveSyncConfig(defaults);
+      console.log(chalk.green('✓ Configuration reset to defaults'));
+      return defaults;
+    }
+
+    case 'list':
+    default:
+      // syncedFiles is bookkeeping for rule sync and drowns out the settings
+      for (const [configKey, configValue] of Object.entries(config)) {
+        if (configKey === 'syncedFiles') {
+          console.log(`${chalk.cyan(configKey)}: ${Object.keys(configValue || {}).length} tracked file(s)`);
+        } else {
+          console.log(`${chalk.cyan(configKey)}: ${formatConfigValue(configValue)}`);
+        }
+      }
+      return config;
+  }
+}
+
+export {
+  CONFIG_ACTIONS,
+  runConfigAction
+};
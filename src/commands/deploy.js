@@ -0,0 +1,117 @@
+/**
+ * deploy.js
+ *
+ * Implements `vdk deploy`: copies the generated rule set into the rule
+ * folders of one or more AI assistants / IDEs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+
+import * as ideConfig from '../shared/ide-configuration.js';
+import { CLIError, EXIT_CODES } from '../shared/exit-codes.js';
+import { GenerationManifest } from '../shared/manifest.js';
+
+/**
+ * Recursively lists rule files relative to a base directory
+ * @param {string} baseDir - Rules directory
+ * @param {string} [subDir] - Current sub directory
+ * @returns {string[]} Relative file paths
+ */
+function listRuleFiles(baseDir, subDir = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(baseDir, subDir), { withFileTypes: true })) {
+    const relativePath = path.join(subDir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listRuleFiles(baseDir, relativePath));
+    } else if (entry.name.endsWith('.mdc')) {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Resolves the IDE configurations to deploy to
+ * @param {string[]} ideIds - Requested IDE ids, empty for auto-detection
+ * @param {string} projectPath - Project root path
+ * @returns {Object[]} IDE configurations
+ */
+function resolveTargets(ideIds, projectPath) {
+  if (ideIds && ideIds.length > 0) {
+    return ideIds.map(id => {
+      const config = ideConfig.getIDEConfigById(id);
+      if (!config) {
+        const knownIds = ideConfig.IDE_CONFIGURATIONS.map(ide => ide.id).join(', ');
+        throw new CLIError(`Unknown IDE "${id}". Expected one of: ${knownIds}`, EXIT_CODES.INVALID_ARGUMENTS);
+      }
+      return config;
+    });
+  }
+
+  const detected = ideConfig.detectIDEs(projectPath);
+  if (detected.length === 0) {
+    throw new CLIError('No IDE configuration detected. Pass --ide <id> to choose a target.', EXIT_CODES.INVALID_ARGUMENTS);
+  }
+  return detected;
+}
+
+/**
+ * Deploys generated rules to the selected IDE rule folders
+ * @param {Object} options - Command options (projectPath, source, ide)
+ * @returns {Promise<Object[]>} Per-IDE deployment results
+ */
+async function deployRules(options = {}) {
+  const projectPath = path.resolve(options.projectPath || process.cwd());
+  const sourceDir = path.resolve(projectPath, options.source || '.ai/rules');
+
+  if (!fs.existsSync(sourceDir)) {
+    throw new CLIError(`Rules directory not found: ${sourceDir}. Run \`vdk scan\` first.`, EXIT_CODES.FILE_SYSTEM_ERROR);
+  }
+
+  const ruleFiles = listRuleFiles(sourceDir);
+  if (ruleFiles.length === 0) {
+    throw new CLIError(`No rule files found in ${sourceDir}`, EXIT_CODES.FILE_SYSTEM_ERROR);
+  }
+
+  const manifest = GenerationManifest.load(projectPath);
+  const results = [];
+
+  for (const ide of resolveTargets(options.ide, projectPath)) {
+    const targetDir = path.join(projectPath, ide.rulesFolder);
+    const result = { ide: ide.id, name: ide.name, targetDir, copied: [], unchanged: [] };
+
+    if (path.resolve(targetDir) === sourceDir) {
+      console.log(`${chalk.gray('−')} ${ide.name}: rules already live in ${ide.rulesFolder}`);
+      results.push(result);
+      continue;
+    }
+
+    for (const relativePath of ruleFiles) {
+      const source = path.join(sourceDir, relativePath);
+      const target = path.join(targetDir, relativePath);
+      const content = fs.readFileSync(source);
+
+      if (fs.existsSync(target) && fs.readFileSync(target).equals(content)) {
+        result.unchanged.push(relativePath);
+        continue;
+      }
+
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, content);
+      manifest.record(target, content, path.relative(projectPath, source).split(path.sep).join('/'));
+      result.copied.push(relativePath);
+    }
+
+    console.log(`${chalk.green('✓')} ${ide.name}: ${result.copied.length} copied, ${result.unchanged.length} unchanged → ${ide.rulesFolder}`);
+    results.push(result);
+  }
+
+  await manifest.save();
+  return results;
+}
+
+export {
+  deployRules
+};
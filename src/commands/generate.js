@@ -0,0 +1,142 @@
+/**
+ * generate.js
+ *
+ * Implements `vdk generate <rule-type>`: analyzes the project and regenerates
+ * a single category of rule files instead of the whole rule set.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+
+import { analyzeProject } from '../scanner/index.js';
+import { RuleGenerator } from '../scanner/core/RuleGenerator.js';
+import { DIRECTORIES } from '../scanner/utils/constants.js';
+import { CLIError, EXIT_CODES } from '../shared/exit-codes.js';
+import { GenerationManifest } from '../shared/manifest.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SCANNER_TEMPLATES_DIR = path.join(__dirname, '..', 'scanner', 'templates');
+const RULE_TEMPLATES_DIR = path.join(__dirname, '..', '..', 'templates', '.ai', 'rules');
+
+/**
+ * Rule types accepted by `vdk generate`, mapped to the RuleGenerator steps they run
+ */
+const RULE_TYPES = {
+  core: ['generateCoreRules'],
+  project: ['generateProjectContextRule'],
+  language: ['generateLanguageRules'],
+  technology: ['generateFrameworkRules', 'generateStackRules'],
+  workspace: ['generateWorkspaceRules'],
+  task: []
+};
+
+/**
+ * Copies a task rule from the bundled rule templates
+ * @param {string} templateName - Task template name, with or without the .mdc extension
+ * @param {string} outputPath - Rules directory to copy into
+ * @param {boolean} force - Overwrite an existing task rule
+ * @param {GenerationManifest} manifest - Manifest the copied rule is recorded in
+ * @returns {string[]} Generated file paths
+ */
+async function generateTaskRule(templateName, outputPath, force, manifest) {
+  if (!templateName) {
+    throw new CLIError('Task rules require --template <name> (see `vdk list tasks`)', EXIT_CODES.INVALID_ARGUMENTS);
+  }
+
+  const fileName = templateName.endsWith('.mdc') ? templateName : `${templateName}.mdc`;
+  const source = path.join(RULE_TEMPLATES_DIR, DIRECTORIES.TASKS, fileName);
+  const target = path.join(outputPath, DIRECTORIES.TASKS, fileName);
+
+  try {
+    await fs.access(source);
+  } catch {
+    throw new CLIError(`Unknown task template: ${templateName}`, EXIT_CODES.INVALID_ARGUMENTS);
+  }
+
+  if (!force) {
+    try {
+      await fs.access(target);
+      console.log(chalk.yellow(`→ ${path.relative(process.cwd(), target)} already exists, use --force to overwrite`));
+      return [];
+    } catch {
+      // Target does not exist yet
+    }
+  }
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.copyFile(source, target);
+
+  manifest.record(target, await fs.readFile(target), `${DIRECTORIES.TASKS}/${fileName}`);
+  await manifest.save();
+  return [target];
+}
+
+/**
+ * Generates rule files of a single type
+ * @param {string} ruleType - One of the keys of RULE_TYPES
+ * @param {Object} options - Command options (path, output, template, force, verbose)
+ * @returns {string[]} Generated file paths
+ */
+async function generateRuleType(ruleType, options = {}) {
+  const steps = RULE_TYPES[ruleType];
+  if (!steps) {
+    throw new CLIError(
+      `Unknown rule type "${ruleType}". Expected one of: ${Object.keys(RULE_TYPES).join(', ')}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+
+  const outputPath = path.resolve(options.output || './.ai/rules');
+  let generatedFiles;
+
+  if (ruleType === 'task') {
+    const manifest = GenerationManifest.load(path.resolve(options.path || process.cwd()));
+    generatedFiles = await generateTaskRule(options.template, outputPath, options.force, manifest);
+  } else {
+    const { projectPath, projectStructure, patterns, techStack, workspace, styleConfig } = await analyzeProject(options);
+
+    const ruleGenerator = new RuleGenerator({
+      templatesDir: SCANNER_TEMPLATES_DIR,
+      outputPath,
+      verbose: options.verbose
+    });
+
+    await fs.mkdir(outputPath, { recursive: true });
+
+    const analysisData = {
+      outputPath,
+      projectPath,
+      projectName: path.basename(projectPath),
+      projectStructure,
+      patterns,
+      techStack,
+      workspace,
+      styleConfig
+    };
+
+    ruleGenerator.prepareGeneration(analysisData);
+    for (const step of steps) {
+      await ruleGenerator[step](analysisData);
+    }
+    await ruleGenerator.manifest.save();
+
+    generatedFiles = ruleGenerator.generatedFiles;
+  }
+
+  if (generatedFiles.length === 0) {
+    console.log(chalk.yellow(`No ${ruleType} rules were generated for this project`));
+  } else {
+    console.log(chalk.green(`\n✅ Generated ${generatedFiles.length} ${ruleType} rule file(s):`));
+    generatedFiles.forEach(file => console.log(chalk.green(`- ${path.relative(process.cwd(), file)}`)));
+  }
+
+  return generatedFiles;
+}
+
+export {
+  RULE_TYPES,
+  generateRuleType
+};
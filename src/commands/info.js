@@ -0,0 +1,115 @@
+/**
+ * info.js
+ *
+ * Implements `vdk info`: prints system, project, configuration and IDE
+ * integration details to help with troubleshooting.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+
+import * as ideConfig from '../shared/ide-configuration.js';
+import * as ruleSync from '../sync/rule-sync.js';
+import { getVersion } from '../scanner/utils/version.js';
+
+/**
+ * Counts the rule files in a directory tree
+ * @param {string} dirPath - Rules directory
+ * @returns {number} Number of .mdc files
+ */
+function countRuleFiles(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    return 0;
+  }
+
+  let count = 0;
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      count += countRuleFiles(path.join(dirPath, entry.name));
+    } else if (entry.name.endsWith('.mdc')) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Prints a label/value pair
+ * @param {string} label - Field label
+ * @param {string} value - Field value
+ */
+function printField(label, value) {
+  console.log(`  ${chalk.gray(`${label}:`.padEnd(18))} ${value}`);
+}
+
+/**
+ * Collects and prints system and project information
+ * @param {Object} options - { projectPath, projectValidation }
+ * @returns {Object} The collected information
+ */
+function showInfo(options = {}) {
+  const projectPath = path.resolve(options.projectPath || process.cwd());
+  const projectValidation = options.projectValidation || { isProject: false, indicators: [] };
+  const syncConfig = ruleSync.loadSyncConfig();
+
+  const ides = ideConfig.detectIDEs(projectPath).map(ide => {
+    const rulesPath = path.join(projectPath, ide.rulesFolder);
+    return {
+      id: ide.id,
+      name: ide.name,
+      rulesFolder: ide.rulesFolder,
+      ruleCount: countRuleFiles(rulesPath)
+    };
+  });
+
+  const info = {
+    vdkVersion: getVersion(),
+    nodeVersion: process.version,
+    platform: `${os.type()} ${os.release()} (${process.arch})`,
+    projectPath,
+    projectValidation,
+    defaultRuleCount: countRuleFiles(path.join(projectPath, '.ai', 'rules')),
+    syncConfig: {
+      initialized: Boolean(syncConfig.initialized),
+      lastSync: syncConfig.lastSync,
+      conflictResolution: syncConfig.conflictResolution
+    },
+    ides
+  };
+
+  console.log(chalk.cyan('\nSystem'));
+  printField('VDK CLI', `v${info.vdkVersion}`);
+  printField('Node.js', info.nodeVersion);
+  printField('Platform', info.platform);
+
+  console.log(chalk.cyan('\nProject'));
+  printField('Path', projectPath);
+  printField('Project detected', projectValidation.isProject ? chalk.green('yes') : chalk.yellow('no'));
+  if (projectValidation.indicators.length > 0) {
+    printField('Indicators', projectValidation.indicators.join(', '));
+  }
+  printField('Rules (.ai/rules)', String(info.defaultRuleCount));
+
+  console.log(chalk.cyan('\nConfiguration'));
+  printField('Sync initialized', info.syncConfig.initialized ? chalk.green('yes') : chalk.yellow('no'));
+  printField('Last sync', info.syncConfig.lastSync || 'never');
+  printField('Conflicts', info.syncConfig.conflictResolution);
+
+  console.log(chalk.cyan('\nIDE Integration'));
+  if (ides.length === 0) {
+    console.log(chalk.gray('  No IDE configuration detected'));
+  } else {
+    for (const ide of ides) {
+      printField(ide.name, `${ide.rulesFolder} (${ide.ruleCount} rule file${ide.ruleCount === 1 ? '' : 's'})`);
+    }
+  }
+  console.log('');
+
+  return info;
+}
+
+export {
+  showInfo
+};
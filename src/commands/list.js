@@ -0,0 +1,133 @@
+/**
+ * list.js
+ *
+ * Implements `vdk list <type>`: lists generated rules in a project or the
+ * rule templates bundled with VDK.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+
+import { CLIError, EXIT_CODES } from '../shared/exit-codes.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SCANNER_TEMPLATES_DIR = path.join(__dirname, '..', 'scanner', 'templates');
+const RULE_TEMPLATES_DIR = path.join(__dirname, '..', '..', 'templates', '.ai', 'rules');
+
+/**
+ * Rule template categories that can be listed directly
+ */
+const TEMPLATE_CATEGORIES = ['tasks', 'languages', 'technologies', 'stacks', 'tools', 'assistants'];
+
+const LIST_TYPES = ['rules', 'templates', ...TEMPLATE_CATEGORIES];
+
+/**
+ * Recursively collects files with the given extensions
+ * @param {string} dirPath - Directory to walk
+ * @param {string[]} extensions - File extensions to include
+ * @returns {string[]} Absolute file paths
+ */
+function collectFiles(dirPath, extensions) {
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...collectFiles(entryPath, extensions));
+    } else if (extensions.some(ext => entry.name.endsWith(ext))) {
+      files.push(entryPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Reads the description field from a rule file's front matter
+ * @param {string} filePath - Path to an .mdc file
+ * @returns {string|null} The description, if present
+ */
+function readRuleDescription(filePath) {
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const frontMatter = content.match(/^---\s*\n([\s\S]*?)\n---/);
+    const description = frontMatter && frontMatter[1].match(/^description:\s*(.+)$/m);
+    return description ? description[1].trim().replace(/^["']|["']$/g, '') : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Prints a list of rule files relative to a base directory
+ * @param {string} title - Heading for the list
+ * @param {string} baseDir - Directory the paths are shown relative to
+ * @param {string[]} files - Files to print
+ * @param {boolean} verbose - Include rule descriptions
+ */
+function printFiles(title, baseDir, files, verbose) {
+  console.log(chalk.cyan(`\n${title} (${files.length})`));
+
+  if (files.length === 0) {
+    console.log(chalk.gray('  None found'));
+    return;
+  }
+
+  for (const file of files) {
+    console.log(`  • ${path.relative(baseDir, file)}`);
+    if (verbose && file.endsWith('.mdc')) {
+      const description = readRuleDescription(file);
+      if (description) {
+        console.log(chalk.gray(`    ${description}`));
+      }
+    }
+  }
+}
+
+/**
+ * Lists rules or templates of the given type
+ * @param {string} type - One of LIST_TYPES
+ * @param {Object} options - Command options (path, verbose)
+ * @returns {string[]} Listed file paths
+ */
+function listItems(type, options = {}) {
+  if (!LIST_TYPES.includes(type)) {
+    throw new CLIError(
+      `Unknown list type "${type}". Expected one of: ${LIST_TYPES.join(', ')}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+
+  if (type === 'rules') {
+    const rulesDir = path.resolve(options.path || './.ai/rules');
+    if (!fs.existsSync(rulesDir)) {
+      throw new CLIError(`Rules directory not found: ${rulesDir}. Run \`vdk scan\` first.`, EXIT_CODES.FILE_SYSTEM_ERROR);
+    }
+    const files = collectFiles(rulesDir, ['.mdc']);
+    printFiles(`Generated rules in ${path.relative(process.cwd(), rulesDir) || '.'}`, rulesDir, files, options.verbose);
+    return files;
+  }
+
+  if (type === 'templates') {
+    const scannerTemplates = collectFiles(SCANNER_TEMPLATES_DIR, ['.hbs']);
+    const ruleTemplates = collectFiles(RULE_TEMPLATES_DIR, ['.mdc']);
+    printFiles('Scanner templates', SCANNER_TEMPLATES_DIR, scannerTemplates, options.verbose);
+    printFiles('Rule templates', RULE_TEMPLATES_DIR, ruleTemplates, options.verbose);
+    return [...scannerTemplates, ...ruleTemplates];
+  }
+
+  const categoryDir = path.join(RULE_TEMPLATES_DIR, type);
+  const files = collectFiles(categoryDir, ['.mdc']);
+  printFiles(`Available ${type}`, categoryDir, files, options.verbose);
+  return files;
+}
+
+export {
+  LIST_TYPES,
+  listItems
+};
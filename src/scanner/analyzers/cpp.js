@@ -0,0 +1,227 @@
+/**
+ * cpp.js
+ *
+ * Analyzer for C++ code to detect naming conventions,
+ * idioms (RAII, smart pointers, templates, move semantics)
+ * and commonly used C++ libraries.
+ */
+
+import { SourceLexer } from '../utils/source-lexer.js';
+
+// Words that can precede a parenthesis without naming a function
+const NON_FUNCTION_NAMES = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'return', 'sizeof', 'alignof', 'decltype', 'static_assert',
+  'noexcept', 'new', 'delete', 'throw', 'co_return', 'co_await', 'co_yield', 'operator', 'requires', 'defined'
+]);
+
+// Words that start a statement rather than a declaration
+const STATEMENT_KEYWORDS = new Set(['return', 'else', 'new', 'delete', 'throw', 'case', 'goto', 'co_return', 'co_yield', 'using', 'typedef', 'namespace']);
+
+// Words that start the declaration of a type rather than of a variable
+const TYPE_KEYWORDS = new Set(['class', 'struct', 'enum', 'union', 'friend', 'template']);
+
+// Libraries detected from include directives
+const INCLUDE_PATTERNS = [
+  { include: /^Q[A-Z]\w*$|^Qt\w*\//, pattern: 'Qt' },
+  { include: /^boost\//, pattern: 'Boost' },
+  { include: /^gtest\/|^gmock\//, pattern: 'Google Test' },
+  { include: /^catch2?\//i, pattern: 'Catch2' },
+  { include: /^doctest\//, pattern: 'doctest' },
+  { include: /^fmt\//, pattern: 'fmt' },
+  { include: /^spdlog\//, pattern: 'spdlog' },
+  { include: /^nlohmann\//, pattern: 'nlohmann/json' },
+  { include: /^Eigen\//, pattern: 'Eigen' },
+  { include: /^opencv2?\//, pattern: 'OpenCV' },
+  { include: /^absl\//, pattern: 'Abseil' },
+  { include: /^grpc(?:pp)?\//, pattern: 'gRPC' },
+  { include: /^SDL2?\//, pattern: 'SDL' },
+  { include: /^GL\/|^glad\/|^GLFW\//, pattern: 'OpenGL' },
+  { include: /^vulkan\//, pattern: 'Vulkan' }
+];
+
+/**
+ * Analyzes C++ code to detect naming conventions and patterns
+ * @param {string} content - C++ code content
+ * @param {string} filePath - Path to the file
+ * @returns {Object} Analysis results: variables, functions (free functions and methods, without their
+ *   class qualifier), classes (classes and structs), enums, types (aliases), namespaces and patterns
+ */
+export async function analyzeCpp(content, filePath) {
+  const analysis = {
+    variables: [],
+    functions: [],
+    classes: [],
+    enums: [],
+    types: [],
+    namespaces: [],
+    patterns: []
+  };
+
+  try {
+    // Declarations are matched without string contents, quoted include directives need their paths
+    const source = SourceLexer.stripComments(content, 'cpp');
+    const code = SourceLexer.stripComments(content, 'cpp', { blankStrings: true });
+
+    analysis.classes = SourceLexer.collect(/(?<!\benum\s+)\b(?:class|struct)\s+(?:\w+_EXPORT\s+|\[\[[^\]]*\]\]\s*|alignas\([^)]*\)\s*)*([A-Za-z_]\w*)\s*(?:final\s*)?(?=[:{;<])/g, code);
+    analysis.enums = SourceLexer.collect(/\benum\s+(?:class\s+|struct\s+)?([A-Za-z_]\w*)/g, code);
+    analysis.types = [
+      ...SourceLexer.collect(/\busing\s+([A-Za-z_]\w*)\s*=/g, code),
+      ...SourceLexer.collect(/\btypedef\s+[^;()]+?\b([A-Za-z_]\w*)\s*;/g, code)
+    ];
+    analysis.namespaces = SourceLexer.collect(/\bnamespace\s+([A-Za-z_][\w:]*)\s*\{/g, code);
+
+    // Declarations are matched line by line: a return type, then a (qualified) name and a parameter list
+    for (const line of code.split('\n')) {
+      const declaration = line.match(/^\s*(?:template\s*<[^>]*>\s*)?((?:[\w:<>,*&]+\s+)+)[*&]*((?:[A-Za-z_]\w*::)*~?[A-Za-z_]\w*)\s*\(/);
+      if (declaration) {
+        // Operators between the words (std::cout << format(...)) make it an expression
+        const words = declaration[1].trim().split(/\s+/);
+        const name = declaration[2].split('::').pop();
+        if (!STATEMENT_KEYWORDS.has(words[0]) && words.every(word => /\w/.test(word)) &&
+            !NON_FUNCTION_NAMES.has(name) && !name.startsWith('~')) {
+          analysis.functions.push(name);
+        }
+      }
+
+      const variable = line.match(/^\s*(?:(?:static|const|constexpr|inline|thread_local|mutable)\s+)*(?:auto|bool|char|int|long|short|float|double|size_t|unsigned(?:\s+\w+)?|[A-Za-z_][\w:]*(?:<[^;=()]*>)?)\s*[*&]*\s+([A-Za-z_]\w*)\s*(?:=|\{[^}]*\}\s*;|;|\[)/);
+      const firstWord = line.trim().split(/\s+/)[0];
+      if (variable && !STATEMENT_KEYWORDS.has(firstWord) && !TYPE_KEYWORDS.has(firstWord)) {
+        analysis.variables.push(variable[1]);
+      }
+    }
+
+    // Constructors are named after their class
+    analysis.functions = analysis.functions.filter(name => !analysis.classes.includes(name));
+
+    detectCppPatterns(code, filePath, analysis);
+    detectCppLibraries(source, analysis);
+
+    // Deduplicate
+    for (const field of Object.keys(analysis)) {
+      analysis[field] = [...new Set(analysis[field])];
+    }
+
+    return analysis;
+  } catch (error) {
+    console.error(`Error analyzing C++ file: ${filePath}`);
+    console.error(error.message);
+    return analysis;
+  }
+}
+
+/**
+ * Detects C++ coding patterns
+ * @param {string} code - C++ code without comments and string contents
+ * @param {string} filePath - Path to the file
+ * @param {Object} analysis - Analysis results to update
+ */
+function detectCppPatterns(code, filePath, analysis) {
+  // Resource management
+  if (/\bstd::(?:unique_ptr|shared_ptr|weak_ptr|make_unique|make_shared)\b/.test(code)) {
+    analysis.patterns.push('Smart Pointers');
+  }
+
+  if (/\bstd::(?:lock_guard|unique_lock|scoped_lock)\b/.test(code) || /~[A-Z]\w*\s*\(\s*\)/.test(code)) {
+    analysis.patterns.push('RAII');
+  }
+
+  if (/\bstd::move\s*\(/.test(code) || /\(\s*[\w:<>]+\s*&&\s*\w+\s*\)/.test(code)) {
+    analysis.patterns.push('Move Semantics');
+  }
+
+  if (/=\s*delete\s*;/.test(code)) {
+    analysis.patterns.push('Deleted Functions');
+  }
+
+  if (/\bnew\s+[A-Za-z_]/.test(code) && /\bdelete\s/.test(code)) {
+    analysis.patterns.push('Manual Memory Management');
+  }
+
+  // Generic programming
+  if (/\btemplate\s*</.test(code)) {
+    analysis.patterns.push('Templates');
+  }
+
+  if (/\bconcept\s+\w+\s*=/.test(code) || /\brequires\s/.test(code)) {
+    analysis.patterns.push('Concepts');
+  }
+
+  if (/\bconstexpr\b|\bconsteval\b/.test(code)) {
+    analysis.patterns.push('Compile-time Evaluation');
+  }
+
+  // Modern C++ features
+  if (/\bauto\s+[\w&*[]/.test(code)) {
+    analysis.patterns.push('Auto Type Deduction');
+  }
+
+  if (/\[[&=]?(?:\s*,?\s*&?\w+)*\]\s*(?:\([^)]*\))?\s*(?:mutable\s*)?(?:->\s*[\w:<>]+\s*)?\{/.test(code)) {
+    analysis.patterns.push('Lambdas');
+  }
+
+  if (/\bfor\s*\([^;)]*[^:]:[^:][^;)]*\)/.test(code)) {
+    analysis.patterns.push('Range-based For Loops');
+  }
+
+  if (/\bstd::(?:optional|variant|any|string_view|span|expected)\b/.test(code)) {
+    analysis.patterns.push('Vocabulary Types');
+  }
+
+  if (/\bstd::(?:vector|map|unordered_map|set|unordered_set|array|deque|list)\s*</.test(code)) {
+    analysis.patterns.push('STL Containers');
+  }
+
+  if (/\bstd::(?:ranges|views)::/.test(code)) {
+    analysis.patterns.push('Ranges');
+  }
+
+  if (/\bco_(?:await|return|yield)\b/.test(code)) {
+    analysis.patterns.push('Coroutines');
+  }
+
+  if (/^\s*(?:export\s+)?module\s+[\w.:]+\s*;/m.test(code) || /^\s*import\s+[\w.<"]/m.test(code)) {
+    analysis.patterns.push('C++20 Modules');
+  }
+
+  if (/\bstd::(?:thread|jthread|async|atomic|mutex)\b/.test(code)) {
+    analysis.patterns.push('Standard Concurrency');
+  }
+
+  // Structure
+  if (analysis.namespaces.length > 0) {
+    analysis.patterns.push('Namespaces');
+  }
+
+  if (/\bvirtual\s/.test(code) || /\boverride\b/.test(code)) {
+    analysis.patterns.push('Virtual Dispatch');
+  }
+
+  if (/\btry\s*\{/.test(code) || /\bthrow\s/.test(code)) {
+    analysis.patterns.push('Exceptions');
+  }
+
+  if (/^\s*#pragma\s+once\b/m.test(code)) {
+    analysis.patterns.push('Pragma Once');
+  } else if (/^\s*#ifndef\s+(\w+)\s*\n\s*#define\s+\1\b/m.test(code)) {
+    analysis.patterns.push('Include Guards');
+  }
+
+  if (/\bTEST(?:_F|_P|_CASE)?\s*\(/.test(code) || /(?:^|[\\/])tests?[\\/]/.test(filePath)) {
+    analysis.patterns.push('C++ Testing');
+  }
+}
+
+/**
+ * Detects libraries from include directives
+ * @param {string} source - C++ code without comments
+ * @param {Object} analysis - Analysis results to update
+ */
+function detectCppLibraries(source, analysis) {
+  const includes = SourceLexer.collect(/^\s*#\s*include\s*[<"]([^>"]+)[>"]/gm, source);
+
+  for (const { include, pattern } of INCLUDE_PATTERNS) {
+    if (includes.some(path => include.test(path))) {
+      analysis.patterns.push(pattern);
+    }
+  }
+}
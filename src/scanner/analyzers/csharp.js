@@ -0,0 +1,210 @@
+/**
+ * csharp.js
+ *
+ * Analyzer for C# code to detect naming conventions,
+ * language features (records, nullable reference types, LINQ)
+ * and commonly used .NET frameworks.
+ */
+
+import { SourceLexer } from '../utils/source-lexer.js';
+
+// Statements that look like a method call followed by a block
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'foreach', 'while', 'switch', 'catch', 'using', 'lock', 'fixed', 'return', 'new', 'nameof', 'typeof', 'sizeof', 'default', 'when']);
+
+// Member modifiers
+const MODIFIERS = '(?:public|private|protected|internal|static|readonly|const|volatile|virtual|override|abstract|sealed|async|extern|new|unsafe|partial|required)';
+
+// Namespaces of frameworks and libraries
+const NAMESPACE_PATTERNS = {
+  'Microsoft.AspNetCore': 'ASP.NET Core',
+  'Microsoft.AspNetCore.Mvc': 'ASP.NET Core MVC',
+  'Microsoft.EntityFrameworkCore': 'Entity Framework Core',
+  'Microsoft.Extensions.DependencyInjection': 'Dependency Injection',
+  'MediatR': 'MediatR',
+  'AutoMapper': 'AutoMapper',
+  'FluentValidation': 'FluentValidation',
+  'Dapper': 'Dapper',
+  'Serilog': 'Serilog',
+  'Newtonsoft.Json': 'Newtonsoft.Json',
+  'System.Text.Json': 'System.Text.Json',
+  'System.Linq': 'LINQ',
+  'System.Reactive': 'Reactive Extensions',
+  'Xunit': 'xUnit',
+  'NUnit.Framework': 'NUnit',
+  'Microsoft.VisualStudio.TestTools.UnitTesting': 'MSTest',
+  'Moq': 'Moq',
+  'UnityEngine': 'Unity',
+  'Microsoft.Maui': '.NET MAUI',
+  'System.Windows': 'WPF',
+  'Microsoft.AspNetCore.Components': 'Blazor'
+};
+
+/**
+ * Analyzes C# code to detect naming conventions and patterns
+ * @param {string} content - C# code content
+ * @param {string} filePath - Path to the file
+ * @returns {Object} Analysis results: variables (locals and fields), functions (methods), classes
+ *   (classes, records and structs), interfaces, enums, properties, attributes and patterns
+ */
+export async function analyzeCSharp(content, filePath) {
+  const analysis = {
+    variables: [],
+    functions: [],
+    classes: [],
+    interfaces: [],
+    enums: [],
+    properties: [],
+    attributes: [],
+    patterns: []
+  };
+
+  try {
+    const code = SourceLexer.stripComments(content, 'csharp', { blankStrings: true });
+
+    analysis.classes = SourceLexer.collect(/\b(?:class|record(?:\s+(?:class|struct))?|struct)\s+([A-Za-z_]\w*)/g, code)
+      .filter(name => !['class', 'struct'].includes(name));
+    analysis.interfaces = SourceLexer.collect(/\binterface\s+([A-Za-z_]\w*)/g, code);
+    analysis.enums = SourceLexer.collect(/\benum\s+([A-Za-z_]\w*)/g, code);
+
+    // Methods: modifiers, a return type, then the name and its parameters (constructors have no return type)
+    analysis.functions = SourceLexer.collect(
+      new RegExp(`^\\s*(?:\\[[^\\]]*\\]\\s*)*(?:${MODIFIERS}\\s+)*(?!(?:return|await|throw|yield|else|case|record|class|struct|interface|delegate|operator)\\b|${MODIFIERS}\\s)[\\w.]+(?:<[^>()]*>)?(?:\\[\\])*\\??\\s+([A-Za-z_]\\w*)\\s*(?:<[^>()]*>)?\\s*\\(`, 'gm'),
+      code
+    ).filter(name => !CONTROL_KEYWORDS.has(name));
+
+    // Properties: a type and a name followed by an accessor block or an expression body
+    analysis.properties = SourceLexer.collect(
+      new RegExp(`^\\s*(?:${MODIFIERS}\\s+)+[\\w.]+(?:<[^>()]*>)?(?:\\[\\])*\\??\\s+([A-Za-z_]\\w*)\\s*(?:\\{\\s*(?:get|set|init)|=>)`, 'gm'),
+      code
+    );
+
+    // Fields, locals declared with var and constants
+    analysis.variables = [
+      ...SourceLexer.collect(
+        new RegExp(`^\\s*(?:${MODIFIERS}\\s+)+[\\w.]+(?:<[^>()]*>)?(?:\\[\\])*\\??\\s+([A-Za-z_]\\w*)\\s*[=;]`, 'gm'),
+        code
+      ),
+      ...SourceLexer.collect(/\bvar\s+([A-Za-z_]\w*)\s*=/g, code)
+    ];
+
+    analysis.attributes = SourceLexer.collect(/^\s*\[(?:[a-z]+:\s*)?([A-Z]\w*)(?:Attribute)?[\](,]/gm, code);
+
+    detectCSharpPatterns(code, filePath, analysis);
+    detectCSharpFrameworks(code, analysis);
+
+    // Deduplicate
+    for (const field of Object.keys(analysis)) {
+      analysis[field] = [...new Set(analysis[field])];
+    }
+
+    return analysis;
+  } catch (error) {
+    console.error(`Error analyzing C# file: ${filePath}`);
+    console.error(error.message);
+    return analysis;
+  }
+}
+
+/**
+ * Detects C# coding patterns
+ * @param {string} code - C# code without comments and string contents
+ * @param {string} filePath - Path to the file
+ * @param {Object} analysis - Analysis results to update
+ */
+function detectCSharpPatterns(code, filePath, analysis) {
+  if (/\brecord\s+(?:class\s+|struct\s+)?[A-Z]/.test(code)) {
+    analysis.patterns.push('Records');
+  }
+
+  if (/#nullable\s+enable/.test(code) || /\b(?:string|int|bool|[A-Z]\w*(?:<[^>]*>)?)\?\s+[A-Za-z_]\w*\s*[;=,){]/.test(code)) {
+    analysis.patterns.push('Nullable Reference Types');
+  }
+
+  if (/\?\.|\?\?=?/.test(code)) {
+    analysis.patterns.push('Null-conditional Operators');
+  }
+
+  if (/\basync\s+(?:Task|ValueTask|void)\b/.test(code) || /\bawait\s/.test(code)) {
+    analysis.patterns.push('Async/Await');
+  }
+
+  if (/\.(?:Where|Select|SelectMany|OrderBy|GroupBy|FirstOrDefault|Any|ToList)\s*\(/.test(code) || /\bfrom\s+\w+\s+in\s+/.test(code)) {
+    analysis.patterns.push('LINQ');
+  }
+
+  if (analysis.properties.length > 0) {
+    analysis.patterns.push('Properties');
+  }
+
+  if (/\binit\s*;/.test(code)) {
+    analysis.patterns.push('Init-only Properties');
+  }
+
+  if (/\brequired\s+[\w<>?]+\s+[A-Z]/.test(code)) {
+    analysis.patterns.push('Required Members');
+  }
+
+  if (/^\s*namespace\s+[\w.]+\s*;/m.test(code)) {
+    analysis.patterns.push('File-scoped Namespaces');
+  }
+
+  if (/^\s*global\s+using\s/m.test(code)) {
+    analysis.patterns.push('Global Usings');
+  }
+
+  if (/\b(?:class|struct)\s+[A-Z]\w*\s*\([^)]*\)\s*[:{]/.test(code)) {
+    analysis.patterns.push('Primary Constructors');
+  }
+
+  if (/\bswitch\s*\{/.test(code) || /\bis\s+(?:not\s+)?(?:null|\{|[A-Z]\w*\s+\w+)/.test(code)) {
+    analysis.patterns.push('Pattern Matching');
+  }
+
+  if (/\busing\s+(?:var|await)\s/.test(code) || /\busing\s*\(/.test(code)) {
+    analysis.patterns.push('Deterministic Disposal (using)');
+  }
+
+  if (/\bstatic\s+[\w<>\[\]?,\s]+\s+\w+\s*(?:<[^>]*>)?\s*\(\s*this\s/.test(code)) {
+    analysis.patterns.push('Extension Methods');
+  }
+
+  if (/\bevent\s+[\w<>]+\s+\w+/.test(code)) {
+    analysis.patterns.push('Events');
+  }
+
+  if (/\bwhere\s+[A-Z]\w*\s*:/.test(code)) {
+    analysis.patterns.push('Generic Constraints');
+  }
+
+  if (/\b(?:I\w+)\s+_\w+\s*[;=]/.test(code) && /\bpublic\s+[A-Z]\w*\s*\([^)]*\bI[A-Z]\w*\s+\w+/.test(code)) {
+    analysis.patterns.push('Constructor Injection');
+  }
+
+  if (analysis.attributes.some(attribute => ['Fact', 'Theory', 'Test', 'TestMethod', 'TestCase'].includes(attribute)) ||
+      /[\\/](?:[\w.]+\.)?Tests?[\\/]/.test(filePath)) {
+    analysis.patterns.push('.NET Testing');
+  }
+
+  if (analysis.attributes.some(attribute => /^(?:Http(?:Get|Post|Put|Delete|Patch)|Route|ApiController)$/.test(attribute))) {
+    analysis.patterns.push('Attribute Routing');
+  }
+
+  if (/\b\w+\s*:\s*DbContext\b/.test(code)) {
+    analysis.patterns.push('DbContext');
+  }
+}
+
+/**
+ * Detects .NET frameworks and libraries from using directives
+ * @param {string} code - C# code without comments and string contents
+ * @param {Object} analysis - Analysis results to update
+ */
+function detectCSharpFrameworks(code, analysis) {
+  const namespaces = SourceLexer.collect(/^\s*(?:global\s+)?using\s+(?:static\s+)?([A-Z][\w.]*)\s*;/gm, code);
+
+  for (const [namespace, pattern] of Object.entries(NAMESPACE_PATTERNS)) {
+    if (namespaces.some(used => used === namespace || used.startsWith(`${namespace}.`))) {
+      analysis.patterns.push(pattern);
+    }
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * dart.js
+ *
+ * Analyzer for Dart code to detect naming conventions,
+ * idioms (null-safety, mixins, async streams) and commonly
+ * used Flutter and Dart packages.
+ */
+
+import { SourceLexer } from '../utils/source-lexer.js';
+
+// Statements that look like a function followed by a block
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'assert', 'super', 'this', 'await', 'throw', 'on']);
+
+// Packages detected from import directives
+const PACKAGE_PATTERNS = {
+  flutter: 'Flutter',
+  'flutter_riverpod': 'Riverpod',
+  'hooks_riverpod': 'Riverpod',
+  riverpod: 'Riverpod',
+  provider: 'Provider',
+  'flutter_bloc': 'BLoC',
+  bloc: 'BLoC',
+  get: 'GetX',
+  mobx: 'MobX',
+  'go_router': 'go_router',
+  'auto_route': 'auto_route',
+  dio: 'Dio',
+  http: 'http',
+  'freezed_annotation': 'Freezed',
+  'json_annotation': 'json_serializable',
+  'get_it': 'get_it',
+  injectable: 'Injectable',
+  'firebase_core': 'Firebase',
+  'cloud_firestore': 'Cloud Firestore',
+  'shared_preferences': 'shared_preferences',
+  hive: 'Hive',
+  drift: 'Drift',
+  'flutter_hooks': 'Flutter Hooks',
+  shelf: 'Shelf',
+  test: 'Dart Testing',
+  'flutter_test': 'Dart Testing',
+  mockito: 'Mockito',
+  mocktail: 'Mocktail'
+};
+
+/**
+ * Analyzes Dart code to detect naming conventions and patterns
+ * @param {string} content - Dart code content
+ * @param {string} filePath - Path to the file
+ * @returns {Object} Analysis results: variables, functions (functions, methods and getters), classes
+ *   (classes, mixins and extensions), enums, types (typedefs), annotations and patterns
+ */
+export async function analyzeDart(content, filePath) {
+  const analysis = {
+    variables: [],
+    functions: [],
+    classes: [],
+    enums: [],
+    types: [],
+    annotations: [],
+    patterns: []
+  };
+
+  try {
+    // Declarations are matched without string contents, import and part directives need their URIs
+    const source = SourceLexer.stripComments(content, 'dart');
+    const code = SourceLexer.stripComments(content, 'dart', { blankStrings: true });
+
+    analysis.classes = [
+      ...SourceLexer.collect(/\bclass\s+([A-Za-z_$][\w$]*)/g, code),
+      ...SourceLexer.collect(/\bmixin\s+([A-Za-z_$][\w$]*)/g, code),
+      ...SourceLexer.collect(/\bextension\s+([A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\s+on\b/g, code)
+    ];
+    analysis.enums = SourceLexer.collect(/\benum\s+([A-Za-z_$][\w$]*)/g, code);
+    analysis.types = SourceLexer.collect(/\btypedef\s+([A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\s*=/g, code);
+
+    // Functions and methods: a return type, the name and its parameters, then a body;
+    // getters and setters are named like functions
+    analysis.functions = [
+      ...SourceLexer.collect(
+        /^\s*(?:(?:static|external|abstract)\s+)*(?:[\w$<>?,. ]+?\s+)?([a-z_$][\w$]*)\s*(?:<[^>()]*>)?\s*\([^;{]*?\)\s*(?:async\*?|sync\*)?\s*(?:\{|=>)/gm,
+        code
+      ),
+      ...SourceLexer.collect(/\b(?:get|set)\s+([A-Za-z_$][\w$]*)\s*(?:\{|=>|\()/g, code)
+    ].filter(name => !CONTROL_KEYWORDS.has(name));
+
+    // final/const/var/late declarations with or without a type
+    analysis.variables = SourceLexer.collect(
+      /\b(?:late\s+)?(?:final|const|var)\s+(?:[\w$.]+(?:<[^;=]*?>)?\??\s+)?([A-Za-z_$][\w$]*)\s*[=;]/g,
+      code
+    );
+
+    analysis.annotations = SourceLexer.collect(/@([A-Za-z_]\w*)/g, code)
+      .filter(name => name !== 'override');
+
+    detectDartPatterns(code, filePath, analysis);
+    detectDartDirectives(source, analysis);
+
+    // Deduplicate
+    for (const field of Object.keys(analysis)) {
+      analysis[field] = [...new Set(analysis[field])];
+    }
+
+    return analysis;
+  } catch (error) {
+    console.error(`Error analyzing Dart file: ${filePath}`);
+    console.error(error.message);
+    return analysis;
+  }
+}
+
+/**
+ * Detects Dart and Flutter coding patterns
+ * @param {string} code - Dart code without comments and string contents
+ * @param {string} filePath - Path to the file
+ * @param {Object} analysis - Analysis results to update
+ */
+function detectDartPatterns(code, filePath, analysis) {
+  // Widgets
+  if (/\bextends\s+StatelessWidget\b/.test(code)) {
+    analysis.patterns.push('Stateless Widgets');
+  }
+
+  if (/\bextends\s+StatefulWidget\b/.test(code)) {
+    analysis.patterns.push('Stateful Widgets');
+  }
+
+  if (/\bextends\s+(?:Consumer|Hook|HookConsumer)Widget\b/.test(code)) {
+    analysis.patterns.push('Consumer Widgets');
+  }
+
+  if (/\bconst\s+[A-Z]\w*\s*\(/.test(code)) {
+    analysis.patterns.push('Const Constructors');
+  }
+
+  // Null safety
+  if (/\blate\s/.test(code) || /[\w>]\?\s+[a-z_$]\w*\s*[;=,)]/.test(code) || /\?\?|\?\.\w/.test(code)) {
+    analysis.patterns.push('Null Safety');
+  }
+
+  if (/\brequired\s+(?:this\.|[\w<>?]+\s+)/.test(code)) {
+    analysis.patterns.push('Required Named Parameters');
+  }
+
+  // Language features
+  if (/\bmixin\s+[A-Z]/.test(code) || /\bwith\s+[A-Z]\w*/.test(code)) {
+    analysis.patterns.push('Mixins');
+  }
+
+  if (/\bextension\s+(?:[A-Za-z_$][\w$]*\s*)?(?:<[^>]*>\s*)?on\s/.test(code)) {
+    analysis.patterns.push('Extension Methods');
+  }
+
+  if (/\bsealed\s+class\b/.test(code)) {
+    analysis.patterns.push('Sealed Classes');
+  }
+
+  if (/\b(?:base|interface|final)\s+class\b/.test(code)) {
+    analysis.patterns.push('Class Modifiers');
+  }
+
+  if (/\bswitch\s*\([^)]*\)\s*\{[^}]*=>/.test(code) || /\bcase\s+\w+\s*\(/.test(code) || /\bif\s*\([^)]*\bcase\b/.test(code)) {
+    analysis.patterns.push('Pattern Matching');
+  }
+
+  if (/\(\s*[A-Za-z_]\w*\??\s*,\s*[A-Za-z_]\w*\??\s*\)\s+\w+\s*[(=;]/.test(code)) {
+    analysis.patterns.push('Records');
+  }
+
+  if (/\b[A-Z]\w*\.[a-z]\w*\s*\([^)]*\)\s*(?::|\{|;)/.test(code) && analysis.classes.length > 0) {
+    analysis.patterns.push('Named Constructors');
+  }
+
+  if (/\bfactory\s+[A-Z]/.test(code)) {
+    analysis.patterns.push('Factory Constructors');
+  }
+
+  // Async
+  if (/\basync\s*\{|\basync\s*=>|\bawait\s/.test(code) || /\bFuture</.test(code)) {
+    analysis.patterns.push('Async/Await');
+  }
+
+  if (/\bStream</.test(code) || /\basync\*/.test(code)) {
+    analysis.patterns.push('Streams');
+  }
+
+  if (/(?:^|[\\/])test[\\/]|_test\.dart$/.test(filePath)) {
+    analysis.patterns.push('Dart Testing');
+  }
+}
+
+/**
+ * Detects packages from import directives and generated code from part directives
+ * @param {string} source - Dart code without comments
+ * @param {Object} analysis - Analysis results to update
+ */
+function detectDartDirectives(source, analysis) {
+  const packages = new Set(SourceLexer.collect(/^\s*(?:import|export)\s+['"]package:(\w+)\//gm, source));
+
+  if (/^\s*part\s+['"][^'"]+\.(?:g|freezed)\.dart['"]/m.test(source)) {
+    analysis.patterns.push('Code Generation');
+  }
+
+  for (const [pkg, pattern] of Object.entries(PACKAGE_PATTERNS)) {
+    if (packages.has(pkg)) {
+      analysis.patterns.push(pattern);
+    }
+  }
+}
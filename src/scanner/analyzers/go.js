@@ -5,23 +5,22 @@
  * and other Go-specific elements.
  */
 
-import fs from 'fs/promises';
-
 /**
  * Analyzes Go code to detect naming conventions and patterns
  * 
+ * @param {string} content - Go code content
  * @param {string} filePath - Path to the Go file
- * @returns {Object} Analysis results containing detected patterns and conventions
+ * @returns {Object} Analysis results: variables, functions, classes (structs), interfaces,
+ *   packages and patterns
  */
-export async function analyzeGo(filePath) {
+export async function analyzeGo(content, filePath) {
   try {
-    const content = await fs.readFile(filePath, 'utf8');
     const lines = content.split('\n');
     
     const result = {
       variables: [],
       functions: [],
-      structs: [],
+      classes: [],
       interfaces: [],
       packages: new Set(),
       patterns: []
@@ -73,10 +72,10 @@ export async function analyzeGo(filePath) {
         result.functions.push(funcMatch[1]);
       }
       
-      // Detect structs
+      // Detect structs, Go's classes
       const structMatch = line.match(structRegex);
       if (structMatch) {
-        result.structs.push(structMatch[1]);
+        result.classes.push(structMatch[1]);
       }
       
       // Detect interfaces
@@ -144,74 +143,8 @@ export async function analyzeGo(filePath) {
       result.patterns.push('Standard SQL Package');
     }
     
-    // Detect naming conventions
-    const namingConventions = detectGoNamingConventions(result);
-    
-    return {
-      ...result,
-      ...namingConventions
-    };
+    return result;
   } catch (error) {
     throw new Error(`Go analysis failed: ${error.message}`);
   }
 }
-
-/**
- * Analyzes naming conventions used in Go code
- * 
- * @param {Object} analysis - Analysis data with variables, functions, structs, etc.
- * @returns {Object} Naming convention analysis
- */
-function detectGoNamingConventions(analysis) {
-  return {
-    variableConvention: detectNamingConvention(analysis.variables),
-    functionConvention: detectNamingConvention(analysis.functions),
-    structConvention: detectNamingConvention(analysis.structs),
-    interfaceConvention: detectNamingConvention(analysis.interfaces)
-  };
-}
-
-/**
- * Analyzes a collection of names to determine the naming convention
- * 
- * @param {Array} names - Collection of names to analyze
- * @returns {string} Detected naming convention
- */
-function detectNamingConvention(names) {
-  if (!names || names.length === 0) {
-    return 'unknown';
-  }
-  
-  // Count for each convention
-  let camelCase = 0;
-  let pascalCase = 0;
-  let mixed = 0;
-  
-  // In Go, the typical conventions are:
-  // - camelCase for private elements (starting with lowercase)
-  // - PascalCase for exported/public elements (starting with uppercase)
-  
-  names.forEach(name => {
-    if (/^[a-z][a-zA-Z0-9]*$/.test(name)) {
-      camelCase++;
-    } else if (/^[A-Z][a-zA-Z0-9]*$/.test(name)) {
-      pascalCase++;
-    } else {
-      mixed++;
-    }
-  });
-  
-  // Determine dominant convention
-  const total = camelCase + pascalCase + mixed;
-  
-  if (camelCase > pascalCase && camelCase > mixed && camelCase / total > 0.5) {
-    return 'camelCase';
-  } else if (pascalCase > camelCase && pascalCase > mixed && pascalCase / total > 0.5) {
-    return 'PascalCase';
-  } else if (camelCase > 0 && pascalCase > 0 && mixed === 0) {
-    // Go typically uses both camelCase and PascalCase depending on visibility
-    return 'go-standard';
-  } else {
-    return 'mixed';
-  }
-}
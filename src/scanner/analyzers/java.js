@@ -5,22 +5,21 @@
  * and other Java-specific elements.
  */
 
-import fs from 'fs/promises';
-
 /**
  * Analyzes Java code to detect naming conventions and patterns
  * 
+ * @param {string} content - Java code content
  * @param {string} filePath - Path to the Java file
- * @returns {Object} Analysis results containing detected patterns and conventions
+ * @returns {Object} Analysis results: variables (fields), functions (methods), classes, interfaces,
+ *   packages, imports, annotations and patterns
  */
-export async function analyzeJava(filePath) {
+export async function analyzeJava(content, filePath) {
   try {
-    const content = await fs.readFile(filePath, 'utf8');
     const lines = content.split('\n');
     
     const result = {
       variables: [],
-      methods: [],
+      functions: [],
       classes: [],
       interfaces: [],
       packages: [],
@@ -101,8 +100,8 @@ export async function analyzeJava(filePath) {
       
       // Detect methods
       const methodMatch = line.match(methodRegex);
-      if (methodMatch && !result.methods.includes(methodMatch[1])) {
-        result.methods.push(methodMatch[1]);
+      if (methodMatch && !result.functions.includes(methodMatch[1])) {
+        result.functions.push(methodMatch[1]);
       }
       
       // Detect variables/fields
@@ -161,82 +160,8 @@ export async function analyzeJava(filePath) {
       result.patterns.push('Java Streams API');
     }
     
-    // Analyze naming conventions
-    const namingConventions = detectJavaNamingConventions(result);
-    
-    return {
-      ...result,
-      ...namingConventions
-    };
+    return result;
   } catch (error) {
     throw new Error(`Java analysis failed: ${error.message}`);
   }
 }
-
-/**
- * Analyzes naming conventions used in Java code
- * 
- * @param {Object} analysis - Analysis data with variables, methods, classes, etc.
- * @returns {Object} Naming convention analysis
- */
-function detectJavaNamingConventions(analysis) {
-  return {
-    variableConvention: detectNamingConvention(analysis.variables),
-    methodConvention: detectNamingConvention(analysis.methods),
-    classConvention: detectNamingConvention(analysis.classes),
-    interfaceConvention: detectNamingConvention(analysis.interfaces)
-  };
-}
-
-/**
- * Analyzes a collection of names to determine the naming convention
- * 
- * @param {Array} names - Collection of names to analyze
- * @returns {string} Detected naming convention
- */
-function detectNamingConvention(names) {
-  if (!names || names.length === 0) {
-    return 'unknown';
-  }
-  
-  // Count for each convention
-  let camelCase = 0;
-  let pascalCase = 0;
-  let snakeCase = 0;
-  let screaming = 0;
-  let mixed = 0;
-  
-  // Standard Java conventions:
-  // - camelCase for variables, methods
-  // - PascalCase for classes, interfaces
-  // - SCREAMING_SNAKE_CASE for constants
-  
-  names.forEach(name => {
-    if (/^[a-z][a-zA-Z0-9]*$/.test(name)) {
-      camelCase++;
-    } else if (/^[A-Z][a-zA-Z0-9]*$/.test(name)) {
-      pascalCase++;
-    } else if (/^[a-z][a-z0-9_]*$/.test(name)) {
-      snakeCase++;
-    } else if (/^[A-Z][A-Z0-9_]*$/.test(name)) {
-      screaming++;
-    } else {
-      mixed++;
-    }
-  });
-  
-  // Find the most common convention
-  const max = Math.max(camelCase, pascalCase, snakeCase, screaming, mixed);
-  const total = camelCase + pascalCase + snakeCase + screaming + mixed;
-  
-  // Return the dominant convention if it represents at least 50% of all names
-  if (max / total >= 0.5) {
-    if (max === camelCase) return 'camelCase';
-    if (max === pascalCase) return 'PascalCase';
-    if (max === snakeCase) return 'snake_case';
-    if (max === screaming) return 'SCREAMING_SNAKE_CASE';
-    if (max === mixed) return 'mixed';
-  }
-  
-  return 'mixed';
-}
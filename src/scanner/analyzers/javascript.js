@@ -2,10 +2,40 @@
  * javascript.js
  * 
  * Analyzer for JavaScript code to detect naming conventions,
- * patterns, and commonly used libraries or frameworks.
+ * patterns, React components, hooks and props, and commonly used
+ * libraries or frameworks.
  */
 
-import * as acorn from 'acorn';
+import createBabylonParser from 'jscodeshift/parser/babylon.js';
+
+// Babel parser of jscodeshift that accepts JSX, Flow annotations and decorators
+// before or after `export`, so React, Flow and MobX code parses like plain JavaScript
+const parser = createBabylonParser({
+  sourceType: 'module',
+  allowImportExportEverywhere: true,
+  allowReturnOutsideFunction: true,
+  plugins: [
+    'jsx',
+    'flow',
+    'flowComments',
+    'decorators-legacy',
+    'exportDefaultFrom',
+    'doExpressions',
+    'functionBind',
+    'throwExpressions'
+  ]
+});
+
+// Hooks that ship with React
+const REACT_HOOKS = [
+  'use', 'useState', 'useEffect', 'useContext', 'useReducer', 'useCallback', 'useMemo', 'useRef',
+  'useLayoutEffect', 'useInsertionEffect', 'useImperativeHandle', 'useDebugValue', 'useId',
+  'useTransition', 'useDeferredValue', 'useSyncExternalStore', 'useOptimistic', 'useActionState',
+  'useFormStatus'
+];
+
+// Wrappers whose first argument is the component (memo(Button), React.forwardRef(...))
+const COMPONENT_WRAPPERS = ['memo', 'forwardRef', 'observer'];
 
 /**
  * Analyzes JavaScript code to detect naming conventions and patterns
@@ -19,114 +49,17 @@ export async function analyzeJavaScript(content, filePath) {
     functions: [],
     classes: [],
     components: [],
+    hooks: [],
+    customHooks: [],
+    propPatterns: [],
     patterns: []
   };
   
   try {
     // Parse the JavaScript file to AST
-    const ast = acorn.parse(content, {
-      ecmaVersion: 'latest',
-      sourceType: 'module',
-      locations: true
-    });
+    const ast = parser.parse(content);
     
-    // Visit each node in the AST
-    visitNodes(ast, {
-      VariableDeclarator(node) {
-        if (node.id && node.id.name) {
-          analysis.variables.push(node.id.name);
-        }
-        
-        // Detect React components (capital-named variables with JSX)
-        if (node.id && node.id.name && 
-            node.id.name[0] === node.id.name[0].toUpperCase() && 
-            node.init && 
-            (isReactFunctionComponent(node.init) || isReactClassComponent(node))) {
-          analysis.components.push(node.id.name);
-          analysis.patterns.push('React Component');
-        }
-      },
-      FunctionDeclaration(node) {
-        if (node.id && node.id.name) {
-          analysis.functions.push(node.id.name);
-          
-          // Detect React components (capital-named functions)
-          if (node.id.name[0] === node.id.name[0].toUpperCase() && 
-              isReactFunctionComponent(node)) {
-            analysis.components.push(node.id.name);
-            analysis.patterns.push('React Component');
-          }
-        }
-      },
-      ClassDeclaration(node) {
-        if (node.id && node.id.name) {
-          analysis.classes.push(node.id.name);
-          
-          // Detect React class components
-          if (isReactClassComponent(node)) {
-            analysis.components.push(node.id.name);
-            analysis.patterns.push('React Class Component');
-          }
-        }
-      },
-      ImportDeclaration(node) {
-        // Detect import patterns
-        if (node.source && node.source.value) {
-          const importPath = node.source.value;
-          
-          // Check for common libraries/frameworks
-          if (importPath === 'react') {
-            analysis.patterns.push('React');
-          } else if (importPath === 'react-dom') {
-            analysis.patterns.push('React DOM');
-          } else if (importPath === 'react-router' || importPath === 'react-router-dom') {
-            analysis.patterns.push('React Router');
-          } else if (importPath === 'redux' || importPath === '@reduxjs/toolkit') {
-            analysis.patterns.push('Redux');
-          } else if (importPath.startsWith('next')) {
-            analysis.patterns.push('Next.js');
-          } else if (importPath.startsWith('@nestjs')) {
-            analysis.patterns.push('NestJS');
-          } else if (importPath === 'express') {
-            analysis.patterns.push('Express');
-          } else if (importPath.startsWith('@angular')) {
-            analysis.patterns.push('Angular');
-          } else if (importPath === 'vue') {
-            analysis.patterns.push('Vue.js');
-          }
-        }
-      },
-      ObjectExpression(node) {
-        // Detect use of object methods and property types
-        let objectMethodCount = 0;
-        let objectPropertyCount = 0;
-        
-        for (const prop of node.properties) {
-          if (prop.type === 'Property') {
-            objectPropertyCount++;
-          } else if (prop.type === 'ObjectMethod' || 
-                    (prop.value && prop.value.type === 'FunctionExpression')) {
-            objectMethodCount++;
-          }
-        }
-        
-        // If object has several methods, it might be a module pattern
-        if (objectMethodCount > 3 && objectPropertyCount > 0) {
-          analysis.patterns.push('Module Pattern');
-        }
-      },
-      ArrowFunctionExpression(node) {
-        // Look for higher-order functions and functional patterns
-        if (node.body && node.body.type === 'ArrowFunctionExpression') {
-          analysis.patterns.push('Higher-order Function');
-        }
-        
-        // Detect React components (JSX returns)
-        if (isReactFunctionComponent(node)) {
-          analysis.patterns.push('Arrow Function Component');
-        }
-      }
-    });
+    analyzeProgram(ast.program, analysis);
     
     // Deduplicate patterns
     analysis.patterns = [...new Set(analysis.patterns)];
@@ -136,6 +69,9 @@ export async function analyzeJavaScript(content, filePath) {
     analysis.functions = [...new Set(analysis.functions)];
     analysis.classes = [...new Set(analysis.classes)];
     analysis.components = [...new Set(analysis.components)];
+    analysis.hooks = [...new Set(analysis.hooks)];
+    analysis.customHooks = [...new Set(analysis.customHooks)];
+    analysis.propPatterns = [...new Set(analysis.propPatterns)];
     
     return analysis;
   } catch (error) {
@@ -146,6 +82,151 @@ export async function analyzeJavaScript(content, filePath) {
   }
 }
 
+/**
+ * Collects the names and patterns of a parsed program into an analysis.
+ * Works on the Babel ASTs of the JavaScript and TypeScript parsers.
+ * @param {Object} ast - Program AST
+ * @param {Object} analysis - Analysis to fill ({ variables, functions, classes, components, hooks,
+ *   customHooks, propPatterns, patterns })
+ */
+export function analyzeProgram(ast, analysis) {
+  visitNodes(ast, {
+    VariableDeclarator(node) {
+      if (node.id && node.id.name) {
+        analysis.variables.push(node.id.name);
+      }
+      
+      // Detect React components (capital-named variables with JSX), also inside memo() or forwardRef()
+      const init = unwrapComponent(node.init);
+      if (node.id && node.id.name && 
+          node.id.name[0] === node.id.name[0].toUpperCase() && 
+          init && 
+          (isReactFunctionComponent(init) || isReactClassComponent(init))) {
+        analysis.components.push(node.id.name);
+        analysis.patterns.push('React Component');
+        if (init !== node.init) {
+          analysis.patterns.push('Memoized or Forwarded Component');
+        }
+        recordPropPatterns(init, analysis);
+      }
+      
+      // Custom hooks defined as arrow functions
+      if (node.id && isHookName(node.id.name) && node.init && isFunction(node.init)) {
+        analysis.customHooks.push(node.id.name);
+        analysis.patterns.push('Custom Hooks');
+      }
+    },
+    FunctionDeclaration(node) {
+      if (node.id && node.id.name) {
+        analysis.functions.push(node.id.name);
+        
+        // Detect React components (capital-named functions)
+        if (node.id.name[0] === node.id.name[0].toUpperCase() && 
+            isReactFunctionComponent(node)) {
+          analysis.components.push(node.id.name);
+          analysis.patterns.push('React Component');
+          recordPropPatterns(node, analysis);
+        }
+        
+        if (isHookName(node.id.name)) {
+          analysis.customHooks.push(node.id.name);
+          analysis.patterns.push('Custom Hooks');
+        }
+      }
+    },
+    CallExpression(node) {
+      // Hook calls: useState(), React.useEffect()
+      const callee = node.callee.type === 'MemberExpression' && node.callee.object.name === 'React'
+        ? node.callee.property
+        : node.callee;
+      if (callee.type === 'Identifier' && REACT_HOOKS.includes(callee.name)) {
+        analysis.hooks.push(callee.name);
+        analysis.patterns.push('React Hooks');
+      }
+    },
+    AssignmentExpression(node) {
+      // Button.propTypes = {...} and Button.defaultProps = {...}
+      const property = node.left.type === 'MemberExpression' ? node.left.property.name : null;
+      if (property === 'propTypes') {
+        analysis.propPatterns.push('PropTypes');
+      } else if (property === 'defaultProps') {
+        analysis.propPatterns.push('defaultProps');
+      }
+    },
+    JSXSpreadAttribute() {
+      analysis.propPatterns.push('Props Spreading');
+    },
+    ClassDeclaration(node) {
+      if (node.id && node.id.name) {
+        analysis.classes.push(node.id.name);
+        
+        // Detect React class components
+        if (isReactClassComponent(node)) {
+          analysis.components.push(node.id.name);
+          analysis.patterns.push('React Class Component');
+        }
+      }
+    },
+    ImportDeclaration(node) {
+      // Detect import patterns
+      if (node.source && node.source.value) {
+        const importPath = node.source.value;
+        
+        // Check for common libraries/frameworks
+        if (importPath === 'react') {
+          analysis.patterns.push('React');
+        } else if (importPath === 'react-dom') {
+          analysis.patterns.push('React DOM');
+        } else if (importPath === 'react-router' || importPath === 'react-router-dom') {
+          analysis.patterns.push('React Router');
+        } else if (importPath === 'redux' || importPath === '@reduxjs/toolkit') {
+          analysis.patterns.push('Redux');
+        } else if (importPath.startsWith('next')) {
+          analysis.patterns.push('Next.js');
+        } else if (importPath.startsWith('@nestjs')) {
+          analysis.patterns.push('NestJS');
+        } else if (importPath === 'express') {
+          analysis.patterns.push('Express');
+        } else if (importPath.startsWith('@angular')) {
+          analysis.patterns.push('Angular');
+        } else if (importPath === 'vue') {
+          analysis.patterns.push('Vue.js');
+        }
+      }
+    },
+    ObjectExpression(node) {
+      // Detect use of object methods and property types
+      let objectMethodCount = 0;
+      let objectPropertyCount = 0;
+      
+      for (const prop of node.properties) {
+        if (prop.type === 'Property' || prop.type === 'ObjectProperty') {
+          objectPropertyCount++;
+        } else if (prop.type === 'ObjectMethod' || 
+                  (prop.value && prop.value.type === 'FunctionExpression')) {
+          objectMethodCount++;
+        }
+      }
+      
+      // If object has several methods, it might be a module pattern
+      if (objectMethodCount > 3 && objectPropertyCount > 0) {
+        analysis.patterns.push('Module Pattern');
+      }
+    },
+    ArrowFunctionExpression(node) {
+      // Look for higher-order functions and functional patterns
+      if (node.body && node.body.type === 'ArrowFunctionExpression') {
+        analysis.patterns.push('Higher-order Function');
+      }
+      
+      // Detect React components (JSX returns)
+      if (isReactFunctionComponent(node)) {
+        analysis.patterns.push('Arrow Function Component');
+      }
+    }
+  });
+}
+
 /**
  * Visits each node in the Abstract Syntax Tree
  * @param {Object} ast - The AST to visit
@@ -160,8 +241,9 @@ function visitNodes(ast, visitors) {
       visitors[node.type](node);
     }
     
-    // Recursively visit children
+    // Recursively visit children, skipping positions and comments
     for (const key in node) {
+      if (key === 'loc' || key === 'extra' || key.endsWith('Comments')) continue;
       if (node[key] && typeof node[key] === 'object') {
         if (Array.isArray(node[key])) {
           node[key].forEach(child => {
@@ -211,7 +293,7 @@ function isReactClassComponent(node) {
   // Or check for render() method that returns JSX
   if (node.body && node.body.body) {
     const renderMethod = node.body.body.find(n => 
-      n.type === 'MethodDefinition' && 
+      (n.type === 'MethodDefinition' || n.type === 'ClassMethod') && 
       n.key && 
       n.key.name === 'render'
     );
@@ -230,22 +312,119 @@ function isReactClassComponent(node) {
  * @returns {boolean} True if the function returns JSX
  */
 function isJSXReturningFunction(node) {
+  if (!node || !isFunction(node) || !node.body) return false;
+  
+  // Arrow function with an expression body
+  if (node.body.type !== 'BlockStatement') {
+    return isJSX(node.body);
+  }
+  
+  // Any return statement of the function itself (not of nested functions) returning JSX
+  let returnsJSX = false;
+  const visitStatements = (statement) => {
+    if (!statement || typeof statement !== 'object' || returnsJSX || isFunction(statement)) return;
+    
+    if (statement.type === 'ReturnStatement') {
+      returnsJSX = isJSX(statement.argument);
+      return;
+    }
+    
+    for (const key of ['body', 'consequent', 'alternate', 'block', 'handler', 'finalizer', 'cases']) {
+      const child = statement[key];
+      if (Array.isArray(child)) {
+        child.forEach(visitStatements);
+      } else {
+        visitStatements(child);
+      }
+    }
+  };
+  node.body.body.forEach(visitStatements);
+  
+  return returnsJSX;
+}
+
+/**
+ * Checks if an expression evaluates to JSX, e.g. `<div />` or `loading ? <Spinner /> : <List />`
+ * @param {Object} node - Expression node
+ * @returns {boolean}
+ */
+function isJSX(node) {
   if (!node) return false;
   
-  // Check if return statement contains JSX
-  if (node.body) {
-    if (node.body.type === 'JSXElement' || node.body.type === 'JSXFragment') {
+  switch (node.type) {
+    case 'JSXElement':
+    case 'JSXFragment':
       return true;
-    }
+    case 'ConditionalExpression':
+      return isJSX(node.consequent) || isJSX(node.alternate);
+    case 'LogicalExpression':
+      return isJSX(node.right);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Checks if a node is a function
+ * @param {Object} node - AST node
+ * @returns {boolean}
+ */
+function isFunction(node) {
+  return ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'].includes(node.type);
+}
+
+/**
+ * Checks if a name follows the hook convention (useAuth, use3D)
+ * @param {string} name - Function name
+ * @returns {boolean}
+ */
+function isHookName(name) {
+  return /^use[A-Z0-9]/.test(name || '');
+}
+
+/**
+ * The component inside memo(), forwardRef() or observer() wrappers
+ * @param {Object} node - Initializer of a variable
+ * @returns {Object} The wrapped function, or the node itself
+ */
+function unwrapComponent(node) {
+  if (!node || node.type !== 'CallExpression' || node.arguments.length === 0) return node;
+  
+  const callee = node.callee.type === 'MemberExpression' ? node.callee.property : node.callee;
+  return callee.type === 'Identifier' && COMPONENT_WRAPPERS.includes(callee.name)
+    ? unwrapComponent(node.arguments[0])
+    : node;
+}
+
+/**
+ * Records how a function component receives its props
+ * @param {Object} node - Component function
+ * @param {Object} analysis - Analysis to fill
+ */
+function recordPropPatterns(node, analysis) {
+  const [props] = node.params || [];
+  if (!props) return;
+  
+  const pattern = props.type === 'AssignmentPattern' ? props.left : props;
+  if (pattern.type === 'ObjectPattern') {
+    analysis.propPatterns.push('Destructured Props');
     
-    if (node.body.body) {
-      const returnStatement = node.body.body.find(n => n.type === 'ReturnStatement');
-      if (returnStatement && returnStatement.argument) {
-        return returnStatement.argument.type === 'JSXElement' || 
-               returnStatement.argument.type === 'JSXFragment';
+    for (const property of pattern.properties) {
+      if (property.type === 'RestElement') {
+        analysis.propPatterns.push('Rest Props');
+      } else if (property.value && property.value.type === 'AssignmentPattern') {
+        analysis.propPatterns.push('Default Prop Values');
+      }
+      if (property.key && property.key.name === 'children') {
+        analysis.propPatterns.push('Children Prop');
       }
     }
+  } else if (pattern.type === 'Identifier') {
+    analysis.propPatterns.push('Props Object');
   }
   
-  return false;
+  // Typed props: ({ label }: ButtonProps) in TypeScript or Flow
+  if (pattern.typeAnnotation) {
+    analysis.propPatterns.push('Typed Props');
+  }
 }
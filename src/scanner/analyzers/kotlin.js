@@ -0,0 +1,184 @@
+/**
+ * kotlin.js
+ *
+ * Analyzer for Kotlin code to detect naming conventions,
+ * idioms (data classes, null-safety, coroutines) and commonly
+ * used Kotlin frameworks and libraries.
+ */
+
+import { SourceLexer } from '../utils/source-lexer.js';
+
+// Packages of frameworks and libraries
+const PACKAGE_PATTERNS = {
+  'kotlinx.coroutines': 'Coroutines',
+  'kotlinx.coroutines.flow': 'Kotlin Flow',
+  'kotlinx.serialization': 'kotlinx.serialization',
+  'androidx.compose': 'Jetpack Compose',
+  'android': 'Android',
+  'androidx.lifecycle': 'Android Architecture Components',
+  'androidx.room': 'Room',
+  'dagger.hilt': 'Hilt',
+  'org.koin': 'Koin',
+  'org.springframework': 'Spring',
+  'io.ktor': 'Ktor',
+  'org.jetbrains.exposed': 'Exposed',
+  'retrofit2': 'Retrofit',
+  'io.mockk': 'MockK',
+  'org.junit': 'JUnit',
+  'io.kotest': 'Kotest',
+  'kotlin.test': 'kotlin.test'
+};
+
+/**
+ * Analyzes Kotlin code to detect naming conventions and patterns
+ * @param {string} content - Kotlin code content
+ * @param {string} filePath - Path to the file
+ * @returns {Object} Analysis results: variables (val/var), functions, classes (classes and objects),
+ *   interfaces, enums, types (type aliases), annotations and patterns
+ */
+export async function analyzeKotlin(content, filePath) {
+  const analysis = {
+    variables: [],
+    functions: [],
+    classes: [],
+    interfaces: [],
+    enums: [],
+    types: [],
+    annotations: [],
+    patterns: []
+  };
+
+  try {
+    const code = SourceLexer.stripComments(content, 'kotlin', { blankStrings: true });
+
+    analysis.enums = SourceLexer.collect(/\benum\s+class\s+([A-Za-z_]\w*)/g, code);
+    analysis.interfaces = SourceLexer.collect(/\b(?:fun\s+)?interface\s+([A-Za-z_]\w*)/g, code);
+    analysis.classes = [
+      ...SourceLexer.collect(/(?<!\benum\s+|\bannotation\s+)\bclass\s+([A-Za-z_]\w*)/g, code),
+      ...SourceLexer.collect(/\bobject\s+([A-Za-z_]\w*)/g, code)
+    ];
+    analysis.types = SourceLexer.collect(/\btypealias\s+([A-Za-z_]\w*)/g, code);
+
+    // Functions, extension functions keep only their name: fun String.toSlug() gives toSlug
+    analysis.functions = SourceLexer.collect(/\bfun\s+(?:<[^>]*>\s*)?(?:[\w.]+(?:<[^>]*>)?\??\.)?([A-Za-z_]\w*)\s*\(/g, code);
+
+    // val/var declarations, destructuring declarations are skipped
+    analysis.variables = SourceLexer.collect(/\b(?:val|var)\s+(?:[\w.]+(?:<[^>]*>)?\??\.)?([A-Za-z_]\w*)\s*[:=]/g, code);
+
+    analysis.annotations = SourceLexer.collect(/@(?:[a-z]+:)?([A-Z]\w*)/g, code);
+
+    detectKotlinPatterns(code, filePath, analysis);
+    detectKotlinFrameworks(code, analysis);
+
+    // Deduplicate
+    for (const field of Object.keys(analysis)) {
+      analysis[field] = [...new Set(analysis[field])];
+    }
+
+    return analysis;
+  } catch (error) {
+    console.error(`Error analyzing Kotlin file: ${filePath}`);
+    console.error(error.message);
+    return analysis;
+  }
+}
+
+/**
+ * Detects Kotlin coding patterns
+ * @param {string} code - Kotlin code without comments and string contents
+ * @param {string} filePath - Path to the file
+ * @param {Object} analysis - Analysis results to update
+ */
+function detectKotlinPatterns(code, filePath, analysis) {
+  if (/\bdata\s+class\b/.test(code)) {
+    analysis.patterns.push('Data Classes');
+  }
+
+  if (/\bsealed\s+(?:class|interface)\b/.test(code)) {
+    analysis.patterns.push('Sealed Classes');
+  }
+
+  if (/\bvalue\s+class\b/.test(code) || /@JvmInline/.test(code)) {
+    analysis.patterns.push('Value Classes');
+  }
+
+  if (/^\s*(?:(?:private|internal|public)\s+)?object\s+[A-Z]/m.test(code)) {
+    analysis.patterns.push('Object Declarations');
+  }
+
+  if (/\bcompanion\s+object\b/.test(code)) {
+    analysis.patterns.push('Companion Objects');
+  }
+
+  // Null safety
+  if (/\w\?\.\w|\?:/.test(code) || /[\w>]\?\s*[=,)]/.test(code)) {
+    analysis.patterns.push('Null Safety');
+  }
+
+  if (/\w!!/.test(code)) {
+    analysis.patterns.push('Not-null Assertions');
+  }
+
+  if (/\blateinit\s+var\b/.test(code)) {
+    analysis.patterns.push('Lateinit Properties');
+  }
+
+  if (/\bby\s+lazy\b/.test(code) || /\b(?:val|var)\s+\w+(?:\s*:\s*[\w<>?]+)?\s+by\s+/.test(code)) {
+    analysis.patterns.push('Delegated Properties');
+  }
+
+  if (/\bfun\s+(?:<[^>]*>\s*)?[\w.]+(?:<[^>]*>)?\??\.\w+\s*\(/.test(code)) {
+    analysis.patterns.push('Extension Functions');
+  }
+
+  if (/\.(?:let|apply|also|run)\s*\{|\bwith\s*\(/.test(code)) {
+    analysis.patterns.push('Scope Functions');
+  }
+
+  if (/\bwhen\s*(?:\([^)]*\))?\s*\{/.test(code)) {
+    analysis.patterns.push('When Expressions');
+  }
+
+  if (/\bsuspend\s+fun\b/.test(code)) {
+    analysis.patterns.push('Suspend Functions');
+  }
+
+  if (/\b(?:launch|async|runBlocking|withContext|coroutineScope)\s*(?:\([^)]*\))?\s*\{/.test(code)) {
+    analysis.patterns.push('Coroutine Builders');
+  }
+
+  if (/\b(?:inline|reified)\b/.test(code)) {
+    analysis.patterns.push('Inline Functions');
+  }
+
+  if (/\b(?:listOf|mapOf|setOf|mutableListOf|mutableMapOf)\s*[(<]/.test(code)) {
+    analysis.patterns.push('Collection Builders');
+  }
+
+  if (/\bfun\s+\w+\s*\([^)]*=\s*[^)]+\)/.test(code)) {
+    analysis.patterns.push('Default Arguments');
+  }
+
+  if (analysis.annotations.includes('Composable')) {
+    analysis.patterns.push('Composable Functions');
+  }
+
+  if (analysis.annotations.includes('Test') || /[\\/]src[\\/]test[\\/]/.test(filePath)) {
+    analysis.patterns.push('Kotlin Testing');
+  }
+}
+
+/**
+ * Detects frameworks and libraries from import directives
+ * @param {string} code - Kotlin code without comments and string contents
+ * @param {Object} analysis - Analysis results to update
+ */
+function detectKotlinFrameworks(code, analysis) {
+  const imports = SourceLexer.collect(/^\s*import\s+([\w.]+)/gm, code);
+
+  for (const [pkg, pattern] of Object.entries(PACKAGE_PATTERNS)) {
+    if (imports.some(imported => imported.startsWith(`${pkg}.`))) {
+      analysis.patterns.push(pattern);
+    }
+  }
+}
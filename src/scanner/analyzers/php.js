@@ -0,0 +1,183 @@
+/**
+ * php.js
+ *
+ * Analyzer for PHP code to detect naming conventions,
+ * modern PHP features (strict types, enums, attributes)
+ * and commonly used PHP frameworks.
+ */
+
+import { SourceLexer } from '../utils/source-lexer.js';
+
+// Root namespaces of frameworks and libraries
+const NAMESPACE_PATTERNS = {
+  'Illuminate': 'Laravel',
+  'Symfony': 'Symfony',
+  'Doctrine\\ORM': 'Doctrine ORM',
+  'Illuminate\\Database\\Eloquent': 'Eloquent ORM',
+  'Livewire': 'Livewire',
+  'Inertia': 'Inertia',
+  'Slim': 'Slim',
+  'Laminas': 'Laminas',
+  'Psr\\Http': 'PSR-7/PSR-15 HTTP',
+  'GuzzleHttp': 'Guzzle',
+  'PHPUnit': 'PHPUnit',
+  'Pest': 'Pest',
+  'Monolog': 'Monolog'
+};
+
+// Superglobals and the object reference are not named by the project
+const RESERVED_VARIABLES = new Set(['this', 'GLOBALS', '_GET', '_POST', '_REQUEST', '_SERVER', '_SESSION', '_COOKIE', '_FILES', '_ENV']);
+
+/**
+ * Analyzes PHP code to detect naming conventions and patterns
+ * @param {string} content - PHP code content
+ * @param {string} filePath - Path to the file
+ * @returns {Object} Analysis results: variables (without `$`, properties included), functions
+ *   (functions and methods), classes, interfaces, enums, traits, attributes and patterns
+ */
+export async function analyzePhp(content, filePath) {
+  const analysis = {
+    variables: [],
+    functions: [],
+    classes: [],
+    interfaces: [],
+    enums: [],
+    traits: [],
+    attributes: [],
+    patterns: []
+  };
+
+  try {
+    const code = SourceLexer.stripComments(content, 'php', { blankStrings: true });
+
+    analysis.classes = SourceLexer.collect(/^\s*(?:(?:abstract|final|readonly)\s+)*class\s+([A-Za-z_]\w*)/gm, code);
+    analysis.interfaces = SourceLexer.collect(/^\s*interface\s+([A-Za-z_]\w*)/gm, code);
+    analysis.enums = SourceLexer.collect(/^\s*enum\s+([A-Za-z_]\w*)/gm, code);
+    analysis.traits = SourceLexer.collect(/^\s*trait\s+([A-Za-z_]\w*)/gm, code);
+
+    // Named functions and methods, magic methods (__construct) are the language's, not the project's
+    analysis.functions = SourceLexer.collect(/\bfunction\s+&?\s*([A-Za-z_]\w*)\s*\(/g, code)
+      .filter(name => !name.startsWith('__'));
+
+    // Assigned variables and declared properties
+    analysis.variables = [
+      ...SourceLexer.collect(/\$([A-Za-z_]\w*)\s*(?:=[^=>]|\?\?=|\.=|\+=|-=)/g, code),
+      ...SourceLexer.collect(/^\s*(?:(?:public|protected|private|static|readonly|var)\s+)+(?:\??[\w\\|]+\s+)?\$([A-Za-z_]\w*)/gm, code)
+    ].filter(name => !RESERVED_VARIABLES.has(name));
+
+    analysis.attributes = SourceLexer.collect(/#\[\\?([\w\\]+)/g, code)
+      .map(name => name.split('\\').pop());
+
+    detectPhpPatterns(code, filePath, analysis);
+    detectPhpFrameworks(code, analysis);
+
+    // Deduplicate
+    for (const field of Object.keys(analysis)) {
+      analysis[field] = [...new Set(analysis[field])];
+    }
+
+    return analysis;
+  } catch (error) {
+    console.error(`Error analyzing PHP file: ${filePath}`);
+    console.error(error.message);
+    return analysis;
+  }
+}
+
+/**
+ * Detects PHP coding patterns
+ * @param {string} code - PHP code without comments and string contents
+ * @param {string} filePath - Path to the file
+ * @param {Object} analysis - Analysis results to update
+ */
+function detectPhpPatterns(code, filePath, analysis) {
+  if (/declare\s*\(\s*strict_types\s*=\s*1\s*\)/.test(code)) {
+    analysis.patterns.push('Strict Types');
+  }
+
+  if (/^\s*namespace\s+[\w\\]+\s*;/m.test(code)) {
+    analysis.patterns.push('Namespaces');
+  }
+
+  if (analysis.traits.length > 0) {
+    analysis.patterns.push('Traits');
+  }
+
+  if (analysis.enums.length > 0) {
+    analysis.patterns.push('Enums');
+  }
+
+  if (analysis.attributes.length > 0) {
+    analysis.patterns.push('Attributes');
+  }
+
+  if (/\)\s*:\s*\??[\w\\|]+\s*[{;]/.test(code)) {
+    analysis.patterns.push('Return Type Declarations');
+  }
+
+  if (/\breadonly\s+(?:class|(?:\??[\w\\|]+\s+)?\$)/.test(code)) {
+    analysis.patterns.push('Readonly Properties');
+  }
+
+  if (/function\s+__construct\s*\(\s*(?:[^)]*,\s*)?(?:public|protected|private)\s/.test(code)) {
+    analysis.patterns.push('Constructor Property Promotion');
+  }
+
+  if (/\bmatch\s*\([^)]*\)\s*\{/.test(code)) {
+    analysis.patterns.push('Match Expressions');
+  }
+
+  if (/\?->/.test(code)) {
+    analysis.patterns.push('Nullsafe Operator');
+  }
+
+  if (/\?\?=?/.test(code)) {
+    analysis.patterns.push('Null Coalescing');
+  }
+
+  if (/\bfn\s*\(/.test(code)) {
+    analysis.patterns.push('Arrow Functions');
+  }
+
+  if (/\bfunction\s*\([^)]*\)\s*(?:use\s*\([^)]*\)\s*)?(?::\s*\??[\w\\]+\s*)?\{/.test(code)) {
+    analysis.patterns.push('Closures');
+  }
+
+  if (/\b\w+\s*\(\s*\w+\s*:\s*[^:]/.test(code)) {
+    analysis.patterns.push('Named Arguments');
+  }
+
+  if (/\bextends\s+(?:\\?[\w\\]*\\)?TestCase\b/.test(code) || /[\\/]tests?[\\/]/i.test(filePath)) {
+    analysis.patterns.push('PHP Testing');
+  }
+
+  if (/\bextends\s+(?:\\?[\w\\]*\\)?Model\b/.test(code)) {
+    analysis.patterns.push('Active Record Models');
+  }
+
+  if (/^\s*(?:(?:abstract|final|readonly)\s+)*class\s+\w+(?:\s+extends\s+[\w\\]+)?\s+implements\s/m.test(code)) {
+    analysis.patterns.push('Interface Implementations');
+  }
+
+  if (/\?>\s*<\/?\w/.test(code) || /<\?=/.test(code)) {
+    analysis.patterns.push('Inline HTML Templates');
+  }
+}
+
+/**
+ * Detects frameworks and libraries from use declarations and fully qualified names
+ * @param {string} code - PHP code without comments and string contents
+ * @param {Object} analysis - Analysis results to update
+ */
+function detectPhpFrameworks(code, analysis) {
+  const names = [
+    ...SourceLexer.collect(/^\s*use\s+\\?([\w\\]+)/gm, code),
+    ...SourceLexer.collect(/\bextends\s+\\([\w\\]+)/g, code)
+  ];
+
+  for (const [namespace, pattern] of Object.entries(NAMESPACE_PATTERNS)) {
+    if (names.some(name => name === namespace || name.startsWith(`${namespace}\\`))) {
+      analysis.patterns.push(pattern);
+    }
+  }
+}
@@ -70,12 +70,9 @@ export async function analyzePython(content, filePath) {
  * @param {Object} analysis - Analysis results to update
  */
 function detectPythonFrameworks(content, analysis) {
-  // Check for Django patterns
+  // Check for Django patterns (only imports, a mention of views.py or models.py is no evidence)
   if (content.includes('import django') || 
-      content.includes('from django') || 
-      content.includes('urls.py') || 
-      content.includes('models.py') || 
-      content.includes('views.py')) {
+      content.includes('from django')) {
     analysis.patterns.push('Django');
   }
   
@@ -5,17 +5,16 @@
  * and other Ruby-specific elements.
  */
 
-import fs from 'fs/promises';
-
 /**
  * Analyzes Ruby code to detect naming conventions and patterns
  * 
+ * @param {string} content - Ruby code content
  * @param {string} filePath - Path to the Ruby file
- * @returns {Object} Analysis results containing detected patterns and conventions
+ * @returns {Object} Analysis results: variables (without their `@`, `@@` or `$` sigil), functions,
+ *   classes, modules and patterns
  */
-export async function analyzeRuby(filePath) {
+export async function analyzeRuby(content, filePath) {
   try {
-    const content = await fs.readFile(filePath, 'utf8');
     const lines = content.split('\n');
     
     const result = {
@@ -34,9 +33,9 @@ export async function analyzeRuby(filePath) {
     const methodRegex = /^(?:\s*)def\s+(?:self\.)?([a-zA-Z0-9_?!]+)/;
     
     // Variable detection (including instance, class, and global variables)
-    const instanceVarRegex = /(@[a-z_][a-zA-Z0-9_]*)/g;
-    const classVarRegex = /(@@[a-z_][a-zA-Z0-9_]*)/g;
-    const globalVarRegex = /(\$[a-zA-Z0-9_]+)/g;
+    const instanceVarRegex = /(?<!@)@([a-z_][a-zA-Z0-9_]*)/g;
+    const classVarRegex = /@@([a-z_][a-zA-Z0-9_]*)/g;
+    const globalVarRegex = /\$([a-zA-Z_][a-zA-Z0-9_]*)/g;
     const constantRegex = /([A-Z][A-Z0-9_]*)\s*=/;
     
     // Pattern detection
@@ -45,7 +44,7 @@ export async function analyzeRuby(filePath) {
       activeController: /ActionController::Base|ApplicationController/,
       activeMailer: /ActionMailer::Base|ApplicationMailer/,
       activeJob: /ActiveJob::Base|ApplicationJob/,
-      rspec: /describe|context|it|expect/,
+      rspec: /\b(?:describe|context|it)\s+['"]|\bexpect\s*[({]/,
       rubocop: /# rubocop:/,
       gemfile: /gem ['"]([^'"]+)['"]/g
     };
@@ -129,79 +128,8 @@ export async function analyzeRuby(filePath) {
       }
     });
 
-    // Analyze content as a whole for patterns
-    const fullContent = content.toString();
-    
-    // Detect naming conventions
-    const namingConventions = detectRubyNamingConventions(result);
-    
-    return {
-      ...result,
-      ...namingConventions
-    };
+    return result;
   } catch (error) {
     throw new Error(`Ruby analysis failed: ${error.message}`);
   }
 }
-
-/**
- * Analyzes naming conventions used in Ruby code
- * 
- * @param {Object} analysis - Analysis data with variables, functions, classes
- * @returns {Object} Naming convention analysis
- */
-function detectRubyNamingConventions(analysis) {
-  const conventions = {
-    variableConvention: detectNamingConvention(analysis.variables),
-    functionConvention: detectNamingConvention(analysis.functions),
-    classConvention: detectNamingConvention(analysis.classes),
-    moduleConvention: detectNamingConvention(analysis.modules)
-  };
-  
-  return conventions;
-}
-
-/**
- * Analyzes a collection of names to determine the naming convention
- * 
- * @param {Array} names - Collection of names to analyze
- * @returns {string} Detected naming convention
- */
-function detectNamingConvention(names) {
-  if (!names || names.length === 0) {
-    return 'unknown';
-  }
-  
-  // Count for each convention
-  let snakeCase = 0;
-  let camelCase = 0;
-  let pascalCase = 0;
-  let screaming = 0;
-  
-  // Regex patterns for naming conventions
-  const snakeCaseRegex = /^[a-z][a-z0-9_]*$/;
-  const camelCaseRegex = /^[a-z][a-zA-Z0-9]*$/;
-  const pascalCaseRegex = /^[A-Z][a-zA-Z0-9]*$/;
-  const screamingRegex = /^[A-Z][A-Z0-9_]*$/;
-  
-  names.forEach(name => {
-    // Clean the name (remove prefixes like @ for instance variables)
-    const cleanName = name.replace(/^[@$]+/, '');
-    
-    if (snakeCaseRegex.test(cleanName)) snakeCase++;
-    if (camelCaseRegex.test(cleanName)) camelCase++;
-    if (pascalCaseRegex.test(cleanName)) pascalCase++;
-    if (screamingRegex.test(cleanName)) screaming++;
-  });
-  
-  // Find the most common convention
-  const max = Math.max(snakeCase, camelCase, pascalCase, screaming);
-  
-  if (max === 0) return 'mixed';
-  if (max === snakeCase) return 'snake_case';
-  if (max === camelCase) return 'camelCase';
-  if (max === pascalCase) return 'PascalCase';
-  if (max === screaming) return 'SCREAMING_SNAKE_CASE';
-  
-  return 'mixed';
-}
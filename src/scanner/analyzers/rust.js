@@ -0,0 +1,204 @@
+/**
+ * rust.js
+ *
+ * Analyzer for Rust code to detect naming conventions,
+ * idioms (traits, ownership, error handling) and commonly used crates.
+ */
+
+import { SourceLexer } from '../utils/source-lexer.js';
+
+// Crates detected from `use` declarations and attributes
+const CRATE_PATTERNS = {
+  tokio: 'Tokio',
+  'async_std': 'async-std',
+  serde: 'Serde',
+  'actix_web': 'Actix Web',
+  axum: 'Axum',
+  rocket: 'Rocket',
+  warp: 'Warp',
+  diesel: 'Diesel',
+  sqlx: 'SQLx',
+  'sea_orm': 'SeaORM',
+  thiserror: 'thiserror',
+  anyhow: 'anyhow',
+  clap: 'Clap',
+  tracing: 'Tracing',
+  rayon: 'Rayon',
+  bevy: 'Bevy',
+  tauri: 'Tauri'
+};
+
+/**
+ * Analyzes Rust code to detect naming conventions and patterns
+ * @param {string} content - Rust code content
+ * @param {string} filePath - Path to the file
+ * @returns {Object} Analysis results: variables (let bindings, constants and statics), functions,
+ *   classes (structs), interfaces (traits), enums, types (type aliases), macros and patterns
+ */
+export async function analyzeRust(content, filePath) {
+  const analysis = {
+    variables: [],
+    functions: [],
+    classes: [],
+    interfaces: [],
+    enums: [],
+    types: [],
+    macros: [],
+    patterns: []
+  };
+
+  try {
+    const code = SourceLexer.stripComments(content, 'rust', { blankStrings: true });
+
+    analysis.functions = SourceLexer.collect(/\bfn\s+([A-Za-z_][A-Za-z0-9_]*)/g, code);
+    analysis.classes = SourceLexer.collect(/\bstruct\s+([A-Za-z_][A-Za-z0-9_]*)/g, code);
+    analysis.interfaces = SourceLexer.collect(/\btrait\s+([A-Za-z_][A-Za-z0-9_]*)/g, code);
+    analysis.enums = SourceLexer.collect(/\benum\s+([A-Za-z_][A-Za-z0-9_]*)/g, code);
+    analysis.types = SourceLexer.collect(/^\s*(?:pub(?:\([^)]*\))?\s+)?type\s+([A-Za-z_][A-Za-z0-9_]*)/gm, code);
+    analysis.macros = SourceLexer.collect(/\bmacro_rules!\s*([A-Za-z_][A-Za-z0-9_]*)/g, code);
+
+    // let bindings, constants and statics; `_` and destructuring patterns are skipped
+    analysis.variables = [
+      ...SourceLexer.collect(/\blet\s+(?:mut\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*[:=;]/g, code),
+      ...SourceLexer.collect(/\b(?:const|static(?:\s+mut)?)\s+([A-Za-z_][A-Za-z0-9_]*)\s*:/g, code)
+    ].filter(name => name !== '_');
+
+    detectRustPatterns(code, filePath, analysis);
+    detectRustCrates(code, analysis);
+
+    // Deduplicate
+    for (const field of Object.keys(analysis)) {
+      analysis[field] = [...new Set(analysis[field])];
+    }
+
+    return analysis;
+  } catch (error) {
+    console.error(`Error analyzing Rust file: ${filePath}`);
+    console.error(error.message);
+    return analysis;
+  }
+}
+
+/**
+ * Detects Rust coding patterns
+ * @param {string} code - Rust code without comments and string contents
+ * @param {string} filePath - Path to the file
+ * @param {Object} analysis - Analysis results to update
+ */
+function detectRustPatterns(code, filePath, analysis) {
+  if (analysis.interfaces.length > 0) {
+    analysis.patterns.push('Traits');
+  }
+
+  if (/\bimpl(?:<[^>]*>)?\s+[\w:<>, ]+\s+for\s+/.test(code)) {
+    analysis.patterns.push('Trait Implementations');
+  }
+
+  if (/#\[derive\(/.test(code)) {
+    analysis.patterns.push('Derive Macros');
+  }
+
+  if (analysis.macros.length > 0) {
+    analysis.patterns.push('Declarative Macros');
+  }
+
+  // Error handling
+  if (/\bResult</.test(code)) {
+    analysis.patterns.push('Result Error Handling');
+  }
+
+  if (/[\w)\]]\?[;.)\s]/.test(code)) {
+    analysis.patterns.push('? Operator');
+  }
+
+  if (/\.unwrap\(\)|\.expect\(/.test(code)) {
+    analysis.patterns.push('Unwrap/Expect');
+  }
+
+  if (/\bOption</.test(code) || /\b(?:Some|None)\b/.test(code)) {
+    analysis.patterns.push('Option Types');
+  }
+
+  if (/\bmatch\s+[^{]+\{/.test(code)) {
+    analysis.patterns.push('Pattern Matching');
+  }
+
+  // Ownership and memory
+  if (/<'[a-z_]+[,>]|&'[a-z_]+\s/.test(code)) {
+    analysis.patterns.push('Explicit Lifetimes');
+  }
+
+  if (/\b(?:Box|Rc|Arc)</.test(code) || /\b(?:Box|Rc|Arc)::new\(/.test(code)) {
+    analysis.patterns.push('Smart Pointers');
+  }
+
+  if (/\b(?:RefCell|Cell|Mutex|RwLock)\b/.test(code)) {
+    analysis.patterns.push('Interior Mutability');
+  }
+
+  if (/\bimpl(?:<[^>]*>)?\s+Drop\s+for\s+/.test(code)) {
+    analysis.patterns.push('RAII with Drop');
+  }
+
+  if (/\bunsafe\s*\{|\bunsafe\s+fn\b/.test(code)) {
+    analysis.patterns.push('Unsafe Code');
+  }
+
+  // Concurrency
+  if (/\basync\s+(?:fn|move|\{)/.test(code) || /\.await\b/.test(code)) {
+    analysis.patterns.push('Async/Await');
+  }
+
+  if (/\b(?:thread::spawn|mpsc::)/.test(code)) {
+    analysis.patterns.push('Thread-based Concurrency');
+  }
+
+  // Generics
+  if (/\bwhere\s*\n?\s*[A-Z]\w*\s*:/.test(code) || /<[A-Z]\w*\s*:\s*[\w:]+/.test(code)) {
+    analysis.patterns.push('Trait Bounds');
+  }
+
+  if (/\bimpl\s+[A-Z]\w*(?:<[^>]*>)?\s*[,)>{=]/.test(code) || /\bdyn\s+[A-Z]/.test(code)) {
+    analysis.patterns.push('Trait Objects / impl Trait');
+  }
+
+  // Modules and tests
+  if (/^\s*(?:pub\s+)?mod\s+\w+\s*;/m.test(code)) {
+    analysis.patterns.push('Module Files');
+  }
+
+  if (/#\[cfg\(test\)\]/.test(code) || /#\[test\]/.test(code) || /[\\/]tests[\\/]/.test(filePath)) {
+    analysis.patterns.push('Rust Testing');
+  }
+
+  if (/\bimpl\s+(?:std::)?(?:fmt::)?Display\s+for\b/.test(code) || /\bimpl\s+(?:std::)?error::Error\s+for\b/.test(code)) {
+    analysis.patterns.push('Custom Error Types');
+  }
+
+  if (/\bimpl(?:<[^>]*>)?\s+(?:From|TryFrom)</.test(code)) {
+    analysis.patterns.push('Conversion Traits');
+  }
+
+  if (/\bfn\s+builder\s*\(|Builder\s*\{/.test(code)) {
+    analysis.patterns.push('Builder Pattern');
+  }
+}
+
+/**
+ * Detects crates from `use` declarations, `extern crate` and attribute paths
+ * @param {string} code - Rust code without comments and string contents
+ * @param {Object} analysis - Analysis results to update
+ */
+function detectRustCrates(code, analysis) {
+  const crates = new Set([
+    ...SourceLexer.collect(/\buse\s+::?([a-z_][a-z0-9_]*)::/g, code),
+    ...SourceLexer.collect(/\bextern\s+crate\s+([a-z_][a-z0-9_]*)/g, code),
+    ...SourceLexer.collect(/#\[([a-z_][a-z0-9_]*)::/g, code)
+  ]);
+
+  for (const [crate, pattern] of Object.entries(CRATE_PATTERNS)) {
+    if (crates.has(crate)) {
+      analysis.patterns.push(pattern);
+    }
+  }
+}
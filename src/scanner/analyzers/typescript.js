@@ -1,150 +1,103 @@
 /**
  * typescript.js
- * 
+ *
  * Analyzer for TypeScript code to detect naming conventions,
- * patterns, interfaces, types, and commonly used libraries or frameworks.
+ * patterns, interfaces, types, enums, decorators, the exported API
+ * and commonly used libraries or frameworks.
  */
 
-import { analyzeJavaScript } from './javascript.js';
+import { analyzeJavaScript, analyzeProgram } from './javascript.js';
 import { TypeScriptParser } from '../utils/typescript-parser.js';
 
+// Decorator patterns by the module the decorators are imported from
+const DECORATOR_PATTERNS = [
+  { source: /^@angular\//, pattern: 'Angular Decorators' },
+  { source: /^@nestjs\//, pattern: 'NestJS Decorators' },
+  { source: /^typeorm$/, pattern: 'TypeORM' }
+];
+
 /**
  * Analyzes TypeScript code to detect naming conventions and patterns
  * @param {string} content - TypeScript code content
  * @param {string} filePath - Path to the file
- * @returns {Object} Analysis results
+ * @returns {Object} Analysis results: the names of the JavaScript analysis plus interfaces, types
+ *   and enums (declared names), decorators (names used), exports ({ name, kind } of the exported API)
+ *   and patterns
  */
 export async function analyzeTypeScript(content, filePath) {
+  // If it's not a TypeScript file, just use the JavaScript analyzer
+  if (!TypeScriptParser.isTypeScriptFile(filePath)) {
+    return await analyzeJavaScript(content, filePath);
+  }
+
+  const analysis = {
+    variables: [],
+    functions: [],
+    classes: [],
+    components: [],
+    hooks: [],
+    customHooks: [],
+    propPatterns: [],
+    interfaces: [],
+    types: [],
+    enums: [],
+    decorators: [],
+    exports: [],
+    patterns: []
+  };
+
   try {
-    // First check if this is definitely a TypeScript file
-    const isTypeScriptFile = TypeScriptParser.isTypeScriptFile(filePath);
-    
-    if (!isTypeScriptFile) {
-      // If it's not a TypeScript file, just use the JavaScript analyzer
-      return await analyzeJavaScript(content, filePath);
-    }
-    
-    // For TypeScript files, first try with our TypeScript parser
-    const parseResult = await TypeScriptParser.parseFile(filePath);
-    
-    // If TypeScript parsing failed, or if content was empty, use content provided
-    const tsContent = parseResult.success ? parseResult.content : content;
-    
-    // Use JavaScript analyzer as a base - with safer approach for TypeScript
-    let jsAnalysis;
-    try {
-      jsAnalysis = await analyzeJavaScript(tsContent, filePath);
-    } catch (jsError) {
-      // If JavaScript analyzer fails, create a basic structure
-      jsAnalysis = {
-        variables: [],
-        functions: [],
-        classes: [],
-        components: [],
-        patterns: []
-      };
-    }
-    
-    // Extend with TypeScript-specific analysis
-    const tsAnalysis = {
-      ...jsAnalysis,
-      interfaces: [],
-      types: [],
-      // Additional TypeScript patterns
-      patterns: [...(jsAnalysis.patterns || [])],
-    };
-    
-    // Simple regex-based detection for TypeScript features
-    // This is a simplified approach - a proper TS parser would be better
-    // but would increase complexity significantly
-    
-    // Detect interfaces
-    const interfacePattern = /interface\s+([A-Za-z0-9_]+)/g;
-    let match;
-    while ((match = interfacePattern.exec(content)) !== null) {
-      if (match[1]) {
-        tsAnalysis.interfaces.push(match[1]);
-      }
-    }
-    
-    // Detect type aliases
-    const typePattern = /type\s+([A-Za-z0-9_]+)/g;
-    while ((match = typePattern.exec(content)) !== null) {
-      if (match[1]) {
-        tsAnalysis.types.push(match[1]);
+    const ast = TypeScriptParser.parse(content, filePath);
+
+    // Variables, functions, classes, components and import patterns, as for JavaScript
+    analyzeProgram(ast.program, analysis);
+
+    const declarations = TypeScriptParser.extractDeclarations(ast);
+    analysis.interfaces = declarations.interfaces;
+    analysis.types = declarations.types;
+    analysis.enums = declarations.enums;
+    analysis.decorators = declarations.decorators.map(decorator => decorator.name);
+    analysis.exports = TypeScriptParser.extractExports(ast);
+
+    // Decorators only count for the framework they are imported from
+    for (const { source } of declarations.decorators) {
+      const match = source && DECORATOR_PATTERNS.find(entry => entry.source.test(source));
+      if (match) {
+        analysis.patterns.push(match.pattern);
       }
     }
-    
-    // Detect decorators (Angular patterns)
-    if (content.includes('@Component') || 
-        content.includes('@NgModule') || 
-        content.includes('@Injectable')) {
-      tsAnalysis.patterns.push('Angular Decorators');
-    }
-    
-    // Detect NestJS patterns
-    if (content.includes('@Controller') || 
-        content.includes('@Injectable') || 
-        content.includes('@Module')) {
-      tsAnalysis.patterns.push('NestJS Decorators');
-    }
-    
-    // Detect TypeORM patterns
-    if (content.includes('@Entity') || 
-        content.includes('@Column') || 
-        content.includes('@Repository')) {
-      tsAnalysis.patterns.push('TypeORM');
-    }
-    
-    // Detect functional patterns
-    const genericPattern = /<[^>]+>/g;
-    const genericMatches = content.match(genericPattern) || [];
-    if (genericMatches.length > 5) {
-      tsAnalysis.patterns.push('Heavy Generic Usage');
+
+    if (declarations.genericCount > 5) {
+      analysis.patterns.push('Heavy Generic Usage');
     }
-    
-    // Check for type guards
-    if (content.includes(' is ') && content.includes('function') && content.includes(': boolean')) {
-      tsAnalysis.patterns.push('Type Guards');
+
+    if (declarations.typeGuards > 0) {
+      analysis.patterns.push('Type Guards');
     }
-    
-    // Look for utility types
-    if (content.includes('Partial<') || 
-        content.includes('Readonly<') || 
-        content.includes('Record<') || 
-        content.includes('Pick<') || 
-        content.includes('Omit<')) {
-      tsAnalysis.patterns.push('Utility Types');
+
+    if (declarations.utilityTypes.length > 0) {
+      analysis.patterns.push('Utility Types');
     }
-    
-    // Look for React with TypeScript patterns
-    if ((content.includes('React.FC') || content.includes('FC<') || content.includes(': React.FC')) && 
-        (content.includes('interface') || content.includes('type'))) {
-      tsAnalysis.patterns.push('React with TypeScript');
+
+    if (declarations.mappedTypes > 0) {
+      analysis.patterns.push('Mapped Types');
     }
-    
-    // Check for mapped types
-    if (content.includes('keyof') || content.includes('in keyof')) {
-      tsAnalysis.patterns.push('Mapped Types');
+
+    if (declarations.functionComponentTypes > 0 && (analysis.interfaces.length > 0 || analysis.types.length > 0)) {
+      analysis.patterns.push('React with TypeScript');
     }
-    
+
     // Deduplicate patterns and names
-    tsAnalysis.patterns = [...new Set(tsAnalysis.patterns)];
-    tsAnalysis.interfaces = [...new Set(tsAnalysis.interfaces)];
-    tsAnalysis.types = [...new Set(tsAnalysis.types)];
-    
-    return tsAnalysis;
+    analysis.patterns = [...new Set(analysis.patterns)];
+    for (const field of ['variables', 'functions', 'classes', 'components', 'hooks', 'customHooks', 'propPatterns', 'interfaces', 'types', 'enums', 'decorators']) {
+      analysis[field] = [...new Set(analysis[field])];
+    }
+
+    return analysis;
   } catch (error) {
+    // If there's a parsing error, return an empty analysis
     console.error(`Error analyzing TypeScript file: ${filePath}`);
     console.error(error.message);
-    return {
-      variables: [],
-      functions: [],
-      classes: [],
-      components: [],
-      interfaces: [],
-      types: [],
-      patterns: []
-    };
+    return analysis;
   }
 }
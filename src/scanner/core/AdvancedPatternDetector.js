@@ -10,14 +10,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import chalk from 'chalk';
 
-// Import all language analyzers
-import { analyzeJavaScript } from '../analyzers/javascript.js';
-import { analyzeTypeScript } from '../analyzers/typescript.js';
-import { analyzePython } from '../analyzers/python.js';
-import { analyzeSwift } from '../analyzers/swift.js';
-import { analyzeRuby } from '../analyzers/ruby.js';
-import { analyzeGo } from '../analyzers/go.js';
-import { analyzeJava } from '../analyzers/java.js';
+import { analyzerRegistry } from '../utils/analyzer-registry.js';
 
 export class AdvancedPatternDetector {
   constructor(options = {}) {
@@ -35,18 +28,8 @@ export class AdvancedPatternDetector {
       securityPatterns: []
     };
     
-    // Configure language analyzers
-    this.languageAnalyzers = {
-      '.js': analyzeJavaScript,
-      '.jsx': analyzeJavaScript,
-      '.ts': analyzeTypeScript,
-      '.tsx': analyzeTypeScript,
-      '.py': analyzePython,
-      '.swift': analyzeSwift,
-      '.rb': analyzeRuby,
-      '.go': analyzeGo,
-      '.java': analyzeJava
-    };
+    // Language analyzers, looked up by file
+    this.analyzerRegistry = options.analyzerRegistry || analyzerRegistry;
   }
 
   /**
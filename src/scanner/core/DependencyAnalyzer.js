@@ -10,6 +10,14 @@ import fs from 'fs/promises';
 import path from 'path';
 import chalk from 'chalk';
 
+import { FileSampler } from '../utils/file-sampler.js';
+
+// Extensions tried, in order, when resolving extensionless JS/TS imports
+const SCRIPT_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs'];
+
+// Circular dependencies listed by the analysis, enough to act on without flooding the output
+const MAX_REPORTED_CYCLES = 10;
+
 export class DependencyAnalyzer {
   constructor(options = {}) {
     this.verbose = options.verbose || false;
@@ -18,6 +26,8 @@ export class DependencyAnalyzer {
     this.inverseGraph = new Map(); // Map of module -> Set(dependents)
     this.fileModuleMap = new Map(); // Map of filePath -> logical module name
     this.moduleFileMap = new Map(); // Map of logical module name -> filePath
+    this.cycles = []; // Circular dependencies of the last analysis, as lists of modules
+    this.sampledFiles = null; // Files parsed by the last analysis: { budget, total, files }
     this.ignoredExtensions = new Set(['.json', '.md', '.txt', '.css', '.scss', '.png', '.jpg', '.gif', '.svg']);
   }
 
@@ -37,13 +47,15 @@ export class DependencyAnalyzer {
     this.inverseGraph.clear();
     this.fileModuleMap.clear();
     this.moduleFileMap.clear();
+    this.cycles = [];
+    this.sampledFiles = null;
 
     try {
       // Create a list of files to analyze, prioritizing key file types
       const filesToAnalyze = this.getFilesToAnalyze(projectStructure, techData);
 
       // Extract dependencies from each file
-      await this.extractDependenciesFromFiles(filesToAnalyze, projectStructure.root);
+      await this.extractDependenciesFromFiles(filesToAnalyze, projectStructure.root || projectStructure.projectPath);
 
       // Analyze the graph
       const graphAnalysis = this.analyzeGraph();
@@ -60,6 +72,7 @@ export class DependencyAnalyzer {
         centralModules: graphAnalysis.centralModules,
         layeredStructure: graphAnalysis.layeredStructure,
         cyclesDetected: graphAnalysis.cyclesDetected,
+        cycles: graphAnalysis.cycles,
         architecturalHints: graphAnalysis.architecturalHints
       };
     } catch (error) {
@@ -76,52 +89,31 @@ export class DependencyAnalyzer {
         centralModules: [],
         layeredStructure: [],
         cyclesDetected: false,
+        cycles: [],
         architecturalHints: []
       };
     }
   }
 
   /**
-   * Get a prioritized list of files to analyze
+   * Get a representative sample of the files to analyze
    * @param {Object} projectStructure - Project structure from ProjectScanner
    * @param {Object} techData - Technology data from TechnologyAnalyzer
-   * @returns {Array} Files to analyze
+   * @returns {Array} Files to analyze, at most maxFilesToParse spread over the project
    */
   getFilesToAnalyze(projectStructure, techData) {
-    // Get all source files
-    let files = projectStructure.files || [];
-
-    // Filter out irrelevant files
-    files = files.filter(file => {
-      const ext = path.extname(file.path || file).toLowerCase();
+    const files = (projectStructure.files || []).filter(file => {
+      const ext = path.extname(file.path).toLowerCase();
       return !this.ignoredExtensions.has(ext);
     });
 
-    // Sort files by their likely importance
-    files.sort((a, b) => {
-      const fileA = typeof a === 'object' ? a.path : a;
-      const fileB = typeof b === 'object' ? b.path : b;
-
-      // Put index files and main files first
-      const nameA = path.basename(fileA).toLowerCase();
-      const nameB = path.basename(fileB).toLowerCase();
-
-      if (nameA.includes('index') && !nameB.includes('index')) return -1;
-      if (!nameA.includes('index') && nameB.includes('index')) return 1;
-      if (nameA.includes('main') && !nameB.includes('main')) return -1;
-      if (!nameA.includes('main') && nameB.includes('main')) return 1;
-
-      // Prioritize specific directories
-      const isInSrcA = fileA.includes('/src/') || fileA.includes('\\src\\');
-      const isInSrcB = fileB.includes('/src/') || fileB.includes('\\src\\');
-      if (isInSrcA && !isInSrcB) return -1;
-      if (!isInSrcA && isInSrcB) return 1;
-
-      return 0;
-    });
-
-    // Limit the number of files for performance
-    return files.slice(0, this.maxFilesToParse);
+    const sampled = FileSampler.sample(files, this.maxFilesToParse);
+    this.sampledFiles = {
+      budget: this.maxFilesToParse,
+      total: files.length,
+      files: sampled.map(file => file.relativePath || file.path)
+    };
+    return sampled;
   }
 
   /**
@@ -191,7 +183,7 @@ export class DependencyAnalyzer {
     const dependencies = new Set();
 
     // JavaScript/TypeScript import statements
-    if (['.js', '.jsx', '.ts', '.tsx'].includes(fileExtension)) {
+    if (SCRIPT_EXTENSIONS.includes(fileExtension)) {
       // ES imports
       const esImportRegex = /import\s+(?:(?:\{[^}]*\}|\*\s+as\s+\w+|\w+)\s+from\s+)?['"]([^'"]+)['"]/g;
       let match;
@@ -226,15 +218,23 @@ export class DependencyAnalyzer {
       }
 
       // From import statements
-      const fromImportRegex = /^\s*from\s+([^\s]+)\s+import/gm;
+      const fromImportRegex = /^\s*from\s+([^\s]+)\s+import\s+(?:\(([^)]*)\)|([\w \t,]*))/gm;
       while ((match = fromImportRegex.exec(content)) !== null) {
         dependencies.add(match[1]);
+
+        // `from . import views` imports the sibling module views
+        if (/^\.+$/.test(match[1])) {
+          const names = match[2] !== undefined ? match[2] : match[3];
+          for (const name of names.split(',').map(i => i.trim()).filter(Boolean)) {
+            dependencies.add(`${match[1]}${name.split(/\s+/)[0]}`);
+          }
+        }
       }
     }
 
-    // Java/Kotlin imports
+    // Java/Kotlin imports (Kotlin has no semicolons and supports aliases)
     else if (['.java', '.kt'].includes(fileExtension)) {
-      const javaImportRegex = /^\s*import\s+([^;]+);/gm;
+      const javaImportRegex = /^\s*import\s+(?:static\s+)?([\w.]+(?:\.\*)?)/gm;
       let match;
       while ((match = javaImportRegex.exec(content)) !== null) {
         dependencies.add(match[1]);
@@ -306,6 +306,189 @@ export class DependencyAnalyzer {
     return Array.from(resolvedDeps);
   }
 
+  /**
+   * Index the files of a project for resolving imports to files
+   * @param {string} projectRoot - Root directory of the project
+   * @param {Map<string, string>} contents - Absolute file path -> file content
+   * @returns {Object} Index with the known files, Java/Kotlin qualified names and C# namespaces
+   */
+  createFileIndex(projectRoot, contents) {
+    const index = {
+      projectRoot,
+      files: new Set(contents.keys()),
+      qualifiedNames: new Map(), // com.example.UserService -> file
+      packages: new Map(), // Java/Kotlin package or C# namespace -> files
+      pythonRoots: [projectRoot, path.join(projectRoot, 'src')]
+    };
+
+    const addToPackage = (name, filePath) => {
+      if (!index.packages.has(name)) {
+        index.packages.set(name, []);
+      }
+      index.packages.get(name).push(filePath);
+    };
+
+    for (const [filePath, content] of contents) {
+      const ext = path.extname(filePath).toLowerCase();
+
+      if (ext === '.java' || ext === '.kt') {
+        const packageMatch = content.match(/^\s*package\s+([\w.]+)/m);
+        const packageName = packageMatch ? packageMatch[1] : '';
+        const className = path.basename(filePath, ext);
+        index.qualifiedNames.set(packageName ? `${packageName}.${className}` : className, filePath);
+        addToPackage(packageName, filePath);
+      } else if (ext === '.cs') {
+        const namespaceRegex = /^\s*namespace\s+([\w.]+)/gm;
+        let match;
+        while ((match = namespaceRegex.exec(content)) !== null) {
+          addToPackage(match[1], filePath);
+        }
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Resolve the dependencies of a file to the project files they import.
+   * External packages and anything that does not map to a project file are left out.
+   * @param {Array} dependencies - Dependencies from extractDependenciesFromContent
+   * @param {string} currentFilePath - Absolute path of the importing file
+   * @param {Object} fileIndex - Index from createFileIndex
+   * @returns {string[]} Absolute paths of the imported files
+   */
+  resolveDependencyFiles(dependencies, currentFilePath, fileIndex) {
+    const ext = path.extname(currentFilePath).toLowerCase();
+    const resolved = new Set();
+
+    for (const dep of dependencies) {
+      let targets = [];
+
+      if (SCRIPT_EXTENSIONS.includes(ext)) {
+        targets = [this.resolveScriptImport(dep, currentFilePath, fileIndex)];
+      } else if (ext === '.py') {
+        targets = [this.resolvePythonImport(dep, currentFilePath, fileIndex)];
+      } else if (ext === '.java' || ext === '.kt') {
+        targets = this.resolveQualifiedImport(dep, fileIndex);
+      } else if (ext === '.cs') {
+        targets = this.resolveNamespaceImport(dep, fileIndex);
+      }
+
+      for (const target of targets) {
+        if (target && target !== currentFilePath) {
+          resolved.add(target);
+        }
+      }
+    }
+
+    return Array.from(resolved);
+  }
+
+  /**
+   * Resolve a relative JS/TS import, trying extensions and directory index files
+   * @param {string} dep - Import specifier
+   * @param {string} currentFilePath - Importing file
+   * @param {Object} fileIndex - Index from createFileIndex
+   * @returns {string|null} Imported file
+   */
+  resolveScriptImport(dep, currentFilePath, fileIndex) {
+    if (!dep.startsWith('.')) {
+      return null;
+    }
+
+    const basePath = path.resolve(path.dirname(currentFilePath), dep);
+    const candidates = [basePath, ...SCRIPT_EXTENSIONS.map(extension => basePath + extension)];
+
+    // TypeScript sources are imported with the extension of their compiled output
+    const compiledMatch = basePath.match(/\.(m|c)?js$/);
+    if (compiledMatch) {
+      const stem = basePath.slice(0, -compiledMatch[0].length);
+      candidates.push(`${stem}.ts`, `${stem}.tsx`, `${stem}.mts`, `${stem}.cts`);
+    }
+
+    candidates.push(...SCRIPT_EXTENSIONS.map(extension => path.join(basePath, `index${extension}`)));
+
+    return candidates.find(candidate => fileIndex.files.has(candidate)) || null;
+  }
+
+  /**
+   * Resolve a Python module path, relative (`.models`) or from the project roots
+   * @param {string} dep - Module path
+   * @param {string} currentFilePath - Importing file
+   * @param {Object} fileIndex - Index from createFileIndex
+   * @returns {string|null} Imported module file or package __init__.py
+   */
+  resolvePythonImport(dep, currentFilePath, fileIndex) {
+    let baseDirs = fileIndex.pythonRoots;
+    let modulePath = dep;
+
+    const dots = dep.match(/^\.+/);
+    if (dots) {
+      let baseDir = path.dirname(currentFilePath);
+      for (let i = 1; i < dots[0].length; i++) {
+        baseDir = path.dirname(baseDir);
+      }
+      baseDirs = [baseDir];
+      modulePath = dep.slice(dots[0].length);
+    }
+
+    const relativePath = modulePath.split('.').join(path.sep);
+    for (const baseDir of baseDirs) {
+      const candidates = [
+        `${path.join(baseDir, relativePath)}.py`,
+        path.join(baseDir, relativePath, '__init__.py')
+      ];
+      const match = candidates.find(candidate => fileIndex.files.has(candidate));
+      if (match) {
+        return match;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve a Java/Kotlin import (class, static member or wildcard) to files
+   * @param {string} dep - Qualified import
+   * @param {Object} fileIndex - Index from createFileIndex
+   * @returns {string[]} Imported files
+   */
+  resolveQualifiedImport(dep, fileIndex) {
+    if (dep.endsWith('.*')) {
+      const packageName = dep.slice(0, -2);
+      return fileIndex.packages.get(packageName) || (fileIndex.qualifiedNames.has(packageName) ? [fileIndex.qualifiedNames.get(packageName)] : []);
+    }
+
+    // Static members and nested classes live in the file of their outer class
+    const parts = dep.split('.');
+    while (parts.length > 0) {
+      const target = fileIndex.qualifiedNames.get(parts.join('.'));
+      if (target) {
+        return [target];
+      }
+      parts.pop();
+    }
+
+    return [];
+  }
+
+  /**
+   * Resolve a C# using directive to the files declaring that namespace
+   * @param {string} dep - Using directive body, e.g. `App.Services` or `Json = System.Text.Json`
+   * @param {Object} fileIndex - Index from createFileIndex
+   * @returns {string[]} Files in the namespace
+   */
+  resolveNamespaceImport(dep, fileIndex) {
+    const namespace = dep.replace(/^(global\s+)?(static\s+)?/, '').split('=').pop().trim();
+    if (fileIndex.packages.has(namespace)) {
+      return fileIndex.packages.get(namespace);
+    }
+
+    // `using static App.Services.Helpers` refers to a type inside a namespace
+    const parent = namespace.split('.').slice(0, -1).join('.');
+    return fileIndex.packages.get(parent) || [];
+  }
+
   /**
    * Generate a logical module name from a file path
    * @param {string} filePath - Path to the file
@@ -340,10 +523,13 @@ export class DependencyAnalyzer {
    * @returns {Object} Analysis results
    */
   analyzeGraph() {
+    this.cycles = this.findCycles();
+
     const analysis = {
       centralModules: this.findCentralModules(),
       layeredStructure: this.detectLayers(),
-      cyclesDetected: this.detectCycles(),
+      cyclesDetected: this.cycles.length > 0,
+      cycles: this.cycles,
       architecturalHints: []
     };
 
@@ -472,44 +658,58 @@ export class DependencyAnalyzer {
    * @returns {boolean} True if cycles are detected
    */
   detectCycles() {
-    // Simple DFS to detect cycles
+    return this.findCycles(1).length > 0;
+  }
+
+  /**
+   * Find circular dependencies in the dependency graph
+   * @param {number} limit - Maximum number of cycles to return
+   * @returns {Array<string[]>} Cycles as the modules along the import chain, the first module repeated at the end
+   */
+  findCycles(limit = MAX_REPORTED_CYCLES) {
+    const cycles = [];
+    const seen = new Set();
     const visited = new Set();
-    const recursionStack = new Set();
+    const stack = [];
+    const onStack = new Set();
 
-    const hasCycle = (module) => {
-      // Mark current node as visited and add to recursion stack
+    // DFS that records the part of the current path a back edge closes
+    const visit = (module) => {
       visited.add(module);
-      recursionStack.add(module);
+      stack.push(module);
+      onStack.add(module);
+
+      for (const dep of this.dependencyGraph.get(module) || new Set()) {
+        if (cycles.length >= limit) break;
 
-      // Check all dependencies
-      const dependencies = this.dependencyGraph.get(module) || new Set();
-      for (const dep of dependencies) {
         // Skip external dependencies
         if (!this.dependencyGraph.has(dep)) continue;
 
-        // If not visited, check if there's a cycle in its dependencies
-        if (!visited.has(dep)) {
-          if (hasCycle(dep)) return true;
-        }
-        // If the dependency is in recursion stack, we found a cycle
-        else if (recursionStack.has(dep)) {
-          return true;
+        if (onStack.has(dep)) {
+          const cycle = stack.slice(stack.indexOf(dep));
+          // The same cycle can be entered from any of its modules
+          const key = [...cycle].sort().join('\0');
+          if (!seen.has(key)) {
+            seen.add(key);
+            cycles.push([...cycle, dep]);
+          }
+        } else if (!visited.has(dep)) {
+          visit(dep);
         }
       }
 
-      // Remove from recursion stack
-      recursionStack.delete(module);
-      return false;
+      stack.pop();
+      onStack.delete(module);
     };
 
-    // Check each module
     for (const module of this.dependencyGraph.keys()) {
+      if (cycles.length >= limit) break;
       if (!visited.has(module)) {
-        if (hasCycle(module)) return true;
+        visit(module);
       }
     }
 
-    return false;
+    return cycles;
   }
 
   /**
@@ -9,17 +9,29 @@ import fs from 'fs/promises';
 import path from 'path';
 import chalk from 'chalk';
 
-// Helper functions for parsing specific file types
-import { analyzeJavaScript } from '../analyzers/javascript.js';
-import { analyzeTypeScript } from '../analyzers/typescript.js';
-import { analyzePython } from '../analyzers/python.js';
-import { analyzeSwift } from '../analyzers/swift.js';
 import { DependencyAnalyzer } from './DependencyAnalyzer.js';
+import { DEFAULT_CONCURRENCY, mapWithConcurrency } from '../utils/concurrency.js';
+import { ProjectConfig } from '../utils/project-config.js';
+import { DEFAULTS } from '../utils/constants.js';
+import { analyzerRegistry } from '../utils/analyzer-registry.js';
+import { FileSampler } from '../utils/file-sampler.js';
+
+// Named elements whose naming convention is detected
+const NAMING_CATEGORIES = ['variables', 'functions', 'classes', 'components', 'interfaces', 'types', 'enums', 'files', 'directories'];
+
+// Names an area needs in a category before its convention is compared with other areas
+const MIN_AREA_NAMES = 5;
 
 export class PatternDetector {
   constructor(options = {}) {
     this.verbose = options.verbose || false;
-    this.sampleSize = options.sampleSize || 50; // Max files to analyze per type
+    this.sampleSize = options.sampleSize || 50; // Max files to analyze per language
+    this.languageBudgets = options.languageBudgets || {}; // Max files of specific languages, e.g. { python: 20 }
+    this.scanCache = options.scanCache || null; // Reuses analyzer results of unchanged files
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY; // Files read and analyzed at once
+    this.analyzerPool = options.analyzerPool || null; // Optional worker threads for parsing
+    this.analyzerRegistry = options.analyzerRegistry || analyzerRegistry; // Language analyzers by file
+    this.detectionOverrides = options.detectionOverrides || null; // include/exclude lists of the project config
 
     // Initialize pattern storage
     this.namingConventions = {
@@ -27,13 +39,23 @@ export class PatternDetector {
       functions: {},
       classes: {},
       components: {},
+      interfaces: {},
+      types: {},
+      enums: {},
       files: {},
       directories: {}
     };
 
     this.architecturalPatterns = [];
     this.codePatterns = [];
+    this.declarations = {};
+    this.reactUsage = {};
     this.consistencyMetrics = {};
+    this.overrides = [];
+    this.sampling = {}; // Files analyzed per language, recorded in the scan report
+    this.areaRoots = []; // Workspace package paths, areas of their own
+    this.areas = new Map(); // Naming statistics per area (top-level directory or package)
+    this.areaConventions = {};
 
     // Initialize dependency analyzer
     this.dependencyAnalyzer = new DependencyAnalyzer({
@@ -46,15 +68,20 @@ export class PatternDetector {
    * Detects patterns from project structure data
    * @param {Object} projectStructure - Project structure from ProjectScanner
    * @param {Object} techData - Technology data from TechnologyAnalyzer (optional)
+   * @param {Object} workspace - Result of WorkspaceAnalyzer (optional), its packages are areas
+   *   with conventions of their own
    * @returns {Object} Detected patterns
    */
-  async detectPatterns(projectStructure, techData = {}) {
+  async detectPatterns(projectStructure, techData = {}, workspace = null) {
     if (this.verbose) {
       console.log(chalk.gray('Starting pattern detection...'));
     }
 
     // Reset pattern storage for a clean analysis
     this.resetPatternStorage();
+    this.areaRoots = (workspace?.packages || [])
+      .map(pkg => pkg.path.split(path.sep).join('/'))
+      .sort((a, b) => b.length - a.length);
 
     try {
       // Analyze naming conventions for files and directories
@@ -66,18 +93,32 @@ export class PatternDetector {
       // Analyze code samples for naming conventions and patterns
       await this.analyzeCodeSamples(projectStructure);
 
+      // Compare the conventions of the project's areas
+      this.determineAreaConventions();
+
+      // Frameworks excluded by the project config are not reported as code patterns either
+      this.codePatterns = this.codePatterns.filter(pattern =>
+        !ProjectConfig.isExcluded(this.detectionOverrides, 'frameworks', pattern)
+      );
+
       // Calculate consistency metrics
       this.calculateConsistencyMetrics();
 
       // Return combined pattern detection results
       return {
         namingConventions: this.namingConventions,
+        areaConventions: this.areaConventions,
         architecturalPatterns: this.architecturalPatterns,
         codePatterns: this.codePatterns,
+        declarations: this.declarations,
+        reactUsage: this.reactUsage,
         consistencyMetrics: this.consistencyMetrics,
+        overrides: this.overrides,
+        sampling: { ...this.sampling, dependencyGraph: this.dependencyAnalyzer.sampledFiles },
         dependencyInsights: {
           moduleCount: this.dependencyAnalyzer.dependencyGraph?.size || 0,
-          edgeCount: this.dependencyAnalyzer.countEdges ? this.dependencyAnalyzer.countEdges() : 0
+          edgeCount: this.dependencyAnalyzer.countEdges ? this.dependencyAnalyzer.countEdges() : 0,
+          cycles: this.dependencyAnalyzer.cycles || []
         }
       };
     } catch (error) {
@@ -94,19 +135,58 @@ export class PatternDetector {
    */
   resetPatternStorage() {
     // Reset naming conventions
-    this.namingConventions = {
-      variables: { patterns: {}, total: 0, dominant: null },
-      functions: { patterns: {}, total: 0, dominant: null },
-      classes: { patterns: {}, total: 0, dominant: null },
-      components: { patterns: {}, total: 0, dominant: null },
-      files: { patterns: {}, total: 0, dominant: null },
-      directories: { patterns: {}, total: 0, dominant: null }
-    };
+    this.namingConventions = this.createNamingConventions();
+    this.namingConventions.interfaces.prefixed = 0;
+    this.namingConventions.interfaces.prefix = null;
+    this.areas = new Map();
+    this.areaConventions = { divergent: [], areas: [] };
 
     // Reset other patterns
     this.architecturalPatterns = [];
     this.codePatterns = [];
+    this.declarations = { decorators: {}, exports: {} };
+    this.reactUsage = { hooks: {}, customHooks: [], propPatterns: {} };
     this.consistencyMetrics = {};
+    this.overrides = [];
+    this.sampling = { strategy: 'stratified', languages: {}, dependencyGraph: null };
+  }
+
+  /**
+   * @returns {Object} Empty naming statistics for every category
+   */
+  createNamingConventions() {
+    return Object.fromEntries(NAMING_CATEGORIES.map(category => [category, { patterns: {}, total: 0, dominant: null }]));
+  }
+
+  /**
+   * Area of a file or directory: the workspace package containing it, else its top-level directory
+   * @param {Object} entry - File or directory info from ProjectScanner
+   * @returns {string|null} Area path, null for entries in the project root
+   */
+  areaOf(entry) {
+    const relativePath = (entry.relativePath || '').split(path.sep).join('/');
+    const root = this.areaRoots.find(areaRoot => relativePath.startsWith(`${areaRoot}/`));
+    if (root) return root;
+
+    // Package directories and the directories holding them (apps/, packages/) belong to no area
+    if (this.areaRoots.some(areaRoot => areaRoot === relativePath || areaRoot.startsWith(`${relativePath}/`))) {
+      return null;
+    }
+
+    const separator = relativePath.indexOf('/');
+    return separator > 0 ? relativePath.slice(0, separator) : null;
+  }
+
+  /**
+   * Naming statistics of an area, created on first use
+   * @param {string} areaPath - Area path
+   * @returns {Object} { path, fileCount, namingConventions }
+   */
+  getArea(areaPath) {
+    if (!this.areas.has(areaPath)) {
+      this.areas.set(areaPath, { path: areaPath, fileCount: 0, namingConventions: this.createNamingConventions() });
+    }
+    return this.areas.get(areaPath);
   }
 
   /**
@@ -121,12 +201,14 @@ export class PatternDetector {
     // Analyze file naming
     for (const file of projectStructure.files) {
       const name = path.basename(file.name, path.extname(file.name));
-      this.analyzeNamingConvention(name, 'files');
+      const area = this.areaOf(file);
+      if (area) this.getArea(area).fileCount++;
+      this.analyzeNamingConvention(name, 'files', area);
     }
 
     // Analyze directory naming
     for (const dir of projectStructure.directories) {
-      this.analyzeNamingConvention(dir.name, 'directories');
+      this.analyzeNamingConvention(dir.name, 'directories', this.areaOf(dir));
     }
 
     // Determine dominant conventions
@@ -147,8 +229,9 @@ export class PatternDetector {
    * Determines the naming convention used for a given name
    * @param {string} name - The name to analyze
    * @param {string} category - Category for storing results (files, directories, etc.)
+   * @param {string|null} area - Area the name belongs to, counted for the area too
    */
-  analyzeNamingConvention(name, category) {
+  analyzeNamingConvention(name, category, area = null) {
     // Skip empty names
     if (!name) return;
 
@@ -181,17 +264,23 @@ export class PatternDetector {
     }
 
     // Update naming convention statistics
-    const stats = this.namingConventions[category];
-    stats.patterns[convention] = (stats.patterns[convention] || 0) + 1;
-    stats.total++;
+    const statistics = [this.namingConventions[category]];
+    if (area) {
+      statistics.push(this.getArea(area).namingConventions[category]);
+    }
+    for (const stats of statistics) {
+      stats.patterns[convention] = (stats.patterns[convention] || 0) + 1;
+      stats.total++;
+    }
   }
 
   /**
    * Determines the dominant convention for a naming category
    * @param {string} category - Category to analyze (files, directories, etc.)
+   * @param {Object} conventions - Naming statistics to update, the project's by default
    */
-  determineDominantConvention(category) {
-    const stats = this.namingConventions[category];
+  determineDominantConvention(category, conventions = this.namingConventions) {
+    const stats = conventions[category];
     if (stats.total === 0) return;
 
     let dominant = 'unknown';
@@ -216,6 +305,43 @@ export class PatternDetector {
     stats.dominant = dominant;
   }
 
+  /**
+   * Determines the conventions of every area and the categories in which areas disagree.
+   * Where they agree, the project-wide convention applies everywhere.
+   */
+  determineAreaConventions() {
+    const areas = [...this.areas.values()].sort((a, b) => (a.path < b.path ? -1 : 1));
+    for (const area of areas) {
+      NAMING_CATEGORIES.forEach(category => this.determineDominantConvention(category, area.namingConventions));
+    }
+
+    // Areas with enough names of a category and a clear convention for it
+    const settled = (area, category) => {
+      const stats = area.namingConventions[category];
+      return stats.total >= MIN_AREA_NAMES && !['mixed', 'unknown'].includes(stats.dominant);
+    };
+
+    const divergent = NAMING_CATEGORIES.filter(category =>
+      new Set(areas.filter(area => settled(area, category)).map(area => area.namingConventions[category].dominant)).size > 1
+    );
+
+    this.areaConventions = {
+      divergent,
+      areas: areas.map(area => ({
+        path: area.path,
+        fileCount: area.fileCount,
+        namingConventions: Object.fromEntries(
+          Object.entries(area.namingConventions).filter(([, stats]) => stats.total > 0)
+        ),
+        divergent: divergent.filter(category => settled(area, category))
+      }))
+    };
+
+    if (this.verbose && divergent.length > 0) {
+      console.log(chalk.gray(`Naming conventions differ between areas for: ${divergent.join(', ')}`));
+    }
+  }
+
   /**
    * Detects architectural patterns based on directory structure and code dependencies
    * @param {Object} projectStructure - Project structure data
@@ -235,6 +361,9 @@ export class PatternDetector {
     // Merge and reconcile pattern detections
     this.reconcilePatternDetections();
 
+    // Apply the include/exclude lists of the project config
+    this.applyPatternOverrides();
+
     // Sort patterns by confidence score
     this.architecturalPatterns.sort((a, b) => b.confidence - a.confidence);
 
@@ -249,85 +378,138 @@ export class PatternDetector {
    */
   detectDirectoryBasedPatterns(projectStructure) {
     // MVC Pattern Detection
-    const mvcScore = this.detectMVCPattern(projectStructure);
+    const mvcEvidence = [];
+    const mvcScore = this.detectMVCPattern(projectStructure, mvcEvidence);
     if (mvcScore > 60) {
       this.architecturalPatterns.push({
         name: 'MVC',
         confidence: mvcScore,
         description: 'Model-View-Controller pattern separating data, UI, and application logic.',
-        source: 'directory-structure'
+        source: 'directory-structure',
+        evidence: mvcEvidence
       });
     }
 
     // MVVM Pattern Detection
-    const mvvmScore = this.detectMVVMPattern(projectStructure);
+    const mvvmEvidence = [];
+    const mvvmScore = this.detectMVVMPattern(projectStructure, mvvmEvidence);
     if (mvvmScore > 60) {
       this.architecturalPatterns.push({
         name: 'MVVM',
         confidence: mvvmScore,
         description: 'Model-View-ViewModel pattern with data binding between View and ViewModel.',
-        source: 'directory-structure'
+        source: 'directory-structure',
+        evidence: mvvmEvidence
       });
     }
 
     // Clean Architecture / Layered Pattern Detection
-    const layeredScore = this.detectLayeredPattern(projectStructure);
+    const layeredEvidence = [];
+    const layeredScore = this.detectLayeredPattern(projectStructure, layeredEvidence);
     if (layeredScore > 60) {
       this.architecturalPatterns.push({
         name: 'Layered Architecture',
         confidence: layeredScore,
         description: 'Layered architecture with clear separation of concerns between layers.',
-        source: 'directory-structure'
+        source: 'directory-structure',
+        evidence: layeredEvidence
       });
     }
 
     // Microservices Pattern Detection
-    const microservicesScore = this.detectMicroservicesPattern(projectStructure);
+    const microservicesEvidence = [];
+    const microservicesScore = this.detectMicroservicesPattern(projectStructure, microservicesEvidence);
     if (microservicesScore > 60) {
       this.architecturalPatterns.push({
         name: 'Microservices',
         confidence: microservicesScore,
         description: 'Microservices architecture with multiple independent services.',
-        source: 'directory-structure'
+        source: 'directory-structure',
+        evidence: microservicesEvidence
       });
     }
 
     // Feature-based Pattern Detection
-    const featureBasedScore = this.detectFeatureBasedPattern(projectStructure);
+    const featureBasedEvidence = [];
+    const featureBasedScore = this.detectFeatureBasedPattern(projectStructure, featureBasedEvidence);
     if (featureBasedScore > 60) {
       this.architecturalPatterns.push({
         name: 'Feature-based',
         confidence: featureBasedScore,
         description: 'Feature-based organization with code grouped by feature rather than technical layer.',
-        source: 'directory-structure'
+        source: 'directory-structure',
+        evidence: featureBasedEvidence
       });
     }
   }
 
+  /**
+   * Finds the first directory with one of the given names
+   * @param {Object} projectStructure - Project structure data
+   * @param {string[]} names - Lowercase directory names
+   * @returns {string|null} Relative path of the directory
+   */
+  findDirectory(projectStructure, names) {
+    const directory = projectStructure.directories.find(d => names.includes(d.name.toLowerCase()));
+    return directory ? directory.relativePath || directory.path : null;
+  }
+
+  /**
+   * Finds the files whose lowercase name without extension matches a predicate
+   * @param {Object} projectStructure - Project structure data
+   * @param {Function} predicate - Test for the file basename
+   * @returns {string[]} Relative paths of the matching files
+   */
+  filesWithBasename(projectStructure, predicate) {
+    return projectStructure.files
+      .filter(f => predicate(path.basename(f.name, path.extname(f.name)).toLowerCase()))
+      .map(f => f.relativePath || f.path);
+  }
+
+  /**
+   * Records the evidence of one pattern indicator, a directory or a group of files
+   * @param {Object[]} evidence - Evidence list of the pattern (modified in place)
+   * @param {string} type - 'directory' or 'files'
+   * @param {string|string[]} value - Directory path or matching file names
+   * @param {number} weight - Points the indicator adds to the pattern score
+   */
+  addPatternEvidence(evidence, type, value, weight) {
+    if (Array.isArray(value)) {
+      evidence.push({ type, value: value[0], weight, detail: `${value.length} matching files` });
+    } else {
+      evidence.push({ type, value, weight });
+    }
+  }
+
   /**
    * Detects MVC pattern indicators
    * @param {Object} projectStructure - Project structure data
+   * @param {Object[]} [evidence] - Receives the directories and files that matched
    * @returns {number} Confidence score (0-100)
    */
-  detectMVCPattern(projectStructure) {
-    const dirNames = projectStructure.directories.map(d => d.name.toLowerCase());
-
+  detectMVCPattern(projectStructure, evidence = []) {
     let score = 0;
 
     // Look for model/view/controller directories
-    if (dirNames.includes('models') || dirNames.includes('model')) score += 30;
-    if (dirNames.includes('views') || dirNames.includes('view')) score += 30;
-    if (dirNames.includes('controllers') || dirNames.includes('controller')) score += 30;
+    for (const names of [['models', 'model'], ['views', 'view'], ['controllers', 'controller']]) {
+      const directory = this.findDirectory(projectStructure, names);
+      if (directory) {
+        score += 30;
+        this.addPatternEvidence(evidence, 'directory', directory, 30);
+      }
+    }
 
     // Look for files with these names
-    const fileBasenames = projectStructure.files.map(f => path.basename(f.name, path.extname(f.name)).toLowerCase());
-    const modelFiles = fileBasenames.filter(name => name.endsWith('model') || name.endsWith('models'));
-    const viewFiles = fileBasenames.filter(name => name.endsWith('view') || name.endsWith('views'));
-    const controllerFiles = fileBasenames.filter(name => name.endsWith('controller') || name.endsWith('controllers'));
-
-    if (modelFiles.length > 0) score += 15;
-    if (viewFiles.length > 0) score += 15;
-    if (controllerFiles.length > 0) score += 15;
+    const modelFiles = this.filesWithBasename(projectStructure, name => name.endsWith('model') || name.endsWith('models'));
+    const viewFiles = this.filesWithBasename(projectStructure, name => name.endsWith('view') || name.endsWith('views'));
+    const controllerFiles = this.filesWithBasename(projectStructure, name => name.endsWith('controller') || name.endsWith('controllers'));
+
+    for (const files of [modelFiles, viewFiles, controllerFiles]) {
+      if (files.length > 0) {
+        score += 15;
+        this.addPatternEvidence(evidence, 'files', files, 15);
+      }
+    }
 
     // Cap at 100%
     return Math.min(score, 100);
@@ -336,30 +518,35 @@ export class PatternDetector {
   /**
    * Detects MVVM pattern indicators
    * @param {Object} projectStructure - Project structure data
+   * @param {Object[]} [evidence] - Receives the directories and files that matched
    * @returns {number} Confidence score (0-100)
    */
-  detectMVVMPattern(projectStructure) {
-    const dirNames = projectStructure.directories.map(d => d.name.toLowerCase());
-
+  detectMVVMPattern(projectStructure, evidence = []) {
     let score = 0;
 
     // Look for model/view/viewmodel directories
-    if (dirNames.includes('models') || dirNames.includes('model')) score += 25;
-    if (dirNames.includes('views') || dirNames.includes('view')) score += 25;
-    if (dirNames.includes('viewmodels') || dirNames.includes('viewmodel')) score += 40;
+    for (const [names, points] of [[['models', 'model'], 25], [['views', 'view'], 25], [['viewmodels', 'viewmodel'], 40]]) {
+      const directory = this.findDirectory(projectStructure, names);
+      if (directory) {
+        score += points;
+        this.addPatternEvidence(evidence, 'directory', directory, points);
+      }
+    }
 
     // Look for files with these names
-    const fileBasenames = projectStructure.files.map(f => path.basename(f.name, path.extname(f.name)).toLowerCase());
-    const modelFiles = fileBasenames.filter(name => name.endsWith('model') || name.endsWith('models'));
-    const viewFiles = fileBasenames.filter(name => name.endsWith('view') || name.endsWith('views'));
-    const viewModelFiles = fileBasenames.filter(name =>
+    const modelFiles = this.filesWithBasename(projectStructure, name => name.endsWith('model') || name.endsWith('models'));
+    const viewFiles = this.filesWithBasename(projectStructure, name => name.endsWith('view') || name.endsWith('views'));
+    const viewModelFiles = this.filesWithBasename(projectStructure, name =>
       name.endsWith('viewmodel') || name.endsWith('viewmodels') ||
       name.includes('_vm') || name.includes('-vm')
     );
 
-    if (modelFiles.length > 0) score += 10;
-    if (viewFiles.length > 0) score += 10;
-    if (viewModelFiles.length > 0) score += 20;
+    for (const [files, points] of [[modelFiles, 10], [viewFiles, 10], [viewModelFiles, 20]]) {
+      if (files.length > 0) {
+        score += points;
+        this.addPatternEvidence(evidence, 'files', files, points);
+      }
+    }
 
     // Cap at 100%
     return Math.min(score, 100);
@@ -368,11 +555,10 @@ export class PatternDetector {
   /**
    * Detects layered architecture pattern indicators
    * @param {Object} projectStructure - Project structure data
+   * @param {Object[]} [evidence] - Receives the directories and files that matched
    * @returns {number} Confidence score (0-100)
    */
-  detectLayeredPattern(projectStructure) {
-    const dirNames = projectStructure.directories.map(d => d.name.toLowerCase());
-
+  detectLayeredPattern(projectStructure, evidence = []) {
     let score = 0;
 
     // Check for various layer names
@@ -383,20 +569,25 @@ export class PatternDetector {
     ];
 
     for (const layer of layerNames) {
-      if (dirNames.includes(layer)) score += 15;
+      const directory = this.findDirectory(projectStructure, [layer]);
+      if (directory) {
+        score += 15;
+        this.addPatternEvidence(evidence, 'directory', directory, 15);
+      }
     }
 
     // Check for common patterns in filenames
-    const fileBasenames = projectStructure.files.map(f => path.basename(f.name, path.extname(f.name)).toLowerCase());
-    const repositoryFiles = fileBasenames.filter(name => name.endsWith('repository') || name.includes('repo'));
-    const serviceFiles = fileBasenames.filter(name => name.endsWith('service'));
-    const entityFiles = fileBasenames.filter(name => name.endsWith('entity'));
-    const dtoFiles = fileBasenames.filter(name => name.endsWith('dto'));
-
-    if (repositoryFiles.length > 0) score += 10;
-    if (serviceFiles.length > 0) score += 10;
-    if (entityFiles.length > 0) score += 10;
-    if (dtoFiles.length > 0) score += 10;
+    const repositoryFiles = this.filesWithBasename(projectStructure, name => name.endsWith('repository') || name.includes('repo'));
+    const serviceFiles = this.filesWithBasename(projectStructure, name => name.endsWith('service'));
+    const entityFiles = this.filesWithBasename(projectStructure, name => name.endsWith('entity'));
+    const dtoFiles = this.filesWithBasename(projectStructure, name => name.endsWith('dto'));
+
+    for (const files of [repositoryFiles, serviceFiles, entityFiles, dtoFiles]) {
+      if (files.length > 0) {
+        score += 10;
+        this.addPatternEvidence(evidence, 'files', files, 10);
+      }
+    }
 
     // Cap at 100%
     return Math.min(score, 100);
@@ -405,16 +596,17 @@ export class PatternDetector {
   /**
    * Detects microservices architecture pattern indicators
    * @param {Object} projectStructure - Project structure data
+   * @param {Object[]} [evidence] - Receives the directories and files that matched
    * @returns {number} Confidence score (0-100)
    */
-  detectMicroservicesPattern(projectStructure) {
-    const dirNames = projectStructure.directories.map(d => d.name.toLowerCase());
-
+  detectMicroservicesPattern(projectStructure, evidence = []) {
     let score = 0;
 
     // Check for services, apis, or microservices directory
-    if (dirNames.includes('services') || dirNames.includes('apis') || dirNames.includes('microservices')) {
+    const servicesDirectory = this.findDirectory(projectStructure, ['services', 'apis', 'microservices']);
+    if (servicesDirectory) {
       score += 40;
+      this.addPatternEvidence(evidence, 'directory', servicesDirectory, 40);
     }
 
     // Check for multiple API/service directories
@@ -425,6 +617,12 @@ export class PatternDetector {
 
     if (servicesDirs.length >= 3) {
       score += 30; // Multiple services indicates microservices architecture
+      evidence.push({
+        type: 'directory',
+        value: servicesDirs.slice(0, 3).map(d => d.relativePath || d.path).join(', '),
+        weight: 30,
+        detail: `${servicesDirs.length} service or API directories`
+      });
     }
 
     // Check for Docker/Kubernetes configuration
@@ -438,8 +636,12 @@ export class PatternDetector {
       f.extension === 'yaml' && f.name.toLowerCase().includes('deployment')
     );
 
-    if (dockerFiles.length > 0) score += 15;
-    if (k8sFiles.length > 0) score += 15;
+    for (const files of [dockerFiles, k8sFiles]) {
+      if (files.length > 0) {
+        score += 15;
+        this.addPatternEvidence(evidence, 'files', files.map(f => f.relativePath || f.path), 15);
+      }
+    }
 
     // Cap at 100%
     return Math.min(score, 100);
@@ -448,16 +650,17 @@ export class PatternDetector {
   /**
    * Detects feature-based architecture pattern indicators
    * @param {Object} projectStructure - Project structure data
+   * @param {Object[]} [evidence] - Receives the directories and files that matched
    * @returns {number} Confidence score (0-100)
    */
-  detectFeatureBasedPattern(projectStructure) {
-    const dirNames = projectStructure.directories.map(d => d.name.toLowerCase());
-
+  detectFeatureBasedPattern(projectStructure, evidence = []) {
     let score = 0;
 
     // Check for features or modules directory
-    if (dirNames.includes('features') || dirNames.includes('modules')) {
+    const featuresDirectory = this.findDirectory(projectStructure, ['features', 'modules']);
+    if (featuresDirectory) {
       score += 50;
+      this.addPatternEvidence(evidence, 'directory', featuresDirectory, 50);
     }
 
     // Check if feature directories contain multiple technical aspects
@@ -469,6 +672,12 @@ export class PatternDetector {
 
     if (featureDirs.length >= 2) {
       score += 30; // Multiple feature directories is a strong indicator
+      evidence.push({
+        type: 'directory',
+        value: featureDirs.slice(0, 3).map(d => d.relativePath || d.path).join(', '),
+        weight: 30,
+        detail: `${featureDirs.length} feature directories`
+      });
     }
 
     // Check for feature-specific files
@@ -479,6 +688,7 @@ export class PatternDetector {
 
     if (featureSpecificFiles.length > 10) {
       score += 20; // Significant number of files in feature directories
+      this.addPatternEvidence(evidence, 'files', featureSpecificFiles.map(f => f.relativePath || f.path), 20);
     }
 
     // Cap at 100%
@@ -517,7 +727,8 @@ export class PatternDetector {
           name: hint.pattern,
           confidence: hint.confidence,
           description: hint.evidence,
-          source: 'dependency-analysis'
+          source: 'dependency-analysis',
+          evidence: [{ type: 'import-graph', value: hint.evidence, weight: hint.confidence }]
         });
       }
 
@@ -530,6 +741,12 @@ export class PatternDetector {
           confidence: Math.min(60 + (layerCount * 10), 90), // More layers increase confidence
           description: `Detected ${layerCount} distinct layers in code dependencies with clear separation.`,
           source: 'dependency-analysis',
+          evidence: dependencyAnalysis.layeredStructure.map(l => ({
+            type: 'import-graph',
+            value: l.name,
+            weight: 10,
+            detail: `layer with ${l.modules.length} modules`
+          })),
           details: {
             layers: dependencyAnalysis.layeredStructure.map(l => ({
               name: l.name,
@@ -584,7 +801,8 @@ export class PatternDetector {
         ),
         description: patterns.map(p => p.description).join(' '),
         source: patterns.map(p => p.source).join('+'),
-        detectionCount: patterns.length
+        detectionCount: patterns.length,
+        evidence: patterns.flatMap(p => p.evidence || [])
       };
 
       // Merge any additional details
@@ -601,6 +819,47 @@ export class PatternDetector {
     });
   }
 
+  /**
+   * Applies the include/exclude lists of the project config to the architectural
+   * patterns and records every override for the scan report
+   */
+  applyPatternOverrides() {
+    if (!this.detectionOverrides) {
+      return;
+    }
+
+    const detected = this.architecturalPatterns.map(pattern => pattern.name);
+    const { excluded, included, unmatched } = ProjectConfig.applyOverrides(detected, this.detectionOverrides, 'patterns');
+
+    // Excluded patterns keep their evidence in the report to show what was overridden
+    for (const name of excluded) {
+      const pattern = this.architecturalPatterns.find(p => p.name === name);
+      this.overrides.push({
+        category: 'patterns',
+        name,
+        action: 'exclude',
+        applied: true,
+        detection: { name, confidence: pattern.confidence, evidence: pattern.evidence || [] }
+      });
+    }
+    this.architecturalPatterns = this.architecturalPatterns.filter(pattern => !excluded.includes(pattern.name));
+
+    for (const name of included) {
+      this.architecturalPatterns.push({
+        name,
+        confidence: 100,
+        description: `Declared in ${DEFAULTS.PROJECT_CONFIG_FILE}.`,
+        source: 'project-config',
+        evidence: [{ type: 'override', value: DEFAULTS.PROJECT_CONFIG_FILE, weight: 100 }]
+      });
+      this.overrides.push({ category: 'patterns', name, action: 'include', applied: true });
+    }
+
+    for (const { action, name } of unmatched) {
+      this.overrides.push({ category: 'patterns', name, action, applied: false });
+    }
+  }
+
   /**
    * Analyzes code samples for naming conventions and patterns
    * @param {Object} projectStructure - Project structure data
@@ -610,149 +869,43 @@ export class PatternDetector {
       console.log(chalk.gray('Analyzing code samples for patterns...'));
     }
 
-    // Group files by type for analysis
-    const filesByType = {};
-
-    // Instead of using projectStructure.fileTypes which is an object with counts,
-    // we'll create filesByType from the actual files array
-    for (const file of projectStructure.files) {
-      const type = file.type || 'unknown';
-      if (!filesByType[type]) {
-        filesByType[type] = [];
-      }
-      filesByType[type].push(file);
-    }
-
-    // Set up language-specific analyzers with correct mapping
-    const analyzers = {
-      // JavaScript family
-      'javascript': analyzeJavaScript,
-      'javascript-react': analyzeJavaScript,
-      'jsx': analyzeJavaScript,
-      'js': analyzeJavaScript,
-
-      // TypeScript family - use TypeScript analyzer
-      'typescript': analyzeTypeScript,
-      'typescript-react': analyzeTypeScript,
-      'tsx': analyzeTypeScript,
-      'ts': analyzeTypeScript,
-
-      // Other languages
-      'python': analyzePython,
-      'py': analyzePython,
-      'swift': analyzeSwift
-    };
-
-    // Track files analyzed
+    // Group the files by the language of their analyzer
+    const filesByLanguage = {};
     let totalFilesAnalyzed = 0;
     let skippedFiles = 0;
 
-    // These are the file types we know how to analyze
-    const knownCodeTypes = [
-      'javascript', 'javascript-react', 'jsx', 'js',
-      'typescript', 'typescript-react', 'tsx', 'ts',
-      'python', 'py', 'swift'
-    ];
-
-    // Analyze samples of each supported language
-    for (const [type, files] of Object.entries(filesByType)) {
-      // Special handling for TypeScript files - always process with TypeScript analyzer
-      const tsExtensions = ['.ts', '.tsx'];
-      const isTypeScript = files.some(file => tsExtensions.some(ext => file.path.endsWith(ext)));
-      if (isTypeScript) {
-        // For TypeScript files, always use TypeScript analyzer
-        const analyzer = analyzeTypeScript;
-        await this.analyzeFilesWithAnalyzer(files, analyzer, totalFilesAnalyzed, skippedFiles);
-        continue;
-      }
-
-      // Skip non-source code files and unknown types
-      const isKnownType = knownCodeTypes.some(knownType => type.includes(knownType));
-      if (!isKnownType) {
-        skippedFiles += files.length;
-        continue;
-      }
-
-      // Get the appropriate analyzer for this file type
-      const analyzer = this.getAnalyzerForType(type, analyzers);
+    for (const file of projectStructure.files) {
+      const analyzer = this.analyzerRegistry.forFile(file);
       if (!analyzer) {
-        if (this.verbose) {
-          console.warn(chalk.yellow(`No analyzer found for file type: ${type}`));
-        }
-        skippedFiles += files.length;
+        skippedFiles++;
         continue;
       }
+      if (!filesByLanguage[analyzer.language]) {
+        filesByLanguage[analyzer.language] = [];
+      }
+      filesByLanguage[analyzer.language].push({ file, analyzer });
+    }
 
-      // Sample files for analysis (to avoid analyzing too many files)
-      const sampleSize = Math.min(this.sampleSize, files.length);
-      const sampleFiles = files.slice(0, sampleSize);
+    // Analyze a sample of each language, spread over directories, file sizes and ages
+    for (const language of Object.keys(filesByLanguage).sort()) {
+      const entries = filesByLanguage[language];
+      const budget = this.languageBudgets[language] || this.sampleSize;
+      const analyzers = new Map(entries.map(({ file, analyzer }) => [file, analyzer]));
+      const sampleFiles = FileSampler.sample(entries.map(({ file }) => file), budget);
+
+      this.sampling.languages[language] = {
+        budget,
+        total: entries.length,
+        files: sampleFiles.map(file => file.relativePath || file.path)
+      };
 
       if (this.verbose) {
-        console.log(chalk.gray(`Analyzing ${sampleFiles.length} ${type} files...`));
+        console.log(chalk.gray(`Analyzing ${sampleFiles.length} of ${entries.length} ${language} files...`));
       }
 
-      // Analyze each file in the sample
-      for (const file of sampleFiles) {
-        try {
-          const content = await fs.readFile(file.path, 'utf8');
-
-          // Determine the analyzer based on file extension first, then fallback to type
-          const fileExt = path.extname(file.path).toLowerCase().substring(1);
-          let fileAnalyzer = null;
-
-          // Map file extensions directly to analyzers
-          const extensionMap = {
-            'ts': analyzeTypeScript,
-            'tsx': analyzeTypeScript,
-            'js': analyzeJavaScript,
-            'jsx': analyzeJavaScript,
-            'json': null, // Don't try to analyze JSON with JS parser
-            'py': analyzePython,
-            'swift': analyzeSwift
-          };
-
-          // Use extension-based analyzer if available, otherwise fallback to type-based
-          if (extensionMap[fileExt] !== undefined) {
-            fileAnalyzer = extensionMap[fileExt];
-          } else {
-            fileAnalyzer = analyzer;
-          }
-
-          // Skip analysis if no analyzer is available (e.g., for JSON files)
-          if (!fileAnalyzer) {
-            if (this.verbose) {
-              console.log(chalk.gray(`Skipping analysis for ${fileExt} file: ${file.path}`));
-            }
-            continue;
-          }
-
-          const analysis = await fileAnalyzer(content, file.path);
-          totalFilesAnalyzed++;
-
-          // Update naming conventions with analysis results
-          this.updateNamingConventions('variables', analysis.variables);
-          this.updateNamingConventions('functions', analysis.functions);
-          this.updateNamingConventions('classes', analysis.classes);
-
-          // If analyzing React components, update component naming
-          if (type.includes('react') || file.path.includes('.jsx') || file.path.includes('.tsx')) {
-            this.updateNamingConventions('components', analysis.components || []);
-          }
-
-          // Track code patterns
-          if (analysis.patterns && analysis.patterns.length > 0) {
-            for (const pattern of analysis.patterns) {
-              if (!this.codePatterns.includes(pattern)) {
-                this.codePatterns.push(pattern);
-              }
-            }
-          }
-        } catch (error) {
-          if (this.verbose) {
-            console.warn(chalk.yellow(`Error analyzing file ${file.path}: ${error.message}`));
-          }
-        }
-      }
+      const counts = await this.analyzeEntries(sampleFiles.map(file => ({ file, analyzer: analyzers.get(file) })));
+      totalFilesAnalyzed += counts.analyzed;
+      skippedFiles += counts.skipped;
     }
 
     if (this.verbose) {
@@ -764,6 +917,13 @@ export class PatternDetector {
     this.determineDominantConvention('functions');
     this.determineDominantConvention('classes');
     this.determineDominantConvention('components');
+    this.determineDominantConvention('interfaces');
+    this.determineDominantConvention('types');
+    this.determineDominantConvention('enums');
+
+    // Interfaces named IUser rather than User
+    const interfaces = this.namingConventions.interfaces;
+    interfaces.prefix = interfaces.total > 0 && interfaces.prefixed / interfaces.total >= 0.6 ? 'I' : null;
 
     if (this.verbose) {
       if (this.namingConventions.variables.dominant) {
@@ -778,94 +938,142 @@ export class PatternDetector {
     }
   }
 
+  /**
+   * Runs an analyzer on a file, reusing the cached result when the file is unchanged
+   * @param {Object} file - File info from ProjectScanner
+   * @param {Object} analyzer - AnalyzerDefinition from the analyzer registry
+   * @returns {Object} Analysis result
+   */
+  async runAnalyzer(file, analyzer) {
+    let content;
+
+    if (this.scanCache) {
+      const cached = await this.scanCache.lookup(file, analyzer.name);
+      if (cached.hit) {
+        return cached.analysis;
+      }
+      content = cached.content;
+    }
+
+    if (content === undefined) {
+      content = await fs.readFile(file.path, 'utf8');
+    }
+
+    const analysis = this.analyzerPool && this.analyzerPool.supports(analyzer)
+      ? await this.analyzerPool.run(analyzer, content, file.path)
+      : await this.analyzerRegistry.run(analyzer.name, content, file.path);
+    if (this.scanCache) {
+      this.scanCache.store(file, analyzer.name, analysis, content);
+    }
+    return analysis;
+  }
+
   /**
    * Updates naming convention statistics for a given category
    * @param {string} category - The category (variables, functions, classes, etc.)
    * @param {Array} names - Array of names to analyze
+   * @param {string|null} area - Area of the file the names come from
    */
-  updateNamingConventions(category, names) {
+  updateNamingConventions(category, names, area = null) {
     if (!names || names.length === 0) return;
 
     for (const name of names) {
-      this.analyzeNamingConvention(name, category);
+      this.analyzeNamingConvention(name, category, area);
     }
   }
 
   /**
-   * Gets the appropriate analyzer function for the given file type
+   * Counts the decorators used and the exports by kind of an analyzed file
+   * @param {Object} analysis - Analyzer result with optional decorators, exports and interfaces
    */
-  getAnalyzerForType(fileType, analyzers) {
-    const type = fileType.toLowerCase();
-
-    // Direct match
-    if (analyzers[type]) return analyzers[type];
+  recordDeclarations(analysis) {
+    for (const decorator of analysis.decorators || []) {
+      this.declarations.decorators[decorator] = (this.declarations.decorators[decorator] || 0) + 1;
+    }
 
-    // Partial match
-    for (const [key, analyzer] of Object.entries(analyzers)) {
-      if (type.includes(key)) return analyzer;
+    for (const { kind } of analysis.exports || []) {
+      this.declarations.exports[kind] = (this.declarations.exports[kind] || 0) + 1;
     }
 
-    return null;
+    this.namingConventions.interfaces.prefixed += (analysis.interfaces || []).filter(name => /^I[A-Z]/.test(name)).length;
   }
 
   /**
-   * Analyzes a set of files with the specified analyzer
-   * @param {Array} files - Files to analyze
-   * @param {Function} analyzer - Analyzer function to use
-   * @param {number} totalFilesAnalyzed - Reference to track total files analyzed
-   * @param {number} skippedFiles - Reference to track skipped files
+   * Counts the files using each React hook and props pattern, and collects the custom hooks
+   * @param {Object} analysis - Analyzer result with optional hooks, customHooks and propPatterns
    */
-  async analyzeFilesWithAnalyzer(files, analyzer, totalFilesAnalyzed, skippedFiles) {
-    // Sample files for analysis (to avoid analyzing too many files)
-    const sampleSize = Math.min(this.sampleSize, files.length);
-    const sampleFiles = files.slice(0, sampleSize);
-
-    if (this.verbose) {
-      console.log(chalk.gray(`Analyzing ${sampleFiles.length} files with specialized analyzer...`));
+  recordReactUsage(analysis) {
+    for (const hook of analysis.hooks || []) {
+      this.reactUsage.hooks[hook] = (this.reactUsage.hooks[hook] || 0) + 1;
     }
 
-    // Analyze each file in the sample
-    for (const file of sampleFiles) {
-      try {
-        const content = await fs.readFile(file.path, 'utf8');
+    for (const pattern of analysis.propPatterns || []) {
+      this.reactUsage.propPatterns[pattern] = (this.reactUsage.propPatterns[pattern] || 0) + 1;
+    }
 
-        // Skip analysis if no analyzer is available
-        if (!analyzer) {
-          if (this.verbose) {
-            console.log(chalk.gray(`No analyzer available for file: ${file.path}`));
-          }
-          skippedFiles++;
-          continue;
-        }
+    for (const hook of analysis.customHooks || []) {
+      if (!this.reactUsage.customHooks.includes(hook)) {
+        this.reactUsage.customHooks.push(hook);
+      }
+    }
+  }
 
-        const analysis = await analyzer(content, file.path);
-        totalFilesAnalyzed++;
+  /**
+   * Runs the analyzers of a batch of files concurrently, then records the results
+   * in file order so the detected conventions do not depend on timing
+   * @param {Array<{file: Object, analyzer: Object}>} entries - Files to analyze with their AnalyzerDefinition
+   * @returns {Promise<{analyzed: number, skipped: number}>} File counts
+   */
+  async analyzeEntries(entries) {
+    const results = await mapWithConcurrency(entries, this.concurrency, async ({ file, analyzer }) => {
+      try {
+        return { analysis: await this.runAnalyzer(file, analyzer) };
+      } catch (error) {
+        return { error };
+      }
+    });
 
-        // Update naming conventions with analysis results
-        this.updateNamingConventions('variables', analysis.variables);
-        this.updateNamingConventions('functions', analysis.functions);
-        this.updateNamingConventions('classes', analysis.classes);
+    const counts = { analyzed: 0, skipped: 0 };
 
-        // If analyzing React components, update component naming
-        if (file.path.includes('.jsx') || file.path.includes('.tsx')) {
-          this.updateNamingConventions('components', analysis.components || []);
+    results.forEach(({ analysis, error }, index) => {
+      const { file } = entries[index];
+      if (error) {
+        if (this.verbose) {
+          console.warn(chalk.yellow(`Error analyzing file ${file.path}: ${error.message}`));
         }
+        counts.skipped++;
+        return;
+      }
 
-        // Track code patterns
-        if (analysis.patterns && analysis.patterns.length > 0) {
-          for (const pattern of analysis.patterns) {
-            if (!this.codePatterns.includes(pattern)) {
-              this.codePatterns.push(pattern);
-            }
+      counts.analyzed++;
+      const area = this.areaOf(file);
+
+      // Update naming conventions with analysis results
+      this.updateNamingConventions('variables', analysis.variables, area);
+      this.updateNamingConventions('functions', analysis.functions, area);
+      this.updateNamingConventions('classes', analysis.classes, area);
+
+      // Components are found by parsing JSX, which can live in .js files too
+      this.updateNamingConventions('components', analysis.components || [], area);
+
+      // Type-level declarations and exported API of TypeScript files
+      this.updateNamingConventions('interfaces', analysis.interfaces, area);
+      this.updateNamingConventions('types', analysis.types, area);
+      this.updateNamingConventions('enums', analysis.enums, area);
+      this.recordDeclarations(analysis);
+      this.recordReactUsage(analysis);
+
+      // Track code patterns
+      if (analysis.patterns && analysis.patterns.length > 0) {
+        for (const pattern of analysis.patterns) {
+          if (!this.codePatterns.includes(pattern)) {
+            this.codePatterns.push(pattern);
           }
         }
-      } catch (error) {
-        if (this.verbose) {
-          console.warn(chalk.yellow(`Error analyzing file ${file.path}: ${error.message}`));
-        }
-        skippedFiles++;
       }
-    }
+    });
+
+    return counts;
   }
 
   /**
@@ -879,13 +1087,11 @@ export class PatternDetector {
       patternConsistency: 0
     };
 
-    // Calculate naming consistency
-    let namingScores = [];
-    for (const [category, data] of Object.entries(this.namingConventions)) {
-      if (data.dominant && data.dominant !== 'mixed' && data.patterns && data.patterns[data.dominant]) {
-        namingScores.push(data.patterns[data.dominant] / 100);
-      }
-    }
+    // Calculate naming consistency: the share of the most common convention of every
+    // category with names, mixed ones included, so it agrees with the per-category counts
+    const namingScores = Object.values(this.namingConventions)
+      .filter(data => data.total > 0)
+      .map(data => Math.max(0, ...Object.values(data.patterns || {})) / data.total);
 
     metrics.namingConsistency = namingScores.length > 0
       ? Math.round(namingScores.reduce((sum, score) => sum + score, 0) / namingScores.length * 100)
@@ -9,7 +9,15 @@ import path from 'path';
 import fs from 'fs/promises';
 import { glob } from 'glob';
 import chalk from 'chalk';
-import { GitIgnoreParser } from '../utils/gitignore-parser.js';
+import { IgnoreMatcher } from '../utils/gitignore-parser.js';
+import { DependencyAnalyzer } from './DependencyAnalyzer.js';
+import { DEFAULT_CONCURRENCY, mapWithConcurrency } from '../utils/concurrency.js';
+
+// Source files whose imports are followed during deep scans
+const RELATIONSHIP_EXTENSIONS = ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'mts', 'cts', 'py', 'java', 'kt', 'cs'];
+
+// Larger files are most likely generated or bundled and are skipped
+const MAX_RELATIONSHIP_FILE_SIZE = 512 * 1024;
 
 export class ProjectScanner {
   constructor(options = {}) {
@@ -26,6 +34,7 @@ export class ProjectScanner {
     this.useGitIgnore = options.useGitIgnore !== false; // Default to true
     this.deepScan = options.deepScan || false;
     this.verbose = options.verbose || false;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY; // Parallel file system calls
     
     // Initialize data structures for project information
     this.fileTypes = {};
@@ -33,6 +42,7 @@ export class ProjectScanner {
     this.directoryStructure = {};
     this.files = [];
     this.directories = [];
+    this.relationships = null;
   }
   
   /**
@@ -72,39 +82,48 @@ export class ProjectScanner {
     this.directoryStructure = {};
     this.files = [];
     this.directories = [];
+    this.relationships = null;
     
-    // If enabled, add gitignore patterns to our ignore list
-    let effectiveIgnorePatterns = [...this.ignorePatterns];
-    
-    if (this.useGitIgnore) {
-      try {
-        const gitIgnorePatterns = await GitIgnoreParser.parseGitIgnore(this.projectPath);
-        if (gitIgnorePatterns.length > 0) {
-          effectiveIgnorePatterns = [...effectiveIgnorePatterns, ...gitIgnorePatterns];
-          if (this.verbose) {
-            console.log(chalk.gray(`Added ${gitIgnorePatterns.length} patterns from .gitignore`));
-          }
-        }
-      } catch (error) {
-        if (this.verbose) {
-          console.warn(chalk.yellow(`Warning: Error parsing .gitignore: ${error.message}`));
-        }
-      }
-    }
+    // Combine the ignore patterns with the project's .gitignore, .git/info/exclude
+    // and .vdkignore files. Nested ignore files are read as the walk reaches them.
+    const ignoreMatcher = new IgnoreMatcher({
+      projectPath: this.projectPath,
+      patterns: this.ignorePatterns,
+      useGitIgnore: this.useGitIgnore
+    });
     
-    // Get all files in the project, respecting ignore patterns
-    const allFiles = await glob('**/*', {
+    // Get all files in the project, respecting ignore patterns. The walk stats
+    // every entry once, so no separate stat call per file is needed.
+    const allEntries = await glob('**/*', {
       cwd: this.projectPath,
-      ignore: effectiveIgnorePatterns,
+      ignore: ignoreMatcher,
       dot: true,
       nodir: false,
-      absolute: true
+      withFileTypes: true,
+      stat: true
+    });
+
+    if (this.verbose && ignoreMatcher.loadedFiles.length > 0) {
+      console.log(chalk.gray(`Applied ignore files: ${ignoreMatcher.loadedFiles.join(', ')}`));
+    }
+
+    // Symlinks are followed like before, which needs a stat call of their own
+    const allStats = await mapWithConcurrency(allEntries, this.concurrency, async (entry) => {
+      try {
+        return entry.isSymbolicLink() || !entry.mtime ? await fs.stat(entry.fullpath()) : entry;
+      } catch (error) {
+        return { error };
+      }
     });
     
     // Analyze each file/directory
-    for (const filePath of allFiles) {
+    allEntries.forEach((entry, index) => {
+      const filePath = entry.fullpath();
+      const stats = allStats[index];
       try {
-        const stats = await fs.stat(filePath);
+        if (stats.error) {
+          throw stats.error;
+        }
         const relPath = path.relative(this.projectPath, filePath);
         
         if (stats.isDirectory()) {
@@ -143,7 +162,7 @@ export class ProjectScanner {
           console.warn(chalk.yellow(`Warning: Error analyzing file ${filePath}: ${error.message}`));
         }
       }
-    }
+    });
     
     // If doing a deep scan, analyze relationships between files
     if (this.deepScan) {
@@ -154,7 +173,7 @@ export class ProjectScanner {
     this.buildDirectoryStructure();
     
     // Return structured project information
-    return {
+    const projectStructure = {
       projectPath: this.projectPath,
       files: this.files,
       directories: this.directories,
@@ -162,24 +181,89 @@ export class ProjectScanner {
       fileExtensions: Array.from(this.fileExtensions),
       directoryStructure: this.directoryStructure
     };
+
+    if (this.relationships) {
+      projectStructure.relationships = this.relationships;
+    }
+
+    return projectStructure;
   }
   
   /**
    * Analyzes relationships between files (imports, dependencies, etc.)
-   * Only performed during deep scans
+   * Only performed during deep scans. Fills `imports` and `importedBy` of every
+   * file with the relative paths of the project files it imports / is imported by,
+   * and summarizes the graph's entry points and leaves in `this.relationships`.
    */
   async analyzeRelationships() {
     if (this.verbose) {
       console.log(chalk.gray('Analyzing file relationships (deep scan)...'));
     }
     
-    // Implementation would involve parsing files for import statements,
-    // require() calls, etc., and creating a dependency graph
+    const dependencyAnalyzer = new DependencyAnalyzer({ verbose: this.verbose });
+    const filesByPath = new Map();
+    const contents = new Map();
     
-    // This is a simplified placeholder implementation
+    const sourceCandidates = [];
     for (const file of this.files) {
       file.imports = [];
       file.importedBy = [];
+      filesByPath.set(file.path, file);
+      
+      if (RELATIONSHIP_EXTENSIONS.includes(file.extension.toLowerCase()) && file.size <= MAX_RELATIONSHIP_FILE_SIZE) {
+        sourceCandidates.push(file);
+      }
+    }
+    
+    const sources = await mapWithConcurrency(sourceCandidates, this.concurrency, async (file) => {
+      try {
+        return await fs.readFile(file.path, 'utf8');
+      } catch (error) {
+        if (this.verbose) {
+          console.warn(chalk.yellow(`Warning: Could not read ${file.relativePath}: ${error.message}`));
+        }
+        return null;
+      }
+    });
+    sourceCandidates.forEach((file, index) => {
+      if (sources[index] !== null) {
+        contents.set(file.path, sources[index]);
+      }
+    });
+    
+    const fileIndex = dependencyAnalyzer.createFileIndex(this.projectPath, contents);
+    let edgeCount = 0;
+    
+    for (const [filePath, content] of contents) {
+      const file = filesByPath.get(filePath);
+      const dependencies = dependencyAnalyzer.extractDependenciesFromContent(content, path.extname(filePath).toLowerCase());
+      
+      for (const target of dependencyAnalyzer.resolveDependencyFiles(dependencies, filePath, fileIndex)) {
+        const targetFile = filesByPath.get(target);
+        file.imports.push(targetFile.relativePath);
+        targetFile.importedBy.push(file.relativePath);
+        edgeCount++;
+      }
+    }
+    
+    // Entry points pull in other modules without being imported themselves,
+    // leaves are imported without importing any project module
+    const sourceFiles = this.files.filter(file => contents.has(file.path));
+    this.relationships = {
+      analyzedFiles: sourceFiles.length,
+      edgeCount,
+      entryPoints: sourceFiles
+        .filter(file => file.importedBy.length === 0 && file.imports.length > 0)
+        .map(file => file.relativePath)
+        .sort(),
+      leaves: sourceFiles
+        .filter(file => file.imports.length === 0 && file.importedBy.length > 0)
+        .sort((a, b) => b.importedBy.length - a.importedBy.length || a.relativePath.localeCompare(b.relativePath))
+        .map(file => file.relativePath)
+    };
+    
+    if (this.verbose) {
+      console.log(chalk.gray(`Import graph: ${edgeCount} imports between ${sourceFiles.length} files, ${this.relationships.entryPoints.length} entry points, ${this.relationships.leaves.length} leaves`));
     }
   }
   
@@ -296,10 +380,13 @@ export class ProjectScanner {
       '.php': 'php',
       '.swift': 'swift',
       '.kt': 'kotlin',
+      '.kts': 'kotlin',
       '.rs': 'rust',
       '.dart': 'dart',
       '.c': 'c',
       '.cpp': 'cpp',
+      '.cc': 'cpp',
+      '.cxx': 'cpp',
       '.h': 'c-header',
       '.hpp': 'cpp-header'
     };
@@ -6,7 +6,7 @@
  * technology stack, patterns, and architecture.
  */
 
-import fs from 'fs/promises';
+import crypto from 'crypto';
 import path from 'path';
 import chalk from 'chalk';
 import Handlebars from 'handlebars';
@@ -21,6 +21,12 @@ import {
   PATTERN_RULE_MAP,
   DEFAULTS
 } from '../utils/constants.js';
+import { RuleMerger } from '../utils/rule-merge.js';
+import { ManifestParser } from '../utils/manifest-parser.js';
+import { VersionRange } from '../utils/version-range.js';
+import { StyleConfigAnalyzer } from '../utils/style-config-analyzer.js';
+import { DiskFileSystem } from '../../shared/file-system.js';
+import { GenerationManifest } from '../../shared/manifest.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -29,12 +35,30 @@ export class RuleGenerator {
     this.verbose = options.verbose || false;
     this.outputPath = options.outputPath || DEFAULTS.OUTPUT_PATH;
     this.templatesDir = options.templatesDir || path.join(__dirname, '../templates');
+    // File system layer, replaced by an in-memory one for dry runs
+    this.fs = options.fileSystem || new DiskFileSystem();
     this.generatedFiles = [];
+    this.mergeResults = [];
 
     // Register Handlebars helpers
     this.registerHandlebarsHelpers();
   }
 
+  /**
+   * Resets the per-run state. Must be called before running individual
+   * generation steps; generateRules does it automatically.
+   * @param {Object} analysisData - Combined analysis results
+   */
+  prepareGeneration(analysisData) {
+    this.generatedFiles = [];
+    this.mergeResults = [];
+    this.projectPath = analysisData.projectPath || process.cwd();
+    this.manifest = GenerationManifest.load(this.projectPath, this.fs);
+
+    // Use the outputPath from analysisData if provided, otherwise use the default
+    this.outputPath = analysisData.outputPath || this.outputPath;
+  }
+
   /**
    * Generates rule files based on project analysis
    * @param {Object} analysisData - Combined analysis results
@@ -45,15 +69,12 @@ export class RuleGenerator {
       console.log(chalk.gray('Starting rule generation...'));
     }
 
-    this.generatedFiles = [];
-
-    // Use the outputPath from analysisData if provided, otherwise use the default
-    const outputPath = analysisData.outputPath || this.outputPath;
-    this.outputPath = outputPath; // Update the instance variable
+    this.prepareGeneration(analysisData);
+    const outputPath = this.outputPath;
 
     try {
       // Ensure output directory exists
-      await fs.mkdir(outputPath, { recursive: true });
+      await this.fs.mkdir(outputPath, { recursive: true });
 
       // Generate core rules
       await this.generateCoreRules(analysisData);
@@ -67,6 +88,12 @@ export class RuleGenerator {
       // Generate MCP configuration rule
       await this.generateMcpConfigRule(analysisData);
 
+      // Generate workspace topology and package-scoped rules for monorepos
+      await this.generateWorkspaceRules(analysisData);
+
+      // Generate rules for areas whose naming conventions differ from the others
+      await this.generateAreaConventionRules(analysisData);
+
       // Generate language-specific rules
       await this.generateLanguageRules(analysisData);
 
@@ -85,6 +112,12 @@ export class RuleGenerator {
       // Generate assistant-specific rules
       await this.generateAssistantRules(analysisData);
 
+      // Remove workspace, package and area rules of earlier scans that no longer apply
+      await this.removeStaleScopedRules();
+
+      // Record what was generated so `vdk clean` can remove it safely
+      await this.manifest.save();
+
       return this.generatedFiles;
     } catch (error) {
       if (this.verbose) {
@@ -111,15 +144,15 @@ export class RuleGenerator {
     let templateContent;
 
     try {
-      templateContent = await fs.readFile(templatePath, 'utf8');
+      templateContent = await this.fs.readFile(templatePath, 'utf8');
     } catch (error) {
       // If template doesn't exist, create a default one
       templateContent = this.getDefaultCoreAgentTemplate();
 
       // Save the default template for future use
       try {
-        await fs.mkdir(path.dirname(templatePath), { recursive: true });
-        await fs.writeFile(templatePath, templateContent, 'utf8');
+        await this.fs.mkdir(path.dirname(templatePath), { recursive: true });
+        await this.fs.writeFile(templatePath, templateContent, 'utf8');
       } catch (templateSaveError) {
         if (this.verbose) {
           console.log(chalk.yellow(`Could not save default template: ${templateSaveError.message}`));
@@ -134,15 +167,16 @@ export class RuleGenerator {
     const templateData = {
       date: new Date().toISOString().split('T')[0],
       projectName: path.basename(analysisData.projectStructure?.root || DEFAULTS.PROJECT_NAME),
-      namingConventions: analysisData.patterns?.namingConventions || {}
+      namingConventions: this.getNamingConventions(analysisData),
+      codeStyle: this.getCodeStyle(analysisData)
     };
 
     // Generate the rule content
     const ruleContent = template(templateData);
 
-    // Write the rule file
+    // Write the rule file, keeping the user's edits
     try {
-      await fs.writeFile(coreAgentPath, ruleContent, 'utf8');
+      await this.writeMergedRule(coreAgentPath, ruleContent, templatePath);
       this.generatedFiles.push(coreAgentPath);
       
       if (this.verbose) {
@@ -156,6 +190,108 @@ export class RuleGenerator {
     }
   }
 
+  /**
+   * Writes a generated rule file and records it in the generation manifest
+   * @param {string} rulePath - Path of the rule file
+   * @param {string} ruleContent - Content to write
+   * @param {string} templatePath - Template the content was rendered from
+   * @param {string} [generatedContent] - Template output the manifest records when the written
+   *   content also holds the user's edits, so the file counts as modified
+   */
+  async writeRuleFile(rulePath, ruleContent, templatePath, generatedContent = ruleContent) {
+    await this.fs.writeFile(rulePath, ruleContent, 'utf8');
+    this.manifest.record(rulePath, generatedContent, path.relative(this.templatesDir, templatePath).split(path.sep).join('/'));
+  }
+
+  /**
+   * Removes the workspace, package-scoped and area-scoped rules of earlier scans that this scan
+   * did not generate, e.g. for a package that was removed. Like `vdk clean`, only files that are
+   * unmodified since generation are deleted; edited ones are no longer tracked and left to the user.
+   */
+  async removeStaleScopedRules() {
+    const scopedDirs = [DIRECTORIES.PACKAGES, DIRECTORIES.CONVENTIONS].map(dir => path.resolve(this.outputPath, dir));
+    const topologyPath = path.resolve(this.outputPath, RULES.WORKSPACE_TOPOLOGY);
+    const generated = new Set(this.generatedFiles.map(filePath => this.manifest.getKey(filePath)));
+
+    for (const entry of this.manifest.getEntries()) {
+      const filePath = path.resolve(this.projectPath, entry.path);
+      const isScoped = scopedDirs.includes(path.dirname(filePath)) || filePath === topologyPath;
+      if (generated.has(entry.path) || !isScoped) continue;
+
+      const status = this.manifest.getStatus(entry);
+      if (status === 'unmodified') {
+        await this.fs.rm(filePath);
+        if (this.verbose) {
+          console.log(chalk.gray(`Removed stale rule ${filePath}`));
+        }
+      } else if (status === 'modified') {
+        console.log(chalk.yellow(`Kept ${path.relative(process.cwd(), filePath)}, it no longer applies but was edited by hand`));
+      }
+      this.manifest.remove(entry.path);
+    }
+
+    for (const dirPath of scopedDirs) {
+      if (this.fs.existsSync(dirPath) && (await this.fs.readdir(dirPath)).length === 0) {
+        await this.fs.rmdir(dirPath);
+      }
+    }
+  }
+
+  /**
+   * Path of the previous generated output of a merged rule, under the project's .vdk/base.
+   * Rules inside the project keep their project-relative path; rules written outside it
+   * are stored under `external/` with a hash of their absolute path.
+   * @param {string} rulePath - Path of the rule file
+   * @returns {string}
+   */
+  getBaseSnapshotPath(rulePath) {
+    const snapshotRoot = path.join(this.projectPath, DEFAULTS.STATE_DIR, DEFAULTS.BASE_SNAPSHOT_DIR);
+    const absolutePath = path.resolve(rulePath);
+    const basePath = path.join(snapshotRoot, path.relative(this.projectPath, absolutePath));
+
+    if (basePath.startsWith(snapshotRoot + path.sep)) {
+      return basePath;
+    }
+
+    const hash = crypto.createHash('sha256').update(absolutePath).digest('hex').slice(0, 16);
+    return path.join(snapshotRoot, 'external', hash, path.basename(absolutePath));
+  }
+
+  /**
+   * Writes a rule that users are expected to edit. Protected regions are kept and
+   * edits are three-way merged with the new output, using the previous generated
+   * output stored under the project's .vdk directory as the base.
+   * @param {string} rulePath - Path of the rule file
+   * @param {string} ruleContent - Newly generated content
+   * @param {string} templatePath - Template the content was rendered from
+   * @returns {Object} Merge result { path, status, conflicts }
+   */
+  async writeMergedRule(rulePath, ruleContent, templatePath) {
+    const basePath = this.getBaseSnapshotPath(rulePath);
+    const readIfExists = async (filePath) => (this.fs.existsSync(filePath) ? this.fs.readFile(filePath, 'utf8') : null);
+
+    const merge = RuleMerger.mergeRule({
+      base: await readIfExists(basePath),
+      current: await readIfExists(rulePath),
+      generated: ruleContent
+    });
+
+    await this.writeRuleFile(rulePath, merge.content, templatePath, ruleContent);
+    await this.fs.mkdir(path.dirname(basePath), { recursive: true });
+    await this.fs.writeFile(basePath, ruleContent, 'utf8');
+
+    const result = { path: rulePath, status: merge.status, conflicts: merge.conflicts };
+    this.mergeResults.push(result);
+
+    if (merge.status === 'conflict') {
+      console.log(chalk.yellow(`${merge.conflicts} merge conflict(s) in ${path.relative(process.cwd(), rulePath)}, resolve the conflict markers by hand`));
+    } else if (merge.status === 'merged' && this.verbose) {
+      console.log(chalk.gray(`Merged your edits into ${rulePath}`));
+    }
+
+    return result;
+  }
+
   /**
    * Generates the 01-project-context.mdc file with project-specific information
    * @param {Object} analysisData - Combined analysis results
@@ -172,15 +308,15 @@ export class RuleGenerator {
     let templateContent;
 
     try {
-      templateContent = await fs.readFile(templatePath, 'utf8');
+      templateContent = await this.fs.readFile(templatePath, 'utf8');
     } catch (error) {
       // If template doesn't exist, create a default one
       templateContent = this.getDefaultProjectContextTemplate();
 
       // Save the default template for future use
       try {
-        await fs.mkdir(this.templatesDir, { recursive: true });
-        await fs.writeFile(templatePath, templateContent, 'utf8');
+        await this.fs.mkdir(this.templatesDir, { recursive: true });
+        await this.fs.writeFile(templatePath, templateContent, 'utf8');
       } catch (templateSaveError) {
         if (this.verbose) {
           console.log(chalk.yellow(`Could not save default template: ${templateSaveError.message}`));
@@ -197,18 +333,33 @@ export class RuleGenerator {
       projectName = path.basename(analysisData.projectStructure.root);
     }
 
+    // Import graph summary, only available after a deep scan
+    const relationships = analysisData.projectStructure?.relationships;
+    const moduleGraph = relationships && relationships.edgeCount > 0
+      ? {
+        edgeCount: relationships.edgeCount,
+        analyzedFiles: relationships.analyzedFiles,
+        entryPoints: relationships.entryPoints.slice(0, DEFAULTS.MAX_LISTED_MODULES),
+        leaves: relationships.leaves.slice(0, DEFAULTS.MAX_LISTED_MODULES)
+      }
+      : null;
+
     // Prepare the template data
     const templateData = {
       projectName,
       date: new Date().toISOString().split('T')[0],
+      moduleGraph,
       primaryLanguages: analysisData.techStack?.primaryLanguages || [],
       frameworks: analysisData.techStack?.frameworks || [],
       libraries: analysisData.techStack?.libraries || [],
       testingFrameworks: analysisData.techStack?.testingFrameworks || [],
       buildTools: analysisData.techStack?.buildTools || [],
       linters: analysisData.techStack?.linters || [],
+      technologyVersions: analysisData.techStack?.technologyVersions || {},
       architecturalPatterns: analysisData.patterns?.architecturalPatterns || [],
-      namingConventions: analysisData.patterns?.namingConventions || {},
+      namingConventions: this.getNamingConventions(analysisData),
+      areaConventions: this.getDivergentAreas(analysisData),
+      codePatterns: (analysisData.patterns?.codePatterns || []).slice(0, DEFAULTS.MAX_LISTED_PATTERNS),
       structureStats: {
         files: analysisData.projectStructure?.fileCount || 0,
         directories: analysisData.projectStructure?.directoryCount || 0,
@@ -219,9 +370,9 @@ export class RuleGenerator {
     // Generate the rule content
     const ruleContent = template(templateData);
 
-    // Write the rule file
+    // Write the rule file, keeping the user's edits
     try {
-      await fs.writeFile(projectContextPath, ruleContent, 'utf8');
+      await this.writeMergedRule(projectContextPath, ruleContent, templatePath);
       this.generatedFiles.push(projectContextPath);
       
       if (this.verbose) {
@@ -251,15 +402,15 @@ export class RuleGenerator {
     let templateContent;
 
     try {
-      templateContent = await fs.readFile(templatePath, 'utf8');
+      templateContent = await this.fs.readFile(templatePath, 'utf8');
     } catch (error) {
       // If template doesn't exist, create a default one
       templateContent = this.getDefaultCommonErrorsTemplate();
 
       // Save the default template for future use
       try {
-        await fs.mkdir(path.dirname(templatePath), { recursive: true });
-        await fs.writeFile(templatePath, templateContent, 'utf8');
+        await this.fs.mkdir(path.dirname(templatePath), { recursive: true });
+        await this.fs.writeFile(templatePath, templateContent, 'utf8');
       } catch (templateSaveError) {
         if (this.verbose) {
           console.log(chalk.yellow(`Could not save default template: ${templateSaveError.message}`));
@@ -280,7 +431,7 @@ export class RuleGenerator {
     const ruleContent = template(templateData);
 
     // Write the rule file
-    await fs.writeFile(commonErrorsPath, ruleContent, 'utf8');
+    await this.writeRuleFile(commonErrorsPath, ruleContent, templatePath);
     this.generatedFiles.push(commonErrorsPath);
 
     if (this.verbose) {
@@ -304,15 +455,15 @@ export class RuleGenerator {
     let templateContent;
 
     try {
-      templateContent = await fs.readFile(templatePath, 'utf8');
+      templateContent = await this.fs.readFile(templatePath, 'utf8');
     } catch (error) {
       // If template doesn't exist, create a default one
       templateContent = this.getDefaultMcpConfigTemplate();
 
       // Save the default template for future use
       try {
-        await fs.mkdir(path.dirname(templatePath), { recursive: true });
-        await fs.writeFile(templatePath, templateContent, 'utf8');
+        await this.fs.mkdir(path.dirname(templatePath), { recursive: true });
+        await this.fs.writeFile(templatePath, templateContent, 'utf8');
       } catch (templateSaveError) {
         if (this.verbose) {
           console.log(chalk.yellow(`Could not save default template: ${templateSaveError.message}`));
@@ -332,7 +483,7 @@ export class RuleGenerator {
     const ruleContent = template(templateData);
 
     // Write the rule file
-    await fs.writeFile(mcpConfigPath, ruleContent, 'utf8');
+    await this.writeRuleFile(mcpConfigPath, ruleContent, templatePath);
     this.generatedFiles.push(mcpConfigPath);
 
     if (this.verbose) {
@@ -340,6 +491,194 @@ export class RuleGenerator {
     }
   }
 
+  /**
+   * Generates the 04-workspace-topology.mdc file and one rule per workspace package,
+   * scoped to the package directory. Only runs for monorepos.
+   * @param {Object} analysisData - Combined analysis results
+   */
+  async generateWorkspaceRules(analysisData) {
+    const workspace = analysisData.workspace;
+    if (!workspace || !workspace.isMonorepo) {
+      return;
+    }
+
+    if (this.verbose) {
+      console.log(chalk.gray(`Generating workspace rules for ${workspace.packages.length} packages...`));
+    }
+
+    const date = new Date().toISOString().split('T')[0];
+    const projectName = analysisData.projectName || path.basename(this.projectPath);
+
+    // Root rule summarizing the workspace
+    const topologyPath = path.join(this.outputPath, RULES.WORKSPACE_TOPOLOGY);
+    const topologyTemplatePath = path.join(this.templatesDir, TEMPLATES.WORKSPACE_TOPOLOGY);
+    const topologyTemplate = Handlebars.compile(await this.fs.readFile(topologyTemplatePath, 'utf8'));
+
+    const topologyContent = topologyTemplate({
+      projectName,
+      date,
+      tools: workspace.tools,
+      packages: workspace.packages.map(pkg => ({
+        ...pkg,
+        languages: pkg.techStack?.primaryLanguages || [],
+        frameworks: pkg.techStack?.frameworks || []
+      }))
+    });
+
+    await this.writeRuleFile(topologyPath, topologyContent, topologyTemplatePath);
+    this.generatedFiles.push(topologyPath);
+
+    // One rule per package
+    const packagesDirPath = path.join(this.outputPath, DIRECTORIES.PACKAGES);
+    await this.fs.mkdir(packagesDirPath, { recursive: true });
+
+    const packageTemplatePath = path.join(this.templatesDir, TEMPLATES.PACKAGE_CONTEXT);
+    const packageTemplate = Handlebars.compile(await this.fs.readFile(packageTemplatePath, 'utf8'));
+
+    for (const pkg of workspace.packages) {
+      const ruleFilePath = path.join(packagesDirPath, `${pkg.path.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.mdc`);
+
+      const ruleContent = packageTemplate({
+        ...pkg,
+        techStack: pkg.techStack || {},
+        projectName,
+        date
+      });
+
+      await this.writeRuleFile(ruleFilePath, ruleContent, packageTemplatePath);
+      this.generatedFiles.push(ruleFilePath);
+
+      if (this.verbose) {
+        console.log(chalk.gray(`Generated package rule at: ${ruleFilePath}`));
+      }
+    }
+  }
+
+  /**
+   * Project-wide naming conventions for the templates. Categories named differently in
+   * different areas have no project-wide convention; the area rules cover them.
+   * @param {Object} analysisData - Combined analysis results
+   * @returns {Object} Naming statistics by category
+   */
+  getNamingConventions(analysisData) {
+    const namingConventions = analysisData.patterns?.namingConventions || {};
+    const divergent = analysisData.patterns?.areaConventions?.divergent || [];
+
+    return Object.fromEntries(Object.entries(namingConventions).map(([category, stats]) => [
+      category,
+      divergent.includes(category) ? { ...stats, dominant: null } : stats
+    ]));
+  }
+
+  /**
+   * Code style resolved from the formatter and linter configs, as lines for the core agent rule
+   * @param {Object} analysisData - Combined analysis results
+   * @returns {Object|null} { sources, settings, languages: [{ name, settings }], linters }, null
+   *   when the project has no style configuration. Languages with the same settings share an entry.
+   */
+  getCodeStyle(analysisData) {
+    const styleConfig = analysisData.styleConfig;
+    if (!styleConfig || styleConfig.sources.length === 0) {
+      return null;
+    }
+
+    const languages = [];
+    for (const [language, settings] of Object.entries(styleConfig.languages)) {
+      const lines = StyleConfigAnalyzer.describe(settings, styleConfig.settings);
+      const same = languages.find(entry => entry.settings.join('\n') === lines.join('\n'));
+      if (same) {
+        same.names.push(StyleConfigAnalyzer.languageLabel(language));
+      } else {
+        languages.push({ names: [StyleConfigAnalyzer.languageLabel(language)], settings: lines });
+      }
+    }
+
+    const listRules = rules => rules.slice(0, DEFAULTS.MAX_LISTED_LINT_RULES).map(rule => `${rule.name} (${rule.level})`).join(', ');
+    const patterns = list => list.map(pattern => `\`${pattern}\``).join(', ');
+
+    return {
+      sources: styleConfig.sources.join(', '),
+      settings: StyleConfigAnalyzer.describe(styleConfig.settings),
+      languages: languages.map(({ names, settings }) => ({ name: names.join(', '), settings })),
+      linters: styleConfig.linters.map(linter => ({
+        tool: linter.tool,
+        source: linter.source,
+        presets: linter.presets.join(', '),
+        rules: listRules(linter.rules),
+        moreRules: Math.max(0, linter.rules.length - DEFAULTS.MAX_LISTED_LINT_RULES),
+        scopes: (linter.scopes || []).map(scope => ({
+          files: [
+            scope.files.length > 0 ? `Only in ${patterns(scope.files)}` : 'All files',
+            scope.ignores.length > 0 ? `except ${patterns(scope.ignores)}` : null
+          ].filter(Boolean).join(' '),
+          rules: listRules(scope.rules),
+          moreRules: Math.max(0, scope.rules.length - DEFAULTS.MAX_LISTED_LINT_RULES)
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Areas with conventions of their own, with the conventions in which they differ
+   * @param {Object} analysisData - Combined analysis results
+   * @returns {Object[]} { path, fileCount, conventions: [{ element, dominant, share, total }] }
+   */
+  getDivergentAreas(analysisData) {
+    const areas = analysisData.patterns?.areaConventions?.areas || [];
+
+    return areas
+      .filter(area => area.divergent.length > 0)
+      .map(area => ({
+        path: area.path,
+        fileCount: area.fileCount,
+        conventions: area.divergent.map(element => {
+          const stats = area.namingConventions[element];
+          return {
+            element,
+            dominant: stats.dominant,
+            share: Math.round((stats.patterns[stats.dominant] || 0) / stats.total * 100),
+            total: stats.total
+          };
+        })
+      }));
+  }
+
+  /**
+   * Generates one rule per area whose naming conventions differ from other areas,
+   * scoped to the area directory. Nothing is generated when all areas agree.
+   * @param {Object} analysisData - Combined analysis results
+   */
+  async generateAreaConventionRules(analysisData) {
+    const areas = this.getDivergentAreas(analysisData);
+    if (areas.length === 0) {
+      return;
+    }
+
+    if (this.verbose) {
+      console.log(chalk.gray(`Generating convention rules for ${areas.length} areas...`));
+    }
+
+    const conventionsDirPath = path.join(this.outputPath, DIRECTORIES.CONVENTIONS);
+    await this.fs.mkdir(conventionsDirPath, { recursive: true });
+
+    const templatePath = path.join(this.templatesDir, TEMPLATES.AREA_CONVENTIONS);
+    const template = Handlebars.compile(await this.fs.readFile(templatePath, 'utf8'));
+    const date = new Date().toISOString().split('T')[0];
+    const projectName = analysisData.projectName || path.basename(this.projectPath);
+
+    for (const area of areas) {
+      const ruleFilePath = path.join(conventionsDirPath, `${area.path.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.mdc`);
+      const ruleContent = template({ ...area, projectName, date });
+
+      await this.writeRuleFile(ruleFilePath, ruleContent, templatePath);
+      this.generatedFiles.push(ruleFilePath);
+
+      if (this.verbose) {
+        console.log(chalk.gray(`Generated area convention rule at: ${ruleFilePath}`));
+      }
+    }
+  }
+
   /**
    * Generates language-specific rules based on detected languages
    * @param {Object} analysisData - Combined analysis results
@@ -350,7 +689,7 @@ export class RuleGenerator {
     }
 
     const languageDirPath = path.join(this.outputPath, DIRECTORIES.LANGUAGES);
-    await fs.mkdir(languageDirPath, { recursive: true });
+    await this.fs.mkdir(languageDirPath, { recursive: true });
 
     // Get unique list of languages
     const languages = [...new Set(analysisData.techStack.primaryLanguages)];
@@ -384,27 +723,33 @@ export class RuleGenerator {
         // Prepare the template data
         const templateData = {
           language,
+          languageVersion: analysisData.techStack?.languageVersions?.[normalizedLang] || null,
           date: new Date().toISOString().split('T')[0],
-          namingConventions: analysisData.patterns?.namingConventions || {},
+          namingConventions: this.getNamingConventions(analysisData),
+          // Most used decorators first
+          decorators: Object.entries(analysisData.patterns?.declarations?.decorators || {})
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 10)
+            .map(([name]) => name),
           frameworks: analysisData.techStack?.frameworks || [],
           libraries: analysisData.techStack?.libraries || [],
-          testingFrameworks: analysisData.techStack?.testingFrameworks || []
+          testingFrameworks: analysisData.techStack?.testingFrameworks || [],
+          linters: analysisData.techStack?.linters || []
         };
 
         // Generate the rule content
         const ruleContent = template(templateData);
 
         // Write the rule file
-        await fs.writeFile(ruleFilePath, ruleContent, 'utf8');
+        await this.writeRuleFile(ruleFilePath, ruleContent, templatePath);
         this.generatedFiles.push(ruleFilePath);
 
         if (this.verbose) {
           console.log(chalk.gray(`Generated language rule at: ${ruleFilePath}`));
         }
       } catch (error) {
-        if (this.verbose) {
-          console.log(chalk.yellow(`Could not generate language rule for ${language}: ${error.message}`));
-        }
+        // Report broken templates and failed writes; the scan goes on with the other rules
+        console.warn(chalk.yellow(`Warning: Could not generate language rule for ${language}: ${error.message}`));
       }
     }
   }
@@ -419,24 +764,31 @@ export class RuleGenerator {
     }
 
     const techDirPath = path.join(this.outputPath, DIRECTORIES.TECHNOLOGIES);
-    await fs.mkdir(techDirPath, { recursive: true });
+    await this.fs.mkdir(techDirPath, { recursive: true });
 
     // Get unique list of frameworks
     const frameworks = [...new Set(analysisData.techStack.frameworks)];
 
     // First pass: Generate rules for each framework
     for (const framework of frameworks) {
-      let ruleName = FRAMEWORK_RULE_MAP[framework];
+      const versionInfo = analysisData.techStack.technologyVersions?.[framework] || null;
+      const versionedTemplate = await this.selectVersionedTemplate(framework, versionInfo?.version);
+
+      // A versioned template replaces the default one but keeps the rule name
+      let ruleName = FRAMEWORK_RULE_MAP[framework] || versionedTemplate?.ruleName;
 
       // Skip if we don't have a template for this framework
       if (!ruleName) continue;
 
       if (this.verbose) {
         console.log(chalk.gray(`Generating rule for framework: ${framework}`));
+        if (versionedTemplate) {
+          console.log(chalk.gray(`Using ${path.basename(versionedTemplate.templatePath)} for ${framework} ${versionInfo.version}`));
+        }
       }
 
       const ruleFilePath = path.join(techDirPath, ruleName);
-      const templatePath = path.join(this.templatesDir, `technologies/${ruleName}.hbs`);
+      const templatePath = versionedTemplate?.templatePath || path.join(this.templatesDir, `technologies/${ruleName}.hbs`);
 
       try {
         // First try to get a framework-specific template
@@ -448,8 +800,11 @@ export class RuleGenerator {
         // Prepare the template data
         const templateData = {
           framework,
+          projectName: analysisData.projectName || DEFAULTS.PROJECT_NAME,
+          frameworkVersion: versionInfo?.version || null,
+          versionConstraint: versionInfo?.constraint || null,
           date: new Date().toISOString().split('T')[0],
-          namingConventions: analysisData.patterns?.namingConventions || {},
+          namingConventions: this.getNamingConventions(analysisData),
           libraries: analysisData.techStack?.libraries || [],
           testingFrameworks: analysisData.techStack?.testingFrameworks || []
         };
@@ -458,16 +813,14 @@ export class RuleGenerator {
         const ruleContent = template(templateData);
 
         // Write the rule file
-        await fs.writeFile(ruleFilePath, ruleContent, 'utf8');
+        await this.writeRuleFile(ruleFilePath, ruleContent, templatePath);
         this.generatedFiles.push(ruleFilePath);
 
         if (this.verbose) {
           console.log(chalk.gray(`Generated framework rule at: ${ruleFilePath}`));
         }
       } catch (error) {
-        if (this.verbose) {
-          console.log(chalk.yellow(`Could not generate framework rule for ${framework}: ${error.message}`));
-        }
+        console.warn(chalk.yellow(`Warning: Could not generate framework rule for ${framework}: ${error.message}`));
       }
     }
 
@@ -480,13 +833,15 @@ export class RuleGenerator {
         const integrationRuleName = integrations[framework2];
         if (!integrationRuleName) continue;
 
+        // Integration rules have no default template, only the ones with a template are written
+        const ruleFilePath = path.join(techDirPath, integrationRuleName);
+        const templatePath = path.join(this.templatesDir, `technologies/integrations/${integrationRuleName}.hbs`);
+        if (!this.fs.existsSync(templatePath)) continue;
+
         if (this.verbose) {
           console.log(chalk.gray(`Generating integration rule for ${framework1} and ${framework2}`));
         }
 
-        const ruleFilePath = path.join(techDirPath, integrationRuleName);
-        const templatePath = path.join(this.templatesDir, `technologies/integrations/${integrationRuleName}.hbs`);
-
         try {
           // Try to get an integration-specific template
           let templateContent = await this.getTemplateContent(
@@ -502,30 +857,81 @@ export class RuleGenerator {
             framework1,
             framework2,
             date: new Date().toISOString().split('T')[0],
-            namingConventions: analysisData.patterns?.namingConventions || {}
+            namingConventions: this.getNamingConventions(analysisData)
           };
 
           // Generate the rule content
           const ruleContent = template(templateData);
 
           // Write the rule file
-          await fs.writeFile(ruleFilePath, ruleContent, 'utf8');
+          await this.writeRuleFile(ruleFilePath, ruleContent, templatePath);
           this.generatedFiles.push(ruleFilePath);
 
           if (this.verbose) {
             console.log(chalk.gray(`Generated integration rule at: ${ruleFilePath}`));
           }
         } catch (error) {
-          if (this.verbose) {
-            console.log(chalk.yellow(
-              `Could not generate integration rule for ${framework1} and ${framework2}: ${error.message}`
-            ));
-          }
+          console.warn(chalk.yellow(`Warning: Could not generate integration rule for ${framework1} and ${framework2}: ${error.message}`));
         }
       }
     }
   }
 
+  /**
+   * Reads the technology templates whose front matter names the technology and the
+   * versions they apply to (`technology: "React"`, `versionRange: ">=19"`)
+   * @returns {Promise<Object[]>} { technology, versionRange, templatePath, ruleName }
+   */
+  async getVersionedTemplates() {
+    if (this.versionedTemplates) {
+      return this.versionedTemplates;
+    }
+
+    this.versionedTemplates = [];
+    const templatesPath = path.join(this.templatesDir, DIRECTORIES.TECHNOLOGIES);
+    let fileNames;
+    try {
+      fileNames = await this.fs.readdir(templatesPath);
+    } catch (error) {
+      return this.versionedTemplates;
+    }
+
+    for (const fileName of fileNames.filter(name => name.endsWith('.mdc.hbs')).sort()) {
+      const templatePath = path.join(templatesPath, fileName);
+      const frontMatter = (await this.fs.readFile(templatePath, 'utf8')).match(/^---\r?\n([\s\S]*?)\r?\n---/);
+      const data = frontMatter ? ManifestParser.parseYaml(frontMatter[1]) || {} : {};
+
+      if (data.technology && data.versionRange) {
+        this.versionedTemplates.push({
+          technology: String(data.technology),
+          versionRange: String(data.versionRange),
+          templatePath,
+          ruleName: fileName.replace(/\.hbs$/, '')
+        });
+      }
+    }
+
+    return this.versionedTemplates;
+  }
+
+  /**
+   * Selects the versioned template of a technology whose range contains the
+   * resolved version; of several matches the one with the highest lower bound wins
+   * @param {string} technology - Technology name, e.g. 'React'
+   * @param {string|null} version - Resolved version of the technology
+   * @returns {Promise<Object|null>} Versioned template or null to use the default one
+   */
+  async selectVersionedTemplate(technology, version) {
+    if (!version) return null;
+
+    const lowerBound = template => VersionRange.minVersion(template.versionRange) || '0';
+    const matches = (await this.getVersionedTemplates())
+      .filter(template => template.technology === technology && VersionRange.satisfies(version, template.versionRange))
+      .sort((a, b) => VersionRange.compare(lowerBound(b), lowerBound(a)));
+
+    return matches[0] || null;
+  }
+
   /**
    * Registers custom Handlebars helpers for templates
    */
@@ -542,23 +948,36 @@ export class RuleGenerator {
 
     Handlebars.registerHelper('join', function(array, separator) {
       if (!Array.isArray(array)) return '';
-      return array.join(separator || ', ');
+      // Without an explicit separator Handlebars passes its options object
+      return array.join(typeof separator === 'string' ? separator : ', ');
     });
 
-    Handlebars.registerHelper('ifCond', function(v1, operator, v2, options) {
-      switch (operator) {
-        case '==': return (v1 == v2) ? options.fn(this) : options.inverse(this);
-        case '===': return (v1 === v2) ? options.fn(this) : options.inverse(this);
-        case '!=': return (v1 != v2) ? options.fn(this) : options.inverse(this);
-        case '!==': return (v1 !== v2) ? options.fn(this) : options.inverse(this);
-        case '<': return (v1 < v2) ? options.fn(this) : options.inverse(this);
-        case '<=': return (v1 <= v2) ? options.fn(this) : options.inverse(this);
-        case '>': return (v1 > v2) ? options.fn(this) : options.inverse(this);
-        case '>=': return (v1 >= v2) ? options.fn(this) : options.inverse(this);
-        case '&&': return (v1 && v2) ? options.fn(this) : options.inverse(this);
-        case '||': return (v1 || v2) ? options.fn(this) : options.inverse(this);
-        default: return options.inverse(this);
+    // {{#ifCond a '===' b}}, comparisons can be chained with 'OR' and 'AND':
+    // {{#ifCond this '===' 'Redux' 'OR' this '===' 'Redux Toolkit'}}
+    Handlebars.registerHelper('ifCond', function(...args) {
+      const options = args.pop();
+      const compare = (v1, operator, v2) => {
+        switch (operator) {
+          case '==': return v1 == v2;
+          case '===': return v1 === v2;
+          case '!=': return v1 != v2;
+          case '!==': return v1 !== v2;
+          case '<': return v1 < v2;
+          case '<=': return v1 <= v2;
+          case '>': return v1 > v2;
+          case '>=': return v1 >= v2;
+          case '&&': return Boolean(v1 && v2);
+          case '||': return Boolean(v1 || v2);
+          default: return false;
+        }
+      };
+
+      let result = compare(args[0], args[1], args[2]);
+      for (let i = 3; i + 3 < args.length; i += 4) {
+        const next = compare(args[i + 1], args[i + 2], args[i + 3]);
+        result = args[i] === 'AND' ? result && next : result || next;
       }
+      return result ? options.fn(this) : options.inverse(this);
     });
   }
 
@@ -571,7 +990,7 @@ export class RuleGenerator {
   async getTemplateContent(templatePath, type) {
     try {
       // First try to read the template file
-      return await fs.readFile(templatePath, 'utf8');
+      return await this.fs.readFile(templatePath, 'utf8');
     } catch (error) {
       // If template doesn't exist, use appropriate default template based on the path
       const templateDir = path.dirname(templatePath);
@@ -616,7 +1035,7 @@ export class RuleGenerator {
     }
 
     const stackDirPath = path.join(this.outputPath, DIRECTORIES.STACKS);
-    await fs.mkdir(stackDirPath, { recursive: true });
+    await this.fs.mkdir(stackDirPath, { recursive: true });
 
     for (const stack of analysisData.techStack.stacks) {
       if (this.verbose) {
@@ -636,20 +1055,19 @@ export class RuleGenerator {
           date: new Date().toISOString().split('T')[0],
           frameworks: analysisData.techStack?.frameworks || [],
           libraries: analysisData.techStack?.libraries || [],
-          primaryLanguages: analysisData.techStack?.primaryLanguages || []
+          primaryLanguages: analysisData.techStack?.primaryLanguages || [],
+          technologyVersions: analysisData.techStack?.technologyVersions || {}
         };
 
         const ruleContent = template(templateData);
-        await fs.writeFile(ruleFilePath, ruleContent, 'utf8');
+        await this.writeRuleFile(ruleFilePath, ruleContent, templatePath);
         this.generatedFiles.push(ruleFilePath);
 
         if (this.verbose) {
           console.log(chalk.gray(`Generated stack rule at: ${ruleFilePath}`));
         }
       } catch (error) {
-        if (this.verbose) {
-          console.log(chalk.yellow(`Could not generate stack rule for ${stack}: ${error.message}`));
-        }
+        console.warn(chalk.yellow(`Warning: Could not generate stack rule for ${stack}: ${error.message}`));
       }
     }
   }
@@ -703,6 +1121,11 @@ compatibleWith: ["{{capitalize language}}", "Modern-Development"]
 ---
 
 # {{capitalize language}} Development Rules
+{{#if languageVersion}}
+
+Target {{capitalize language}} version: \`{{{languageVersion}}}\`. Do not use language features or
+standard library APIs that are not available in this version.
+{{/if}}
 
 ## Language-Specific Patterns
 
@@ -718,6 +1141,16 @@ compatibleWith: ["{{capitalize language}}", "Modern-Development"]
 - Follow {{language}}-specific best practices
 - Use modern language features appropriately
 - Implement proper error handling
+{{#if linters.length}}
+
+### Tooling
+- Keep code passing the configured linters and type checkers: {{join linters ", "}}
+{{/if}}
+{{#if testingFrameworks.length}}
+
+### Testing
+- Write tests with {{join testingFrameworks ", "}}
+{{/if}}
 
 ## Integration Guidelines
 
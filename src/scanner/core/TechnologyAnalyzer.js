@@ -9,6 +9,41 @@ import fs from 'fs/promises';
 import path from 'path';
 import chalk from 'chalk';
 import { PackageAnalyzer } from '../utils/package-analyzer.js';
+import { PythonPackageAnalyzer } from '../utils/python-package-analyzer.js';
+import { RustPackageAnalyzer } from '../utils/rust-package-analyzer.js';
+import { GoPackageAnalyzer } from '../utils/go-package-analyzer.js';
+import { JvmPackageAnalyzer } from '../utils/jvm-package-analyzer.js';
+import { PhpPackageAnalyzer } from '../utils/php-package-analyzer.js';
+import { RubyPackageAnalyzer } from '../utils/ruby-package-analyzer.js';
+import { DotnetPackageAnalyzer } from '../utils/dotnet-package-analyzer.js';
+import { DartPackageAnalyzer } from '../utils/dart-package-analyzer.js';
+import { ElixirPackageAnalyzer } from '../utils/elixir-package-analyzer.js';
+import { DetectionEvidence, EVIDENCE_WEIGHTS } from '../utils/detection-evidence.js';
+import { DEFAULTS } from '../utils/constants.js';
+import { ProjectConfig } from '../utils/project-config.js';
+
+// PackageAnalyzer categories whose technologies have framework rules
+const FRAMEWORK_CATEGORIES = ['frontend', 'backend', 'backend_services', 'mobile', 'ui'];
+
+// Manifest analyzers of the ecosystems besides npm, by ecosystem name
+const MANIFEST_ANALYZERS = {
+  Python: PythonPackageAnalyzer,
+  Rust: RustPackageAnalyzer,
+  Go: GoPackageAnalyzer,
+  JVM: JvmPackageAnalyzer,
+  PHP: PhpPackageAnalyzer,
+  Ruby: RubyPackageAnalyzer,
+  '.NET': DotnetPackageAnalyzer,
+  Dart: DartPackageAnalyzer,
+  Elixir: ElixirPackageAnalyzer
+};
+
+// Package analyzer categories with a tech stack field of their own; the rest are libraries
+const CATEGORY_FIELDS = {
+  testing: 'testingFrameworks',
+  linters: 'linters',
+  buildTools: 'buildTools'
+};
 
 export class TechnologyAnalyzer {
   constructor(options = {}) {
@@ -16,13 +51,24 @@ export class TechnologyAnalyzer {
     
     // Initialize tech stack storage
     this.primaryLanguages = [];
+    this.languageShares = {};
     this.frameworks = [];
     this.libraries = [];
+    // Package names as declared in the manifests, for indicators that look for a specific package
+    this.dependencies = [];
     this.buildTools = [];
     this.linters = [];
     this.testingFrameworks = [];
     this.foundPackages = [];
     this.stacks = [];
+    this.languageVersions = {};
+    this.technologyVersions = {};
+    this.evidence = new DetectionEvidence();
+    this.projectPath = '';
+    
+    // include/exclude lists of the project config, applied after detection
+    this.detectionOverrides = options.detectionOverrides || null;
+    this.overrides = [];
   }
   
   /**
@@ -37,6 +83,7 @@ export class TechnologyAnalyzer {
     
     // Reset tech stack storage for a clean analysis
     this.resetTechnologyStack();
+    this.projectPath = projectStructure.projectPath || '';
     
     try {
       // Identify primary languages based on file extensions
@@ -48,18 +95,28 @@ export class TechnologyAnalyzer {
       // Analyze specific framework files and indicators
       await this.analyzeFrameworkIndicators(projectStructure);
       
+      // Apply the project config before stacks are derived from the frameworks
+      this.applyDetectionOverrides('languages', 'primaryLanguages');
+      this.applyDetectionOverrides('frameworks', 'frameworks');
+      
       // Detect technology stacks and integrations
       this.detectTechnologyStacks();
+      this.applyDetectionOverrides('stacks', 'stacks');
       
       // Return combined technology stack results
       return {
         primaryLanguages: this.primaryLanguages,
+        languageShares: this.languageShares,
         frameworks: this.frameworks,
         libraries: this.libraries,
         buildTools: this.buildTools,
         linters: this.linters,
         testingFrameworks: this.testingFrameworks,
-        stacks: this.stacks || []
+        stacks: this.stacks || [],
+        languageVersions: this.languageVersions,
+        technologyVersions: this.technologyVersions,
+        detections: this.evidence.toJSON(),
+        overrides: this.overrides
       };
     } catch (error) {
       if (this.verbose) {
@@ -75,11 +132,41 @@ export class TechnologyAnalyzer {
    */
   resetTechnologyStack() {
     this.primaryLanguages = [];
+    this.languageShares = {};
     this.frameworks = [];
     this.libraries = [];
+    this.dependencies = [];
     this.buildTools = [];
     this.linters = [];
     this.testingFrameworks = [];
+    this.languageVersions = {};
+    this.technologyVersions = {};
+    this.evidence = new DetectionEvidence();
+    this.overrides = [];
+  }
+  
+  /**
+   * Records a piece of evidence for a detected language, framework or stack
+   * @param {string} category - 'languages', 'frameworks' or 'stacks'
+   * @param {string} name - Detected technology
+   * @param {string} type - Evidence type (dependency, config, files, directory...)
+   * @param {string} value - Dependency name, or file or directory path
+   * @param {Object} [options] - { detail, weight }
+   */
+  addEvidence(category, name, type, value, options = {}) {
+    const isPath = ['files', 'config', 'directory', 'import'].includes(type);
+    this.evidence.add(category, name, type, isPath ? this.relativePath(value) : value, options);
+  }
+  
+  /**
+   * Path relative to the analyzed project, as shown in evidence
+   * @param {string} filePath - Absolute or relative path
+   * @returns {string}
+   */
+  relativePath(filePath) {
+    return path.isAbsolute(filePath) && this.projectPath
+      ? path.relative(this.projectPath, filePath) || '.'
+      : filePath;
   }
   
   /**
@@ -167,6 +254,15 @@ export class TechnologyAnalyzer {
     for (const [language, percentage] of languagePercentage.entries()) {
       if (percentage > 5) {
         this.primaryLanguages.push(language);
+        this.languageShares[language] = Math.round(percentage);
+        
+        // The larger the share of the project, the less likely the language is incidental
+        const extensions = [...extensionCount.keys()].filter(ext => languageMap[ext] === language);
+        const count = extensions.reduce((sum, ext) => sum + extensionCount.get(ext), 0);
+        this.addEvidence('languages', language, 'files', extensions.map(ext => `*.${ext}`).join(', '), {
+          detail: `${count} of ${totalFiles} files, ${Math.round(percentage)}%`,
+          weight: Math.min(95, Math.round(50 + percentage / 2))
+        });
       }
     }
     
@@ -201,32 +297,10 @@ export class TechnologyAnalyzer {
       // Analyze package.json files
       const packageAnalysis = await PackageAnalyzer.analyzeDependencies(projectRoot);
       
-      // Update tech stacks from the analysis
-      if (packageAnalysis) {
-        // Add libraries
-        if (packageAnalysis.libraries && packageAnalysis.libraries.length > 0) {
-          this.libraries.push(...packageAnalysis.libraries);
-        }
-        
-        // Add frameworks
-        if (packageAnalysis.frameworks && packageAnalysis.frameworks.length > 0) {
-          this.frameworks.push(...packageAnalysis.frameworks);
-        }
-        
-        // Add build tools
-        if (packageAnalysis.buildTools && packageAnalysis.buildTools.length > 0) {
-          this.buildTools.push(...packageAnalysis.buildTools);
-        }
-        
-        // Add linters
-        if (packageAnalysis.linters && packageAnalysis.linters.length > 0) {
-          this.linters.push(...packageAnalysis.linters);
-        }
-        
-        // Add testing frameworks
-        if (packageAnalysis.testingFrameworks && packageAnalysis.testingFrameworks.length > 0) {
-          this.testingFrameworks.push(...packageAnalysis.testingFrameworks);
-        }
+      // Update tech stacks from the detected technology categories
+      if (packageAnalysis && packageAnalysis.detected) {
+        this.addPackageTechnologies(packageAnalysis.technologies, packageAnalysis);
+        this.addTechnologyVersions(packageAnalysis.technologyVersions);
       }
     } catch (error) {
       if (this.verbose) {
@@ -234,99 +308,111 @@ export class TechnologyAnalyzer {
       }
     }
     
-    // Check for Python projects (requirements.txt, setup.py)
-    if (this.primaryLanguages.includes('python')) {
-      const requirementsFiles = projectStructure.files
-        .filter(file => file.name === 'requirements.txt')
-        .map(file => file.path);
-      
-      const setupFiles = projectStructure.files
-        .filter(file => file.name === 'setup.py')
-        .map(file => file.path);
-      
-      // Analyze requirements.txt files
-      for (const requirementsPath of requirementsFiles) {
-        try {
-          const content = await fs.readFile(requirementsPath, 'utf8');
-          const lines = content.split('\n').map(line => line.trim());
+    // Analyze the manifests of the other ecosystems (pyproject.toml, Cargo.toml, go.mod, pom.xml...)
+    for (const [ecosystem, analyzer] of Object.entries(MANIFEST_ANALYZERS)) {
+      try {
+        const analysis = await analyzer.analyzeDependencies(projectRoot);
+        
+        if (analysis && analysis.detected) {
+          this.addPackageTechnologies(analysis.technologies, analysis);
+          this.addTechnologyVersions(analysis.technologyVersions);
+          Object.assign(this.languageVersions, analysis.languageVersions);
           
-          for (const line of lines) {
-            // Skip empty lines and comments
-            if (!line || line.startsWith('#')) continue;
-            
-            // Extract package name (ignoring version)
-            const packageName = line.split('==')[0].split('>=')[0].split('<=')[0].trim();
-            
-            // Check for common frameworks and libraries
-            if (packageName === 'django') this.frameworks.push('Django');
-            if (packageName === 'flask') this.frameworks.push('Flask');
-            if (packageName === 'fastapi') this.frameworks.push('FastAPI');
-            if (packageName === 'tornado') this.frameworks.push('Tornado');
-            if (packageName === 'pyramid') this.frameworks.push('Pyramid');
-            
-            // Testing libraries
-            if (packageName === 'pytest') this.testingFrameworks.push('pytest');
-            if (packageName === 'unittest') this.testingFrameworks.push('unittest');
-            
-            // Common data science libraries
-            if (['numpy', 'pandas', 'matplotlib', 'seaborn', 'scipy'].includes(packageName)) {
-              if (!this.libraries.includes('Data Science')) {
-                this.libraries.push('Data Science');
-              }
-            }
-            
-            // ML/AI libraries
-            if (['tensorflow', 'keras', 'pytorch', 'scikit-learn', 'xgboost'].includes(packageName)) {
-              if (!this.libraries.includes('Machine Learning')) {
-                this.libraries.push('Machine Learning');
-              }
-            }
-          }
-        } catch (error) {
           if (this.verbose) {
-            console.warn(chalk.yellow(`Warning: Error analyzing requirements.txt: ${error.message}`));
+            console.log(chalk.gray(`${ecosystem} manifests analyzed: ${analysis.manifests.join(', ')}`));
           }
         }
+      } catch (error) {
+        if (this.verbose) {
+          console.warn(chalk.yellow(`Warning: Error analyzing ${ecosystem} manifests: ${error.message}`));
+        }
       }
     }
+  }
+  
+  /**
+   * Adds technologies detected by a package analyzer to the tech stack
+   * @param {Object} technologies - Technologies by package analyzer category
+   * @param {Object} [analysis] - Full analyzer result, for the dependency evidence of frameworks
+   */
+  addPackageTechnologies(technologies = {}, analysis = {}) {
+    const manifest = analysis.manifests?.[0] || 'package.json';
+    this.dependencies.push(...Object.keys(analysis.dependencies || {}), ...Object.keys(analysis.devDependencies || {}));
     
-    // Check for Ruby projects (Gemfile)
-    if (this.primaryLanguages.includes('ruby')) {
-      const gemFiles = projectStructure.files
-        .filter(file => file.name === 'Gemfile')
-        .map(file => file.path);
-      
-      for (const gemfilePath of gemFiles) {
-        try {
-          const content = await fs.readFile(gemfilePath, 'utf8');
-          const lines = content.split('\n').map(line => line.trim());
-          
-          for (const line of lines) {
-            // Skip empty lines and comments
-            if (!line || line.startsWith('#')) continue;
-            
-            // Check for common frameworks and libraries
-            if (line.includes("'rails'") || line.includes('"rails"')) {
-              this.frameworks.push('Ruby on Rails');
-            }
-            
-            if (line.includes("'sinatra'") || line.includes('"sinatra"')) {
-              this.frameworks.push('Sinatra');
-            }
-            
-            if (line.includes("'rspec'") || line.includes('"rspec"')) {
-              this.testingFrameworks.push('RSpec');
-            }
-          }
-        } catch (error) {
-          if (this.verbose) {
-            console.warn(chalk.yellow(`Warning: Error analyzing Gemfile: ${error.message}`));
+    for (const [category, detected] of Object.entries(technologies)) {
+      if (FRAMEWORK_CATEGORIES.includes(category)) {
+        this.frameworks.push(...detected);
+        
+        for (const framework of detected) {
+          const dependency = analysis.technologyVersions?.[framework]?.package;
+          if (dependency) {
+            this.addEvidence('frameworks', framework, 'dependency', dependency, { detail: `declared in ${manifest}` });
+          } else {
+            this.addEvidence('frameworks', framework, 'manifest', manifest);
           }
         }
+      } else if (CATEGORY_FIELDS[category]) {
+        this[CATEGORY_FIELDS[category]].push(...detected);
+      } else {
+        this.libraries.push(...detected);
       }
     }
   }
   
+  /**
+   * Whether a package is declared in a manifest, or was detected as a library
+   * @param {string} name - Package name (next, mongodb) or library name
+   * @returns {boolean}
+   */
+  hasDependency(name) {
+    return this.dependencies.includes(name) || this.libraries.includes(name);
+  }
+  
+  /**
+   * Adds the versions of detected technologies; the first ecosystem that
+   * resolves a version for a technology wins
+   * @param {Object} technologyVersions - Map of technology to { version, constraint, package, source }
+   */
+  addTechnologyVersions(technologyVersions = {}) {
+    for (const [technology, info] of Object.entries(technologyVersions)) {
+      if (!this.technologyVersions[technology]?.version) {
+        this.technologyVersions[technology] = info;
+      }
+    }
+  }
+  
+  /**
+   * Applies the include/exclude lists of the project config to one category of
+   * detections and records every override for the scan report
+   * @param {string} category - 'languages', 'frameworks' or 'stacks'
+   * @param {string} field - Tech stack field holding the detections of the category
+   */
+  applyDetectionOverrides(category, field) {
+    if (!this.detectionOverrides) return;
+    
+    const { names, excluded, included, unmatched } = ProjectConfig.applyOverrides(this[field], this.detectionOverrides, category);
+    this[field] = names;
+    
+    // Excluded detections keep their evidence in the report to show what was overridden
+    for (const name of excluded) {
+      this.overrides.push({ category, name, action: 'exclude', applied: true, detection: this.evidence.remove(category, name) });
+    }
+    
+    for (const name of included) {
+      this.evidence.add(category, name, 'override', DEFAULTS.PROJECT_CONFIG_FILE);
+      this.evidence.setConfidence(category, name, 100);
+      this.overrides.push({ category, name, action: 'include', applied: true });
+    }
+    
+    for (const { action, name } of unmatched) {
+      this.overrides.push({ category, name, action, applied: false });
+    }
+    
+    if (this.verbose && (excluded.length > 0 || included.length > 0)) {
+      console.log(chalk.gray(`  - ${category} overridden by ${DEFAULTS.PROJECT_CONFIG_FILE}: ${[...excluded.map(name => `-${name}`), ...included.map(name => `+${name}`)].join(', ')}`));
+    }
+  }
+  
   /**
    * Analyze specific framework indicators in the project structure
    * @param {Object} projectStructure - Project structure from ProjectScanner
@@ -341,8 +427,11 @@ export class TechnologyAnalyzer {
       .filter(file => file.name.endsWith('.jsx') || file.name.endsWith('.tsx'))
       .map(file => file.path);
       
-    if (reactFiles.length > 0 && !this.frameworks.includes('React')) {
-      this.frameworks.push('React');
+    if (reactFiles.length > 0) {
+      this.addEvidence('frameworks', 'React', 'files', reactFiles[0], { detail: `${reactFiles.length} .jsx/.tsx files` });
+      if (!this.frameworks.includes('React')) {
+        this.frameworks.push('React');
+      }
     }
     
     // Enhanced Next.js detection
@@ -352,27 +441,37 @@ export class TechnologyAnalyzer {
       .map(file => file.path);
 
     // Check for Next.js app directory structure (Next.js 13+)
-    const hasAppDir = projectStructure.directories.some(dir => 
+    const appDir = projectStructure.directories.find(dir => 
       dir.name === 'app' && (dir.path.includes('/src/app') || dir.path.endsWith('/app'))
     );
+    const hasAppDir = Boolean(appDir);
     
     // Check for Next.js pages directory structure (traditional Next.js)
-    const hasPagesDir = projectStructure.directories.some(dir => 
+    const pagesDir = projectStructure.directories.find(dir => 
       dir.name === 'pages' && (dir.path.includes('/src/pages') || dir.path.endsWith('/pages'))
     );
+    const hasPagesDir = Boolean(pagesDir);
     
     // Look for Next.js special files like page.js, layout.js in app directory
     const nextSpecialFileNames = ['page', 'layout', 'loading', 'error', 'not-found', 'route'];
-    const hasNextAppPageFiles = projectStructure.files.some(file => {
+    const nextAppPageFile = projectStructure.files.find(file => {
       const fileName = path.basename(file.name, path.extname(file.name));
       return file.path.includes('/app/') && nextSpecialFileNames.includes(fileName);
     });
+    const hasNextAppPageFiles = Boolean(nextAppPageFile);
     
     // Check package.json for Next.js dependency
-    const hasNextDependency = this.libraries.includes('next');
+    const hasNextDependency = this.hasDependency('next');
     
     // If any Next.js indicators are found, mark as Next.js project
     if (nextjsConfigFiles.length > 0 || hasNextDependency || (hasAppDir && hasNextAppPageFiles) || hasPagesDir) {
+      if (nextjsConfigFiles.length > 0) this.addEvidence('frameworks', 'Next.js', 'config', nextjsConfigFiles[0]);
+      if (hasNextDependency) this.addEvidence('frameworks', 'Next.js', 'dependency', 'next');
+      if (hasAppDir && hasNextAppPageFiles) {
+        this.addEvidence('frameworks', 'Next.js', 'files', nextAppPageFile.path, { detail: 'App Router special file' });
+      }
+      if (hasPagesDir) this.addEvidence('frameworks', 'Next.js', 'directory', pagesDir.path);
+      
       if (!this.frameworks.includes('Next.js')) {
         this.frameworks.push('Next.js');
         
@@ -387,6 +486,9 @@ export class TechnologyAnalyzer {
       
       // If app directory is detected, add Next.js App Router as framework variant
       if (hasAppDir && hasNextAppPageFiles) {
+        this.addEvidence('frameworks', 'Next.js App Router', 'directory', appDir.path);
+        this.addEvidence('frameworks', 'Next.js App Router', 'files', nextAppPageFile.path, { detail: 'App Router special file' });
+        
         if (!this.frameworks.includes('Next.js App Router')) {
           this.frameworks.push('Next.js App Router');
           if (this.verbose) {
@@ -394,48 +496,6 @@ export class TechnologyAnalyzer {
           }
         }
       }
-      
-      // Try to detect Next.js version from package.json
-      try {
-        const packageJsonFiles = projectStructure.files
-          .filter(file => file.name === 'package.json')
-          .map(file => file.path);
-        
-        if (packageJsonFiles.length > 0) {
-          const packageJsonContent = await fs.readFile(packageJsonFiles[0], 'utf8');
-          const packageData = JSON.parse(packageJsonContent);
-          
-          // Check for Next.js version
-          const nextVersion = packageData.dependencies?.next || packageData.devDependencies?.next;
-          if (nextVersion) {
-            // Extract major version
-            const versionMatch = nextVersion.match(/[0-9]+/);
-            if (versionMatch) {
-              const majorVersion = parseInt(versionMatch[0]);
-              if (majorVersion >= 14) {
-                if (!this.frameworks.includes('Next.js 14+')) {
-                  this.frameworks.push('Next.js 14+');
-                  if (this.verbose) {
-                    console.log(chalk.gray(`  - Next.js 14+ detected (version: ${nextVersion})`));
-                  }
-                }
-              } else if (majorVersion >= 13) {
-                if (!this.frameworks.includes('Next.js 13+')) {
-                  this.frameworks.push('Next.js 13+');
-                  if (this.verbose) {
-                    console.log(chalk.gray(`  - Next.js 13+ detected (version: ${nextVersion})`));
-                  }
-                }
-              }
-            }
-          }
-        }
-      } catch (err) {
-        // Silently handle any errors in version detection
-        if (this.verbose) {
-          console.log(chalk.yellow(`Error detecting Next.js version: ${err.message}`));
-        }
-      }
     }
     
     // Check for Vue.js
@@ -443,8 +503,11 @@ export class TechnologyAnalyzer {
       .filter(file => file.name.endsWith('.vue'))
       .map(file => file.path);
       
-    if (vueFiles.length > 0 && !this.frameworks.includes('Vue.js')) {
-      this.frameworks.push('Vue.js');
+    if (vueFiles.length > 0) {
+      this.addEvidence('frameworks', 'Vue.js', 'files', vueFiles[0], { detail: `${vueFiles.length} .vue files` });
+      if (!this.frameworks.includes('Vue.js')) {
+        this.frameworks.push('Vue.js');
+      }
     }
     
     // Check for Angular
@@ -452,8 +515,11 @@ export class TechnologyAnalyzer {
       .filter(file => file.name === 'angular.json')
       .map(file => file.path);
     
-    if (angularFiles.length > 0 && !this.frameworks.includes('Angular')) {
-      this.frameworks.push('Angular');
+    if (angularFiles.length > 0) {
+      this.addEvidence('frameworks', 'Angular', 'config', angularFiles[0]);
+      if (!this.frameworks.includes('Angular')) {
+        this.frameworks.push('Angular');
+      }
     }
     
     // Check for Django
@@ -461,30 +527,46 @@ export class TechnologyAnalyzer {
       .filter(file => file.name === 'manage.py' || file.name === 'settings.py')
       .map(file => file.path);
       
-    if (djangoFiles.length > 0 && !this.frameworks.includes('Django')) {
-      this.frameworks.push('Django');
+    if (djangoFiles.length > 0) {
+      for (const file of djangoFiles.slice(0, 3)) {
+        this.addEvidence('frameworks', 'Django', path.basename(file) === 'manage.py' ? 'config' : 'files', file);
+      }
+      if (!this.frameworks.includes('Django')) {
+        this.frameworks.push('Django');
+      }
     }
 
     // Check for shadcn/ui
-    const hasShadcnUIComponents = projectStructure.directories.some(dir => 
+    const shadcnUIComponentsDir = projectStructure.directories.find(dir => 
       dir.name === 'components' && dir.path.includes('/ui/')
     );
+    const hasShadcnUIComponents = Boolean(shadcnUIComponentsDir);
     
-    const hasShadcnUIIndicators = projectStructure.files.some(file => 
+    const shadcnUIIndicator = projectStructure.files.find(file => 
       file.name === 'components.json' || 
       (file.path.includes('/ui/') && (file.path.includes('/button/') || file.path.includes('/dialog/')))
     );
+    const hasShadcnUIIndicators = Boolean(shadcnUIIndicator);
 
-    const hasShadcnDependencies = [
+    const shadcnDependencies = [
       'class-variance-authority',
       'clsx',
       'cmdk',
       'lucide-react',
       'tailwind-merge',
       'tailwindcss-animate'
-    ].some(dep => this.libraries.includes(dep));
+    ].filter(dep => this.hasDependency(dep));
+    const hasShadcnDependencies = shadcnDependencies.length > 0;
     
     if ((hasShadcnUIComponents && hasShadcnUIIndicators) || hasShadcnDependencies) {
+      if (hasShadcnUIComponents && hasShadcnUIIndicators) {
+        this.addEvidence('frameworks', 'shadcn/ui', 'directory', shadcnUIComponentsDir.path);
+        this.addEvidence('frameworks', 'shadcn/ui', shadcnUIIndicator.name === 'components.json' ? 'config' : 'files', shadcnUIIndicator.path);
+      }
+      for (const dependency of shadcnDependencies) {
+        this.addEvidence('frameworks', 'shadcn/ui', 'dependency', dependency);
+      }
+      
       if (!this.frameworks.includes('shadcn/ui')) {
         this.frameworks.push('shadcn/ui');
         if (this.verbose) {
@@ -494,21 +576,28 @@ export class TechnologyAnalyzer {
     }
     
     // Check for Supabase
-    const hasSupabaseDependencies = [
+    const supabaseDependencies = [
       '@supabase/supabase-js',
       '@supabase/auth-helpers-nextjs',
       '@supabase/auth-helpers-react',
       '@supabase/auth-ui-react'
-    ].some(dep => this.libraries.includes(dep));
+    ].filter(dep => this.hasDependency(dep));
+    const hasSupabaseDependencies = supabaseDependencies.length > 0;
     
-    const hasSupabaseConfig = projectStructure.files.some(file => 
+    const supabaseConfig = projectStructure.files.find(file => 
       file.name === 'supabase.ts' || 
       file.name === 'supabase.js' ||
       file.path.includes('/supabase/') ||
       file.path.includes('/lib/supabase')
     );
+    const hasSupabaseConfig = Boolean(supabaseConfig);
     
     if (hasSupabaseDependencies || hasSupabaseConfig) {
+      for (const dependency of supabaseDependencies) {
+        this.addEvidence('frameworks', 'Supabase', 'dependency', dependency);
+      }
+      if (hasSupabaseConfig) this.addEvidence('frameworks', 'Supabase', 'files', supabaseConfig.path);
+      
       if (!this.frameworks.includes('Supabase')) {
         this.frameworks.push('Supabase');
         if (this.verbose) {
@@ -518,6 +607,13 @@ export class TechnologyAnalyzer {
       
       // If using both Next.js and Supabase, add the stack
       if (this.frameworks.includes('Next.js')) {
+        this.addEvidence('frameworks', 'Supabase-Next.js Stack', 'technology', 'Supabase', {
+          weight: this.evidence.getConfidence('frameworks', 'Supabase')
+        });
+        this.addEvidence('frameworks', 'Supabase-Next.js Stack', 'technology', 'Next.js', {
+          weight: this.evidence.getConfidence('frameworks', 'Next.js')
+        });
+        
         if (!this.frameworks.includes('Supabase-Next.js Stack')) {
           this.frameworks.push('Supabase-Next.js Stack');
           if (this.verbose) {
@@ -548,6 +644,7 @@ export class TechnologyAnalyzer {
           const content = await fs.readFile(flaskFiles[i], 'utf8');
           if (content.includes('from flask import')) {
             hasFlask = true;
+            this.addEvidence('frameworks', 'Flask', 'import', flaskFiles[i], { detail: 'from flask import' });
             break;
           }
         } catch (error) {
@@ -561,9 +658,12 @@ export class TechnologyAnalyzer {
     }
     
     // Check for Express.js
-    if ((this.libraries.includes('express') || this.libraries.includes('express.js')) &&
-        !this.frameworks.includes('Express.js')) {
-      this.frameworks.push('Express.js');
+    const expressLibrary = ['express', 'express.js'].find(name => this.hasDependency(name));
+    if (expressLibrary) {
+      this.addEvidence('frameworks', 'Express.js', 'dependency', expressLibrary);
+      if (!this.frameworks.includes('Express.js')) {
+        this.frameworks.push('Express.js');
+      }
     }
     
     // Check for iOS/Swift projects
@@ -573,6 +673,7 @@ export class TechnologyAnalyzer {
       
     if (xcodeProjectFiles.length > 0) {
       this.frameworks.push('Xcode');
+      this.addEvidence('frameworks', 'Xcode', 'config', xcodeProjectFiles[0]);
       
       // Check for Swift UI
       const swiftFiles = projectStructure.files
@@ -589,6 +690,7 @@ export class TechnologyAnalyzer {
             const content = await fs.readFile(swiftFiles[i], 'utf8');
             if (content.includes('import SwiftUI')) {
               hasSwiftUI = true;
+              this.addEvidence('frameworks', 'SwiftUI', 'import', swiftFiles[i], { detail: 'import SwiftUI' });
               break;
             }
           } catch (error) {
@@ -609,6 +711,7 @@ export class TechnologyAnalyzer {
     
     if (androidManifestFiles.length > 0) {
       this.frameworks.push('Android');
+      this.addEvidence('frameworks', 'Android', 'config', androidManifestFiles[0]);
     }
     
     // Detect Flutter
@@ -616,17 +719,17 @@ export class TechnologyAnalyzer {
       .filter(file => file.name === 'pubspec.yaml')
       .map(file => file.path);
     
-    if (pubspecFiles.length > 0) {
-      for (const pubspecPath of pubspecFiles) {
-        try {
-          const content = await fs.readFile(pubspecPath, 'utf8');
-          if (content.includes('flutter:')) {
-            this.frameworks.push('Flutter');
-            break;
-          }
-        } catch (error) {
-          // Ignore errors reading files
+    // Flutter apps outside the project root (e.g. mobile/) are found by their pubspec
+    for (const pubspecPath of pubspecFiles) {
+      try {
+        const pubspec = DartPackageAnalyzer.parsePubspec(await fs.readFile(pubspecPath, 'utf8'));
+        if (DartPackageAnalyzer.usesFlutter(pubspec)) {
+          this.frameworks.push('Flutter');
+          this.addEvidence('frameworks', 'Flutter', 'dependency', 'flutter', { detail: `declared in ${this.relativePath(pubspecPath)}` });
+          break;
         }
+      } catch (error) {
+        // Ignore errors reading files
       }
     }
     
@@ -654,90 +757,93 @@ export class TechnologyAnalyzer {
     // MERN Stack (MongoDB, Express, React, Node.js)
     if (this.frameworks.includes('React') && 
         this.frameworks.includes('Express.js') && 
-        this.libraries.includes('mongodb')) {
-      this.stacks.push('MERN Stack');
+        this.hasDependency('mongodb')) {
+      this.addStack('MERN Stack', ['React', 'Express.js', 'mongodb']);
     }
 
     // MEAN Stack (MongoDB, Express, Angular, Node.js)
     if (this.frameworks.includes('Angular') && 
         this.frameworks.includes('Express.js') && 
-        this.libraries.includes('mongodb')) {
-      this.stacks.push('MEAN Stack');
+        this.hasDependency('mongodb')) {
+      this.addStack('MEAN Stack', ['Angular', 'Express.js', 'mongodb']);
     }
 
     // Next.js Enterprise Stack
     if (this.frameworks.includes('Next.js') && 
-        (this.libraries.includes('typescript') || this.primaryLanguages.includes('typescript'))) {
-      this.stacks.push('NextJS Enterprise Stack');
+        (this.hasDependency('typescript') || this.primaryLanguages.includes('typescript'))) {
+      this.addStack('NextJS Enterprise Stack', ['Next.js', 'typescript']);
     }
 
     // Supabase + Next.js Stack (already detected in framework indicators)
     if (this.frameworks.includes('Supabase-Next.js Stack')) {
-      this.stacks.push('Supabase + Next.js');
+      this.addStack('Supabase + Next.js', ['Supabase-Next.js Stack']);
     }
 
     // tRPC Full-Stack
-    if (this.libraries.includes('@trpc/server') || 
-        this.libraries.includes('@trpc/client') || 
-        this.libraries.includes('@trpc/react-query')) {
-      this.stacks.push('tRPC Full-Stack');
+    const trpcPackages = ['@trpc/server', '@trpc/client', '@trpc/react-query']
+      .filter(name => this.hasDependency(name));
+    if (trpcPackages.length > 0) {
+      this.addStack('tRPC Full-Stack', trpcPackages, { any: true });
     }
 
     // Laravel + Vue Stack
     if (this.frameworks.includes('Laravel') && this.frameworks.includes('Vue.js')) {
-      this.stacks.push('Laravel + Vue');
+      this.addStack('Laravel + Vue', ['Laravel', 'Vue.js']);
     }
 
     // Django REST + React Stack
+    const djangoRestFramework = ['djangorestframework', 'Django REST Framework']
+      .find(name => this.hasDependency(name));
     if (this.frameworks.includes('Django') && 
         this.frameworks.includes('React') &&
-        this.libraries.includes('djangorestframework')) {
-      this.stacks.push('Django REST + React');
+        djangoRestFramework) {
+      this.addStack('Django REST + React', ['Django', 'React', djangoRestFramework]);
     }
 
     // Spring Boot + React Stack
     if (this.frameworks.includes('Spring Boot') && this.frameworks.includes('React')) {
-      this.stacks.push('Spring Boot + React');
+      this.addStack('Spring Boot + React', ['Spring Boot', 'React']);
     }
 
     // Astro Content Stack
     if (this.frameworks.includes('Astro')) {
-      this.stacks.push('Astro Content Stack');
+      this.addStack('Astro Content Stack', ['Astro']);
     }
 
     // React Native Mobile Stack
     if (this.frameworks.includes('React Native')) {
-      this.stacks.push('React Native Mobile');
+      this.addStack('React Native Mobile', ['React Native']);
     }
 
     // E-commerce Stack indicators
     const ecommerceIndicators = [
       'stripe', 'shopify', 'woocommerce', 'magento', 
       'commerce.js', '@stripe/stripe-js', 'paypal'
-    ];
-    if (ecommerceIndicators.some(indicator => this.libraries.includes(indicator))) {
-      this.stacks.push('Ecommerce Stack');
+    ].filter(indicator => this.hasDependency(indicator));
+    if (ecommerceIndicators.length > 0) {
+      this.addStack('Ecommerce Stack', ecommerceIndicators, { any: true });
     }
 
     // JAMstack (JavaScript, APIs, Markup)
-    const jamstackFrameworks = ['Gatsby', 'Next.js', 'Nuxt.js', 'Astro', 'Eleventy'];
-    if (jamstackFrameworks.some(framework => this.frameworks.includes(framework))) {
-      this.stacks.push('JAMstack');
+    const jamstackFrameworks = ['Gatsby', 'Next.js', 'Nuxt.js', 'Astro', 'Eleventy']
+      .filter(framework => this.frameworks.includes(framework));
+    if (jamstackFrameworks.length > 0) {
+      this.addStack('JAMstack', jamstackFrameworks, { any: true });
     }
 
     // Serverless Stack
     const serverlessIndicators = [
       'aws-lambda', 'vercel', 'netlify-functions', 
       '@vercel/node', 'serverless', 'aws-cdk'
-    ];
-    if (serverlessIndicators.some(indicator => this.libraries.includes(indicator))) {
-      this.stacks.push('Serverless Stack');
+    ].filter(indicator => this.hasDependency(indicator));
+    if (serverlessIndicators.length > 0) {
+      this.addStack('Serverless Stack', serverlessIndicators, { any: true });
     }
 
     // Full-Stack TypeScript
     if (this.primaryLanguages.includes('typescript') && 
         this.frameworks.length > 1) {
-      this.stacks.push('Full-Stack TypeScript');
+      this.addStack('Full-Stack TypeScript', ['typescript', ...this.frameworks]);
     }
 
     // Remove duplicates
@@ -747,4 +853,26 @@ export class TechnologyAnalyzer {
       console.log(chalk.gray(`Technology stacks detected: ${this.stacks.join(', ')}`));
     }
   }
+
+  /**
+   * Adds a technology stack with the technologies it was detected from as its
+   * evidence; a stack is only as certain as the least certain of them, or as
+   * the most certain one when any of them is enough
+   * @param {string} name - Stack name
+   * @param {string[]} technologies - Detected languages, frameworks or libraries of the stack
+   * @param {Object} [options] - { any: true } when a single technology indicates the stack
+   */
+  addStack(name, technologies, options = {}) {
+    this.stacks.push(name);
+    
+    const confidences = technologies.map(technology => {
+      const confidence = this.evidence.getConfidence('frameworks', technology) ||
+        this.evidence.getConfidence('languages', technology) ||
+        EVIDENCE_WEIGHTS.dependency;
+      this.addEvidence('stacks', name, 'technology', technology, { weight: confidence });
+      return confidence;
+    });
+    
+    this.evidence.setConfidence('stacks', name, options.any ? Math.max(...confidences) : Math.min(...confidences));
+  }
 }
@@ -0,0 +1,387 @@
+/**
+ * WorkspaceAnalyzer.js
+ *
+ * Detects monorepo workspaces (pnpm, npm/yarn workspaces, Nx, Turborepo, Lerna,
+ * Cargo and Go workspaces), resolves their member packages and analyzes the
+ * technology stack of every package separately.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { glob } from 'glob';
+import { TechnologyAnalyzer } from './TechnologyAnalyzer.js';
+import { ManifestParser } from '../utils/manifest-parser.js';
+import { GoPackageAnalyzer } from '../utils/go-package-analyzer.js';
+import { DetectionEvidence } from '../utils/detection-evidence.js';
+
+// Files that make a workspace member directory a package, in order of preference
+const PACKAGE_MANIFESTS = [
+  { file: 'package.json', ecosystem: 'node' },
+  { file: 'Cargo.toml', ecosystem: 'rust' },
+  { file: 'go.mod', ecosystem: 'go' },
+  { file: 'project.json', ecosystem: 'nx' }
+];
+
+// Technology stack fields merged from the packages into the workspace stack. Primary
+// languages are left out, they are already measured over the whole repository.
+const TECH_STACK_FIELDS = ['frameworks', 'libraries', 'buildTools', 'linters', 'testingFrameworks', 'stacks'];
+
+export class WorkspaceAnalyzer {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+    // Only the exclusions of the project config apply to packages, inclusions describe the whole project
+    this.detectionOverrides = options.detectionOverrides
+      ? { include: {}, exclude: options.detectionOverrides.exclude }
+      : null;
+  }
+
+  /**
+   * Detects the workspace layout of a project and analyzes each package
+   * @param {Object} projectStructure - Project structure from ProjectScanner
+   * @returns {Object} { isMonorepo, tools, packages }; every package has
+   *   { name, path, ecosystem, manifest, dependencies, internalDependencies, dependents, fileCount, techStack }
+   */
+  async analyzeWorkspace(projectStructure) {
+    const projectPath = projectStructure.projectPath;
+    const tools = [];
+    const patterns = { include: new Set(), exclude: new Set() };
+
+    const addPatterns = (list = []) => {
+      for (const pattern of list) {
+        if (typeof pattern !== 'string') continue;
+        if (pattern.startsWith('!')) {
+          patterns.exclude.add(pattern.slice(1));
+        } else {
+          patterns.include.add(pattern);
+        }
+      }
+    };
+
+    // pnpm
+    const pnpmWorkspace = await this.readManifest(projectPath, 'pnpm-workspace.yaml', content => ManifestParser.parseYaml(content));
+    if (pnpmWorkspace) {
+      tools.push('pnpm workspaces');
+      addPatterns(pnpmWorkspace.packages);
+    }
+
+    // npm / yarn
+    const rootPackage = await this.readManifest(projectPath, 'package.json', JSON.parse);
+    const npmWorkspaces = Array.isArray(rootPackage?.workspaces) ? rootPackage.workspaces : rootPackage?.workspaces?.packages;
+    if (Array.isArray(npmWorkspaces)) {
+      tools.push(await this.exists(path.join(projectPath, 'yarn.lock')) ? 'yarn workspaces' : 'npm workspaces');
+      addPatterns(npmWorkspaces);
+    }
+
+    // Lerna lists its own packages unless it delegates to the package manager
+    const lerna = await this.readManifest(projectPath, 'lerna.json', JSON.parse);
+    if (lerna) {
+      tools.push('Lerna');
+      if (Array.isArray(lerna.packages)) {
+        addPatterns(lerna.packages);
+      } else if (!lerna.useWorkspaces && patterns.include.size === 0) {
+        addPatterns(['packages/*']);
+      }
+    }
+
+    // Nx projects are the directories holding a project.json
+    const nx = await this.readManifest(projectPath, 'nx.json', JSON.parse);
+    if (nx) {
+      tools.push('Nx');
+      const projectDirs = projectStructure.files
+        .filter(file => file.name === 'project.json' && path.dirname(file.relativePath) !== '.')
+        .map(file => path.dirname(file.relativePath).split(path.sep).join('/'));
+      addPatterns(projectDirs);
+
+      const layout = nx.workspaceLayout || {};
+      for (const dir of [layout.appsDir || 'apps', layout.libsDir || 'libs']) {
+        if (await this.exists(path.join(projectPath, dir))) {
+          addPatterns([`${dir}/*`]);
+        }
+      }
+    }
+
+    // Turborepo runs on top of the package manager workspaces
+    if (await this.exists(path.join(projectPath, 'turbo.json'))) {
+      tools.push('Turborepo');
+    }
+
+    // Cargo
+    const cargo = await this.readManifest(projectPath, 'Cargo.toml', content => ManifestParser.parseToml(content));
+    if (cargo?.workspace) {
+      tools.push('Cargo workspace');
+      addPatterns(cargo.workspace.members || []);
+      addPatterns((cargo.workspace.exclude || []).map(pattern => `!${pattern}`));
+    }
+
+    // Go
+    const goWork = await this.readManifest(projectPath, 'go.work', content => content);
+    if (goWork) {
+      tools.push('Go workspace');
+      addPatterns(this.parseGoWorkUses(goWork));
+    }
+
+    const packages = await this.resolvePackages(projectPath, [...patterns.include], [...patterns.exclude]);
+    this.linkInternalDependencies(packages);
+    await this.analyzePackageStacks(projectStructure, packages);
+
+    if (this.verbose && tools.length > 0) {
+      console.log(chalk.gray(`Workspace detected (${tools.join(', ')}) with ${packages.length} packages`));
+    }
+
+    return {
+      isMonorepo: packages.length > 0,
+      tools,
+      packages
+    };
+  }
+
+  /**
+   * Reads and parses a file in the project root
+   * @param {string} projectPath - Project root
+   * @param {string} fileName - File to read
+   * @param {Function} parse - Parser for the file content
+   * @returns {*} Parsed content, or null when the file is missing or invalid
+   */
+  async readManifest(projectPath, fileName, parse) {
+    const filePath = path.join(projectPath, fileName);
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+
+    try {
+      return parse(content);
+    } catch (error) {
+      if (this.verbose) {
+        console.warn(chalk.yellow(`Warning: Could not parse ${fileName}: ${error.message}`));
+      }
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} filePath - Path to check
+   * @returns {Promise<boolean>} Whether the path exists
+   */
+  async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Extracts the module directories of a go.work file
+   * @param {string} content - go.work content
+   * @returns {string[]} Directories relative to the workspace root
+   */
+  parseGoWorkUses(content) {
+    const uses = [];
+    const source = content.replace(/\/\/.*$/gm, '');
+
+    for (const match of source.matchAll(/^\s*use\s*\(([\s\S]*?)\)/gm)) {
+      uses.push(...match[1].split('\n').map(line => line.trim()).filter(Boolean));
+    }
+    for (const match of source.matchAll(/^\s*use\s+([^\s(]+)\s*$/gm)) {
+      uses.push(match[1]);
+    }
+
+    return uses.map(use => use.replace(/^["`]|["`]$/g, '').replace(/^\.\//, '')).filter(use => use !== '.');
+  }
+
+  /**
+   * Expands workspace patterns to the package directories they match
+   * @param {string} projectPath - Project root
+   * @param {string[]} include - Member patterns
+   * @param {string[]} exclude - Excluded patterns
+   * @returns {Promise<Object[]>} Packages sorted by path
+   */
+  async resolvePackages(projectPath, include, exclude) {
+    if (include.length === 0) {
+      return [];
+    }
+
+    const directories = await glob(include.map(pattern => `${pattern.replace(/^\.\//, '').replace(/\/+$/, '')}/`), {
+      cwd: projectPath,
+      ignore: ['**/node_modules/**', ...exclude.map(pattern => pattern.replace(/^\.\//, '').replace(/\/+$/, ''))]
+    });
+
+    const packages = [];
+    const seen = new Set();
+
+    for (const directory of directories) {
+      const relativePath = directory.split(path.sep).join('/').replace(/\/+$/, '');
+      if (!relativePath || relativePath === '.' || seen.has(relativePath)) continue;
+      seen.add(relativePath);
+
+      const pkg = await this.readPackage(projectPath, relativePath);
+      if (pkg) {
+        packages.push(pkg);
+      }
+    }
+
+    return packages.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Reads the manifest of a package directory
+   * @param {string} projectPath - Project root
+   * @param {string} relativePath - Package directory relative to the root
+   * @returns {Promise<Object|null>} Package, or null when the directory has no manifest
+   */
+  async readPackage(projectPath, relativePath) {
+    const directory = path.join(projectPath, relativePath);
+
+    for (const { file, ecosystem } of PACKAGE_MANIFESTS) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(directory, file), 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      let name = null;
+      let dependencies = [];
+      try {
+        ({ name, dependencies } = this.readPackageManifest(file, content));
+      } catch (error) {
+        if (this.verbose) {
+          console.warn(chalk.yellow(`Warning: Could not parse ${relativePath}/${file}: ${error.message}`));
+        }
+      }
+
+      return {
+        name: name || path.basename(relativePath),
+        path: relativePath,
+        ecosystem,
+        manifest: file,
+        dependencies,
+        internalDependencies: [],
+        dependents: []
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Extracts the name and dependency names from a package manifest
+   * @param {string} file - Manifest file name
+   * @param {string} content - Manifest content
+   * @returns {{name: string|null, dependencies: string[]}}
+   */
+  readPackageManifest(file, content) {
+    switch (file) {
+      case 'package.json': {
+        const manifest = JSON.parse(content);
+        return {
+          name: manifest.name || null,
+          dependencies: Object.keys({
+            ...manifest.dependencies,
+            ...manifest.devDependencies,
+            ...manifest.peerDependencies
+          })
+        };
+      }
+      case 'Cargo.toml': {
+        const manifest = ManifestParser.parseToml(content);
+        return {
+          name: manifest.package?.name || null,
+          dependencies: Object.keys({
+            ...manifest.dependencies,
+            ...manifest['dev-dependencies'],
+            ...manifest['build-dependencies']
+          })
+        };
+      }
+      case 'go.mod': {
+        const goMod = GoPackageAnalyzer.parseGoMod(content);
+        return { name: goMod.module, dependencies: goMod.requires.map(requirement => requirement.path) };
+      }
+      case 'project.json': {
+        const manifest = JSON.parse(content);
+        return { name: manifest.name || null, dependencies: manifest.implicitDependencies || [] };
+      }
+      default:
+        return { name: null, dependencies: [] };
+    }
+  }
+
+  /**
+   * Fills internalDependencies/dependents with the workspace packages each package depends on
+   * @param {Object[]} packages - Workspace packages
+   */
+  linkInternalDependencies(packages) {
+    const byName = new Map(packages.map(pkg => [pkg.name, pkg]));
+
+    for (const pkg of packages) {
+      for (const dependency of pkg.dependencies) {
+        const target = byName.get(dependency);
+        if (target && target !== pkg && !pkg.internalDependencies.includes(target.name)) {
+          pkg.internalDependencies.push(target.name);
+          target.dependents.push(pkg.name);
+        }
+      }
+    }
+  }
+
+  /**
+   * Runs the technology analysis on every package using only the package's own files.
+   * Files of nested packages belong to the innermost package.
+   * @param {Object} projectStructure - Project structure of the whole workspace
+   * @param {Object[]} packages - Workspace packages
+   */
+  async analyzePackageStacks(projectStructure, packages) {
+    const byDepth = [...packages].sort((a, b) => b.path.length - a.path.length);
+    const owner = (relativePath) => {
+      const normalized = relativePath.split(path.sep).join('/');
+      return byDepth.find(pkg => normalized.startsWith(`${pkg.path}/`));
+    };
+
+    for (const pkg of packages) {
+      const packageStructure = {
+        ...projectStructure,
+        projectPath: path.join(projectStructure.projectPath, pkg.path),
+        files: projectStructure.files.filter(file => owner(file.relativePath) === pkg),
+        directories: projectStructure.directories.filter(dir => owner(dir.relativePath) === pkg)
+      };
+      delete packageStructure.relationships;
+
+      const techAnalyzer = new TechnologyAnalyzer({ verbose: false, detectionOverrides: this.detectionOverrides });
+      try {
+        pkg.techStack = await techAnalyzer.analyzeTechnologies(packageStructure);
+      } catch (error) {
+        if (this.verbose) {
+          console.warn(chalk.yellow(`Warning: Could not analyze package ${pkg.name}: ${error.message}`));
+        }
+        pkg.techStack = null;
+      }
+      pkg.fileCount = packageStructure.files.length;
+    }
+  }
+
+  /**
+   * Adds the technologies found in the packages to the workspace-wide stack
+   * @param {Object} techStack - Technology stack of the whole project (modified in place)
+   * @param {Object} workspace - Result of analyzeWorkspace
+   * @returns {Object} The merged technology stack
+   */
+  mergePackageStacks(techStack, workspace) {
+    for (const pkg of workspace.packages) {
+      if (!pkg.techStack) continue;
+      for (const field of TECH_STACK_FIELDS) {
+        techStack[field] = [...new Set([...(techStack[field] || []), ...(pkg.techStack[field] || [])])];
+      }
+
+      // Evidence of the package detections keeps pointing at the package files
+      const { frameworks = [], stacks = [] } = pkg.techStack.detections || {};
+      techStack.detections = DetectionEvidence.merge(techStack.detections || {}, { frameworks, stacks }, pkg.path);
+    }
+    return techStack;
+  }
+}
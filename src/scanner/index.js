@@ -17,11 +17,18 @@ import { fileURLToPath } from 'url';
 import { ProjectScanner } from './core/ProjectScanner.js';
 import { PatternDetector } from './core/PatternDetector.js';
 import { TechnologyAnalyzer } from './core/TechnologyAnalyzer.js'; // Using our updated version
+import { WorkspaceAnalyzer } from './core/WorkspaceAnalyzer.js';
 import { RuleGenerator } from './core/RuleGenerator.js';
 import { RuleValidator } from './utils/validator.js';
 import { IDEIntegrationManager } from './integrations/ide-integration.js';
 import { getVersion } from './utils/version.js';
-import { GitIgnoreParser } from './utils/gitignore-parser.js'; // Import our new GitIgnore parser
+import { ScanCache } from './utils/scan-cache.js';
+import { ScanReport } from './utils/scan-report.js';
+import { ProjectConfig } from './utils/project-config.js';
+import { StyleConfigAnalyzer } from './utils/style-config-analyzer.js';
+import { AnalyzerPool } from './utils/analyzer-pool.js';
+import { parseConcurrency } from './utils/concurrency.js';
+import { createFileSystem } from '../shared/file-system.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -33,217 +40,339 @@ const displayBanner = () => {
   console.log(chalk.cyan('=============================================\n'));
 };
 
-const program = new Command();
-
-program
-  .name('vibekit-vdk-rules-scanner')
-  .description('Analyzes project structure and patterns to generate custom VibeKit VDK CLI')
-  .version(getVersion())
-  .option('-p, --path <path>', 'Path to the project to scan', process.cwd())
-  .option('-o, --output <path>', 'Path where generated rules should be saved', './.ai/rules')
-  .option('-d, --deep', 'Enable deep scanning for more thorough pattern detection', false)
-  .option('-i, --ignorePattern <patterns...>', 'Glob patterns to ignore', ['**/node_modules/**', '**/dist/**', '**/build/**'])
-  .option('--use-gitignore', 'Automatically parse .gitignore files for additional ignore patterns', true) // New option
-  .option('-v, --verbose', 'Enable verbose output for debugging', false)
-  .option('--skip-validation', 'Skip validation of generated rule files', false)
-  .option('--strict', 'Enable strict mode for rule validation', false)
-  .option('--templates <templates>', 'Comma-separated list of templates to use', 'project-context')
-  .option('--watch', 'Watch for file changes and regenerate rules', false)
-  .option('--ide-integration', 'Set up IDE integration', false);
-
-program.parse(process.argv);
-const options = program.opts();
-
-async function run() {
-  displayBanner();
-  
-  // Normalize paths
-  const projectPath = path.resolve(options.path);
-  const outputPath = path.resolve(options.output);
-  
+// Patterns that are always excluded from a scan
+export const DEFAULT_IGNORE_PATTERNS = ['**/node_modules/**', '**/dist/**', '**/build/**', '**/.vdk/**'];
+
+/**
+ * Scans a project and runs pattern and technology detection without writing any rules
+ * @param {Object} options - Scanner options (path, ignorePattern, useGitignore, deep, cache, concurrency,
+ *   workers, verbose); `cache: false` disables the scan cache, a dry-run `fileSystem` leaves it untouched,
+ *   `workers: true` parses source files in worker threads on machines with more than one CPU core
+ * @returns {Object} { projectPath, projectStructure, patterns, techStack, workspace, projectConfig, styleConfig }
+ */
+export async function analyzeProject(options = {}) {
+  const projectPath = path.resolve(options.path || process.cwd());
+  const spinner = ora('Initializing scanner...').start();
+  const concurrency = parseConcurrency(options.concurrency);
+  // Worker threads only pay off with more than one CPU core, otherwise files are parsed in-process
+  const analyzerPool = options.workers && AnalyzerPool.isUseful() ? new AnalyzerPool() : null;
+  if (options.verbose && options.workers && !analyzerPool) {
+    console.log(chalk.gray('Parsing files in-process, worker threads need more than one CPU core'));
+  }
+
   try {
-    // Prepare spinner for showing progress
-    const spinner = ora('Initializing scanner...').start();
-    
-    // Create scanner components
     const scanner = new ProjectScanner({
+      verbose: options.verbose,
+      concurrency
+    });
+
+    const scanCache = new ScanCache({
+      projectPath,
+      enabled: options.cache !== false,
+      readOnly: Boolean(options.fileSystem && options.fileSystem.dryRun),
       verbose: options.verbose
     });
-    
+    await scanCache.load();
+
+    // Detection overrides and sampling budgets of vdk.project.json
+    const projectConfig = await ProjectConfig.load(projectPath);
+    if (options.verbose && projectConfig.configFile) {
+      console.log(chalk.gray(`Applying detection overrides from ${projectConfig.configFile}`));
+    }
+
     const patternDetector = new PatternDetector({
-      verbose: options.verbose
+      verbose: options.verbose,
+      scanCache,
+      concurrency,
+      analyzerPool,
+      detectionOverrides: projectConfig.detection,
+      sampleSize: projectConfig.sampling.filesPerLanguage,
+      languageBudgets: projectConfig.sampling.languages,
+      maxFilesToParse: projectConfig.sampling.dependencyFiles
     });
-    
+
     const techAnalyzer = new TechnologyAnalyzer({
-      verbose: options.verbose
+      verbose: options.verbose,
+      detectionOverrides: projectConfig.detection
     });
-    
-    const ruleGenerator = new RuleGenerator({
-      templatesDir: path.join(__dirname, 'templates'),
-      verbose: options.verbose
+
+    const workspaceAnalyzer = new WorkspaceAnalyzer({
+      verbose: options.verbose,
+      detectionOverrides: projectConfig.detection
     });
-    
+
     spinner.succeed('Scanner components initialized');
-    
+
     // Get base ignore patterns
-    let ignorePatterns = options.ignorePattern || [];
-    
-    // Parse .gitignore if enabled
-    if (options.useGitignore) {
-      spinner.text = 'Parsing .gitignore for additional ignore patterns...';
-      const gitignorePatterns = await GitIgnoreParser.parseGitIgnore(projectPath);
-      
-      if (gitignorePatterns.length > 0) {
-        ignorePatterns = [...ignorePatterns, ...gitignorePatterns];
-        if (options.verbose) {
-          console.log(chalk.gray(`Added ${gitignorePatterns.length} patterns from .gitignore`));
-        }
-      }
-      
-      // Always ignore .git directory
-      ignorePatterns.push('**/.git/**');
-      
-      // Always ignore TypeScript declaration files
-      ignorePatterns.push('**/*.d.ts');
-      
-      // Always ignore Next.js build output
-      ignorePatterns.push('**/.next/**');
-    }
-    
+    let ignorePatterns = [...(options.ignorePattern || DEFAULT_IGNORE_PATTERNS)];
+
+    // Always ignore the .git directory, TypeScript declaration files and Next.js build output
+    ignorePatterns.push('**/.git/**', '**/*.d.ts', '**/.next/**');
+
     // Scan project structure
-    spinner.text = 'Scanning project structure...';
-    const projectStructure = await scanner.scanProject(projectPath, { 
+    spinner.start('Scanning project structure...');
+    const projectStructure = await scanner.scanProject(projectPath, {
       ignorePatterns,
-      deep: options.deep 
+      useGitIgnore: options.useGitignore !== false,
+      deep: options.deep
     });
-    
+
     spinner.succeed(`Project structure scanned (${projectStructure.files.length} files in ${projectStructure.directories.length} directories)`);
-    
+
+    // Detect monorepo workspaces and analyze every package on its own; packages are
+    // also the areas whose naming conventions are compared
+    spinner.start('Detecting workspace packages...');
+    const workspace = await workspaceAnalyzer.analyzeWorkspace(projectStructure);
+    if (workspace.isMonorepo) {
+      spinner.succeed(`Workspace detected (${workspace.tools.join(', ')}): ${workspace.packages.length} packages`);
+    } else {
+      spinner.succeed('No workspace packages found');
+    }
+
     // Detect code patterns
-    spinner.text = 'Detecting code patterns and conventions...';
-    const patterns = await patternDetector.detectPatterns(projectStructure);
+    spinner.start('Detecting code patterns and conventions...');
+    const patterns = await patternDetector.detectPatterns(projectStructure, {}, workspace);
     spinner.succeed('Code patterns and conventions detected');
-    
+
+    scanCache.prune(projectStructure.files);
+    await scanCache.save();
+    if (options.verbose) {
+      console.log(chalk.gray(scanCache.getSummary()));
+    }
+
     // Analyze technology stack
-    spinner.text = 'Identifying technology stack...';
+    spinner.start('Identifying technology stack...');
     const techStack = await techAnalyzer.analyzeTechnologies(projectStructure);
-    
+    if (workspace.isMonorepo) {
+      workspaceAnalyzer.mergePackageStacks(techStack, workspace);
+    }
+
     // Log detected technologies
     const technologies = techStack.primaryLanguages.join(', ');
     spinner.succeed(`Technology stack identified: ${technologies}`);
-    
-    // Generate rule files
-    spinner.text = 'Generating rule files...';
-    
-    // Parse templates option (comma-separated list)
-    const templates = options.templates.split(',').map(t => t.trim());
-    
-    const { generatedFiles } = await ruleGenerator.generateRules({
+
+    // Formatter and linter configs state the team's style more reliably than the code
+    spinner.start('Reading formatter and linter configuration...');
+    const styleConfig = await StyleConfigAnalyzer.analyze(projectPath);
+    if (styleConfig.sources.length > 0) {
+      spinner.succeed(`Code style resolved from ${styleConfig.sources.join(', ')}`);
+    } else {
+      spinner.succeed('No formatter or linter configuration found');
+    }
+
+    return { projectPath, projectStructure, patterns, techStack, workspace, projectConfig, styleConfig };
+  } catch (error) {
+    spinner.fail('Project analysis failed');
+    throw error;
+  } finally {
+    if (analyzerPool) {
+      await analyzerPool.close();
+    }
+  }
+}
+
+/**
+ * Runs the full scanner pipeline: analysis, rule generation, validation and IDE integration
+ * @param {Object} options - Scanner options, see the command line flags below, plus an optional
+ *   `fileSystem` layer (a DryRunFileSystem plans the changes without writing them)
+ * @returns {Object} { projectPath, outputPath, generatedFiles, mergeResults, validation, watching, report }
+ */
+export async function runScanner(options = {}) {
+  displayBanner();
+
+  // Normalize paths
+  const outputPath = path.resolve(options.output || './.ai/rules');
+
+  const analysis = await analyzeProject(options);
+  const { projectPath, projectStructure, patterns, techStack, workspace, projectConfig, styleConfig } = analysis;
+
+  // Confidence and evidence of every detection, to diagnose false positives
+  if (options.explain) {
+    ScanReport.explain(
+      ScanReport.collectDetections(techStack, patterns),
+      ScanReport.collectOverrides(techStack, patterns, projectConfig)
+    );
+  }
+
+  const fileSystem = options.fileSystem || createFileSystem();
+  const dryRun = fileSystem.dryRun;
+
+  const ruleGenerator = new RuleGenerator({
+    templatesDir: path.join(__dirname, 'templates'),
+    fileSystem,
+    verbose: options.verbose
+  });
+
+  // Generate rule files
+  const spinner = ora('Generating rule files...').start();
+
+  // Parse templates option (comma-separated list)
+  const templates = (options.templates || 'project-context').split(',').map(t => t.trim());
+
+  let generatedFiles;
+  try {
+    generatedFiles = await ruleGenerator.generateRules({
       outputPath,
       projectPath,
       projectName: path.basename(projectPath),
       templates,
+      projectStructure,
       patterns,
-      techStack
+      techStack,
+      workspace,
+      styleConfig
     });
-    
-    spinner.succeed(`Rule files generated at ${outputPath}`);
-    
-    // Validate generated rule files
-    if (!options.skipValidation) {
-      spinner.text = 'Validating generated rule files...';
-      
-      const validator = new RuleValidator({
-        strictMode: options.strict,
+  } catch (error) {
+    spinner.fail('Rule generation failed');
+    throw error;
+  }
+
+  spinner.succeed(dryRun ? `Rule files planned for ${outputPath}` : `Rule files generated at ${outputPath}`);
+
+  // Everything the analysis found, for dashboards and other tools
+  const report = ScanReport.build({ ...analysis, outputPath, generatedFiles });
+  const reportPath = await ScanReport.write(report, fileSystem);
+  if (options.verbose) {
+    console.log(chalk.gray(`Scan report written to ${path.relative(process.cwd(), reportPath)}`));
+  }
+
+  if (options.report) {
+    const reportFile = path.resolve(options.report);
+    await fileSystem.mkdir(path.dirname(reportFile), { recursive: true });
+    await fileSystem.writeFile(reportFile, ScanReport.render(report, ScanReport.formatFor(reportFile, options.reportFormat)), 'utf8');
+    console.log(chalk.green(`✓ Scan report saved to ${path.relative(process.cwd(), reportFile)}`));
+  }
+
+  // Hand-edited rules are merged with the new output rather than overwritten
+  const mergeResults = ruleGenerator.mergeResults;
+  const conflicts = mergeResults.filter(result => result.status === 'conflict');
+  mergeResults
+    .filter(result => result.status === 'merged')
+    .forEach(result => console.log(chalk.green(`✓ Kept your edits in ${path.relative(process.cwd(), result.path)}`)));
+  if (conflicts.length > 0) {
+    console.log(chalk.yellow(`⚠️ Merge conflicts in ${conflicts.length} rule file(s). Look for "<<<<<<<" markers:`));
+    conflicts.forEach(result => console.log(chalk.yellow(`   ${path.relative(process.cwd(), result.path)}`)));
+  }
+
+  // Nothing reaches the disk in a dry run, so there is nothing to validate or integrate
+  if (dryRun) {
+    return { projectPath, outputPath, generatedFiles, mergeResults, validation: null, watching: false, report };
+  }
+
+  // Validate generated rule files
+  let validation = null;
+  if (!options.skipValidation) {
+    const validator = new RuleValidator({
+      strictMode: options.strict,
+      verbose: options.verbose
+    });
+
+    validation = await validator.validateRuleDirectory(outputPath);
+    const validationResults = validation.results;
+
+    if (validationResults && validationResults.warnings.length > 0) {
+      console.log('\n' + chalk.yellow('Warnings:'));
+      validationResults.warnings.forEach(warning => {
+        warning.warnings.forEach(message => console.log(chalk.yellow(`⚠️ ${warning.file}: ${message}`)));
+      });
+    }
+
+    if (validationResults && validationResults.errors.length > 0) {
+      console.log('\n' + chalk.red('Errors:'));
+      validationResults.errors.forEach(error => {
+        error.errors.forEach(message => console.log(chalk.red(`❌ ${error.file}: ${message}`)));
+      });
+    }
+  }
+
+  // Set up IDE integration if enabled
+  if (options.ideIntegration) {
+    const ideSpinner = ora('Setting up IDE integration...').start();
+
+    try {
+      const ideIntegration = new IDEIntegrationManager({
+        projectPath,
+        rulesDir: outputPath,
         verbose: options.verbose
       });
-      
-      const validationResults = await validator.validateRuleDirectory(outputPath);
-      
-      if (validationResults && validationResults.warnings && validationResults.warnings.length > 0) {
-        console.log('\n' + chalk.yellow('Warnings:'));
-        validationResults.warnings.forEach(warning => {
-          console.log(chalk.yellow(`⚠️ ${warning.file}: ${warning.message || JSON.stringify(warning)}`));
-        });
-      }
-      
-      if (validationResults && validationResults.errors && validationResults.errors.length > 0) {
-        console.log('\n' + chalk.red('Errors:'));
-        validationResults.errors.forEach(error => {
-          console.log(chalk.red(`❌ ${error.file}: ${error.message || JSON.stringify(error)}`));
+
+      const integrations = await ideIntegration.initialize(projectPath);
+      ideSpinner.succeed(`IDE integrations initialized: ${integrations.join(', ')}`);
+
+      // If in watch mode, keep the process running
+      if (options.watch) {
+        console.log(chalk.blue('\nWatch mode enabled. Press Ctrl+C to exit.'));
+
+        // Handle process termination
+        process.on('SIGINT', () => {
+          console.log(chalk.yellow('\nShutting down...'));
+          if (ideIntegration) {
+            ideIntegration.shutdown();
+          }
+          process.exit(0);
         });
-      }
 
-      // Log validation rate
-      if (validationResults && typeof validationResults.validRules !== 'undefined' && typeof validationResults.totalRules !== 'undefined') {
-        const validationRate = validationResults.totalRules > 0 ? 
-          (validationResults.validRules / validationResults.totalRules * 100).toFixed(1) : '0';
-        if (validationRate >= 80) {
-          spinner.succeed(`Rule validation passed: ${validationRate}% of rules are valid`);
-        } else {
-          spinner.fail(`Rule validation failed: ${validationRate}% of rules are valid`);
-        }
-      } else {
-        spinner.warn('Rule validation skipped: Could not calculate validation rate');
+        // Keep the process running
+        setInterval(() => {}, 1000);
+
+        // Don't continue to the success message in watch mode
+        return { projectPath, outputPath, generatedFiles, mergeResults, validation, watching: true, report };
       }
-    }
-    
-    // Set up IDE integration if enabled
-    if (options.ideIntegration) {
-      spinner.text = 'Setting up IDE integration...';
-      
-      try {
-        const ideIntegration = new IDEIntegrationManager({
-          projectPath,
-          rulesDir: outputPath,
-          verbose: options.verbose
-        });
-        
-        const integrations = await ideIntegration.initialize(projectPath);
-        spinner.succeed(`IDE integrations initialized: ${integrations.join(', ')}`);
-        
-        // If in watch mode, keep the process running
-        if (options.watch) {
-          console.log(chalk.blue('\nWatch mode enabled. Press Ctrl+C to exit.'));
-          
-          // Handle process termination
-          process.on('SIGINT', () => {
-            console.log(chalk.yellow('\nShutting down...'));
-            if (ideIntegration) {
-              ideIntegration.shutdown();
-            }
-            process.exit(0);
-          });
-          
-          // Keep the process running
-          setInterval(() => {}, 1000);
-          
-          // Don't continue to the success message in watch mode
-          return;
-        }
-      } catch (error) {
-        spinner.fail(`IDE integration setup failed: ${error.message}`);
-        if (options.verbose) {
-          console.error(chalk.red(error.stack));
-        }
+    } catch (error) {
+      ideSpinner.fail(`IDE integration setup failed: ${error.message}`);
+      if (options.verbose) {
+        console.error(chalk.red(error.stack));
       }
     }
-    
-    console.log('\n' + chalk.green('✅ Project scanning completed successfully!'));
-    console.log(chalk.green('Generated rule files:'));
-    if (generatedFiles && Array.isArray(generatedFiles)) {
-      generatedFiles.forEach(file => {
-        console.log(chalk.green(`- ${file}`));
-      });
-    } else {
-      console.log(chalk.green(`- Rules saved to ${outputPath}`));
-    }
-    
-    console.log('\n' + chalk.cyan('Next steps:'));
-    console.log(chalk.cyan('1. Review the generated rules in your editor'));
-    console.log(chalk.cyan('2. Customize any specific details as needed'));
-    console.log(chalk.cyan('3. Activate the rules in your AI assistant\n'));
-    
+  }
+
+  console.log('\n' + chalk.green('✅ Project scanning completed successfully!'));
+  console.log(chalk.green('Generated rule files:'));
+  generatedFiles.forEach(file => {
+    console.log(chalk.green(`- ${path.relative(process.cwd(), file)}`));
+  });
+
+  console.log('\n' + chalk.cyan('Next steps:'));
+  console.log(chalk.cyan('1. Review the generated rules in your editor'));
+  console.log(chalk.cyan('2. Customize any specific details as needed'));
+  console.log(chalk.cyan('3. Activate the rules in your AI assistant\n'));
+
+  return { projectPath, outputPath, generatedFiles, mergeResults, validation, watching: false, report };
+}
+
+/**
+ * Command line interface used when the scanner is executed directly
+ */
+async function main() {
+  const program = new Command();
+
+  program
+    .name('vibekit-vdk-rules-scanner')
+    .description('Analyzes project structure and patterns to generate custom VibeKit VDK CLI')
+    .version(getVersion())
+    .option('-p, --path <path>', 'Path to the project to scan', process.cwd())
+    .option('-o, --output <path>', 'Path where generated rules should be saved', './.ai/rules')
+    .option('-d, --deep', 'Enable deep scanning for more thorough pattern detection', false)
+    .option('-i, --ignorePattern <patterns...>', 'Glob patterns to ignore', DEFAULT_IGNORE_PATTERNS)
+    .option('--use-gitignore', 'Automatically parse .gitignore files for additional ignore patterns', true)
+    .option('--no-cache', 'Re-analyze every file instead of reusing the scan cache')
+    .option('--concurrency <n>', 'Maximum number of files read and analyzed at once')
+    .option('--workers', 'Parse source files in worker threads (multi-core machines only)', false)
+    .option('-v, --verbose', 'Enable verbose output for debugging', false)
+    .option('--explain', 'Print the confidence and evidence of every detection', false)
+    .option('--report <file>', 'Save the scan report to a file (.json, .md or .html)')
+    .option('--report-format <format>', 'Format of the --report file: json, markdown or html (default: from the file extension)')
+    .option('--skip-validation', 'Skip validation of generated rule files', false)
+    .option('--strict', 'Enable strict mode for rule validation', false)
+    .option('--templates <templates>', 'Comma-separated list of templates to use', 'project-context')
+    .option('--watch', 'Watch for file changes and regenerate rules', false)
+    .option('--ide-integration', 'Set up IDE integration', false);
+
+  program.parse(process.argv);
+  const options = program.opts();
+
+  try {
+    await runScanner(options);
   } catch (error) {
     console.error(chalk.red('\n❌ An error occurred during scanning:'));
     console.error(chalk.red(error.message));
@@ -255,12 +384,7 @@ async function run() {
   }
 }
 
-run().catch(error => {
-  console.error(chalk.red('\n❌ Unhandled exception:'));
-  console.error(chalk.red(error.message));
-  if (options.verbose && error.stack) {
-    console.error(chalk.gray('\nStack trace:'));
-    console.error(chalk.gray(error.stack));
-  }
-  process.exit(1);
-});
+// Run CLI if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
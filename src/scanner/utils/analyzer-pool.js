@@ -0,0 +1,148 @@
+/**
+ * Analyzer Pool
+ * Runs language analyzers in worker threads so parsing of large files does not
+ * block the main thread and uses more than one CPU core.
+ */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { fileURLToPath } from 'url';
+import { analyzerRegistry } from './analyzer-registry.js';
+
+const WORKER_PATH = fileURLToPath(new URL('./analyzer-worker.js', import.meta.url));
+
+/**
+ * Number of threads the machine can run in parallel
+ * @returns {number}
+ */
+function availableParallelism() {
+  return os.availableParallelism?.() || os.cpus().length;
+}
+
+/**
+ * Fixed-size pool of analyzer worker threads. Workers start lazily on the first task.
+ */
+export class AnalyzerPool {
+  /**
+   * @param {Object} options - { size } number of worker threads, defaults to the CPU count
+   */
+  constructor(options = {}) {
+    this.size = Math.max(1, options.size || availableParallelism());
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.nextId = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Whether worker threads can speed up parsing. With a single CPU core they only add
+   * the cost of starting workers and copying file contents to them.
+   * @returns {boolean}
+   */
+  static isUseful() {
+    return availableParallelism() > 1;
+  }
+
+  /**
+   * Whether an analyzer can run in the pool: workers only load the analyzers of the registry
+   * @param {Object} analyzer - AnalyzerDefinition
+   * @returns {boolean}
+   */
+  supports(analyzer) {
+    return Boolean(analyzer) && analyzerRegistry.get(analyzer.name)?.analyze === analyzer.analyze;
+  }
+
+  /**
+   * Run an analyzer in a worker thread
+   * @param {Object} analyzer - AnalyzerDefinition of the analyzer registry
+   * @param {string} content - File content
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<Object>} Analysis result
+   */
+  run(analyzer, content, filePath) {
+    if (this.closed) {
+      return Promise.reject(new Error('Analyzer pool is closed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, analyzerName: analyzer.name, content, filePath, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued tasks to idle workers, starting workers up to the pool size
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      if (this.idle.length === 0 && this.workers.length < this.size) {
+        this.idle.push(this.startWorker());
+      }
+      if (this.idle.length === 0) {
+        return;
+      }
+
+      const worker = this.idle.pop();
+      const task = this.queue.shift();
+      worker.task = task;
+      worker.postMessage({ id: task.id, analyzerName: task.analyzerName, content: task.content, filePath: task.filePath });
+    }
+  }
+
+  /**
+   * @returns {Worker} A new worker wired to the pool
+   */
+  startWorker() {
+    const worker = new Worker(WORKER_PATH);
+    worker.task = null;
+
+    worker.on('message', (message) => {
+      const task = worker.task;
+      worker.task = null;
+      this.idle.push(worker);
+
+      if (task && task.id === message.id) {
+        if (message.error) {
+          task.reject(new Error(message.error));
+        } else {
+          task.resolve(message.analysis);
+        }
+      }
+      this.dispatch();
+    });
+
+    // A crashed worker fails its current task and is replaced on demand
+    const onFailure = (error) => {
+      this.workers = this.workers.filter(other => other !== worker);
+      this.idle = this.idle.filter(other => other !== worker);
+      if (worker.task) {
+        worker.task.reject(error instanceof Error ? error : new Error(`Analyzer worker exited with code ${error}`));
+        worker.task = null;
+      }
+      if (!this.closed) {
+        this.dispatch();
+      }
+    };
+    worker.on('error', onFailure);
+    worker.on('exit', (code) => {
+      if (code !== 0 || worker.task) onFailure(code);
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * Stop all workers. Pending tasks are rejected.
+   */
+  async close() {
+    this.closed = true;
+    for (const task of this.queue.splice(0)) {
+      task.reject(new Error('Analyzer pool is closed'));
+    }
+    const workers = this.workers.splice(0);
+    this.idle = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
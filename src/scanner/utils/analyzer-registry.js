@@ -0,0 +1,293 @@
+/**
+ * Analyzer Registry
+ * Single list of the language analyzers: which files each one handles, the language it
+ * reports and the fields its results carry beyond the common ones. PatternDetector,
+ * AdvancedPatternDetector and the analyzer worker threads all look analyzers up here.
+ */
+
+import path from 'path';
+
+import { analyzeJavaScript } from '../analyzers/javascript.js';
+import { analyzeTypeScript } from '../analyzers/typescript.js';
+import { analyzePython } from '../analyzers/python.js';
+import { analyzeSwift } from '../analyzers/swift.js';
+import { analyzeRuby } from '../analyzers/ruby.js';
+import { analyzeGo } from '../analyzers/go.js';
+import { analyzeJava } from '../analyzers/java.js';
+import { analyzeRust } from '../analyzers/rust.js';
+import { analyzeCSharp } from '../analyzers/csharp.js';
+import { analyzeKotlin } from '../analyzers/kotlin.js';
+import { analyzePhp } from '../analyzers/php.js';
+import { analyzeDart } from '../analyzers/dart.js';
+import { analyzeCpp } from '../analyzers/cpp.js';
+
+// Fields of every analysis result: names found in the file, and the patterns it uses
+export const COMMON_FIELDS = ['variables', 'functions', 'classes', 'patterns'];
+
+/**
+ * @typedef {Object} AnalyzerDefinition
+ * @property {string} name - Analyzer function name, also the key of cached results
+ * @property {string} language - Language reported in the results
+ * @property {string[]} extensions - File extensions handled, with the dot
+ * @property {string[]} fileTypes - ProjectScanner file types handled when the extension is not listed
+ * @property {string[]} capabilities - Result fields beyond COMMON_FIELDS, e.g. interfaces or hooks
+ * @property {Function} analyze - async (content, filePath) => result with COMMON_FIELDS and capabilities
+ */
+
+/**
+ * @typedef {Object} AnalysisResult
+ * @property {string} language - Language of the analyzer
+ * @property {string[]} variables - Variable, constant and field names
+ * @property {string[]} functions - Function and method names
+ * @property {string[]} classes - Class names, and the closest construct (structs) where there are none
+ * @property {string[]} patterns - Language idioms and libraries used
+ */
+
+// The analyzers of the scanner
+export const ANALYZERS = [
+  {
+    name: 'analyzeJavaScript',
+    language: 'javascript',
+    extensions: ['.js', '.jsx', '.mjs', '.cjs'],
+    fileTypes: ['javascript', 'javascript-react'],
+    capabilities: ['components', 'hooks', 'customHooks', 'propPatterns'],
+    analyze: analyzeJavaScript
+  },
+  {
+    name: 'analyzeTypeScript',
+    language: 'typescript',
+    extensions: ['.ts', '.tsx', '.mts', '.cts'],
+    fileTypes: ['typescript', 'typescript-react'],
+    capabilities: ['components', 'hooks', 'customHooks', 'propPatterns', 'interfaces', 'types', 'enums', 'decorators', 'exports'],
+    analyze: analyzeTypeScript
+  },
+  {
+    name: 'analyzePython',
+    language: 'python',
+    extensions: ['.py'],
+    fileTypes: ['python'],
+    capabilities: [],
+    analyze: analyzePython
+  },
+  {
+    name: 'analyzeSwift',
+    language: 'swift',
+    extensions: ['.swift'],
+    fileTypes: ['swift'],
+    capabilities: ['structs', 'protocols'],
+    analyze: analyzeSwift
+  },
+  {
+    name: 'analyzeRuby',
+    language: 'ruby',
+    extensions: ['.rb'],
+    fileTypes: ['ruby'],
+    capabilities: ['modules'],
+    analyze: analyzeRuby
+  },
+  {
+    name: 'analyzeGo',
+    language: 'go',
+    extensions: ['.go'],
+    fileTypes: ['go'],
+    capabilities: ['interfaces', 'packages'],
+    analyze: analyzeGo
+  },
+  {
+    name: 'analyzeJava',
+    language: 'java',
+    extensions: ['.java'],
+    fileTypes: ['java'],
+    capabilities: ['interfaces', 'packages', 'imports', 'annotations'],
+    analyze: analyzeJava
+  },
+  {
+    name: 'analyzeRust',
+    language: 'rust',
+    extensions: ['.rs'],
+    fileTypes: ['rust'],
+    capabilities: ['interfaces', 'enums', 'types', 'macros'],
+    analyze: analyzeRust
+  },
+  {
+    name: 'analyzeCSharp',
+    language: 'csharp',
+    extensions: ['.cs'],
+    fileTypes: ['csharp'],
+    capabilities: ['interfaces', 'enums', 'properties', 'attributes'],
+    analyze: analyzeCSharp
+  },
+  {
+    name: 'analyzeKotlin',
+    language: 'kotlin',
+    extensions: ['.kt', '.kts'],
+    fileTypes: ['kotlin'],
+    capabilities: ['interfaces', 'enums', 'types', 'annotations'],
+    analyze: analyzeKotlin
+  },
+  {
+    name: 'analyzePhp',
+    language: 'php',
+    extensions: ['.php'],
+    fileTypes: ['php'],
+    capabilities: ['interfaces', 'enums', 'traits', 'attributes'],
+    analyze: analyzePhp
+  },
+  {
+    name: 'analyzeDart',
+    language: 'dart',
+    extensions: ['.dart'],
+    fileTypes: ['dart'],
+    capabilities: ['enums', 'types', 'annotations'],
+    analyze: analyzeDart
+  },
+  {
+    name: 'analyzeCpp',
+    language: 'cpp',
+    extensions: ['.cpp', '.cc', '.cxx', '.hpp'],
+    fileTypes: ['cpp', 'cpp-header'],
+    capabilities: ['enums', 'types', 'namespaces'],
+    analyze: analyzeCpp
+  }
+];
+
+/**
+ * Language analyzers by name, file extension and file type
+ */
+export class AnalyzerRegistry {
+  /**
+   * @param {AnalyzerDefinition[]} definitions - Analyzers to register
+   */
+  constructor(definitions = []) {
+    this.analyzers = new Map();
+    this.byExtension = new Map();
+    this.byFileType = new Map();
+
+    definitions.forEach(definition => this.register(definition));
+  }
+
+  /**
+   * Add an analyzer; the first analyzer registered for an extension or file type handles it
+   * @param {AnalyzerDefinition} definition - Analyzer to add
+   * @throws {Error} When the definition is incomplete or its name is taken
+   */
+  register(definition) {
+    const problems = AnalyzerRegistry.checkDefinition(definition);
+    if (problems.length > 0) {
+      throw new Error(`Invalid analyzer ${definition?.name || '(unnamed)'}: ${problems.join(', ')}`);
+    }
+    if (this.analyzers.has(definition.name)) {
+      throw new Error(`Analyzer ${definition.name} is already registered`);
+    }
+
+    this.analyzers.set(definition.name, definition);
+    for (const extension of definition.extensions) {
+      if (!this.byExtension.has(extension)) this.byExtension.set(extension, definition);
+    }
+    for (const fileType of definition.fileTypes) {
+      if (!this.byFileType.has(fileType)) this.byFileType.set(fileType, definition);
+    }
+  }
+
+  /**
+   * @param {string} name - Analyzer name
+   * @returns {AnalyzerDefinition|null}
+   */
+  get(name) {
+    return this.analyzers.get(name) || null;
+  }
+
+  /**
+   * @returns {AnalyzerDefinition[]} Registered analyzers in registration order
+   */
+  list() {
+    return [...this.analyzers.values()];
+  }
+
+  /**
+   * Analyzer for a file, by extension first, then by the type ProjectScanner gave it
+   * @param {Object} file - File info with path and optional type
+   * @returns {AnalyzerDefinition|null} null when no analyzer handles the file
+   */
+  forFile(file) {
+    const extension = path.extname(file.path).toLowerCase();
+    return this.byExtension.get(extension) || (file.type && this.byFileType.get(file.type)) || null;
+  }
+
+  /**
+   * Analyze a file with a registered analyzer
+   * @param {string} name - Analyzer name
+   * @param {string} content - File content
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<AnalysisResult>} The result with its language and the common fields
+   *   an analyzer left out set to empty lists
+   * @throws {Error} When the analyzer is unknown or fails
+   */
+  async run(name, content, filePath) {
+    const definition = this.get(name);
+    if (!definition) {
+      throw new Error(`Unknown analyzer: ${name}`);
+    }
+
+    const result = await definition.analyze(content, filePath);
+    const typed = { language: definition.language };
+    for (const field of [...COMMON_FIELDS, ...definition.capabilities]) {
+      typed[field] = Array.isArray(result?.[field]) ? result[field] : [];
+    }
+    return typed;
+  }
+
+  /**
+   * Problems of an analyzer definition
+   * @param {AnalyzerDefinition} definition - Definition to check
+   * @returns {string[]} Empty when the definition is valid
+   */
+  static checkDefinition(definition) {
+    if (!definition || typeof definition !== 'object') return ['not an object'];
+
+    const problems = [];
+    for (const field of ['name', 'language']) {
+      if (typeof definition[field] !== 'string' || !definition[field]) problems.push(`${field} must be a non-empty string`);
+    }
+    for (const field of ['extensions', 'fileTypes', 'capabilities']) {
+      if (!Array.isArray(definition[field])) problems.push(`${field} must be an array`);
+    }
+    if (Array.isArray(definition.extensions) && definition.extensions.some(extension => !/^\.[a-z0-9]+$/.test(extension))) {
+      problems.push('extensions must be lowercase and start with a dot');
+    }
+    if (typeof definition.analyze !== 'function') problems.push('analyze must be a function');
+    return problems;
+  }
+
+  /**
+   * Problems of a raw analyzer result against the contract: every common field and capability
+   * is an array, names are strings, and there are no undeclared fields
+   * @param {AnalyzerDefinition} definition - Analyzer that produced the result
+   * @param {Object} result - Result of definition.analyze
+   * @returns {string[]} Empty when the result follows the contract
+   */
+  static checkResult(definition, result) {
+    if (!result || typeof result !== 'object') return ['result is not an object'];
+
+    const declared = [...COMMON_FIELDS, ...definition.capabilities];
+    const problems = declared
+      .filter(field => !Array.isArray(result[field]))
+      .map(field => `${field} is not an array`);
+
+    for (const field of COMMON_FIELDS) {
+      if (Array.isArray(result[field]) && result[field].some(name => typeof name !== 'string' || !name)) {
+        problems.push(`${field} contains a value that is not a name`);
+      }
+    }
+
+    const undeclared = Object.keys(result).filter(field => !declared.includes(field));
+    if (undeclared.length > 0) {
+      problems.push(`undeclared fields: ${undeclared.join(', ')}`);
+    }
+
+    return problems;
+  }
+}
+
+// Registry of the scanner's analyzers
+export const analyzerRegistry = new AnalyzerRegistry(ANALYZERS);
@@ -0,0 +1,17 @@
+/**
+ * Analyzer Worker
+ * Worker thread entry point of the AnalyzerPool: runs one analyzer per message
+ * and posts the result back.
+ */
+
+import { parentPort } from 'worker_threads';
+import { analyzerRegistry } from './analyzer-registry.js';
+
+parentPort.on('message', async ({ id, analyzerName, content, filePath }) => {
+  try {
+    const analysis = await analyzerRegistry.run(analyzerName, content, filePath);
+    parentPort.postMessage({ id, analysis });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
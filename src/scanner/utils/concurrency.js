@@ -0,0 +1,56 @@
+/**
+ * concurrency.js
+ *
+ * Helpers for running file operations with a bounded number of tasks in flight.
+ */
+
+import os from 'os';
+
+/**
+ * Default number of concurrent file operations. File reads are I/O bound, so
+ * this is higher than the number of CPU cores.
+ */
+export const DEFAULT_CONCURRENCY = Math.max(4, Math.min(32, (os.availableParallelism?.() || os.cpus().length) * 4));
+
+/**
+ * Parse a --concurrency value
+ * @param {string|number} value - Option value
+ * @returns {number} A positive integer, DEFAULT_CONCURRENCY when the value is missing
+ * @throws {Error} When the value is not a positive integer
+ */
+export function parseConcurrency(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_CONCURRENCY;
+  }
+
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency "${value}", expected a positive integer`);
+  }
+  return concurrency;
+}
+
+/**
+ * Map items with at most `limit` mapper calls in flight. Results keep the order of
+ * the input, so callers that fold them get the same outcome as a sequential loop.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent mapper calls
+ * @param {Function} mapper - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
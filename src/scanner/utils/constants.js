@@ -10,7 +10,10 @@ export const TEMPLATES = {
   PROJECT_CONTEXT: 'project-context.hbs',
   PROJECT_CONTEXT_ENHANCED: 'project-context-enhanced.hbs',
   COMMON_ERRORS: 'common-errors.hbs',
-  MCP_CONFIGURATION: 'mcp-configuration.hbs'
+  MCP_CONFIGURATION: 'mcp-configuration.hbs',
+  WORKSPACE_TOPOLOGY: 'workspace-topology.hbs',
+  PACKAGE_CONTEXT: 'package-context.hbs',
+  AREA_CONVENTIONS: 'area-conventions.hbs'
 };
 
 // Output rule file names
@@ -18,14 +21,22 @@ export const RULES = {
   CORE_AGENT: '00-core-agent.mdc',
   PROJECT_CONTEXT: '01-project-context.mdc',
   COMMON_ERRORS: '02-common-errors.mdc',
-  MCP_CONFIGURATION: '03-mcp-configuration.mdc'
+  MCP_CONFIGURATION: '03-mcp-configuration.mdc',
+  WORKSPACE_TOPOLOGY: '04-workspace-topology.mdc'
 };
 
 // Output directories
 export const DIRECTORIES = {
   LANGUAGES: 'languages',
+  FRAMEWORKS: 'frameworks',
   TECHNOLOGIES: 'technologies',
-  PATTERNS: 'patterns'
+  STACKS: 'stacks',
+  TASKS: 'tasks',
+  TOOLS: 'tools',
+  ASSISTANTS: 'assistants',
+  PATTERNS: 'patterns',
+  PACKAGES: 'packages',
+  CONVENTIONS: 'conventions'
 };
 
 // Language rule mapping
@@ -49,9 +60,6 @@ export const FRAMEWORK_RULE_MAP = {
   // Frontend Frameworks
   'React': 'React-Modern.mdc',
   'Next.js': 'NextJS.mdc',
-  'Next.js 13+': 'NextJS13.mdc',
-  'Next.js 14+': 'NextJS14.mdc',
-  'Next.js 15+': 'NextJS15.mdc',
   'Next.js App Router': 'NextJS-AppRouter.mdc',
   'Vue.js': 'Vue.mdc',
   'Angular': 'Angular.mdc',
@@ -68,7 +76,6 @@ export const FRAMEWORK_RULE_MAP = {
 
   // UI Frameworks and libraries
   'Tailwind CSS': 'Tailwind.mdc',
-  'Tailwind CSS 3': 'Tailwind3.mdc',
   'shadcn/ui': 'ShadcnUI.mdc',
   'Material UI': 'MaterialUI.mdc',
   'Bootstrap': 'Bootstrap.mdc',
@@ -114,5 +121,18 @@ export const PATTERN_RULE_MAP = {
 // Default values
 export const DEFAULTS = {
   OUTPUT_PATH: './.ai/rules',
-  PROJECT_NAME: 'Your Project'
+  PROJECT_NAME: 'Your Project',
+  // Entry points / leaf modules listed in the project context rule
+  MAX_LISTED_MODULES: 10,
+  // Code patterns (language idioms and libraries) listed in the project context rule
+  MAX_LISTED_PATTERNS: 30,
+  // Enabled rules listed per linter in the core agent rule
+  MAX_LISTED_LINT_RULES: 25,
+  // Project-local VDK state, e.g. the previous generated output of merged rules
+  STATE_DIR: '.vdk',
+  BASE_SNAPSHOT_DIR: 'base',
+  // Machine-readable detections of the last scan, inside STATE_DIR
+  SCAN_REPORT_FILE: 'scan-report.json',
+  // Project-level scanner settings such as detection overrides, in the project root
+  PROJECT_CONFIG_FILE: 'vdk.project.json'
 };
@@ -0,0 +1,227 @@
+/**
+ * Dart Package Analyzer
+ * Analyzes pubspec.yaml and pubspec.lock to detect Flutter, the packages and tools
+ * and the Dart SDK version used in the project
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ManifestParser } from './manifest-parser.js';
+import { VersionRange } from './version-range.js';
+
+/**
+ * Maps of pub package names to technology categories and specific technologies
+ */
+const DART_TECH_MAPPINGS = {
+  // App frameworks
+  mobile: {
+    'flutter': 'Flutter',
+  },
+
+  // Server frameworks
+  backend: {
+    'shelf': 'Shelf',
+    'dart_frog': 'Dart Frog',
+    'serverpod': 'Serverpod',
+  },
+
+  // State management
+  stateManagement: {
+    'flutter_riverpod': 'Riverpod',
+    'hooks_riverpod': 'Riverpod',
+    'riverpod': 'Riverpod',
+    'flutter_bloc': 'Bloc',
+    'bloc': 'Bloc',
+    'provider': 'Provider',
+    'get': 'GetX',
+    'mobx': 'MobX',
+    'flutter_mobx': 'MobX',
+  },
+
+  // Backend services and persistence
+  database: {
+    'firebase_core': 'Firebase',
+    'cloud_firestore': 'Firestore',
+    'supabase_flutter': 'Supabase',
+    'drift': 'Drift',
+    'sqflite': 'SQLite',
+    'hive': 'Hive',
+    'isar': 'Isar',
+  },
+
+  // Common libraries
+  libraries: {
+    'go_router': 'GoRouter',
+    'auto_route': 'AutoRoute',
+    'dio': 'Dio',
+    'http': 'http',
+    'freezed': 'Freezed',
+    'json_serializable': 'json_serializable',
+    'get_it': 'get_it',
+    'injectable': 'injectable',
+    'flutter_hooks': 'Flutter Hooks',
+  },
+
+  // Testing
+  testing: {
+    'flutter_test': 'flutter_test',
+    'test': 'package:test',
+    'integration_test': 'integration_test',
+    'mockito': 'Mockito',
+    'mocktail': 'Mocktail',
+    'bloc_test': 'bloc_test',
+    'golden_toolkit': 'Golden Toolkit',
+    'patrol': 'Patrol',
+  },
+
+  // Lint rule sets
+  linters: {
+    'flutter_lints': 'flutter_lints',
+    'lints': 'lints',
+    'very_good_analysis': 'Very Good Analysis',
+    'custom_lint': 'custom_lint',
+  },
+
+  // Code generation
+  buildTools: {
+    'build_runner': 'build_runner',
+  },
+};
+
+/**
+ * Analyzes pub manifests to identify the technology stack
+ */
+export class DartPackageAnalyzer {
+  /**
+   * Analyze pubspec.yaml and pubspec.lock in the project root
+   *
+   * @param {string} projectPath - Path to the project
+   * @returns {Promise<Object>} - Detected technologies, dependencies with their constraints,
+   *   versions resolved by pubspec.lock and the Dart and Flutter SDK constraints
+   */
+  static async analyzeDependencies(projectPath) {
+    let pubspec;
+    try {
+      pubspec = this.parsePubspec(await fs.readFile(path.join(projectPath, 'pubspec.yaml'), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Warning: Error analyzing pubspec.yaml: ${error.message}`);
+      }
+      return { detected: false };
+    }
+
+    const result = {
+      detected: true,
+      technologies: {},
+      dependencies: {},
+      devDependencies: {},
+      resolvedVersions: {},
+      languageVersions: {},
+      toolVersions: {},
+      manifests: ['pubspec.yaml'],
+      projectInfo: {
+        name: pubspec.name || '',
+        version: pubspec.version ? String(pubspec.version) : '',
+        description: pubspec.description || '',
+      },
+    };
+
+    this.addDependencies(pubspec.dependencies, result.dependencies);
+    this.addDependencies(pubspec.dev_dependencies, result.devDependencies);
+
+    const environment = pubspec.environment || {};
+    if (environment.sdk) {
+      result.languageVersions.dart = String(environment.sdk);
+    }
+    if (environment.flutter) {
+      result.toolVersions.Flutter = String(environment.flutter);
+    }
+
+    try {
+      const lock = ManifestParser.parseYaml(await fs.readFile(path.join(projectPath, 'pubspec.lock'), 'utf8'));
+      for (const [name, info] of Object.entries(lock.packages || {})) {
+        // SDK packages such as flutter are locked at a placeholder version
+        if (info && info.version && info.source !== 'sdk') {
+          result.resolvedVersions[name] = String(info.version);
+        }
+      }
+      result.manifests.push('pubspec.lock');
+    } catch (error) {
+      // Packages usually do not commit a lockfile
+    }
+
+    const allDependencies = { ...result.dependencies, ...result.devDependencies };
+    result.technologies = this.detectTechnologies(allDependencies);
+    result.technologyVersions = VersionRange.resolveTechnologyVersions(DART_TECH_MAPPINGS, allDependencies, result.resolvedVersions);
+    // `flutter: sdk: flutter` has no version, the SDK constraint of the environment does
+    if (result.technologyVersions.Flutter && !result.technologyVersions.Flutter.version && environment.flutter) {
+      result.technologyVersions.Flutter = {
+        version: VersionRange.minVersion(String(environment.flutter)),
+        constraint: String(environment.flutter),
+        package: 'flutter',
+        source: 'constraint'
+      };
+    }
+    result.technologies.buildTools = [...(result.technologies.buildTools || []), 'pub'];
+
+    return result;
+  }
+
+  /**
+   * Parse a pubspec.yaml file
+   * @param {string} content - pubspec.yaml content
+   * @returns {Object} - Parsed pubspec
+   */
+  static parsePubspec(content) {
+    return ManifestParser.parseYaml(content) || {};
+  }
+
+  /**
+   * Whether a parsed pubspec depends on the Flutter SDK
+   * @param {Object} pubspec - Parsed pubspec
+   * @returns {boolean}
+   */
+  static usesFlutter(pubspec) {
+    return Boolean(pubspec?.dependencies?.flutter || pubspec?.environment?.flutter);
+  }
+
+  /**
+   * Add a pubspec dependency map
+   * @param {Object} dependencies - Map of package name to a constraint or a source (sdk, path, git)
+   * @param {Object} target - Map of package name to version constraint
+   */
+  static addDependencies(dependencies, target) {
+    if (!dependencies || typeof dependencies !== 'object') return;
+
+    for (const [name, spec] of Object.entries(dependencies)) {
+      if (typeof spec === 'string' || typeof spec === 'number') {
+        target[name] = spec === 'any' ? '' : String(spec);
+      } else if (spec && typeof spec === 'object' && spec.version) {
+        target[name] = String(spec.version);
+      } else {
+        target[name] = '';
+      }
+    }
+  }
+
+  /**
+   * Detect technologies based on dependencies
+   *
+   * @param {Object} dependencies - Map of package names to constraints
+   * @returns {Object} - Object containing detected technologies by category
+   */
+  static detectTechnologies(dependencies) {
+    const result = {};
+    const depNames = Object.keys(dependencies);
+
+    for (const [category, techMap] of Object.entries(DART_TECH_MAPPINGS)) {
+      const detectedInCategory = depNames.filter(dep => techMap[dep]).map(dep => techMap[dep]);
+
+      if (detectedInCategory.length > 0) {
+        result[category] = [...new Set(detectedInCategory)];
+      }
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Detection Evidence
+ * Records why the scanner detected a language, framework, stack or architectural
+ * pattern and how confident it is, so a false positive can be traced back to the
+ * files, dependencies and directories that caused it.
+ */
+
+/**
+ * How strongly a single piece of evidence of each type supports a detection (0-100)
+ */
+export const EVIDENCE_WEIGHTS = {
+  // Declared in a package manifest (package.json, pyproject.toml, pom.xml...)
+  dependency: 90,
+  // Framework configuration file (next.config.js, angular.json, manage.py)
+  config: 85,
+  // Package manifest without a specific dependency (scoped npm packages)
+  manifest: 80,
+  // Source file importing the framework
+  import: 80,
+  // Relationships found in the import graph
+  'import-graph': 70,
+  // Files with a framework specific extension or name
+  files: 60,
+  // Conventional directory name
+  directory: 35,
+  // Detected technology a stack is made of, weighted by its own confidence
+  technology: 90,
+  // Declared in the include list of vdk.project.json
+  override: 100
+};
+
+/**
+ * Collects the evidence of the detections of one analysis
+ */
+export class DetectionEvidence {
+  constructor() {
+    // category -> name -> { evidence: [], confidence: number|null }
+    this.categories = {};
+  }
+
+  /**
+   * Record one piece of evidence for a detection
+   * @param {string} category - 'languages', 'frameworks', 'stacks' or 'patterns'
+   * @param {string} name - Detected language, framework, stack or pattern
+   * @param {string} type - Evidence type, a key of EVIDENCE_WEIGHTS
+   * @param {string} value - File path, dependency name, directory or technology
+   * @param {Object} [options] - { detail, weight }; weight overrides the weight of the type
+   */
+  add(category, name, type, value, options = {}) {
+    const detection = this.getDetection(category, name);
+    if (detection.evidence.some(item => item.type === type && item.value === value)) {
+      return;
+    }
+
+    const item = { type, value, weight: options.weight ?? EVIDENCE_WEIGHTS[type] ?? 50 };
+    if (options.detail) {
+      item.detail = options.detail;
+    }
+    detection.evidence.push(item);
+  }
+
+  /**
+   * Set the confidence of a detection instead of combining its evidence,
+   * e.g. a stack is only as certain as the least certain of its technologies
+   * @param {string} category - Detection category
+   * @param {string} name - Detected name
+   * @param {number} confidence - Confidence (0-100)
+   */
+  setConfidence(category, name, confidence) {
+    this.getDetection(category, name).confidence = Math.round(confidence);
+  }
+
+  /**
+   * Drop a detection, e.g. when the project config excludes it
+   * @param {string} category - Detection category
+   * @param {string} name - Detected name
+   * @returns {Object|null} The dropped { name, confidence, evidence }, null when it was not recorded
+   */
+  remove(category, name) {
+    if (!this.categories[category]?.[name]) return null;
+
+    const removed = { name, confidence: this.getConfidence(category, name), evidence: this.categories[category][name].evidence };
+    delete this.categories[category][name];
+    return removed;
+  }
+
+  /**
+   * Confidence of a detection
+   * @param {string} category - Detection category
+   * @param {string} name - Detected name
+   * @returns {number} Confidence (0-100), 0 when nothing was recorded
+   */
+  getConfidence(category, name) {
+    const detection = this.categories[category]?.[name];
+    if (!detection) return 0;
+    return detection.confidence ?? DetectionEvidence.combine(detection.evidence.map(item => item.weight));
+  }
+
+  /**
+   * Detections of a category, most confident first
+   * @param {string} category - Detection category
+   * @returns {Array<{name: string, confidence: number, evidence: Object[]}>}
+   */
+  list(category) {
+    return Object.entries(this.categories[category] || {})
+      .map(([name, detection]) => ({
+        name,
+        confidence: this.getConfidence(category, name),
+        evidence: detection.evidence
+      }))
+      .sort((a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @returns {Object} Detections of every category, keyed by category
+   */
+  toJSON() {
+    return Object.fromEntries(Object.keys(this.categories).map(category => [category, this.list(category)]));
+  }
+
+  /**
+   * Get or create the record of a detection
+   * @param {string} category - Detection category
+   * @param {string} name - Detected name
+   * @returns {Object} { evidence, confidence }
+   */
+  getDetection(category, name) {
+    this.categories[category] = this.categories[category] || {};
+    this.categories[category][name] = this.categories[category][name] || { evidence: [], confidence: null };
+    return this.categories[category][name];
+  }
+
+  /**
+   * Combine independent pieces of evidence: each one removes part of the
+   * remaining doubt, so two 60% hints give 84% and nothing reaches 100%
+   * @param {number[]} weights - Evidence weights (0-100)
+   * @returns {number} Confidence (0-100)
+   */
+  static combine(weights) {
+    const doubt = weights.reduce((remaining, weight) => remaining * (1 - Math.min(weight, 99) / 100), 1);
+    return Math.round((1 - doubt) * 100);
+  }
+
+  /**
+   * Merge the detections of a workspace package into those of the project,
+   * prefixing the paths in their evidence with the package path
+   * @param {Object} detections - Detections of the project by category (modified in place)
+   * @param {Object} packageDetections - Detections of the package by category
+   * @param {string} packagePath - Package path relative to the project root
+   * @returns {Object} The merged detections
+   */
+  static merge(detections, packageDetections, packagePath) {
+    for (const [category, packageList] of Object.entries(packageDetections || {})) {
+      const list = detections[category] = detections[category] || [];
+
+      for (const detection of packageList) {
+        const evidence = detection.evidence.map(item => ({
+          ...item,
+          value: ['files', 'config', 'directory', 'import'].includes(item.type) ? `${packagePath}/${item.value}` : item.value,
+          detail: item.detail ? `${item.detail} in ${packagePath}` : `in ${packagePath}`
+        }));
+        const existing = list.find(entry => entry.name === detection.name);
+
+        if (existing) {
+          existing.confidence = Math.max(existing.confidence, detection.confidence);
+          existing.evidence.push(...evidence.filter(item =>
+            !existing.evidence.some(known => known.type === item.type && known.value === item.value)
+          ));
+        } else {
+          list.push({ name: detection.name, confidence: detection.confidence, evidence });
+        }
+      }
+
+      list.sort((a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name));
+    }
+
+    return detections;
+  }
+}
@@ -0,0 +1,284 @@
+/**
+ * .NET Package Analyzer
+ * Analyzes SDK-style project files (.csproj, .fsproj), Directory.Packages.props and
+ * global.json to detect the frameworks, tools and C# version used in the project
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { glob } from 'glob';
+import { VersionRange } from './version-range.js';
+
+/**
+ * Maps of lowercase NuGet package ids and project SDKs to technology categories and
+ * specific technologies. A dotted id also matches its sub-packages
+ * (microsoft.entityframeworkcore matches microsoft.entityframeworkcore.sqlserver).
+ */
+const DOTNET_TECH_MAPPINGS = {
+  // Server frameworks
+  backend: {
+    'microsoft.net.sdk.web': 'ASP.NET Core',
+    'microsoft.aspnetcore': 'ASP.NET Core',
+    'microsoft.azure.functions.worker': 'Azure Functions',
+    'grpc.aspnetcore': 'gRPC',
+  },
+
+  // Web UI
+  frontend: {
+    'microsoft.net.sdk.blazorwebassembly': 'Blazor',
+    'microsoft.aspnetcore.components.webassembly': 'Blazor',
+    'microsoft.aspnetcore.components.web': 'Blazor',
+    'microsoft.fluentui.aspnetcore.components': 'Fluent UI Blazor',
+    'mudblazor': 'MudBlazor',
+  },
+
+  // Desktop and mobile
+  mobile: {
+    'microsoft.maui.controls': '.NET MAUI',
+    'avalonia': 'Avalonia',
+  },
+
+  // Persistence
+  database: {
+    'microsoft.entityframeworkcore': 'Entity Framework Core',
+    'dapper': 'Dapper',
+    'npgsql': 'PostgreSQL',
+    'microsoft.data.sqlclient': 'SQL Server',
+    'mongodb.driver': 'MongoDB',
+    'stackexchange.redis': 'Redis',
+  },
+
+  // Common libraries
+  libraries: {
+    'mediatr': 'MediatR',
+    'automapper': 'AutoMapper',
+    'fluentvalidation': 'FluentValidation',
+    'serilog': 'Serilog',
+    'newtonsoft.json': 'Newtonsoft.Json',
+    'polly': 'Polly',
+    'masstransit': 'MassTransit',
+    'hangfire': 'Hangfire',
+    'swashbuckle.aspnetcore': 'Swagger',
+  },
+
+  // Testing
+  testing: {
+    'xunit': 'xUnit',
+    'nunit': 'NUnit',
+    'mstest.testframework': 'MSTest',
+    'moq': 'Moq',
+    'nsubstitute': 'NSubstitute',
+    'fluentassertions': 'FluentAssertions',
+    'bunit': 'bUnit',
+    'coverlet.collector': 'Coverlet',
+    'testcontainers': 'Testcontainers',
+  },
+
+  // Analyzers
+  linters: {
+    'stylecop.analyzers': 'StyleCop',
+    'sonaranalyzer.csharp': 'SonarAnalyzer',
+    'roslynator.analyzers': 'Roslynator',
+    'meziantou.analyzer': 'Meziantou.Analyzer',
+  },
+};
+
+// Default C# version of each target framework, used when a project does not set LangVersion
+const DEFAULT_LANG_VERSIONS = {
+  'net9.0': '13',
+  'net8.0': '12',
+  'net7.0': '11',
+  'net6.0': '10',
+  'net5.0': '9',
+  'netcoreapp3.1': '8',
+  'netcoreapp3.0': '8',
+  'netstandard2.1': '8',
+};
+
+/**
+ * Read an MSBuild attribute or child element of an item like <PackageReference>
+ * @param {string} item - Item XML
+ * @param {string} name - Attribute or element name
+ * @returns {string|null}
+ */
+function itemValue(item, name) {
+  const attribute = item.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`));
+  if (attribute) return attribute[1];
+  const element = item.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+  return element ? element[1].trim() : null;
+}
+
+/**
+ * Analyzes .NET projects to identify the technology stack
+ */
+export class DotnetPackageAnalyzer {
+  /**
+   * Analyze the project files in the project (at most three directories deep)
+   *
+   * @param {string} projectPath - Path to the project
+   * @returns {Promise<Object>} - Detected technologies, package references with their
+   *   versions, the target frameworks and the C# version
+   */
+  static async analyzeDependencies(projectPath) {
+    const projectFiles = (await glob('**/*.{csproj,fsproj}', {
+      cwd: projectPath,
+      ignore: ['**/node_modules/**', '**/bin/**', '**/obj/**'],
+      maxDepth: 4
+    })).sort();
+
+    if (projectFiles.length === 0) {
+      return { detected: false };
+    }
+
+    const result = {
+      detected: true,
+      technologies: {},
+      dependencies: {},
+      devDependencies: {},
+      resolvedVersions: {},
+      languageVersions: {},
+      toolVersions: {},
+      targetFrameworks: [],
+      sdks: [],
+      manifests: [],
+    };
+
+    const read = async (fileName) => {
+      try {
+        const content = await fs.readFile(path.join(projectPath, fileName), 'utf8');
+        result.manifests.push(fileName.split(path.sep).join('/'));
+        return content.replace(/<!--[\s\S]*?-->/g, '');
+      } catch (error) {
+        return null;
+      }
+    };
+
+    // Central package management keeps the versions out of the project files
+    const centralVersions = {};
+    const packagesProps = await read('Directory.Packages.props');
+    if (packagesProps) {
+      for (const item of packagesProps.matchAll(/<PackageVersion\b[\s\S]*?(?:\/>|<\/PackageVersion>)/g)) {
+        const id = itemValue(item[0], 'Include');
+        if (id) centralVersions[id.toLowerCase()] = itemValue(item[0], 'Version') || '';
+      }
+    }
+
+    const langVersions = [];
+    for (const projectFile of projectFiles) {
+      const project = await read(projectFile);
+      if (!project) continue;
+
+      const sdk = project.match(/<Project\s+Sdk="([^"]+)"/);
+      if (sdk) {
+        result.sdks.push(sdk[1].split('/')[0]);
+      }
+
+      const frameworks = itemValue(project, 'TargetFramework') || itemValue(project, 'TargetFrameworks') || '';
+      result.targetFrameworks.push(...frameworks.split(';').map(framework => framework.trim()).filter(Boolean));
+
+      const langVersion = itemValue(project, 'LangVersion');
+      if (langVersion) langVersions.push(langVersion);
+
+      // Test projects reference the test SDK or say so explicitly
+      const isTestProject = /<IsTestProject>\s*true/i.test(project) || /Include="Microsoft\.NET\.Test\.Sdk"/i.test(project);
+      const target = isTestProject ? result.devDependencies : result.dependencies;
+
+      for (const item of project.matchAll(/<PackageReference\b[\s\S]*?(?:\/>|<\/PackageReference>)/g)) {
+        const id = itemValue(item[0], 'Include');
+        if (!id || id.toLowerCase() in target) continue;
+        const version = itemValue(item[0], 'Version') || itemValue(item[0], 'VersionOverride') || centralVersions[id.toLowerCase()] || '';
+        target[id.toLowerCase()] = version;
+        if (/^\d[\w.-]*$/.test(version)) {
+          result.resolvedVersions[id.toLowerCase()] = version;
+        }
+      }
+    }
+
+    result.targetFrameworks = [...new Set(result.targetFrameworks)];
+    result.sdks = [...new Set(result.sdks)];
+
+    // An explicit LangVersion wins, otherwise the newest target framework sets the default
+    const defaultLangVersion = result.targetFrameworks
+      .map(framework => DEFAULT_LANG_VERSIONS[framework.split('-')[0]])
+      .filter(Boolean)
+      .sort((a, b) => Number(b) - Number(a))[0];
+    const csharpVersion = langVersions[0] || defaultLangVersion;
+    if (csharpVersion) {
+      result.languageVersions.csharp = csharpVersion;
+    }
+    if (result.targetFrameworks.length > 0) {
+      result.toolVersions['.NET'] = result.targetFrameworks.join(', ');
+    }
+
+    const globalJson = await read('global.json');
+    if (globalJson) {
+      try {
+        const sdkVersion = JSON.parse(globalJson).sdk?.version;
+        if (sdkVersion) result.toolVersions['.NET SDK'] = sdkVersion;
+      } catch (error) {
+        console.warn(`Warning: Error analyzing global.json: ${error.message}`);
+      }
+    }
+
+    // Project SDKs have no version of their own
+    const allDependencies = {
+      ...Object.fromEntries(result.sdks.map(sdk => [sdk.toLowerCase(), ''])),
+      ...result.dependencies,
+      ...result.devDependencies
+    };
+    result.technologies = this.detectTechnologies(Object.keys(allDependencies));
+    result.technologyVersions = VersionRange.resolveTechnologyVersions(
+      DOTNET_TECH_MAPPINGS,
+      allDependencies,
+      result.resolvedVersions,
+      (techMap, id) => this.lookup(techMap, id)
+    );
+    // ASP.NET Core ships with the shared framework, so the Web SDK has the version of the target framework
+    const aspnetCore = result.technologyVersions['ASP.NET Core'];
+    const runtimeVersion = result.targetFrameworks
+      .map(framework => framework.match(/^net(?:coreapp)?(\d+\.\d+)/)?.[1])
+      .filter(Boolean)
+      .sort((a, b) => VersionRange.compare(b, a))[0];
+    if (aspnetCore && !aspnetCore.version && runtimeVersion) {
+      result.technologyVersions['ASP.NET Core'] = { ...aspnetCore, version: runtimeVersion, source: 'target-framework' };
+    }
+    result.technologies.buildTools = ['.NET SDK'];
+
+    return result;
+  }
+
+  /**
+   * Look up a package id in a technology map, falling back to its dotted prefixes
+   * @param {Object} techMap - Technology map of one category
+   * @param {string} id - Lowercase package id or SDK name
+   * @returns {string|undefined} - Technology
+   */
+  static lookup(techMap, id) {
+    const segments = id.split('.');
+    for (let length = segments.length; length >= 1; length--) {
+      const technology = techMap[segments.slice(0, length).join('.')];
+      if (technology) return technology;
+    }
+    return undefined;
+  }
+
+  /**
+   * Detect technologies based on package ids and project SDKs
+   *
+   * @param {Array<string>} ids - Lowercase package ids and SDK names
+   * @returns {Object} - Object containing detected technologies by category
+   */
+  static detectTechnologies(ids) {
+    const result = {};
+
+    for (const [category, techMap] of Object.entries(DOTNET_TECH_MAPPINGS)) {
+      const detectedInCategory = ids.map(id => this.lookup(techMap, id)).filter(Boolean);
+
+      if (detectedInCategory.length > 0) {
+        result[category] = [...new Set(detectedInCategory)];
+      }
+    }
+
+    return result;
+  }
+}
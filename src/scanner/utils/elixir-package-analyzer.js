@@ -0,0 +1,175 @@
+/**
+ * Elixir Package Analyzer
+ * Analyzes mix.exs and mix.lock to detect Phoenix, the libraries and tools and the
+ * Elixir version used in the project
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { VersionRange } from './version-range.js';
+
+/**
+ * Maps of Hex package names to technology categories and specific technologies
+ */
+const ELIXIR_TECH_MAPPINGS = {
+  // Web frameworks
+  backend: {
+    'phoenix': 'Phoenix',
+    'plug_cowboy': 'Plug',
+    'bandit': 'Bandit',
+    'absinthe': 'Absinthe',
+    'ash': 'Ash',
+  },
+
+  frontend: {
+    'phoenix_live_view': 'Phoenix LiveView',
+  },
+
+  // Persistence
+  database: {
+    'ecto': 'Ecto',
+    'ecto_sql': 'Ecto',
+    'postgrex': 'PostgreSQL',
+    'myxql': 'MySQL',
+    'redix': 'Redis',
+  },
+
+  // Common libraries
+  libraries: {
+    'oban': 'Oban',
+    'broadway': 'Broadway',
+    'tesla': 'Tesla',
+    'req': 'Req',
+    'jason': 'Jason',
+    'nerves': 'Nerves',
+    'nx': 'Nx',
+  },
+
+  // Testing
+  testing: {
+    'ex_machina': 'ExMachina',
+    'mox': 'Mox',
+    'wallaby': 'Wallaby',
+    'excoveralls': 'ExCoveralls',
+    'stream_data': 'StreamData',
+  },
+
+  // Static analysis
+  linters: {
+    'credo': 'Credo',
+    'dialyxir': 'Dialyzer',
+    'sobelow': 'Sobelow',
+  },
+};
+
+/**
+ * Analyzes Mix projects to identify the technology stack
+ */
+export class ElixirPackageAnalyzer {
+  /**
+   * Analyze mix.exs and mix.lock in the project root
+   *
+   * @param {string} projectPath - Path to the project
+   * @returns {Promise<Object>} - Detected technologies, dependencies with their requirements,
+   *   versions resolved by mix.lock and the Elixir version
+   */
+  static async analyzeDependencies(projectPath) {
+    let mixExs;
+    try {
+      mixExs = await fs.readFile(path.join(projectPath, 'mix.exs'), 'utf8');
+    } catch (error) {
+      return { detected: false };
+    }
+
+    const mix = this.parseMixExs(mixExs);
+    const result = {
+      detected: true,
+      technologies: {},
+      dependencies: mix.dependencies,
+      devDependencies: mix.devDependencies,
+      resolvedVersions: {},
+      languageVersions: {},
+      manifests: ['mix.exs'],
+      projectInfo: {
+        name: mix.app || '',
+      },
+    };
+
+    if (mix.elixirVersion) {
+      result.languageVersions.elixir = mix.elixirVersion;
+    }
+
+    try {
+      const lock = await fs.readFile(path.join(projectPath, 'mix.lock'), 'utf8');
+      // "phoenix": {:hex, :phoenix, "1.7.14", "<hash>", ...}
+      for (const match of lock.matchAll(/"([\w-]+)":\s*\{:hex,\s*:[\w-]+,\s*"([^"]+)"/g)) {
+        result.resolvedVersions[match[1]] = match[2];
+      }
+      result.manifests.push('mix.lock');
+    } catch (error) {
+      // No lockfile
+    }
+
+    const allDependencies = { ...result.dependencies, ...result.devDependencies };
+    result.technologies = this.detectTechnologies(allDependencies);
+    result.technologyVersions = VersionRange.resolveTechnologyVersions(ELIXIR_TECH_MAPPINGS, allDependencies, result.resolvedVersions);
+    result.technologies.buildTools = ['Mix'];
+
+    return result;
+  }
+
+  /**
+   * Read the app name, Elixir requirement and deps of a mix.exs without evaluating it
+   *
+   * @param {string} content - mix.exs content
+   * @returns {{app: string|null, elixirVersion: string|null, dependencies: Object, devDependencies: Object}}
+   */
+  static parseMixExs(content) {
+    const source = content.replace(/#.*$/gm, '');
+    const app = source.match(/\bapp:\s*:(\w+)/);
+    const elixir = source.match(/\belixir:\s*"([^"]+)"/);
+
+    const dependencies = {};
+    const devDependencies = {};
+
+    // Only the tuples of the deps function are dependencies
+    const depsFunction = source.match(/\bdefp?\s+deps\b[^\n]*\bdo\b([\s\S]*?)^\s*end\b/m);
+    const deps = depsFunction ? depsFunction[1] : '';
+
+    // {:phoenix, "~> 1.7"}, {:credo, "~> 1.7", only: [:dev, :test], runtime: false}, {:dep, github: "..."}
+    for (const match of deps.matchAll(/\{\s*:(\w+)\s*,\s*(?:"([^"]*)")?([^{}]*)\}/g)) {
+      const [, name, requirement = '', options] = match;
+      const only = options.match(/\bonly:\s*(\[[^\]]*\]|:\w+)/);
+      const isDev = only && !/:prod\b/.test(only[1]);
+      (isDev ? devDependencies : dependencies)[name] = requirement;
+    }
+
+    return {
+      app: app ? app[1] : null,
+      elixirVersion: elixir ? elixir[1] : null,
+      dependencies,
+      devDependencies
+    };
+  }
+
+  /**
+   * Detect technologies based on dependencies
+   *
+   * @param {Object} dependencies - Map of package names to requirements
+   * @returns {Object} - Object containing detected technologies by category
+   */
+  static detectTechnologies(dependencies) {
+    const result = {};
+    const depNames = Object.keys(dependencies);
+
+    for (const [category, techMap] of Object.entries(ELIXIR_TECH_MAPPINGS)) {
+      const detectedInCategory = depNames.filter(dep => techMap[dep]).map(dep => techMap[dep]);
+
+      if (detectedInCategory.length > 0) {
+        result[category] = [...new Set(detectedInCategory)];
+      }
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * File Sampler
+ * Picks the files whose code is analyzed so they represent the whole project instead of
+ * whatever the file walk returned first: the budget is spread over directories, and within
+ * a directory over file sizes and modification times. The same files, sizes and times
+ * always give the same sample.
+ */
+
+import path from 'path';
+
+// Directory levels that make a stratum: src/components/Button/Button.tsx is in src/components
+const STRATUM_DEPTH = 2;
+
+/**
+ * Project-relative path of a file
+ * @param {Object} file - File info from ProjectScanner
+ * @returns {string}
+ */
+function relativePathOf(file) {
+  return file.relativePath || file.path;
+}
+
+/**
+ * Order files by path
+ * @param {Object} a - File info
+ * @param {Object} b - File info
+ * @returns {number}
+ */
+function byPath(a, b) {
+  const pathA = relativePathOf(a);
+  const pathB = relativePathOf(b);
+  return pathA < pathB ? -1 : pathA > pathB ? 1 : 0;
+}
+
+/**
+ * Base-2 radical inverse (van der Corput sequence): 0, 0.5, 0.25, 0.75, 0.125...
+ * Spreads consecutive indexes evenly over [0, 1)
+ * @param {number} index - Position in the sequence
+ * @returns {number}
+ */
+function radicalInverse(index) {
+  let result = 0;
+  let fraction = 0.5;
+  for (let n = index; n > 0; n >>= 1) {
+    if (n & 1) result += fraction;
+    fraction /= 2;
+  }
+  return result;
+}
+
+export class FileSampler {
+  /**
+   * Pick at most `budget` files, spread over directories, file sizes and modification times
+   * @param {Object[]} files - File info from ProjectScanner (relativePath, size, modifiedTime)
+   * @param {number} budget - Maximum number of files
+   * @returns {Object[]} The sampled files, ordered by path
+   */
+  static sample(files, budget) {
+    const ordered = [...files].sort(byPath);
+    if (ordered.length <= budget) {
+      return ordered;
+    }
+
+    const strata = this.groupByDirectory(ordered);
+    const allocation = this.allocate(strata, budget);
+
+    const sampled = [];
+    for (const [directory, group] of strata) {
+      sampled.push(...this.spread(group, allocation.get(directory) || 0));
+    }
+    return sampled.sort(byPath);
+  }
+
+  /**
+   * Group files by their directory, cut to STRATUM_DEPTH levels
+   * @param {Object[]} files - Files ordered by path
+   * @returns {Map<string, Object[]>} Files by directory, '.' for the project root
+   */
+  static groupByDirectory(files) {
+    const strata = new Map();
+    for (const file of files) {
+      const directory = path.dirname(relativePathOf(file)).split(/[\\/]/).slice(0, STRATUM_DEPTH).join('/');
+      if (!strata.has(directory)) strata.set(directory, []);
+      strata.get(directory).push(file);
+    }
+    return strata;
+  }
+
+  /**
+   * Split a budget over directories: every directory gets a file when the budget allows,
+   * the rest goes to directories in proportion to their size. A budget smaller than the
+   * number of directories goes to the largest ones.
+   * @param {Map<string, Object[]>} strata - Files by directory
+   * @param {number} budget - Files to pick, less than the number of files
+   * @returns {Map<string, number>} Files to pick per directory
+   */
+  static allocate(strata, budget) {
+    const directories = [...strata.keys()].sort((a, b) => strata.get(b).length - strata.get(a).length || (a < b ? -1 : 1));
+    const allocation = new Map();
+
+    if (budget < directories.length) {
+      directories.slice(0, budget).forEach(directory => allocation.set(directory, 1));
+      return allocation;
+    }
+
+    // One file each, the remaining budget by largest remainder of the proportional share
+    const remaining = budget - directories.length;
+    const rest = directories.reduce((sum, directory) => sum + strata.get(directory).length - 1, 0);
+    const shares = directories.map(directory => {
+      const exact = rest > 0 ? remaining * (strata.get(directory).length - 1) / rest : 0;
+      return { directory, count: 1 + Math.floor(exact), fraction: exact - Math.floor(exact) };
+    });
+
+    let left = budget - shares.reduce((sum, share) => sum + share.count, 0);
+    for (const share of [...shares].sort((a, b) => b.fraction - a.fraction)) {
+      if (left === 0) break;
+      share.count++;
+      left--;
+    }
+
+    shares.forEach(({ directory, count }) => allocation.set(directory, count));
+    return allocation;
+  }
+
+  /**
+   * Pick files of one directory across file sizes and modification times: the files are cut
+   * into `count` size bands, and each band contributes a file at a different recency, the
+   * newest for the first band, then the middle, the quarters and so on
+   * @param {Object[]} files - Files of a directory
+   * @param {number} count - Files to pick
+   * @returns {Object[]}
+   */
+  static spread(files, count) {
+    if (count >= files.length) {
+      return files;
+    }
+
+    const bySize = [...files].sort((a, b) => (a.size || 0) - (b.size || 0) || byPath(a, b));
+    const picked = [];
+
+    for (let band = 0; band < count; band++) {
+      const start = Math.floor(band * bySize.length / count);
+      const end = Math.floor((band + 1) * bySize.length / count);
+      const newestFirst = bySize.slice(start, end).sort((a, b) =>
+        new Date(b.modifiedTime || 0) - new Date(a.modifiedTime || 0) || byPath(a, b)
+      );
+      picked.push(newestFirst[Math.floor(radicalInverse(band) * newestFirst.length)]);
+    }
+
+    return picked;
+  }
+}
@@ -1,92 +1,279 @@
 /**
  * GitIgnore Parser
- * Reads .gitignore files and converts patterns to glob patterns for use with our scanner
+ * Ignore engine with git's semantics: nested .gitignore files, .git/info/exclude,
+ * negation, anchored and directory-only patterns, plus VDK's own .vdkignore files.
+ * An IgnoreMatcher can be passed to glob as its `ignore` option.
  */
 
-import fs from 'fs/promises';
+import fs from 'fs';
 import path from 'path';
 import globToRegExp from 'glob-to-regexp';
 
+// Ignore files read in every directory, in order of increasing precedence
+const GITIGNORE_FILE = '.gitignore';
+const VDKIGNORE_FILE = '.vdkignore';
+const GIT_EXCLUDE_FILE = path.join('.git', 'info', 'exclude');
+
 /**
- * Parses .gitignore files and converts them to glob patterns
+ * Parses gitignore syntax
  */
 export class GitIgnoreParser {
   /**
-   * Read and parse a .gitignore file, converting patterns to glob patterns
-   * 
-   * @param {string} projectPath - The path to the project
-   * @returns {Promise<string[]>} - Array of glob patterns
+   * Parse the content of a .gitignore (or .vdkignore) file
+   *
+   * @param {string} content - File content
+   * @param {string} [base] - Directory of the file, relative to the project root ('' for the root)
+   * @returns {Array<{pattern: string, negate: boolean, dirOnly: boolean, regex: RegExp, base: string}>} - Rules in file order
    */
-  static async parseGitIgnore(projectPath) {
-    try {
-      const gitIgnorePath = path.join(projectPath, '.gitignore');
-      
-      // Check if .gitignore exists
-      try {
-        await fs.access(gitIgnorePath);
-      } catch (error) {
-        // .gitignore doesn't exist, return empty array
-        return [];
+  static parseRules(content, base = '') {
+    const rules = [];
+
+    for (const line of content.split(/\r?\n/)) {
+      const rule = this.parsePattern(line);
+      if (rule) {
+        rules.push({ ...rule, base });
       }
-      
-      // Read the .gitignore file
-      const content = await fs.readFile(gitIgnorePath, 'utf8');
-      
-      // Parse the file and convert to glob patterns
-      return this.convertToGlobPatterns(content, projectPath);
-    } catch (error) {
-      console.warn(`Warning: Error parsing .gitignore: ${error.message}`);
-      return [];
     }
+
+    return rules;
   }
-  
+
+  /**
+   * Compile a single gitignore line
+   *
+   * @param {string} line - Line of a .gitignore file
+   * @returns {{pattern: string, negate: boolean, dirOnly: boolean, regex: RegExp}|null} - The rule,
+   *   or null for blank lines and comments
+   */
+  static parsePattern(line) {
+    // Trailing spaces are ignored unless escaped with a backslash
+    let pattern = line.replace(/(^|[^\\])\s+$/, '$1');
+    if (!pattern || pattern.startsWith('#')) {
+      return null;
+    }
+
+    let negate = false;
+    if (pattern.startsWith('!')) {
+      negate = true;
+      pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+      pattern = pattern.slice(1);
+    }
+
+    const dirOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    if (!pattern) {
+      return null;
+    }
+
+    // A slash at the start or in the middle anchors the pattern to the file's directory
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+
+    const body = this.patternToRegExpSource(pattern);
+    const regex = new RegExp(anchored || body.startsWith('(?:.*/)?') ? `^${body}$` : `^(?:.*/)?${body}$`);
+
+    return { pattern: line.trim(), negate, dirOnly, regex };
+  }
+
   /**
-   * Convert gitignore patterns to glob patterns
-   * 
-   * @param {string} content - The content of the .gitignore file
-   * @param {string} projectPath - The path to the project
-   * @returns {string[]} - Array of glob patterns
+   * Translate gitignore wildcards into a regular expression source
+   *
+   * @param {string} pattern - Pattern without the negation, anchor and trailing slash
+   * @returns {string} - Regular expression source
    */
-  static convertToGlobPatterns(content, projectPath) {
-    const lines = content.split('\n');
-    const globPatterns = [];
-    
-    for (let line of lines) {
-      // Remove comments and trim whitespace
-      line = line.replace(/#.*$/, '').trim();
-      
-      // Skip empty lines
-      if (!line) continue;
-      
-      // Handle negation (we don't support this in our ignore patterns, so skip)
-      if (line.startsWith('!')) continue;
-      
-      // Convert pattern to glob
-      let globPattern = line;
-      
-      // Handle directory-specific patterns (ends with /)
-      if (globPattern.endsWith('/')) {
-        globPattern = globPattern + '**';
+  static patternToRegExpSource(pattern) {
+    let source = '';
+    let index = 0;
+
+    while (index < pattern.length) {
+      const char = pattern[index];
+
+      if (char === '*' && pattern[index + 1] === '*') {
+        const atStart = index === 0 || pattern[index - 1] === '/';
+        const atEnd = index + 2 === pattern.length || pattern[index + 2] === '/';
+
+        if (atStart && atEnd) {
+          if (index + 2 === pattern.length) {
+            // "foo/**" matches everything inside foo
+            source += '.*';
+            index += 2;
+          } else {
+            // "**/" matches zero or more directories
+            source += '(?:.*/)?';
+            index += 3;
+          }
+          continue;
+        }
+
+        // Other consecutive asterisks are regular asterisks
+        while (pattern[index] === '*') index++;
+        source += '[^/]*';
+        continue;
       }
-      
-      // Handle leading slash (matches patterns from project root)
-      if (globPattern.startsWith('/')) {
-        globPattern = globPattern.substring(1);
+
+      if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[') {
+        const end = pattern.indexOf(']', index + 2);
+        if (end === -1) {
+          source += '\\[';
+        } else {
+          let range = pattern.slice(index + 1, end);
+          if (range.startsWith('!')) {
+            range = `^${range.slice(1)}`;
+          }
+          source += `[${range.replace(/\\/g, '\\\\')}]`;
+          index = end;
+        }
+      } else if (char === '\\' && index + 1 < pattern.length) {
+        index++;
+        source += pattern[index].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
       } else {
-        // If no leading slash, pattern matches anywhere
-        globPattern = '**/' + globPattern;
+        source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
       }
-      
-      // Handle no trailing slash or * (match files and directories)
-      if (!globPattern.endsWith('**') && !globPattern.endsWith('*')) {
-        // Add both the exact match and any children for directories
-        globPatterns.push(globPattern);
-        globPatterns.push(globPattern + '/**');
-      } else {
-        globPatterns.push(globPattern);
+      index++;
+    }
+
+    return source;
+  }
+}
+
+/**
+ * Decides which paths of a project are ignored. Combines glob patterns (the scanner's
+ * built-in and --exclude patterns) with the project's ignore files, which are read
+ * lazily as directories are visited.
+ */
+export class IgnoreMatcher {
+  /**
+   * @param {Object} options - { projectPath, patterns, useGitIgnore, useVdkIgnore }
+   *   patterns are glob patterns relative to the project root; useGitIgnore controls
+   *   .gitignore and .git/info/exclude, useVdkIgnore controls .vdkignore (both default to true)
+   */
+  constructor(options = {}) {
+    this.projectPath = path.resolve(options.projectPath || process.cwd());
+    this.useGitIgnore = options.useGitIgnore !== false;
+    this.useVdkIgnore = options.useVdkIgnore !== false;
+    this.globRules = (options.patterns || []).map(pattern =>
+      globToRegExp(pattern.replace(/^\.\//, ''), { globstar: true, extended: true })
+    );
+
+    this.ruleFiles = new Map();
+    this.decisions = new Map();
+    this.loadedFiles = [];
+    this.excludeRules = this.useGitIgnore ? this.readRules(GIT_EXCLUDE_FILE, '') : [];
+  }
+
+  /**
+   * Read the rules of an ignore file
+   * @param {string} relativeFile - File path relative to the project root
+   * @param {string} base - Directory the rules are relative to
+   * @returns {Array} Rules, empty when the file does not exist
+   */
+  readRules(relativeFile, base) {
+    try {
+      const content = fs.readFileSync(path.join(this.projectPath, relativeFile), 'utf8');
+      this.loadedFiles.push(relativeFile.split(path.sep).join('/'));
+      return GitIgnoreParser.parseRules(content, base);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Rules of the ignore files in one directory
+   * @param {string} directory - Directory relative to the project root ('' for the root)
+   * @returns {{gitignore: Array, vdkignore: Array}}
+   */
+  getDirectoryRules(directory) {
+    if (!this.ruleFiles.has(directory)) {
+      this.ruleFiles.set(directory, {
+        gitignore: this.useGitIgnore ? this.readRules(path.join(directory, GITIGNORE_FILE), directory) : [],
+        vdkignore: this.useVdkIgnore ? this.readRules(path.join(directory, VDKIGNORE_FILE), directory) : []
+      });
+    }
+    return this.ruleFiles.get(directory);
+  }
+
+  /**
+   * Whether a path is ignored. A path inside an ignored directory is always ignored,
+   * like in git a file cannot be re-included when one of its parents is excluded.
+   *
+   * @param {string} relativePath - Path relative to the project root
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @returns {boolean}
+   */
+  isIgnored(relativePath, isDirectory = false) {
+    const normalized = relativePath.split(path.sep).join('/').replace(/^\.\//, '').replace(/\/+$/, '');
+    if (!normalized || normalized === '.') {
+      return false;
+    }
+
+    const key = `${isDirectory ? 'd' : 'f'}:${normalized}`;
+    if (this.decisions.has(key)) {
+      return this.decisions.get(key);
+    }
+
+    const parent = path.posix.dirname(normalized);
+    const ignored = (parent !== '.' && this.isIgnored(parent, true)) || this.decide(normalized, isDirectory);
+    this.decisions.set(key, ignored);
+    return ignored;
+  }
+
+  /**
+   * Apply the rules to a single path, without looking at its parents
+   * @param {string} relativePath - Normalized path relative to the project root
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @returns {boolean}
+   */
+  decide(relativePath, isDirectory) {
+    if (this.globRules.some(regex => regex.test(relativePath) || (isDirectory && regex.test(`${relativePath}/`)))) {
+      return true;
+    }
+
+    // Directories from the root down to the path's parent; deeper files take precedence
+    const directories = [''];
+    const segments = relativePath.split('/').slice(0, -1);
+    segments.forEach((segment, index) => directories.push(segments.slice(0, index + 1).join('/')));
+
+    const rules = [...this.excludeRules];
+    const vdkRules = [];
+    for (const directory of directories) {
+      const directoryRules = this.getDirectoryRules(directory);
+      rules.push(...directoryRules.gitignore);
+      vdkRules.push(...directoryRules.vdkignore);
+    }
+    // .vdkignore files are applied last so they can override .gitignore
+    rules.push(...vdkRules);
+
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDirectory) continue;
+      const target = rule.base ? relativePath.slice(rule.base.length + 1) : relativePath;
+      if (rule.regex.test(target)) {
+        ignored = !rule.negate;
       }
     }
-    
-    return globPatterns;
+    return ignored;
+  }
+
+  /**
+   * glob IgnoreLike hook: whether a visited path is left out of the results
+   * @param {Object} entry - glob Path object
+   * @returns {boolean}
+   */
+  ignored(entry) {
+    return this.isIgnored(entry.relative(), entry.isDirectory());
+  }
+
+  /**
+   * glob IgnoreLike hook: whether a directory is not walked
+   * @param {Object} entry - glob Path object
+   * @returns {boolean}
+   */
+  childrenIgnored(entry) {
+    return this.isIgnored(entry.relative(), true);
   }
 }
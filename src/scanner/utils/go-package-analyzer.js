@@ -0,0 +1,193 @@
+/**
+ * Go Package Analyzer
+ * Analyzes go.mod to detect the modules, tools and Go toolchain used in the project
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { VersionRange } from './version-range.js';
+
+/**
+ * Maps of module paths (without the /vN major version suffix) to technology
+ * categories and specific technologies
+ */
+const GO_TECH_MAPPINGS = {
+  // Web frameworks and RPC
+  backend: {
+    'github.com/gin-gonic/gin': 'Gin',
+    'github.com/labstack/echo': 'Echo',
+    'github.com/gofiber/fiber': 'Fiber',
+    'github.com/go-chi/chi': 'Chi',
+    'github.com/gorilla/mux': 'Gorilla',
+    'github.com/beego/beego': 'Beego',
+    'github.com/valyala/fasthttp': 'fasthttp',
+    'google.golang.org/grpc': 'gRPC',
+    'connectrpc.com/connect': 'Connect',
+  },
+
+  // Databases and ORMs
+  database: {
+    'gorm.io/gorm': 'GORM',
+    'entgo.io/ent': 'Ent',
+    'github.com/jmoiron/sqlx': 'sqlx',
+    'github.com/jackc/pgx': 'PostgreSQL',
+    'github.com/lib/pq': 'PostgreSQL',
+    'github.com/go-sql-driver/mysql': 'MySQL',
+    'github.com/mattn/go-sqlite3': 'SQLite',
+    'go.mongodb.org/mongo-driver': 'MongoDB',
+    'github.com/redis/go-redis': 'Redis',
+    'github.com/go-redis/redis': 'Redis',
+  },
+
+  // Common libraries
+  libraries: {
+    'github.com/spf13/cobra': 'Cobra',
+    'github.com/spf13/viper': 'Viper',
+    'go.uber.org/zap': 'zap',
+    'github.com/sirupsen/logrus': 'Logrus',
+    'github.com/rs/zerolog': 'zerolog',
+    'go.uber.org/fx': 'Fx',
+    'github.com/google/wire': 'Wire',
+  },
+
+  // Testing
+  testing: {
+    'github.com/stretchr/testify': 'Testify',
+    'github.com/onsi/ginkgo': 'Ginkgo',
+    'github.com/onsi/gomega': 'Gomega',
+    'go.uber.org/mock': 'GoMock',
+    'github.com/golang/mock': 'GoMock',
+    'github.com/testcontainers/testcontainers-go': 'Testcontainers',
+  },
+};
+
+// golangci-lint configuration files
+const GOLANGCI_CONFIG_FILES = ['.golangci.yml', '.golangci.yaml', '.golangci.toml', '.golangci.json'];
+
+/**
+ * Analyzes Go modules to identify the technology stack
+ */
+export class GoPackageAnalyzer {
+  /**
+   * Analyze the go.mod file in the project root
+   *
+   * @param {string} projectPath - Path to the project
+   * @returns {Promise<Object>} - Detected technologies, required module versions and the Go version
+   */
+  static async analyzeDependencies(projectPath) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(projectPath, 'go.mod'), 'utf8');
+    } catch (error) {
+      return { detected: false };
+    }
+
+    const goMod = this.parseGoMod(content);
+
+    const result = {
+      detected: true,
+      technologies: {},
+      dependencies: {},
+      devDependencies: {},
+      // go.mod requirements are exact minimum versions, so they are also the resolved ones
+      resolvedVersions: {},
+      languageVersions: {},
+      manifests: ['go.mod'],
+      projectInfo: {
+        name: goMod.module || '',
+      },
+    };
+
+    for (const requirement of goMod.requires) {
+      // Indirect requirements are dependencies of dependencies
+      if (requirement.indirect) continue;
+      result.dependencies[requirement.path] = requirement.version;
+      result.resolvedVersions[requirement.path] = requirement.version.replace(/^v/, '');
+    }
+
+    // The toolchain directive names the exact Go release used to build the module
+    const goVersion = goMod.toolchain ? goMod.toolchain.replace(/^go/, '') : goMod.go;
+    if (goVersion) {
+      result.languageVersions.go = goVersion;
+    }
+
+    result.technologies = this.detectTechnologies(result.dependencies);
+    result.technologyVersions = VersionRange.resolveTechnologyVersions(
+      GO_TECH_MAPPINGS,
+      result.dependencies,
+      result.resolvedVersions,
+      (techMap, modulePath) => techMap[modulePath.replace(/\/v\d+$/, '')]
+    );
+    result.technologies.buildTools = ['Go modules'];
+
+    for (const configFile of GOLANGCI_CONFIG_FILES) {
+      try {
+        await fs.access(path.join(projectPath, configFile));
+        result.technologies.linters = ['golangci-lint'];
+        break;
+      } catch (error) {
+        // Not configured with this file name
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse a go.mod file
+   *
+   * @param {string} content - go.mod content
+   * @returns {{module: string|null, go: string|null, toolchain: string|null,
+   *   requires: Array<{path: string, version: string, indirect: boolean}>}}
+   */
+  static parseGoMod(content) {
+    const directive = (name) => {
+      const match = content.match(new RegExp(`^\\s*${name}\\s+(\\S+)`, 'm'));
+      return match ? match[1] : null;
+    };
+
+    const requires = [];
+    const addRequirement = (line) => {
+      const match = line.trim().match(/^([^\s/][^\s]*)\s+(\S+)(.*)$/);
+      if (match && !match[1].startsWith('//')) {
+        requires.push({ path: match[1], version: match[2], indirect: /\/\/\s*indirect/.test(match[3]) });
+      }
+    };
+
+    for (const block of content.matchAll(/^\s*require\s*\(([\s\S]*?)\)/gm)) {
+      block[1].split('\n').forEach(addRequirement);
+    }
+    for (const line of content.matchAll(/^\s*require\s+([^\s(].*)$/gm)) {
+      addRequirement(line[1]);
+    }
+
+    return {
+      module: directive('module'),
+      go: directive('go'),
+      toolchain: directive('toolchain'),
+      requires
+    };
+  }
+
+  /**
+   * Detect technologies based on dependencies
+   *
+   * @param {Object} dependencies - Map of module paths to versions
+   * @returns {Object} - Object containing detected technologies by category
+   */
+  static detectTechnologies(dependencies) {
+    const result = {};
+    // Major versions from v2 on are part of the module path (github.com/labstack/echo/v4)
+    const modulePaths = Object.keys(dependencies).map(modulePath => modulePath.replace(/\/v\d+$/, ''));
+
+    for (const [category, techMap] of Object.entries(GO_TECH_MAPPINGS)) {
+      const detectedInCategory = modulePaths.filter(dep => techMap[dep]).map(dep => techMap[dep]);
+
+      if (detectedInCategory.length > 0) {
+        result[category] = [...new Set(detectedInCategory)];
+      }
+    }
+
+    return result;
+  }
+}
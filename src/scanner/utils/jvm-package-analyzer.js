@@ -0,0 +1,530 @@
+/**
+ * JVM Package Analyzer
+ * Analyzes Maven (pom.xml) and Gradle (build.gradle, build.gradle.kts, version catalogs)
+ * builds to detect the frameworks, tools and Java/Kotlin versions used in the project
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ManifestParser } from './manifest-parser.js';
+import { VersionRange } from './version-range.js';
+
+/**
+ * Maps of Maven coordinates ("group:artifact"), groups and Gradle plugin ids to
+ * technology categories and specific technologies. A group also matches its subgroups.
+ */
+const JVM_TECH_MAPPINGS = {
+  // Server frameworks
+  backend: {
+    'org.springframework.boot': 'Spring Boot',
+    'org.springframework': 'Spring',
+    'io.quarkus': 'Quarkus',
+    'io.micronaut': 'Micronaut',
+    'io.ktor': 'Ktor',
+    'io.dropwizard': 'Dropwizard',
+    'io.vertx': 'Vert.x',
+    'io.javalin': 'Javalin',
+    'io.helidon': 'Helidon',
+  },
+
+  // Android
+  mobile: {
+    'com.android.application': 'Android',
+    'com.android.library': 'Android',
+    'com.android.tools.build': 'Android',
+    'androidx.compose': 'Jetpack Compose',
+    'org.jetbrains.compose': 'Compose Multiplatform',
+  },
+
+  // Persistence
+  database: {
+    'org.hibernate': 'Hibernate',
+    'org.jetbrains.exposed': 'Exposed',
+    'org.jooq': 'jOOQ',
+    'org.mybatis': 'MyBatis',
+    'org.flywaydb': 'Flyway',
+    'org.liquibase': 'Liquibase',
+    'org.postgresql': 'PostgreSQL',
+    'com.mysql': 'MySQL',
+    'mysql:mysql-connector-java': 'MySQL',
+    'org.mongodb': 'MongoDB',
+    'redis.clients': 'Redis',
+  },
+
+  // Common libraries
+  libraries: {
+    'org.projectlombok': 'Lombok',
+    'com.fasterxml.jackson.core': 'Jackson',
+    'org.jetbrains.kotlinx:kotlinx-coroutines-core': 'Kotlin Coroutines',
+    'org.jetbrains.kotlinx:kotlinx-serialization-json': 'kotlinx.serialization',
+    'com.google.dagger': 'Dagger',
+    'io.reactivex.rxjava3': 'RxJava',
+    'io.projectreactor': 'Project Reactor',
+    'org.mapstruct': 'MapStruct',
+    'com.squareup.retrofit2': 'Retrofit',
+    'com.squareup.okhttp3': 'OkHttp',
+  },
+
+  // Testing
+  testing: {
+    'junit:junit': 'JUnit 4',
+    'org.junit.jupiter': 'JUnit 5',
+    'org.junit': 'JUnit 5',
+    'org.testng': 'TestNG',
+    'org.mockito': 'Mockito',
+    'io.mockk': 'MockK',
+    'io.kotest': 'Kotest',
+    'org.assertj': 'AssertJ',
+    'org.testcontainers': 'Testcontainers',
+    'io.rest-assured': 'REST Assured',
+    'org.spockframework': 'Spock',
+    'org.jetbrains.kotlin:kotlin-test': 'kotlin.test',
+    'org.jetbrains.kotlin:kotlin-test-junit': 'kotlin.test',
+    'org.jetbrains.kotlin:kotlin-test-junit5': 'kotlin.test',
+    'com.tngtech.archunit': 'ArchUnit',
+    'org.jacoco': 'JaCoCo',
+    'jacoco': 'JaCoCo',
+  },
+
+  // Static analysis and formatting
+  linters: {
+    'checkstyle': 'Checkstyle',
+    'com.puppycrawl.tools': 'Checkstyle',
+    'org.apache.maven.plugins:maven-checkstyle-plugin': 'Checkstyle',
+    'pmd': 'PMD',
+    'org.apache.maven.plugins:maven-pmd-plugin': 'PMD',
+    'com.github.spotbugs': 'SpotBugs',
+    'com.diffplug.spotless': 'Spotless',
+    'io.gitlab.arturbosch.detekt': 'detekt',
+    'org.jlleitschuh.gradle.ktlint': 'ktlint',
+    'com.pinterest': 'ktlint',
+    'net.ltgt.errorprone': 'Error Prone',
+    'com.google.errorprone': 'Error Prone',
+  },
+};
+
+// Gradle configurations whose dependencies are only used by tests
+const TEST_CONFIGURATION = /^(test|androidTest|integrationTest)/;
+
+// Gradle configurations that declare dependencies
+const GRADLE_CONFIGURATIONS = /^(implementation|api|compileOnly|runtimeOnly|annotationProcessor|kapt|ksp|developmentOnly|classpath|(test|androidTest|integrationTest)(Implementation|CompileOnly|RuntimeOnly|AnnotationProcessor))$/;
+
+/**
+ * Return the inner text of every <tag> element
+ * @param {string} xml - XML source
+ * @param {string} tag - Element name
+ * @returns {Array<string>}
+ */
+function xmlElements(xml, tag) {
+  return [...xml.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g'))].map(match => match[1]);
+}
+
+/**
+ * Return the trimmed text of the first <tag> element
+ * @param {string} xml - XML source
+ * @param {string} tag - Element name
+ * @returns {string|null}
+ */
+function xmlValue(xml, tag) {
+  const [element] = xmlElements(xml, tag);
+  return element === undefined ? null : element.trim();
+}
+
+/**
+ * Analyzes Maven and Gradle builds to identify the technology stack
+ */
+export class JvmPackageAnalyzer {
+  /**
+   * Analyze the Maven or Gradle build in the project root, including its modules
+   *
+   * @param {string} projectPath - Path to the project
+   * @returns {Promise<Object>} - Detected technologies, dependencies with their versions,
+   *   the Java and Kotlin versions and the build tool versions
+   */
+  static async analyzeDependencies(projectPath) {
+    const result = {
+      detected: false,
+      technologies: {},
+      dependencies: {},
+      devDependencies: {},
+      resolvedVersions: {},
+      languageVersions: {},
+      toolVersions: {},
+      plugins: [],
+      manifests: [],
+      projectInfo: {},
+    };
+
+    const read = async (fileName) => {
+      try {
+        const content = await fs.readFile(path.join(projectPath, fileName), 'utf8');
+        result.manifests.push(fileName.split(path.sep).join('/'));
+        return content;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const buildTools = [];
+
+    if (await this.analyzeMaven(read, result)) {
+      buildTools.push('Maven');
+      const wrapper = await read(path.join('.mvn', 'wrapper', 'maven-wrapper.properties'));
+      const mavenVersion = wrapper && wrapper.match(/apache-maven-([\d.]+)-bin/);
+      if (mavenVersion) {
+        result.toolVersions.Maven = mavenVersion[1];
+      }
+    }
+
+    if (await this.analyzeGradle(read, result)) {
+      buildTools.push('Gradle');
+      const wrapper = await read(path.join('gradle', 'wrapper', 'gradle-wrapper.properties'));
+      const gradleVersion = wrapper && wrapper.match(/gradle-([\d.]+(?:-rc-\d+)?)-(?:bin|all)\.zip/);
+      if (gradleVersion) {
+        result.toolVersions.Gradle = gradleVersion[1];
+      }
+    }
+
+    if (buildTools.length === 0) {
+      return { detected: false };
+    }
+
+    result.detected = true;
+    // Plugins are declared without a constraint, their version is resolved when given
+    const allDependencies = {
+      ...Object.fromEntries(result.plugins.map(id => [id, ''])),
+      ...result.dependencies,
+      ...result.devDependencies
+    };
+    result.technologies = this.detectTechnologies(Object.keys(allDependencies));
+    result.technologyVersions = VersionRange.resolveTechnologyVersions(
+      JVM_TECH_MAPPINGS,
+      allDependencies,
+      result.resolvedVersions,
+      (techMap, key) => this.lookup(techMap, key)
+    );
+    result.technologies.buildTools = buildTools;
+
+    return result;
+  }
+
+  /**
+   * Read pom.xml and the pom.xml of its modules
+   *
+   * @param {Function} read - Reads a project file, resolves to null when missing
+   * @param {Object} result - Analysis result being built
+   * @returns {Promise<boolean>} - Whether the project is built with Maven
+   */
+  static async analyzeMaven(read, result) {
+    const pending = [''];
+    const visited = new Set();
+    let found = false;
+
+    while (pending.length > 0) {
+      const moduleDir = pending.shift();
+      if (visited.has(moduleDir)) continue;
+      visited.add(moduleDir);
+
+      const content = await read(path.join(moduleDir, 'pom.xml'));
+      if (!content) continue;
+      found = true;
+
+      const pom = content.replace(/<!--[\s\S]*?-->/g, '');
+      this.readPom(pom, result, moduleDir === '');
+
+      for (const module of xmlElements(pom, 'module')) {
+        pending.push(path.join(moduleDir, module.trim()));
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Read the dependencies, plugins and versions of one pom.xml
+   *
+   * @param {string} pom - pom.xml content without comments
+   * @param {Object} result - Analysis result being built
+   * @param {boolean} isRoot - Whether this is the root project
+   */
+  static readPom(pom, result, isRoot) {
+    // Child elements of the project itself, without the nested sections
+    const projectHead = pom.replace(/<(parent|dependencies|dependencyManagement|build|profiles|properties)[\s>][\s\S]*?<\/\1>/g, '');
+
+    const properties = {};
+    for (const block of xmlElements(pom, 'properties')) {
+      for (const match of block.matchAll(/<([\w.-]+)>([^<]*)<\/\1>/g)) {
+        properties[match[1]] = match[2].trim();
+      }
+    }
+    const parent = xmlElements(pom, 'parent')[0];
+    if (parent) {
+      properties['project.parent.version'] = xmlValue(parent, 'version');
+    }
+    properties['project.version'] = xmlValue(projectHead, 'version') || properties['project.parent.version'];
+    const resolve = value => (value || '').replace(/\$\{([^}]+)\}/g, (placeholder, name) => properties[name] ?? placeholder);
+
+    if (isRoot) {
+      result.projectInfo = {
+        name: xmlValue(projectHead, 'artifactId') || '',
+        version: resolve(properties['project.version']),
+        description: xmlValue(projectHead, 'description') || '',
+      };
+    }
+
+    // The parent (spring-boot-starter-parent, quarkus-bom...) counts as a dependency
+    if (parent) {
+      this.addCoordinate(result.dependencies, `${xmlValue(parent, 'groupId')}:${xmlValue(parent, 'artifactId')}`, resolve(xmlValue(parent, 'version')));
+    }
+
+    for (const dependency of xmlElements(pom, 'dependency')) {
+      const coordinate = `${xmlValue(dependency, 'groupId')}:${xmlValue(dependency, 'artifactId')}`;
+      const target = xmlValue(dependency, 'scope') === 'test' ? result.devDependencies : result.dependencies;
+      this.addCoordinate(target, coordinate, resolve(xmlValue(dependency, 'version')));
+    }
+
+    for (const plugin of xmlElements(pom, 'plugin')) {
+      const pluginHead = plugin.replace(/<(dependencies|configuration|executions)[\s>][\s\S]*?<\/\1>/g, '');
+      const groupId = xmlValue(pluginHead, 'groupId') || 'org.apache.maven.plugins';
+      result.plugins.push(`${groupId}:${xmlValue(pluginHead, 'artifactId')}`);
+
+      // maven-compiler-plugin can set the Java release directly
+      if (xmlValue(pluginHead, 'artifactId') === 'maven-compiler-plugin' && !result.languageVersions.java) {
+        const release = xmlValue(plugin, 'release') || xmlValue(plugin, 'source');
+        if (release) {
+          result.languageVersions.java = resolve(release);
+        }
+      }
+    }
+
+    const javaVersion = properties['maven.compiler.release'] || properties['java.version'] || properties['maven.compiler.source'];
+    if (javaVersion && (isRoot || !result.languageVersions.java)) {
+      result.languageVersions.java = resolve(javaVersion);
+    }
+    if (properties['kotlin.version'] && !result.languageVersions.kotlin) {
+      result.languageVersions.kotlin = resolve(properties['kotlin.version']);
+    }
+  }
+
+  /**
+   * Read the Gradle build scripts of the root project and the included projects
+   *
+   * @param {Function} read - Reads a project file, resolves to null when missing
+   * @param {Object} result - Analysis result being built
+   * @returns {Promise<boolean>} - Whether the project is built with Gradle
+   */
+  static async analyzeGradle(read, result) {
+    const settings = (await read('settings.gradle.kts')) ?? (await read('settings.gradle')) ?? '';
+    const catalog = this.parseVersionCatalog(await read(path.join('gradle', 'libs.versions.toml')));
+
+    // include(":app", ":core:data") or include ':app', ':core:data'
+    const projectDirs = [''];
+    for (const include of settings.matchAll(/^\s*include\s*\(?([^\n)]*)\)?/gm)) {
+      for (const name of include[1].matchAll(/["']:?([^"']+)["']/g)) {
+        projectDirs.push(name[1].split(':').join('/'));
+      }
+    }
+
+    let found = settings !== '';
+    for (const projectDir of projectDirs) {
+      const script = (await read(path.join(projectDir, 'build.gradle.kts'))) ?? (await read(path.join(projectDir, 'build.gradle')));
+      if (script === null) continue;
+      found = true;
+      this.readGradleScript(script.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, ''), catalog, result);
+    }
+
+    return found;
+  }
+
+  /**
+   * Read the plugins, dependencies and toolchain of a Gradle build script
+   *
+   * @param {string} script - Groovy or Kotlin DSL build script without comments
+   * @param {Object} catalog - Parsed version catalog, see parseVersionCatalog
+   * @param {Object} result - Analysis result being built
+   */
+  static readGradleScript(script, catalog, result) {
+    // plugins { id("org.springframework.boot") version "3.3.0"; alias(libs.plugins.ktor) }
+    for (const match of script.matchAll(/\bid\s*\(?\s*["']([\w.-]+)["']\s*\)?(?:\s*version\s*\(?\s*["']([^"']+)["'])?/g)) {
+      this.addPlugin(result, match[1], match[2]);
+    }
+    for (const match of script.matchAll(/\bapply\s+plugin\s*:\s*["']([\w.-]+)["']/g)) {
+      this.addPlugin(result, match[1]);
+    }
+    for (const match of script.matchAll(/\balias\s*\(\s*libs\.plugins\.([\w.]+)\s*\)/g)) {
+      const plugin = catalog.plugins[match[1]];
+      if (plugin) {
+        this.addPlugin(result, plugin.id, plugin.version);
+      }
+    }
+    // Core plugins are written as bare names inside the plugins block, and kotlin("jvm") is
+    // only a plugin there (kotlin("stdlib") in dependencies is a library)
+    const pluginsBlock = script.match(/\bplugins\s*\{([^}]*)\}/);
+    if (pluginsBlock) {
+      for (const match of pluginsBlock[1].matchAll(/^\s*`?([\w-]+)`?\s*$/gm)) {
+        this.addPlugin(result, match[1]);
+      }
+      for (const match of pluginsBlock[1].matchAll(/\bkotlin\s*\(\s*["']([\w.-]+)["']\s*\)(?:\s*version\s*["']([^"']+)["'])?/g)) {
+        this.addPlugin(result, `org.jetbrains.kotlin.${match[1]}`, match[2]);
+      }
+    }
+
+    // implementation("group:artifact:version"), testImplementation 'group:artifact', platform(...)
+    const dependencyPattern = /\b(\w+)\s*\(?\s*(?:(?:enforcedPlatform|platform)\s*\(\s*)?(?:["']([\w.-]+):([\w.-]+)(?::([^"'@:]+))?[^"']*["']|libs\.([\w.]+))/g;
+    for (const match of script.matchAll(dependencyPattern)) {
+      const [, configuration, group, artifact, version, catalogAlias] = match;
+      if (!GRADLE_CONFIGURATIONS.test(configuration)) continue;
+
+      const target = TEST_CONFIGURATION.test(configuration) ? result.devDependencies : result.dependencies;
+      if (catalogAlias) {
+        const library = catalog.libraries[catalogAlias.replace(/\.get\(\)$/, '')];
+        if (library) {
+          this.addCoordinate(target, library.module, library.version);
+        }
+      } else {
+        this.addCoordinate(target, `${group}:${artifact}`, version);
+      }
+    }
+
+    // testImplementation(kotlin("test")) is org.jetbrains.kotlin:kotlin-test
+    for (const match of script.matchAll(/\b(\w+)\s*\(\s*kotlin\s*\(\s*["']([\w.-]+)["'](?:\s*,\s*["']([^"']+)["'])?\s*\)/g)) {
+      const [, configuration, module, version] = match;
+      if (!GRADLE_CONFIGURATIONS.test(configuration)) continue;
+
+      const target = TEST_CONFIGURATION.test(configuration) ? result.devDependencies : result.dependencies;
+      this.addCoordinate(target, `org.jetbrains.kotlin:kotlin-${module}`, version);
+    }
+
+    // java { toolchain { languageVersion = JavaLanguageVersion.of(21) } }, jvmToolchain(17),
+    // sourceCompatibility = JavaVersion.VERSION_17 or '17'
+    const javaVersion =
+      script.match(/JavaLanguageVersion\.of\(\s*["']?(\d+)["']?\s*\)/) ||
+      script.match(/jvmToolchain\s*\(\s*(\d+)\s*\)/) ||
+      script.match(/sourceCompatibility\s*=\s*(?:JavaVersion\.VERSION_)?["']?([\d._]+)["']?/);
+    if (javaVersion && !result.languageVersions.java) {
+      result.languageVersions.java = javaVersion[1].replace(/_/g, '.');
+    }
+  }
+
+  /**
+   * Parse a Gradle version catalog (gradle/libs.versions.toml)
+   *
+   * @param {string|null} content - Catalog content
+   * @returns {{libraries: Object, plugins: Object}} - Entries by their accessor
+   *   ("spring-boot-starter" is used as libs.spring.boot.starter)
+   */
+  static parseVersionCatalog(content) {
+    const catalog = { libraries: {}, plugins: {} };
+    if (!content) {
+      return catalog;
+    }
+
+    let toml;
+    try {
+      toml = ManifestParser.parseToml(content);
+    } catch (error) {
+      console.warn(`Warning: Error analyzing gradle/libs.versions.toml: ${error.message}`);
+      return catalog;
+    }
+
+    const versions = toml.versions || {};
+    const versionOf = (spec) => {
+      if (typeof spec.version === 'string') return spec.version;
+      const ref = spec.version?.ref || spec['version.ref'];
+      return ref ? versions[ref] : undefined;
+    };
+    const accessor = alias => alias.replace(/[-_]/g, '.');
+
+    for (const [alias, spec] of Object.entries(toml.libraries || {})) {
+      if (typeof spec === 'string') {
+        const [group, name, version] = spec.split(':');
+        catalog.libraries[accessor(alias)] = { module: `${group}:${name}`, version };
+      } else if (spec && typeof spec === 'object') {
+        const module = spec.module || `${spec.group}:${spec.name}`;
+        catalog.libraries[accessor(alias)] = { module, version: versionOf(spec) };
+      }
+    }
+
+    for (const [alias, spec] of Object.entries(toml.plugins || {})) {
+      if (typeof spec === 'string') {
+        const [id, version] = spec.split(':');
+        catalog.plugins[accessor(alias)] = { id, version };
+      } else if (spec && typeof spec === 'object' && spec.id) {
+        catalog.plugins[accessor(alias)] = { id: spec.id, version: versionOf(spec) };
+      }
+    }
+
+    return catalog;
+  }
+
+  /**
+   * Record a Gradle plugin; the Kotlin plugin version is the Kotlin version
+   * @param {Object} result - Analysis result being built
+   * @param {string} id - Plugin id
+   * @param {string} [version] - Plugin version
+   */
+  static addPlugin(result, id, version) {
+    result.plugins.push(id);
+    if (version) {
+      result.resolvedVersions[id] = version;
+      if (id.startsWith('org.jetbrains.kotlin.') && !result.languageVersions.kotlin) {
+        result.languageVersions.kotlin = version;
+      }
+    }
+  }
+
+  /**
+   * Record a dependency by its coordinate
+   * @param {Object} target - Map of "group:artifact" to version
+   * @param {string} coordinate - "group:artifact"
+   * @param {string} [version] - Declared version, empty when managed by a BOM or plugin
+   */
+  static addCoordinate(target, coordinate, version) {
+    if (!coordinate || coordinate.includes('null') || coordinate in target) return;
+    target[coordinate] = version && !version.includes('${') ? version : '';
+  }
+
+  /**
+   * Look up a coordinate, group or plugin id in a technology map. Groups match their
+   * subgroups, so io.ktor:ktor-server-core and the io.ktor.plugin plugin both map to io.ktor.
+   *
+   * @param {Object} techMap - Technology map of one category
+   * @param {string} key - "group:artifact" or plugin id
+   * @returns {string|undefined} - Technology
+   */
+  static lookup(techMap, key) {
+    if (techMap[key]) {
+      return techMap[key];
+    }
+
+    const segments = key.split(':')[0].split('.');
+    // Stop at two segments so "org" or "io" never match
+    for (let length = segments.length; length >= 1; length--) {
+      const group = segments.slice(0, length).join('.');
+      if (techMap[group] && (length >= 2 || group === key)) {
+        return techMap[group];
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Detect technologies based on dependencies and plugins
+   *
+   * @param {Array<string>} keys - Coordinates and plugin ids
+   * @returns {Object} - Object containing detected technologies by category
+   */
+  static detectTechnologies(keys) {
+    const result = {};
+
+    for (const [category, techMap] of Object.entries(JVM_TECH_MAPPINGS)) {
+      const detectedInCategory = keys.map(key => this.lookup(techMap, key)).filter(Boolean);
+
+      if (detectedInCategory.length > 0) {
+        result[category] = [...new Set(detectedInCategory)];
+      }
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,450 @@
+/**
+ * Manifest Parser
+ * Small parsers for the TOML and YAML subsets used by package manifests and
+ * workspace files (Cargo.toml, pyproject.toml, pnpm-workspace.yaml, pubspec.yaml...),
+ * so the scanner does not need a parser dependency for each format.
+ */
+
+/**
+ * Remove a trailing `#` comment from a line, ignoring `#` inside quotes
+ * @param {string} line - Source line
+ * @returns {string} Line without the comment
+ */
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * Split a string on a separator that is not nested in quotes, brackets or braces
+ * @param {string} text - Text to split
+ * @param {string} separator - Single character separator
+ * @returns {string[]} Trimmed, non-empty parts
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  parts.push(text.slice(start));
+  return parts.map(part => part.trim()).filter(part => part.length > 0);
+}
+
+/**
+ * Parses the parts of TOML and YAML that package manifests use
+ */
+export class ManifestParser {
+  /**
+   * Parse TOML: tables, arrays of tables, dotted and quoted keys, strings (including
+   * multi-line), numbers, booleans, arrays and inline tables. Dates are kept as strings.
+   *
+   * @param {string} content - TOML source
+   * @returns {Object} Parsed document
+   * @throws {Error} When a line cannot be parsed
+   */
+  static parseToml(content) {
+    const root = {};
+    let table = root;
+    let index = 0;
+    const text = content.replace(/\r\n/g, '\n');
+
+    const error = (message) => {
+      const line = text.slice(0, index).split('\n').length;
+      return new Error(`TOML parse error on line ${line}: ${message}`);
+    };
+
+    const skipWhitespace = (allowNewlines) => {
+      while (index < text.length) {
+        const char = text[index];
+        if (char === ' ' || char === '\t' || (allowNewlines && char === '\n')) {
+          index++;
+        } else if (char === '#') {
+          while (index < text.length && text[index] !== '\n') index++;
+        } else {
+          break;
+        }
+      }
+    };
+
+    const parseString = () => {
+      const quote = text[index];
+      const multiline = text.startsWith(quote.repeat(3), index);
+      const delimiter = multiline ? quote.repeat(3) : quote;
+      index += delimiter.length;
+      if (multiline && text[index] === '\n') index++;
+
+      let value = '';
+      while (index < text.length && !text.startsWith(delimiter, index)) {
+        const char = text[index];
+        if (!multiline && char === '\n') {
+          throw error('unterminated string');
+        }
+        if (quote === '"' && char === '\\') {
+          const next = text[index + 1];
+          const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', b: '\b', f: '\f' };
+          if (next === 'u' || next === 'U') {
+            const length = next === 'u' ? 4 : 8;
+            value += String.fromCodePoint(parseInt(text.slice(index + 2, index + 2 + length), 16));
+            index += 2 + length;
+          } else if (next === '\n' && multiline) {
+            // Line ending backslash trims the newline and leading whitespace
+            index += 2;
+            while (/\s/.test(text[index] || '')) index++;
+          } else {
+            value += escapes[next] !== undefined ? escapes[next] : next;
+            index += 2;
+          }
+          continue;
+        }
+        value += char;
+        index++;
+      }
+
+      if (index >= text.length) {
+        throw error('unterminated string');
+      }
+      index += delimiter.length;
+      return value;
+    };
+
+    const parseKey = () => {
+      const parts = [];
+      for (;;) {
+        skipWhitespace(false);
+        if (text[index] === '"' || text[index] === "'") {
+          parts.push(parseString());
+        } else {
+          const match = /^[A-Za-z0-9_-]+/.exec(text.slice(index));
+          if (!match) throw error('expected a key');
+          parts.push(match[0]);
+          index += match[0].length;
+        }
+        skipWhitespace(false);
+        if (text[index] !== '.') return parts;
+        index++;
+      }
+    };
+
+    const parseValue = () => {
+      skipWhitespace(false);
+      const char = text[index];
+
+      if (char === '"' || char === "'") {
+        return parseString();
+      }
+
+      if (char === '[') {
+        index++;
+        const array = [];
+        for (;;) {
+          skipWhitespace(true);
+          if (text[index] === ']') {
+            index++;
+            return array;
+          }
+          array.push(parseValue());
+          skipWhitespace(true);
+          if (text[index] === ',') {
+            index++;
+          } else if (text[index] !== ']') {
+            throw error('expected , or ] in array');
+          }
+        }
+      }
+
+      if (char === '{') {
+        index++;
+        const inlineTable = {};
+        skipWhitespace(false);
+        if (text[index] === '}') {
+          index++;
+          return inlineTable;
+        }
+        for (;;) {
+          const key = parseKey();
+          if (text[index] !== '=') throw error('expected = in inline table');
+          index++;
+          ManifestParser.setPath(inlineTable, key, parseValue());
+          skipWhitespace(false);
+          if (text[index] === ',') {
+            index++;
+          } else if (text[index] === '}') {
+            index++;
+            return inlineTable;
+          } else {
+            throw error('expected , or } in inline table');
+          }
+        }
+      }
+
+      const match = /^[^\s,\]}#]+(?: [0-9][^\s,\]}#]*)?/.exec(text.slice(index));
+      if (!match) throw error('expected a value');
+      index += match[0].length;
+      const raw = match[0];
+
+      if (raw === 'true') return true;
+      if (raw === 'false') return false;
+      if (/^[+-]?(\d[\d_]*)(\.\d[\d_]*)?([eE][+-]?\d+)?$/.test(raw)) return Number(raw.replace(/_/g, ''));
+      if (/^0x[0-9a-fA-F_]+$/.test(raw)) return parseInt(raw.slice(2).replace(/_/g, ''), 16);
+      return raw;
+    };
+
+    while (index < text.length) {
+      skipWhitespace(true);
+      if (index >= text.length) break;
+
+      if (text[index] === '[') {
+        const arrayOfTables = text[index + 1] === '[';
+        index += arrayOfTables ? 2 : 1;
+        const key = parseKey();
+        if (text[index] !== ']' || (arrayOfTables && text[index + 1] !== ']')) {
+          throw error('unterminated table header');
+        }
+        index += arrayOfTables ? 2 : 1;
+
+        if (arrayOfTables) {
+          const parent = ManifestParser.resolveTable(root, key.slice(0, -1));
+          const name = key[key.length - 1];
+          if (!Array.isArray(parent[name])) parent[name] = [];
+          table = {};
+          parent[name].push(table);
+        } else {
+          table = ManifestParser.resolveTable(root, key);
+        }
+      } else {
+        const key = parseKey();
+        if (text[index] !== '=') throw error(`expected = after "${key.join('.')}"`);
+        index++;
+        ManifestParser.setPath(table, key, parseValue());
+      }
+
+      skipWhitespace(false);
+      if (index < text.length && text[index] !== '\n') {
+        throw error('unexpected content after value');
+      }
+    }
+
+    return root;
+  }
+
+  /**
+   * Get or create the table at a key path; arrays of tables resolve to their last entry
+   * @param {Object} root - Document root
+   * @param {string[]} keys - Key path
+   * @returns {Object} The table
+   */
+  static resolveTable(root, keys) {
+    let table = root;
+    for (const key of keys) {
+      if (Array.isArray(table[key])) {
+        table = table[key][table[key].length - 1];
+      } else {
+        if (typeof table[key] !== 'object' || table[key] === null) table[key] = {};
+        table = table[key];
+      }
+    }
+    return table;
+  }
+
+  /**
+   * Assign a value at a dotted key path
+   * @param {Object} table - Target table
+   * @param {string[]} keys - Key path
+   * @param {*} value - Value to assign
+   */
+  static setPath(table, keys, value) {
+    const parent = this.resolveTable(table, keys.slice(0, -1));
+    parent[keys[keys.length - 1]] = value;
+  }
+
+  /**
+   * Parse YAML block mappings and sequences with plain, quoted, flow and block scalar
+   * values. Anchors, tags and multiple documents are not supported.
+   *
+   * @param {string} content - YAML source
+   * @returns {*} Parsed document, null for an empty document
+   */
+  static parseYaml(content) {
+    const lines = [];
+    const rawLines = content.replace(/\r\n/g, '\n').split('\n');
+
+    for (let i = 0; i < rawLines.length; i++) {
+      const raw = rawLines[i];
+      if (/^(---|\.\.\.)\s*$/.test(raw)) continue;
+      const text = stripComment(raw).replace(/\s+$/, '');
+      if (text.trim() === '') continue;
+
+      const line = { indent: text.length - text.trimStart().length, text: text.trim() };
+
+      // Block scalars take the following more indented lines verbatim
+      const blockMatch = /(^|:\s+|^-\s+)([|>])[+-]?$/.exec(line.text);
+      if (blockMatch) {
+        const block = [];
+        while (i + 1 < rawLines.length) {
+          const next = rawLines[i + 1];
+          if (next.trim() !== '' && next.length - next.trimStart().length <= line.indent) break;
+          block.push(next);
+          i++;
+        }
+        const blockIndent = Math.min(...block.filter(b => b.trim()).map(b => b.length - b.trimStart().length));
+        const body = block.map(b => b.slice(Number.isFinite(blockIndent) ? blockIndent : 0));
+        line.block = blockMatch[2] === '|' ? body.join('\n').replace(/\n+$/, '') : body.join(' ').replace(/\s+/g, ' ').trim();
+        line.text = line.text.slice(0, -blockMatch[0].length + blockMatch[1].length).trim();
+      }
+
+      lines.push(line);
+    }
+
+    if (lines.length === 0) {
+      return null;
+    }
+
+    let position = 0;
+
+    const parseBlock = (indent) => {
+      const first = lines[position];
+      if (first.text === '-' || first.text.startsWith('- ')) {
+        return parseSequence(indent);
+      }
+      if (splitMapping(first.text)) {
+        return parseMapping(indent);
+      }
+      position++;
+      return first.block !== undefined ? first.block : ManifestParser.parseYamlScalar(first.text);
+    };
+
+    const parseNested = (parentIndent, allowSequenceAtSameIndent) => {
+      const next = lines[position];
+      if (next && (next.indent > parentIndent
+        || (allowSequenceAtSameIndent && next.indent === parentIndent && (next.text === '-' || next.text.startsWith('- '))))) {
+        return parseBlock(next.indent);
+      }
+      return null;
+    };
+
+    const parseSequence = (indent) => {
+      const sequence = [];
+      while (position < lines.length && lines[position].indent === indent
+        && (lines[position].text === '-' || lines[position].text.startsWith('- '))) {
+        const line = lines[position];
+        const rest = line.text.slice(1).trim();
+
+        if (rest === '' && line.block === undefined) {
+          position++;
+          sequence.push(parseNested(indent, false));
+        } else if (rest === '' || !splitMapping(rest)) {
+          position++;
+          sequence.push(line.block !== undefined ? line.block : ManifestParser.parseYamlScalar(rest));
+        } else {
+          // "- key: value" starts a mapping indented past the dash
+          const itemIndent = indent + line.text.indexOf(rest);
+          lines[position] = { ...line, indent: itemIndent, text: rest };
+          sequence.push(parseMapping(itemIndent));
+        }
+      }
+      return sequence;
+    };
+
+    const parseMapping = (indent) => {
+      const mapping = {};
+      while (position < lines.length && lines[position].indent === indent) {
+        const line = lines[position];
+        const entry = splitMapping(line.text);
+        if (!entry) break;
+        position++;
+
+        if (line.block !== undefined) {
+          mapping[entry.key] = line.block;
+        } else if (entry.value === '') {
+          mapping[entry.key] = parseNested(indent, true);
+        } else {
+          mapping[entry.key] = ManifestParser.parseYamlScalar(entry.value);
+        }
+      }
+      return mapping;
+    };
+
+    return parseBlock(lines[0].indent);
+  }
+
+  /**
+   * Parse a single YAML scalar or flow collection
+   * @param {string} text - Scalar text
+   * @returns {*} Parsed value
+   */
+  static parseYamlScalar(text) {
+    const value = text.trim();
+
+    if (value.startsWith('[') && value.endsWith(']')) {
+      return splitTopLevel(value.slice(1, -1), ',').map(item => this.parseYamlScalar(item));
+    }
+    if (value.startsWith('{') && value.endsWith('}')) {
+      const mapping = {};
+      for (const item of splitTopLevel(value.slice(1, -1), ',')) {
+        const entry = splitMapping(item);
+        if (entry) mapping[entry.key] = this.parseYamlScalar(entry.value);
+      }
+      return mapping;
+    }
+    if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+      return value.slice(1, -1).replace(/\\(["\\nt])/g, (match, char) => ({ n: '\n', t: '\t' }[char] || char));
+    }
+    if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+      return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (value === '' || value === '~' || value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^[+-]?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+  }
+}
+
+/**
+ * Split a YAML "key: value" line
+ * @param {string} text - Line text without indentation
+ * @returns {{key: string, value: string}|null} The entry, or null when the line is no mapping entry
+ */
+function splitMapping(text) {
+  const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'\[{][^:]*?|[^:]+?)\s*:(?:\s+(.*)|$)/.exec(text);
+  if (!match) {
+    return null;
+  }
+  const key = ManifestParser.parseYamlScalar(match[1]);
+  return { key: String(key), value: (match[2] || '').trim() };
+}
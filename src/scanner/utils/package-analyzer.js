@@ -5,6 +5,8 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { ManifestParser } from './manifest-parser.js';
+import { VersionRange } from './version-range.js';
 
 /**
  * Maps of package names to technology categories and specific technologies
@@ -573,7 +575,8 @@ export class PackageAnalyzer {
    * Analyze package.json to detect technologies used in the project
    * 
    * @param {string} projectPath - Path to the project
-   * @returns {Promise<Object>} - Object containing detected technologies
+   * @returns {Promise<Object>} - Object containing detected technologies, the versions
+   *   resolved by the lockfile and the version of each detected technology
    */
   static async analyzeDependencies(projectPath) {
     try {
@@ -600,6 +603,9 @@ export class PackageAnalyzer {
       // Detect technologies based on dependencies
       const detectedTech = this.detectTechnologies(allDependencies);
       
+      // Versions installed by the package manager
+      const lock = await this.readLockfileVersions(projectPath, allDependencies);
+      
       // Extract project metadata
       const projectInfo = {
         name: packageJson.name || '',
@@ -616,6 +622,11 @@ export class PackageAnalyzer {
       return {
         detected: true,
         technologies: detectedTech,
+        technologyVersions: VersionRange.resolveTechnologyVersions(TECH_MAPPINGS, allDependencies, lock.resolvedVersions),
+        dependencies: packageJson.dependencies || {},
+        devDependencies: packageJson.devDependencies || {},
+        resolvedVersions: lock.resolvedVersions,
+        manifests: lock.lockfile ? ['package.json', lock.lockfile] : ['package.json'],
         projectInfo,
         dependencyCount: Object.keys(allDependencies).length,
       };
@@ -625,6 +636,105 @@ export class PackageAnalyzer {
     }
   }
   
+  /**
+   * Read the versions the lockfile of the project resolved for its direct dependencies
+   * (package-lock.json, npm-shrinkwrap.json, pnpm-lock.yaml or yarn.lock)
+   * 
+   * @param {string} projectPath - Path to the project
+   * @param {Object} dependencies - Dependencies from package.json with their ranges
+   * @returns {Promise<{lockfile: string|null, resolvedVersions: Object}>}
+   */
+  static async readLockfileVersions(projectPath, dependencies) {
+    const resolvedVersions = {};
+    
+    for (const lockfile of ['package-lock.json', 'npm-shrinkwrap.json', 'pnpm-lock.yaml', 'yarn.lock']) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(projectPath, lockfile), 'utf8');
+      } catch (error) {
+        continue;
+      }
+      
+      try {
+        const data = lockfile === 'yarn.lock'
+          ? this.parseYarnLock(content)
+          : lockfile === 'pnpm-lock.yaml' ? ManifestParser.parseYaml(content) || {} : JSON.parse(content);
+        
+        for (const [name, range] of Object.entries(dependencies)) {
+          const version = this.findLockedVersion(lockfile, data, name, range);
+          if (version && VersionRange.parse(version)) {
+            resolvedVersions[name] = version;
+          }
+        }
+      } catch (error) {
+        // A lockfile that cannot be parsed only leaves the ranges of package.json
+      }
+      
+      return { lockfile, resolvedVersions };
+    }
+    
+    return { lockfile: null, resolvedVersions };
+  }
+  
+  /**
+   * Find the version a lockfile resolved for a direct dependency
+   * 
+   * @param {string} lockfile - Lockfile name
+   * @param {Object} data - Parsed lockfile
+   * @param {string} name - Package name
+   * @param {string} range - Range declared in package.json
+   * @returns {string|null} - Locked version
+   */
+  static findLockedVersion(lockfile, data, name, range) {
+    if (lockfile === 'yarn.lock') {
+      // Classic entries are keyed by name@range, Berry ones by name@npm:range
+      return data[`${name}@${range}`] || data[`${name}@npm:${range}`] || null;
+    }
+    
+    if (lockfile === 'pnpm-lock.yaml') {
+      // Since lockfile v6 the root project is an importer (always in v9)
+      const importer = data.importers?.['.'] || data;
+      for (const section of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+        const entry = importer[section]?.[name];
+        if (entry) {
+          // Peer dependency suffixes: 18.2.0(react@18.2.0) or 18.2.0_react@18.2.0
+          return String(typeof entry === 'object' ? entry.version : entry).split(/[(_]/)[0];
+        }
+      }
+      return null;
+    }
+    
+    // package-lock.json v2 and v3 list packages by path, v1 by name
+    return data.packages?.[`node_modules/${name}`]?.version || data.dependencies?.[name]?.version || null;
+  }
+  
+  /**
+   * Parse the entries of a yarn.lock (classic or Berry)
+   * 
+   * @param {string} content - yarn.lock content
+   * @returns {Object} - Map of each descriptor (name@range) to its version
+   */
+  static parseYarnLock(content) {
+    const versions = {};
+    let descriptors = [];
+    
+    for (const line of content.split(/\r?\n/)) {
+      if (/^[^\s#].*:$/.test(line)) {
+        // "@babel/core@^7.0.0", "@babel/core@^7.12.3":
+        descriptors = line.slice(0, -1).split(/,\s*/).map(descriptor => descriptor.trim().replace(/^"|"$/g, ''));
+      } else {
+        const version = line.match(/^ {2}version:? "?([^"\s]+)"?$/);
+        if (version) {
+          for (const descriptor of descriptors) {
+            versions[descriptor] = version[1];
+          }
+        }
+      }
+    }
+    
+    return versions;
+  }
+  
   /**
    * Detect technologies based on dependencies
    * 
@@ -641,21 +751,20 @@ export class PackageAnalyzer {
       
       // Check each dependency against the technology map for this category
       for (const dep of depNames) {
-        // Handle scope packages like @angular/core
-        const basePackageName = dep.split('/')[0];
-        
         // First try exact match
         if (techMap[dep]) {
           detectedInCategory.push(techMap[dep]);
         }
-        // Then try matching by prefix (for scoped packages)
-        else {
-          const scopedMatches = Object.keys(techMap).filter(key => 
-            dep.startsWith(key) || key.startsWith(basePackageName)
+        // Then match unknown packages of a scope (like @tailwindcss/*) when the
+        // scope belongs to a single technology
+        else if (dep.startsWith('@')) {
+          const scope = `${dep.split('/')[0]}/`;
+          const scopeTechnologies = new Set(
+            Object.keys(techMap).filter(key => key.startsWith(scope)).map(key => techMap[key])
           );
-          
-          for (const match of scopedMatches) {
-            detectedInCategory.push(techMap[match]);
+
+          if (scopeTechnologies.size === 1) {
+            detectedInCategory.push(...scopeTechnologies);
           }
         }
       }
@@ -0,0 +1,169 @@
+/**
+ * PHP Package Analyzer
+ * Analyzes composer.json and composer.lock to detect the frameworks, tools and
+ * PHP version used in the project
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { VersionRange } from './version-range.js';
+
+/**
+ * Maps of Composer package names to technology categories and specific technologies
+ */
+const PHP_TECH_MAPPINGS = {
+  // Web frameworks
+  backend: {
+    'laravel/framework': 'Laravel',
+    'laravel/lumen-framework': 'Lumen',
+    'symfony/framework-bundle': 'Symfony',
+    'symfony/symfony': 'Symfony',
+    'slim/slim': 'Slim',
+    'cakephp/cakephp': 'CakePHP',
+    'yiisoft/yii2': 'Yii',
+    'codeigniter4/framework': 'CodeIgniter',
+    'laminas/laminas-mvc': 'Laminas',
+  },
+
+  // Server-driven frontends
+  frontend: {
+    'livewire/livewire': 'Livewire',
+    'inertiajs/inertia-laravel': 'Inertia.js',
+    'filament/filament': 'Filament',
+  },
+
+  // Persistence
+  database: {
+    'doctrine/orm': 'Doctrine ORM',
+    'doctrine/dbal': 'Doctrine DBAL',
+    'illuminate/database': 'Eloquent',
+    'predis/predis': 'Redis',
+  },
+
+  // Common libraries
+  libraries: {
+    'guzzlehttp/guzzle': 'Guzzle',
+    'monolog/monolog': 'Monolog',
+    'twig/twig': 'Twig',
+    'api-platform/core': 'API Platform',
+    'laravel/sanctum': 'Laravel Sanctum',
+    'laravel/horizon': 'Laravel Horizon',
+  },
+
+  // Testing
+  testing: {
+    'phpunit/phpunit': 'PHPUnit',
+    'pestphp/pest': 'Pest',
+    'mockery/mockery': 'Mockery',
+    'behat/behat': 'Behat',
+    'codeception/codeception': 'Codeception',
+    'laravel/dusk': 'Laravel Dusk',
+    'infection/infection': 'Infection',
+  },
+
+  // Static analysis and formatting
+  linters: {
+    'phpstan/phpstan': 'PHPStan',
+    'larastan/larastan': 'PHPStan',
+    'nunomaduro/larastan': 'PHPStan',
+    'vimeo/psalm': 'Psalm',
+    'squizlabs/php_codesniffer': 'PHP_CodeSniffer',
+    'friendsofphp/php-cs-fixer': 'PHP CS Fixer',
+    'laravel/pint': 'Laravel Pint',
+    'rector/rector': 'Rector',
+  },
+};
+
+/**
+ * Analyzes Composer manifests to identify the technology stack
+ */
+export class PhpPackageAnalyzer {
+  /**
+   * Analyze composer.json and composer.lock in the project root
+   *
+   * @param {string} projectPath - Path to the project
+   * @returns {Promise<Object>} - Detected technologies, dependencies with their constraints,
+   *   versions resolved by composer.lock and the PHP version
+   */
+  static async analyzeDependencies(projectPath) {
+    let composer;
+    try {
+      composer = JSON.parse(await fs.readFile(path.join(projectPath, 'composer.json'), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Warning: Error analyzing composer.json: ${error.message}`);
+      }
+      return { detected: false };
+    }
+
+    const result = {
+      detected: true,
+      technologies: {},
+      dependencies: {},
+      devDependencies: {},
+      resolvedVersions: {},
+      languageVersions: {},
+      manifests: ['composer.json'],
+      projectInfo: {
+        name: composer.name || '',
+        description: composer.description || '',
+        type: composer.type || '',
+      },
+    };
+
+    // Platform requirements (php, ext-*) are not packages
+    const isPackage = name => name.includes('/');
+    for (const [name, constraint] of Object.entries(composer.require || {})) {
+      if (isPackage(name)) result.dependencies[name.toLowerCase()] = constraint;
+    }
+    for (const [name, constraint] of Object.entries(composer['require-dev'] || {})) {
+      if (isPackage(name)) result.devDependencies[name.toLowerCase()] = constraint;
+    }
+
+    // config.platform.php pins the version Composer resolves for
+    const phpVersion = composer.config?.platform?.php || composer.require?.php;
+    if (phpVersion) {
+      result.languageVersions.php = phpVersion;
+    }
+
+    try {
+      const lock = JSON.parse(await fs.readFile(path.join(projectPath, 'composer.lock'), 'utf8'));
+      for (const pkg of [...(lock.packages || []), ...(lock['packages-dev'] || [])]) {
+        if (pkg.name && pkg.version) {
+          result.resolvedVersions[pkg.name.toLowerCase()] = pkg.version.replace(/^v(?=\d)/, '');
+        }
+      }
+      result.manifests.push('composer.lock');
+    } catch (error) {
+      // No lockfile (libraries often do not commit one)
+    }
+
+    const allDependencies = { ...result.dependencies, ...result.devDependencies };
+    result.technologies = this.detectTechnologies(allDependencies);
+    result.technologyVersions = VersionRange.resolveTechnologyVersions(PHP_TECH_MAPPINGS, allDependencies, result.resolvedVersions);
+    result.technologies.buildTools = ['Composer'];
+
+    return result;
+  }
+
+  /**
+   * Detect technologies based on dependencies
+   *
+   * @param {Object} dependencies - Map of package names to constraints
+   * @returns {Object} - Object containing detected technologies by category
+   */
+  static detectTechnologies(dependencies) {
+    const result = {};
+    const depNames = Object.keys(dependencies);
+
+    for (const [category, techMap] of Object.entries(PHP_TECH_MAPPINGS)) {
+      const detectedInCategory = depNames.filter(dep => techMap[dep]).map(dep => techMap[dep]);
+
+      if (detectedInCategory.length > 0) {
+        result[category] = [...new Set(detectedInCategory)];
+      }
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Project Config
+ * Reads `vdk.project.json` from the project root. Its `detection` section lets a
+ * project correct the scanner, e.g. exclude a framework detected from a fixture
+ * or include one the scanner cannot see, and its `sampling` section sets how many
+ * files are analyzed:
+ *
+ *   {
+ *     "detection": {
+ *       "include": { "frameworks": ["NestJS"] },
+ *       "exclude": { "frameworks": ["Django"], "patterns": ["MVC"] }
+ *     },
+ *     "sampling": { "filesPerLanguage": 80, "languages": { "python": 20 }, "dependencyFiles": 300 }
+ *   }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+
+import { DEFAULTS } from './constants.js';
+import { analyzerRegistry } from './analyzer-registry.js';
+import { CLIError, EXIT_CODES } from '../../shared/exit-codes.js';
+
+// Detection categories that can be overridden
+export const OVERRIDE_CATEGORIES = ['languages', 'frameworks', 'stacks', 'patterns'];
+
+// File budgets of the sampling section
+const SAMPLING_BUDGETS = ['filesPerLanguage', 'dependencyFiles'];
+
+export class ProjectConfig {
+  /**
+   * Load the project config, a missing file is an empty config
+   * @param {string} projectPath - Project root
+   * @returns {Promise<Object>} { configFile, detection: { include, exclude }, sampling } where
+   *   configFile is the project-relative path of the file or null
+   */
+  static async load(projectPath) {
+    const configPath = path.join(projectPath, DEFAULTS.PROJECT_CONFIG_FILE);
+    let content;
+
+    try {
+      content = await fs.readFile(configPath, 'utf8');
+    } catch (error) {
+      return { configFile: null, detection: this.normalizeDetection(), sampling: this.normalizeSampling() };
+    }
+
+    let config;
+    try {
+      config = JSON.parse(content);
+    } catch (error) {
+      throw new CLIError(`Invalid ${DEFAULTS.PROJECT_CONFIG_FILE}: ${error.message}`, EXIT_CODES.CONFIGURATION_ERROR);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new CLIError(`Invalid ${DEFAULTS.PROJECT_CONFIG_FILE}: must contain a JSON object`, EXIT_CODES.CONFIGURATION_ERROR);
+    }
+
+    return {
+      configFile: DEFAULTS.PROJECT_CONFIG_FILE,
+      detection: this.normalizeDetection(config.detection),
+      sampling: this.normalizeSampling(config.sampling)
+    };
+  }
+
+  /**
+   * Validate the detection section and fill in the missing lists
+   * @param {Object} [detection] - `detection` section of the config
+   * @returns {Object} { include: { category: string[] }, exclude: { category: string[] } }
+   */
+  static normalizeDetection(detection = {}) {
+    const normalized = { include: {}, exclude: {} };
+
+    for (const action of ['include', 'exclude']) {
+      const lists = detection?.[action] || {};
+      if (typeof lists !== 'object' || Array.isArray(lists)) {
+        throw new CLIError(`Invalid ${DEFAULTS.PROJECT_CONFIG_FILE}: detection.${action} must map categories to lists of names`, EXIT_CODES.CONFIGURATION_ERROR);
+      }
+
+      for (const category of Object.keys(lists)) {
+        if (!OVERRIDE_CATEGORIES.includes(category)) {
+          console.warn(chalk.yellow(`Warning: Unknown detection category "${category}" in ${DEFAULTS.PROJECT_CONFIG_FILE} (expected ${OVERRIDE_CATEGORIES.join(', ')})`));
+        }
+      }
+
+      for (const category of OVERRIDE_CATEGORIES) {
+        const names = lists[category] || [];
+        if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+          throw new CLIError(`Invalid ${DEFAULTS.PROJECT_CONFIG_FILE}: detection.${action}.${category} must be a list of names`, EXIT_CODES.CONFIGURATION_ERROR);
+        }
+        normalized[action][category] = names;
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate the sampling section; budgets left out are null so the scanner defaults apply
+   * @param {Object} [sampling] - `sampling` section of the config
+   * @returns {Object} { filesPerLanguage, dependencyFiles, languages: { language: number } }
+   */
+  static normalizeSampling(sampling = {}) {
+    const isBudget = value => Number.isInteger(value) && value > 0;
+    const normalized = { filesPerLanguage: null, dependencyFiles: null, languages: {} };
+
+    for (const field of SAMPLING_BUDGETS) {
+      const value = sampling?.[field];
+      if (value === undefined) continue;
+      if (!isBudget(value)) {
+        throw new CLIError(`Invalid ${DEFAULTS.PROJECT_CONFIG_FILE}: sampling.${field} must be a positive integer`, EXIT_CODES.CONFIGURATION_ERROR);
+      }
+      normalized[field] = value;
+    }
+
+    const languages = sampling?.languages || {};
+    if (typeof languages !== 'object' || Array.isArray(languages)) {
+      throw new CLIError(`Invalid ${DEFAULTS.PROJECT_CONFIG_FILE}: sampling.languages must map languages to file budgets`, EXIT_CODES.CONFIGURATION_ERROR);
+    }
+
+    const known = analyzerRegistry.list().map(analyzer => analyzer.language);
+    for (const [language, value] of Object.entries(languages)) {
+      if (!isBudget(value)) {
+        throw new CLIError(`Invalid ${DEFAULTS.PROJECT_CONFIG_FILE}: sampling.languages.${language} must be a positive integer`, EXIT_CODES.CONFIGURATION_ERROR);
+      }
+      if (!known.includes(language)) {
+        console.warn(chalk.yellow(`Warning: Unknown language "${language}" in sampling.languages of ${DEFAULTS.PROJECT_CONFIG_FILE} (expected ${known.join(', ')})`));
+      }
+      normalized.languages[language] = value;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Whether two detection names refer to the same thing (typescript, TypeScript)
+   * @param {string} a - First name
+   * @param {string} b - Second name
+   * @returns {boolean}
+   */
+  static sameName(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+
+  /**
+   * Whether the config excludes a detection
+   * @param {Object} detection - Normalized detection section
+   * @param {string} category - Detection category
+   * @param {string} name - Detected name
+   * @returns {boolean}
+   */
+  static isExcluded(detection, category, name) {
+    return (detection?.exclude?.[category] || []).some(excluded => this.sameName(excluded, name));
+  }
+
+  /**
+   * Apply the overrides of one category to a list of detected names
+   * @param {string[]} detected - Detected names
+   * @param {Object} detection - Normalized detection section
+   * @param {string} category - Detection category
+   * @returns {Object} { names, excluded, included, unmatched } where unmatched lists the
+   *   overrides that changed nothing (excluded but not detected, included but already detected)
+   */
+  static applyOverrides(detected, detection, category) {
+    const exclude = detection?.exclude?.[category] || [];
+    const include = detection?.include?.[category] || [];
+    const isExcluded = name => this.isExcluded(detection, category, name);
+
+    const excluded = detected.filter(isExcluded);
+    const names = detected.filter(name => !isExcluded(name));
+    const included = [];
+    const unmatched = exclude
+      .filter(name => !detected.some(found => this.sameName(found, name)))
+      .map(name => ({ action: 'exclude', name }));
+
+    for (const name of include) {
+      if (names.some(found => this.sameName(found, name))) {
+        unmatched.push({ action: 'include', name });
+      } else if (!isExcluded(name)) {
+        names.push(name);
+        included.push(name);
+      }
+    }
+
+    return { names, excluded, included, unmatched };
+  }
+}
@@ -0,0 +1,571 @@
+/**
+ * Python Package Analyzer
+ * Analyzes Python manifests and lockfiles (pyproject.toml, Pipfile, poetry.lock, uv.lock,
+ * requirements.txt and setup.py) to detect the technologies, tools and Python version
+ * used in the project
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ManifestParser } from './manifest-parser.js';
+import { VersionRange } from './version-range.js';
+
+/**
+ * Maps of normalized (PEP 503) distribution names to technology categories and
+ * specific technologies. Categories match the ones of PackageAnalyzer where they overlap.
+ */
+const PYTHON_TECH_MAPPINGS = {
+  // Web frameworks
+  backend: {
+    'django': 'Django',
+    'flask': 'Flask',
+    'fastapi': 'FastAPI',
+    'starlette': 'Starlette',
+    'litestar': 'Litestar',
+    'tornado': 'Tornado',
+    'pyramid': 'Pyramid',
+    'falcon': 'Falcon',
+    'bottle': 'Bottle',
+    'sanic': 'Sanic',
+    'aiohttp': 'aiohttp',
+    'quart': 'Quart',
+    'streamlit': 'Streamlit',
+    'gradio': 'Gradio',
+  },
+
+  // APIs, serialization and validation
+  api: {
+    'djangorestframework': 'Django REST Framework',
+    'django-ninja': 'Django Ninja',
+    'graphene': 'Graphene',
+    'graphene-django': 'Graphene',
+    'strawberry-graphql': 'Strawberry GraphQL',
+    'ariadne': 'Ariadne',
+    'pydantic': 'Pydantic',
+    'marshmallow': 'Marshmallow',
+    'grpcio': 'gRPC',
+  },
+
+  // Databases and ORMs
+  database: {
+    'sqlalchemy': 'SQLAlchemy',
+    'sqlmodel': 'SQLModel',
+    'alembic': 'Alembic',
+    'peewee': 'Peewee',
+    'tortoise-orm': 'Tortoise ORM',
+    'psycopg': 'PostgreSQL',
+    'psycopg2': 'PostgreSQL',
+    'psycopg2-binary': 'PostgreSQL',
+    'asyncpg': 'PostgreSQL',
+    'pymysql': 'MySQL',
+    'mysqlclient': 'MySQL',
+    'pymongo': 'MongoDB',
+    'motor': 'MongoDB',
+    'redis': 'Redis',
+    'elasticsearch': 'Elasticsearch',
+  },
+
+  // Background jobs
+  tasks: {
+    'celery': 'Celery',
+    'rq': 'RQ',
+    'dramatiq': 'Dramatiq',
+    'apscheduler': 'APScheduler',
+  },
+
+  // HTTP clients
+  dataFetching: {
+    'requests': 'Requests',
+    'httpx': 'HTTPX',
+    'urllib3': 'urllib3',
+  },
+
+  // Data science
+  dataScience: {
+    'numpy': 'NumPy',
+    'pandas': 'pandas',
+    'polars': 'Polars',
+    'scipy': 'SciPy',
+    'matplotlib': 'Matplotlib',
+    'seaborn': 'seaborn',
+    'plotly': 'Plotly',
+    'jupyter': 'Jupyter',
+    'jupyterlab': 'Jupyter',
+  },
+
+  // Machine learning and AI
+  machineLearning: {
+    'torch': 'PyTorch',
+    'pytorch': 'PyTorch',
+    'tensorflow': 'TensorFlow',
+    'keras': 'Keras',
+    'jax': 'JAX',
+    'scikit-learn': 'scikit-learn',
+    'xgboost': 'XGBoost',
+    'lightgbm': 'LightGBM',
+    'transformers': 'Hugging Face Transformers',
+    'openai': 'OpenAI',
+    'anthropic': 'Anthropic',
+    'langchain': 'LangChain',
+    'llama-index': 'LlamaIndex',
+  },
+
+  // Testing frameworks and plugins
+  testing: {
+    'pytest': 'pytest',
+    'pytest-cov': 'pytest-cov',
+    'pytest-asyncio': 'pytest-asyncio',
+    'pytest-mock': 'pytest-mock',
+    'pytest-xdist': 'pytest-xdist',
+    'pytest-django': 'pytest-django',
+    'pytest-benchmark': 'pytest-benchmark',
+    'hypothesis': 'Hypothesis',
+    'coverage': 'Coverage.py',
+    'tox': 'tox',
+    'nox': 'nox',
+    'factory-boy': 'factory_boy',
+    'responses': 'responses',
+    'playwright': 'Playwright',
+    'selenium': 'Selenium',
+    'behave': 'behave',
+  },
+
+  // Linters, formatters and type checkers
+  linters: {
+    'ruff': 'Ruff',
+    'black': 'Black',
+    'flake8': 'Flake8',
+    'pylint': 'Pylint',
+    'isort': 'isort',
+    'mypy': 'mypy',
+    'pyright': 'Pyright',
+    'bandit': 'Bandit',
+    'pre-commit': 'pre-commit',
+    'autopep8': 'autopep8',
+    'yapf': 'YAPF',
+  },
+
+  // Packaging and build tools
+  buildTools: {
+    'setuptools': 'setuptools',
+    'poetry': 'Poetry',
+    'poetry-core': 'Poetry',
+    'hatch': 'Hatch',
+    'hatchling': 'Hatch',
+    'flit': 'Flit',
+    'flit-core': 'Flit',
+    'pdm': 'PDM',
+    'pdm-backend': 'PDM',
+    'maturin': 'Maturin',
+    'cython': 'Cython',
+  },
+};
+
+// Tools configured in pyproject.toml ([tool.<name>]) without being a dependency
+const PYPROJECT_TOOL_SECTIONS = {
+  ruff: ['linters', 'Ruff'],
+  black: ['linters', 'Black'],
+  isort: ['linters', 'isort'],
+  mypy: ['linters', 'mypy'],
+  pyright: ['linters', 'Pyright'],
+  pylint: ['linters', 'Pylint'],
+  pytest: ['testing', 'pytest'],
+  coverage: ['testing', 'Coverage.py'],
+  poetry: ['buildTools', 'Poetry'],
+  hatch: ['buildTools', 'Hatch'],
+  pdm: ['buildTools', 'PDM'],
+  uv: ['buildTools', 'uv'],
+};
+
+/**
+ * Analyzes Python manifests to identify the technology stack
+ */
+export class PythonPackageAnalyzer {
+  /**
+   * Analyze the Python manifests in the project root
+   *
+   * @param {string} projectPath - Path to the project
+   * @returns {Promise<Object>} - Detected technologies, declared dependencies with their
+   *   constraints, versions resolved by a lockfile, the Python version and the package manager
+   */
+  static async analyzeDependencies(projectPath) {
+    const result = {
+      detected: false,
+      technologies: {},
+      dependencies: {},
+      devDependencies: {},
+      resolvedVersions: {},
+      pythonVersion: null,
+      languageVersions: {},
+      packageManager: null,
+      manifests: [],
+      projectInfo: {},
+    };
+
+    const read = async (fileName) => {
+      try {
+        const content = await fs.readFile(path.join(projectPath, fileName), 'utf8');
+        result.manifests.push(fileName);
+        return content;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const parse = (fileName, content, parser) => {
+      try {
+        return parser(content);
+      } catch (error) {
+        console.warn(`Warning: Error analyzing ${fileName}: ${error.message}`);
+        return null;
+      }
+    };
+
+    const tools = {};
+    const addTool = (category, technology) => {
+      (tools[category] = tools[category] || []).push(technology);
+    };
+
+    // pyproject.toml: PEP 621 metadata, PEP 735 dependency groups, Poetry, Hatch, PDM and uv
+    const pyprojectContent = await read('pyproject.toml');
+    const pyproject = pyprojectContent && parse('pyproject.toml', pyprojectContent, content => ManifestParser.parseToml(content));
+    if (pyproject) {
+      this.readPyproject(pyproject, result, addTool);
+    }
+
+    // Pipfile
+    const pipfileContent = await read('Pipfile');
+    const pipfile = pipfileContent && parse('Pipfile', pipfileContent, content => ManifestParser.parseToml(content));
+    if (pipfile) {
+      this.addTableDependencies(pipfile.packages, result.dependencies);
+      this.addTableDependencies(pipfile['dev-packages'], result.devDependencies);
+      result.pythonVersion = result.pythonVersion || pipfile.requires?.python_full_version || pipfile.requires?.python_version || null;
+      result.packageManager = result.packageManager || 'Pipenv';
+    }
+
+    // Lockfiles pin the resolved versions
+    for (const [lockFile, packageManager] of [['poetry.lock', 'Poetry'], ['uv.lock', 'uv'], ['pdm.lock', 'PDM']]) {
+      const lockContent = await read(lockFile);
+      const lock = lockContent && parse(lockFile, lockContent, content => ManifestParser.parseToml(content));
+      if (!lock) continue;
+
+      for (const pkg of lock.package || []) {
+        if (pkg.name && pkg.version && !result.resolvedVersions[this.normalizeName(pkg.name)]) {
+          result.resolvedVersions[this.normalizeName(pkg.name)] = String(pkg.version);
+        }
+      }
+      result.pythonVersion = result.pythonVersion || lock['requires-python'] || lock.metadata?.['python-versions'] || lock.metadata?.requires_python || null;
+      result.packageManager = result.packageManager || packageManager;
+    }
+
+    const pipfileLockContent = await read('Pipfile.lock');
+    const pipfileLock = pipfileLockContent && parse('Pipfile.lock', pipfileLockContent, JSON.parse);
+    if (pipfileLock) {
+      for (const section of ['default', 'develop']) {
+        for (const [name, info] of Object.entries(pipfileLock[section] || {})) {
+          if (typeof info?.version === 'string') {
+            result.resolvedVersions[this.normalizeName(name)] = info.version.replace(/^==/, '');
+          }
+        }
+      }
+      result.pythonVersion = result.pythonVersion || pipfileLock._meta?.requires?.python_version || null;
+      result.packageManager = result.packageManager || 'Pipenv';
+    }
+
+    // requirements files, including the common requirements-dev.txt and requirements/*.txt layouts
+    for (const fileName of await this.findRequirementsFiles(projectPath)) {
+      const content = await read(fileName);
+      if (!content) continue;
+
+      const target = /dev|test|lint/i.test(fileName) ? result.devDependencies : result.dependencies;
+      for (const [name, constraint] of this.parseRequirements(content)) {
+        if (!(name in result.dependencies) && !(name in result.devDependencies)) {
+          target[name] = constraint;
+        }
+        // Fully pinned requirements (pip-compile output) are resolved versions too
+        const pinned = constraint.match(/^==\s*([^,;\s*]+)$/);
+        if (pinned && !result.resolvedVersions[name]) {
+          result.resolvedVersions[name] = pinned[1];
+        }
+      }
+      result.packageManager = result.packageManager || 'pip';
+    }
+
+    // setup.py, read statically
+    const setupContent = await read('setup.py');
+    if (setupContent) {
+      for (const requirement of this.parseSetupRequires(setupContent)) {
+        const [name, constraint] = this.parseRequirement(requirement) || [];
+        if (name && !(name in result.dependencies)) {
+          result.dependencies[name] = constraint;
+        }
+      }
+      const pythonRequires = setupContent.match(/python_requires\s*=\s*['"]([^'"]+)['"]/);
+      result.pythonVersion = result.pythonVersion || (pythonRequires ? pythonRequires[1] : null);
+      addTool('buildTools', 'setuptools');
+    }
+
+    const pythonVersionFile = await read('.python-version');
+    if (pythonVersionFile) {
+      result.pythonVersion = result.pythonVersion || pythonVersionFile.split(/\r?\n/)[0].trim() || null;
+    }
+
+    if (result.manifests.length === 0) {
+      return { detected: false };
+    }
+
+    result.detected = true;
+    if (result.pythonVersion) {
+      result.languageVersions.python = result.pythonVersion;
+    }
+    const allDependencies = { ...result.dependencies, ...result.devDependencies };
+    result.technologies = this.detectTechnologies(allDependencies);
+    result.technologyVersions = VersionRange.resolveTechnologyVersions(PYTHON_TECH_MAPPINGS, allDependencies, result.resolvedVersions);
+    for (const [category, technologies] of Object.entries(tools)) {
+      result.technologies[category] = [...new Set([...(result.technologies[category] || []), ...technologies])];
+    }
+    if (result.packageManager && result.packageManager !== 'pip') {
+      const buildTools = result.technologies.buildTools || [];
+      result.technologies.buildTools = [...new Set([...buildTools, result.packageManager])];
+    }
+
+    return result;
+  }
+
+  /**
+   * Read dependencies, tools and the Python version from a parsed pyproject.toml
+   *
+   * @param {Object} pyproject - Parsed pyproject.toml
+   * @param {Object} result - Analysis result being built
+   * @param {Function} addTool - (category, technology) => void
+   */
+  static readPyproject(pyproject, result, addTool) {
+    const project = pyproject.project || {};
+    const tool = pyproject.tool || {};
+    const poetry = tool.poetry || {};
+
+    result.projectInfo = {
+      name: project.name || poetry.name || '',
+      version: project.version || poetry.version || '',
+      description: project.description || poetry.description || '',
+    };
+
+    // PEP 621
+    this.addRequirementList(project.dependencies, result.dependencies);
+    for (const requirements of Object.values(project['optional-dependencies'] || {})) {
+      this.addRequirementList(requirements, result.devDependencies);
+    }
+
+    // PEP 735 dependency groups and the tool-specific equivalents
+    for (const requirements of Object.values(pyproject['dependency-groups'] || {})) {
+      this.addRequirementList(requirements, result.devDependencies);
+    }
+    this.addRequirementList(tool.uv?.['dev-dependencies'], result.devDependencies);
+    for (const requirements of Object.values(tool.pdm?.['dev-dependencies'] || {})) {
+      this.addRequirementList(requirements, result.devDependencies);
+    }
+    for (const env of Object.values(tool.hatch?.envs || {})) {
+      this.addRequirementList(env.dependencies, result.devDependencies);
+      this.addRequirementList(env['extra-dependencies'], result.devDependencies);
+    }
+
+    // Poetry declares dependencies as tables, with the Python version as the "python" entry
+    const poetryDependencies = { ...(poetry.dependencies || {}) };
+    const poetryPython = poetryDependencies.python;
+    delete poetryDependencies.python;
+    this.addTableDependencies(poetryDependencies, result.dependencies);
+    this.addTableDependencies(poetry['dev-dependencies'], result.devDependencies);
+    for (const group of Object.values(poetry.group || {})) {
+      this.addTableDependencies(group.dependencies, result.devDependencies);
+    }
+
+    result.pythonVersion = project['requires-python'] || (typeof poetryPython === 'string' ? poetryPython : null) || result.pythonVersion;
+
+    for (const [section, [category, technology]] of Object.entries(PYPROJECT_TOOL_SECTIONS)) {
+      if (tool[section]) {
+        addTool(category, technology);
+      }
+    }
+    if (tool.pytest?.ini_options) {
+      addTool('testing', 'pytest');
+    }
+
+    // The build backend names the packaging tool (poetry.core.masonry.api, hatchling.build...)
+    const backend = pyproject['build-system']?.['build-backend'];
+    if (typeof backend === 'string') {
+      const backendPackage = this.normalizeName(backend.split('.')[0].replace(/_/g, '-'));
+      const candidates = [backendPackage, `${backendPackage}-core`, backendPackage.replace(/-core$/, '')];
+      const technology = candidates.map(name => PYTHON_TECH_MAPPINGS.buildTools[name]).find(Boolean);
+      if (technology) {
+        addTool('buildTools', technology);
+      }
+    }
+
+    if (tool.poetry) {
+      result.packageManager = 'Poetry';
+    } else if (tool.pdm) {
+      result.packageManager = 'PDM';
+    } else if (tool.hatch) {
+      result.packageManager = 'Hatch';
+    } else if (tool.uv) {
+      result.packageManager = 'uv';
+    }
+  }
+
+  /**
+   * Add a list of PEP 508 requirement strings
+   * @param {Array<string>} requirements - Requirement strings
+   * @param {Object} target - Map of name to version constraint
+   */
+  static addRequirementList(requirements, target) {
+    if (!Array.isArray(requirements)) return;
+
+    for (const requirement of requirements) {
+      // Entries of dependency groups may include other groups ({include-group = "test"})
+      if (typeof requirement !== 'string') continue;
+      const parsed = this.parseRequirement(requirement);
+      if (parsed && !(parsed[0] in target)) {
+        target[parsed[0]] = parsed[1];
+      }
+    }
+  }
+
+  /**
+   * Add dependencies declared as a table of name to version or detail table
+   * (Poetry and Pipfile style)
+   * @param {Object} table - Dependency table
+   * @param {Object} target - Map of name to version constraint
+   */
+  static addTableDependencies(table, target) {
+    if (!table || typeof table !== 'object') return;
+
+    for (const [name, spec] of Object.entries(table)) {
+      const normalized = this.normalizeName(name);
+      if (normalized in target) continue;
+
+      if (typeof spec === 'string') {
+        target[normalized] = spec === '*' ? '' : spec;
+      } else if (spec && typeof spec === 'object' && typeof spec.version === 'string') {
+        target[normalized] = spec.version === '*' ? '' : spec.version;
+      } else {
+        target[normalized] = '';
+      }
+    }
+  }
+
+  /**
+   * Parse a PEP 508 requirement
+   * @param {string} requirement - Requirement like "Django[argon2]>=4.2,<5; python_version>'3.8'"
+   * @returns {Array|null} - [normalized name, version constraint], or null when not a requirement
+   */
+  static parseRequirement(requirement) {
+    const withoutMarker = requirement.split(';')[0].trim();
+    const match = withoutMarker.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*(.*)$/);
+    if (!match) {
+      return null;
+    }
+
+    let constraint = match[3].trim();
+    // Direct references ("name @ https://...") have no version constraint
+    if (constraint.startsWith('@')) {
+      constraint = '';
+    }
+    return [this.normalizeName(match[1]), constraint.replace(/^\((.*)\)$/, '$1').replace(/\s+/g, '')];
+  }
+
+  /**
+   * Parse a requirements.txt file
+   * @param {string} content - File content
+   * @returns {Array<Array<string>>} - [normalized name, version constraint] pairs
+   */
+  static parseRequirements(content) {
+    const requirements = [];
+
+    // Backslashes continue a requirement on the next line
+    for (const rawLine of content.replace(/\\\r?\n/g, ' ').split(/\r?\n/)) {
+      const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+
+      // Skip options (-r other.txt, -e ., --index-url ...) and bare paths or URLs
+      if (!line || line.startsWith('-') || /^[./]|:\/\//.test(line)) continue;
+
+      // Hashes and other per-requirement options follow the requirement
+      const parsed = this.parseRequirement(line.split(/\s+--/)[0]);
+      if (parsed) {
+        requirements.push(parsed);
+      }
+    }
+
+    return requirements;
+  }
+
+  /**
+   * Extract the install_requires strings of a setup.py without running it
+   * @param {string} content - setup.py content
+   * @returns {Array<string>} - Requirement strings
+   */
+  static parseSetupRequires(content) {
+    const match = content.match(/install_requires\s*=\s*\[([^\]]*)\]/);
+    if (!match) {
+      return [];
+    }
+    return [...match[1].matchAll(/['"]([^'"]+)['"]/g)].map(item => item[1]);
+  }
+
+  /**
+   * List the requirements files in the project root and its requirements/ directory
+   * @param {string} projectPath - Path to the project
+   * @returns {Promise<Array<string>>} - File paths relative to the project
+   */
+  static async findRequirementsFiles(projectPath) {
+    const files = [];
+
+    for (const directory of ['', 'requirements']) {
+      let entries;
+      try {
+        entries = await fs.readdir(path.join(projectPath, directory));
+      } catch (error) {
+        continue;
+      }
+
+      const pattern = directory ? /\.(txt|in)$/ : /^requirements.*\.(txt|in)$/;
+      const names = entries.filter(name => pattern.test(name)).sort();
+      // requirements.txt is usually compiled from requirements.in; prefer the pinned file
+      for (const name of names) {
+        if (name.endsWith('.in') && names.includes(name.replace(/\.in$/, '.txt'))) continue;
+        files.push(directory ? path.join(directory, name) : name);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Normalize a distribution name as in PEP 503
+   * @param {string} name - Distribution name
+   * @returns {string} - Lowercase name with runs of "-", "_" and "." replaced by "-"
+   */
+  static normalizeName(name) {
+    return name.toLowerCase().replace(/[-_.]+/g, '-');
+  }
+
+  /**
+   * Detect technologies based on dependencies
+   *
+   * @param {Object} dependencies - Map of normalized dependency names to constraints
+   * @returns {Object} - Object containing detected technologies by category
+   */
+  static detectTechnologies(dependencies) {
+    const result = {};
+    const depNames = Object.keys(dependencies);
+
+    for (const [category, techMap] of Object.entries(PYTHON_TECH_MAPPINGS)) {
+      const detectedInCategory = depNames.filter(dep => techMap[dep]).map(dep => techMap[dep]);
+
+      if (detectedInCategory.length > 0) {
+        result[category] = [...new Set(detectedInCategory)];
+      }
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,271 @@
+/**
+ * Ruby Package Analyzer
+ * Analyzes Gemfile, Gemfile.lock and .ruby-version to detect the frameworks, tools
+ * and Ruby version used in the project
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { VersionRange } from './version-range.js';
+
+/**
+ * Maps of gem names to technology categories and specific technologies
+ */
+const RUBY_TECH_MAPPINGS = {
+  // Web frameworks
+  backend: {
+    'rails': 'Ruby on Rails',
+    'railties': 'Ruby on Rails',
+    'hanami': 'Hanami',
+    'sinatra': 'Sinatra',
+    'grape': 'Grape',
+    'roda': 'Roda',
+  },
+
+  // Frontend integrations
+  frontend: {
+    'turbo-rails': 'Hotwire',
+    'stimulus-rails': 'Hotwire',
+    'view_component': 'ViewComponent',
+  },
+
+  // Persistence
+  database: {
+    'pg': 'PostgreSQL',
+    'mysql2': 'MySQL',
+    'sqlite3': 'SQLite',
+    'sequel': 'Sequel',
+    'rom-sql': 'ROM',
+    'redis': 'Redis',
+    'mongoid': 'MongoDB',
+  },
+
+  // Common libraries
+  libraries: {
+    'sidekiq': 'Sidekiq',
+    'good_job': 'GoodJob',
+    'devise': 'Devise',
+    'pundit': 'Pundit',
+    'graphql': 'GraphQL Ruby',
+    'faraday': 'Faraday',
+  },
+
+  // Testing
+  testing: {
+    'rspec': 'RSpec',
+    'rspec-core': 'RSpec',
+    'rspec-rails': 'RSpec',
+    'minitest': 'Minitest',
+    'capybara': 'Capybara',
+    'factory_bot': 'FactoryBot',
+    'factory_bot_rails': 'FactoryBot',
+    'cucumber': 'Cucumber',
+    'simplecov': 'SimpleCov',
+    'webmock': 'WebMock',
+    'vcr': 'VCR',
+  },
+
+  // Static analysis and formatting
+  linters: {
+    'rubocop': 'RuboCop',
+    'standard': 'Standard Ruby',
+    'sorbet': 'Sorbet',
+    'steep': 'Steep',
+    'brakeman': 'Brakeman',
+    'erb_lint': 'erb_lint',
+  },
+};
+
+/**
+ * Analyzes Bundler manifests to identify the technology stack
+ */
+export class RubyPackageAnalyzer {
+  /**
+   * Analyze the Gemfile and Gemfile.lock in the project root
+   *
+   * @param {string} projectPath - Path to the project
+   * @returns {Promise<Object>} - Detected technologies, gems with their constraints,
+   *   versions resolved by Gemfile.lock and the Ruby version
+   */
+  static async analyzeDependencies(projectPath) {
+    const read = async (fileName) => {
+      try {
+        return await fs.readFile(path.join(projectPath, fileName), 'utf8');
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const gemfile = await read('Gemfile');
+    const lockfile = await read('Gemfile.lock');
+    if (gemfile === null && lockfile === null) {
+      return { detected: false };
+    }
+
+    const result = {
+      detected: true,
+      technologies: {},
+      dependencies: {},
+      devDependencies: {},
+      resolvedVersions: {},
+      languageVersions: {},
+      toolVersions: {},
+      manifests: [],
+    };
+
+    let rubyVersion = null;
+
+    if (gemfile !== null) {
+      result.manifests.push('Gemfile');
+      const parsed = this.parseGemfile(gemfile);
+      Object.assign(result.dependencies, parsed.dependencies);
+      Object.assign(result.devDependencies, parsed.devDependencies);
+      rubyVersion = parsed.rubyVersion;
+    }
+
+    if (lockfile !== null) {
+      result.manifests.push('Gemfile.lock');
+      const lock = this.parseGemfileLock(lockfile);
+      Object.assign(result.resolvedVersions, lock.specs);
+      rubyVersion = lock.rubyVersion || rubyVersion;
+      if (lock.bundledWith) {
+        result.toolVersions.Bundler = lock.bundledWith;
+      }
+
+      // Without a Gemfile, the lockfile's top-level dependencies are the declared gems
+      if (gemfile === null) {
+        Object.assign(result.dependencies, lock.dependencies);
+      }
+    }
+
+    const versionFile = await read('.ruby-version');
+    rubyVersion = rubyVersion || (versionFile ? versionFile.trim().replace(/^ruby-/, '') : null);
+    if (rubyVersion) {
+      result.languageVersions.ruby = rubyVersion;
+    }
+
+    const allDependencies = { ...result.dependencies, ...result.devDependencies };
+    result.technologies = this.detectTechnologies(allDependencies);
+    result.technologyVersions = VersionRange.resolveTechnologyVersions(RUBY_TECH_MAPPINGS, allDependencies, result.resolvedVersions);
+    result.technologies.buildTools = ['Bundler'];
+
+    return result;
+  }
+
+  /**
+   * Parse the gem declarations of a Gemfile
+   *
+   * @param {string} content - Gemfile content
+   * @returns {{dependencies: Object, devDependencies: Object, rubyVersion: string|null}}
+   */
+  static parseGemfile(content) {
+    const dependencies = {};
+    const devDependencies = {};
+    let rubyVersion = null;
+
+    // Stack of the groups of the enclosing `group ... do` blocks
+    const groups = [];
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+      if (!line) continue;
+
+      const groupMatch = line.match(/^group\s+(.+?)\s+do$/);
+      if (groupMatch) {
+        groups.push(groupMatch[1]);
+        continue;
+      }
+      if (/\bdo(\s*\|[^|]*\|)?$/.test(line) || /^(if|unless|case|begin)\b/.test(line)) {
+        // Other blocks (platforms, source, conditionals) keep the enclosing groups
+        groups.push(groups[groups.length - 1] || '');
+        continue;
+      }
+      if (line === 'end') {
+        groups.pop();
+        continue;
+      }
+
+      const rubyMatch = line.match(/^ruby\s+['"]([^'"]+)['"]/);
+      if (rubyMatch) {
+        rubyVersion = rubyMatch[1];
+        continue;
+      }
+
+      const gemMatch = line.match(/^gem\s+['"]([^'"]+)['"](.*)$/);
+      if (!gemMatch) continue;
+
+      const [, name, rest] = gemMatch;
+      const constraints = [...rest.replace(/\b\w+:\s*.*$/, '').matchAll(/['"]([^'"]+)['"]/g)].map(match => match[1]);
+      const inlineGroup = rest.match(/\bgroups?:\s*(.+)$/);
+      const group = inlineGroup ? inlineGroup[1] : groups[groups.length - 1] || '';
+
+      // Gems only needed for development and tests
+      const isDev = group && !/:production\b|:default\b/.test(group) && /:(development|test)\b/.test(group);
+      (isDev ? devDependencies : dependencies)[name] = constraints.join(', ');
+    }
+
+    return { dependencies, devDependencies, rubyVersion };
+  }
+
+  /**
+   * Parse a Gemfile.lock
+   *
+   * @param {string} content - Gemfile.lock content
+   * @returns {{specs: Object, dependencies: Object, rubyVersion: string|null, bundledWith: string|null}}
+   *   specs are the resolved versions of all gems
+   */
+  static parseGemfileLock(content) {
+    const specs = {};
+    const dependencies = {};
+    let rubyVersion = null;
+    let bundledWith = null;
+    let section = null;
+
+    for (const line of content.split(/\r?\n/)) {
+      if (/^[A-Z]/.test(line)) {
+        section = line.trim();
+        continue;
+      }
+
+      // Resolved gems are indented by four spaces, their own dependencies by six
+      const spec = line.match(/^ {4}([^\s(]+) \(([^)]+)\)$/);
+      if (spec && section === 'GEM') {
+        // Platform-specific gems have the platform appended to the version
+        specs[spec[1]] = spec[2].split('-')[0];
+        continue;
+      }
+
+      const dependency = line.match(/^ {2}([^\s(!]+)!?(?: \(([^)]+)\))?$/);
+      if (dependency && section === 'DEPENDENCIES') {
+        dependencies[dependency[1]] = dependency[2] || '';
+      } else if (section === 'RUBY VERSION' && line.trim().startsWith('ruby ')) {
+        rubyVersion = line.trim().slice(5).replace(/p\d+$/, '');
+      } else if (section === 'BUNDLED WITH' && line.trim()) {
+        bundledWith = line.trim();
+      }
+    }
+
+    return { specs, dependencies, rubyVersion, bundledWith };
+  }
+
+  /**
+   * Detect technologies based on dependencies
+   *
+   * @param {Object} dependencies - Map of gem names to constraints
+   * @returns {Object} - Object containing detected technologies by category
+   */
+  static detectTechnologies(dependencies) {
+    const result = {};
+    const depNames = Object.keys(dependencies);
+
+    for (const [category, techMap] of Object.entries(RUBY_TECH_MAPPINGS)) {
+      const detectedInCategory = depNames.filter(dep => techMap[dep]).map(dep => techMap[dep]);
+
+      if (detectedInCategory.length > 0) {
+        result[category] = [...new Set(detectedInCategory)];
+      }
+    }
+
+    return result;
+  }
+}
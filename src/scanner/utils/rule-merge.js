@@ -0,0 +1,231 @@
+/**
+ * Rule Merge
+ * Keeps hand-edited content when generated rule files are regenerated, using
+ * protected regions and a three-way merge against the previous generated output
+ */
+
+import { splitLines, diffLines } from '../../shared/text-diff.js';
+
+const KEEP_START = /^\s*<!--\s*vdk:keep\s+start(?:\s+([\w.-]+))?\s*-->\s*$/;
+const KEEP_END = /^\s*<!--\s*vdk:keep\s+end(?:\s+[\w.-]+)?\s*-->\s*$/;
+
+export const CONFLICT_MARKERS = {
+  OURS: '<<<<<<< your edits',
+  SEPARATOR: '=======',
+  THEIRS: '>>>>>>> generated by vdk'
+};
+
+/**
+ * Merges regenerated rule content with the version on disk
+ */
+export class RuleMerger {
+  /**
+   * Find the protected regions of a rule file
+   * Regions are matched by name (`<!-- vdk:keep start notes -->`) or, for unnamed
+   * regions, by their position among the other unnamed regions
+   *
+   * @param {string} content - Rule file content
+   * @returns {Array<{id: string, start: number, end: number, lines: string[]}>} - Regions,
+   *   where start/end are the line indexes of the markers and lines include both markers
+   */
+  static findProtectedRegions(content) {
+    const lines = splitLines(content);
+    const regions = [];
+    let unnamedCount = 0;
+    let open = null;
+
+    lines.forEach((line, index) => {
+      const startMatch = line.match(KEEP_START);
+      if (startMatch && !open) {
+        open = { id: startMatch[1] || `#${unnamedCount++}`, start: index };
+      } else if (open && KEEP_END.test(line)) {
+        regions.push({ ...open, end: index, lines: lines.slice(open.start, index + 1) });
+        open = null;
+      }
+    });
+
+    return regions;
+  }
+
+  /**
+   * Put the protected regions of the previous file back into new content.
+   * Regions that still exist in the new content get their previous body,
+   * regions that disappeared are appended at the end.
+   *
+   * @param {string} content - New rule content
+   * @param {Array} regions - Regions found in the previous file
+   * @returns {string} - Content with the protected regions restored
+   */
+  static restoreProtectedRegions(content, regions) {
+    if (regions.length === 0) {
+      return content;
+    }
+
+    const lines = splitLines(content);
+    const targets = new Map(this.findProtectedRegions(content).map(region => [region.id, region]));
+    const replacements = [];
+    const missing = [];
+
+    for (const region of regions) {
+      const target = targets.get(region.id);
+      if (target) {
+        replacements.push({ target, lines: region.lines });
+      } else {
+        missing.push(region);
+      }
+    }
+
+    // Replace from the bottom up so earlier line indexes stay valid
+    replacements.sort((a, b) => b.target.start - a.target.start);
+    for (const { target, lines: regionLines } of replacements) {
+      lines.splice(target.start, target.end - target.start + 1, ...regionLines);
+    }
+
+    for (const region of missing) {
+      lines.push('', ...region.lines);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Group the changes of a diff into hunks expressed in base line indexes
+   *
+   * @param {string[]} baseLines - Base lines
+   * @param {string[]} changedLines - Changed lines
+   * @param {string} side - Label of the changed side
+   * @returns {Array<{side: string, start: number, end: number, lines: string[]}>}
+   */
+  static getHunks(baseLines, changedLines, side) {
+    const hunks = [];
+    let current = null;
+
+    for (const operation of diffLines(baseLines, changedLines)) {
+      if (operation.type === 'equal') {
+        current = null;
+        continue;
+      }
+
+      if (!current) {
+        current = { side, start: operation.oldIndex, end: operation.oldIndex, lines: [] };
+        hunks.push(current);
+      }
+
+      if (operation.type === 'delete') {
+        current.end = operation.oldIndex + 1;
+      } else {
+        current.lines.push(operation.line);
+      }
+    }
+
+    return hunks;
+  }
+
+  /**
+   * Apply the hunks of one side to a range of base lines
+   *
+   * @param {string[]} baseLines - Base lines
+   * @param {number} start - First base line of the range
+   * @param {number} end - End of the range (exclusive)
+   * @param {Array} hunks - Hunks of a single side inside the range
+   * @returns {string[]} - The range as that side sees it
+   */
+  static applyHunks(baseLines, start, end, hunks) {
+    const result = [];
+    let position = start;
+
+    for (const hunk of hunks) {
+      result.push(...baseLines.slice(position, hunk.start), ...hunk.lines);
+      position = hunk.end;
+    }
+
+    result.push(...baseLines.slice(position, end));
+    return result;
+  }
+
+  /**
+   * Three-way merge of line based text.
+   * Changes made on only one side are applied, identical changes are applied once
+   * and overlapping changes are written out between conflict markers.
+   *
+   * @param {string} base - Previous generated output
+   * @param {string} ours - The file as edited by the user
+   * @param {string} theirs - The new generated output
+   * @returns {{content: string, conflicts: number}} - Merged content and number of conflicts
+   */
+  static mergeThreeWay(base, ours, theirs) {
+    const baseLines = splitLines(base);
+    const hunks = [
+      ...this.getHunks(baseLines, splitLines(ours), 'ours'),
+      ...this.getHunks(baseLines, splitLines(theirs), 'theirs')
+    ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+    const output = [];
+    let conflicts = 0;
+    let position = 0;
+    let index = 0;
+
+    while (index < hunks.length) {
+      // Overlapping hunks, and insertions at the same line, are resolved together
+      const group = [hunks[index++]];
+      const start = group[0].start;
+      let end = group[0].end;
+      while (index < hunks.length && (hunks[index].start < end || (start === end && hunks[index].start === end && hunks[index].end === end))) {
+        end = Math.max(end, hunks[index].end);
+        group.push(hunks[index++]);
+      }
+
+      output.push(...baseLines.slice(position, start));
+      position = end;
+
+      const oursHunks = group.filter(hunk => hunk.side === 'ours');
+      const theirsHunks = group.filter(hunk => hunk.side === 'theirs');
+      const oursLines = this.applyHunks(baseLines, start, end, oursHunks);
+      const theirsLines = this.applyHunks(baseLines, start, end, theirsHunks);
+
+      if (theirsHunks.length === 0 || oursLines.join('\n') === theirsLines.join('\n')) {
+        output.push(...oursLines);
+      } else if (oursHunks.length === 0) {
+        output.push(...theirsLines);
+      } else {
+        conflicts++;
+        output.push(CONFLICT_MARKERS.OURS, ...oursLines, CONFLICT_MARKERS.SEPARATOR, ...theirsLines, CONFLICT_MARKERS.THEIRS);
+      }
+    }
+
+    output.push(...baseLines.slice(position));
+
+    return {
+      content: output.length > 0 ? output.join('\n') + '\n' : '',
+      conflicts
+    };
+  }
+
+  /**
+   * Merge new generated output into an existing rule file
+   *
+   * @param {Object} versions - { base, current, generated }; base is the previous generated
+   *   output (null when unknown), current the file on disk (null when missing)
+   * @returns {{content: string, status: string, conflicts: number}} - status is one of
+   *   'created', 'updated', 'merged' or 'conflict'
+   */
+  static mergeRule({ base, current, generated }) {
+    if (current === null || current === undefined) {
+      return { content: generated, status: 'created', conflicts: 0 };
+    }
+
+    const regions = this.findProtectedRegions(current);
+
+    // Without a previous generated output only the protected regions can be told apart
+    if (base === null || base === undefined || current === base) {
+      return { content: this.restoreProtectedRegions(generated, regions), status: 'updated', conflicts: 0 };
+    }
+
+    const merged = this.mergeThreeWay(base, current, generated);
+    return {
+      content: this.restoreProtectedRegions(merged.content, regions),
+      status: merged.conflicts > 0 ? 'conflict' : 'merged',
+      conflicts: merged.conflicts
+    };
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * Rust Package Analyzer
+ * Analyzes Cargo.toml, Cargo.lock and rust-toolchain files to detect the crates,
+ * tools and Rust toolchain used in the project
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ManifestParser } from './manifest-parser.js';
+import { VersionRange } from './version-range.js';
+
+/**
+ * Maps of crate names to technology categories and specific technologies
+ */
+const RUST_TECH_MAPPINGS = {
+  // Web frameworks and async runtimes
+  backend: {
+    'axum': 'Axum',
+    'actix-web': 'Actix Web',
+    'actix': 'Actix',
+    'rocket': 'Rocket',
+    'warp': 'Warp',
+    'poem': 'Poem',
+    'tide': 'Tide',
+    'hyper': 'Hyper',
+    'tonic': 'Tonic',
+    'tokio': 'Tokio',
+    'async-std': 'async-std',
+  },
+
+  // Frontend and desktop frameworks
+  frontend: {
+    'leptos': 'Leptos',
+    'yew': 'Yew',
+    'dioxus': 'Dioxus',
+  },
+
+  mobile: {
+    'tauri': 'Tauri',
+  },
+
+  // Databases and ORMs
+  database: {
+    'sqlx': 'SQLx',
+    'diesel': 'Diesel',
+    'sea-orm': 'SeaORM',
+    'rusqlite': 'SQLite',
+    'tokio-postgres': 'PostgreSQL',
+    'postgres': 'PostgreSQL',
+    'redis': 'Redis',
+    'mongodb': 'MongoDB',
+  },
+
+  // Common libraries
+  libraries: {
+    'serde': 'Serde',
+    'clap': 'Clap',
+    'tracing': 'tracing',
+    'anyhow': 'anyhow',
+    'thiserror': 'thiserror',
+    'reqwest': 'reqwest',
+    'bevy': 'Bevy',
+    'wasm-bindgen': 'wasm-bindgen',
+  },
+
+  // Testing and benchmarking
+  testing: {
+    'proptest': 'proptest',
+    'quickcheck': 'QuickCheck',
+    'rstest': 'rstest',
+    'mockall': 'mockall',
+    'insta': 'insta',
+    'criterion': 'Criterion',
+    'wiremock': 'wiremock',
+  },
+};
+
+/**
+ * Analyzes Rust manifests to identify the technology stack
+ */
+export class RustPackageAnalyzer {
+  /**
+   * Analyze the Cargo manifest in the project root
+   *
+   * @param {string} projectPath - Path to the project
+   * @returns {Promise<Object>} - Detected technologies, dependencies with their version
+   *   requirements, versions resolved by Cargo.lock and the Rust toolchain version
+   */
+  static async analyzeDependencies(projectPath) {
+    const read = async (fileName) => {
+      try {
+        return await fs.readFile(path.join(projectPath, fileName), 'utf8');
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const cargoContent = await read('Cargo.toml');
+    if (!cargoContent) {
+      return { detected: false };
+    }
+
+    let cargo;
+    try {
+      cargo = ManifestParser.parseToml(cargoContent);
+    } catch (error) {
+      console.warn(`Warning: Error analyzing Cargo.toml: ${error.message}`);
+      return { detected: false };
+    }
+
+    const result = {
+      detected: true,
+      technologies: {},
+      dependencies: {},
+      devDependencies: {},
+      resolvedVersions: {},
+      languageVersions: {},
+      manifests: ['Cargo.toml'],
+      projectInfo: {
+        name: cargo.package?.name || '',
+        version: typeof cargo.package?.version === 'string' ? cargo.package.version : '',
+        description: cargo.package?.description || '',
+        edition: cargo.package?.edition || cargo.workspace?.package?.edition || '',
+      },
+    };
+
+    // Workspace roots declare shared versions in [workspace.dependencies]
+    this.addDependencyTable(cargo.dependencies, result.dependencies);
+    this.addDependencyTable(cargo['build-dependencies'], result.dependencies);
+    this.addDependencyTable(cargo.workspace?.dependencies, result.dependencies);
+    this.addDependencyTable(cargo['dev-dependencies'], result.devDependencies);
+    for (const target of Object.values(cargo.target || {})) {
+      this.addDependencyTable(target.dependencies, result.dependencies);
+      this.addDependencyTable(target['dev-dependencies'], result.devDependencies);
+    }
+
+    const lockContent = await read('Cargo.lock');
+    if (lockContent) {
+      try {
+        const lock = ManifestParser.parseToml(lockContent);
+        for (const pkg of lock.package || []) {
+          if (pkg.name && pkg.version && !result.resolvedVersions[pkg.name]) {
+            result.resolvedVersions[pkg.name] = String(pkg.version);
+          }
+        }
+        result.manifests.push('Cargo.lock');
+      } catch (error) {
+        console.warn(`Warning: Error analyzing Cargo.lock: ${error.message}`);
+      }
+    }
+
+    // rust-version is the minimum supported Rust version; a pinned toolchain takes precedence
+    const rustVersion = cargo.package?.['rust-version'] || cargo.workspace?.package?.['rust-version'];
+    const toolchain = await this.readToolchain(read);
+    if (toolchain || typeof rustVersion === 'string') {
+      result.languageVersions.rust = toolchain || rustVersion;
+    }
+
+    const allDependencies = { ...result.dependencies, ...result.devDependencies };
+    result.technologies = this.detectTechnologies(allDependencies);
+    result.technologyVersions = VersionRange.resolveTechnologyVersions(RUST_TECH_MAPPINGS, allDependencies, result.resolvedVersions);
+    result.technologies.buildTools = ['Cargo'];
+
+    if (await read('clippy.toml') !== null || await read('.clippy.toml') !== null) {
+      result.technologies.linters = ['Clippy'];
+    }
+    if (await read('rustfmt.toml') !== null || await read('.rustfmt.toml') !== null) {
+      result.technologies.linters = [...(result.technologies.linters || []), 'rustfmt'];
+    }
+
+    return result;
+  }
+
+  /**
+   * Add a Cargo dependency table
+   * @param {Object} table - Map of crate name to a version string or a detail table
+   * @param {Object} target - Map of crate name to version requirement
+   */
+  static addDependencyTable(table, target) {
+    if (!table || typeof table !== 'object') return;
+
+    for (const [name, spec] of Object.entries(table)) {
+      // Renamed dependencies name the actual crate in "package"
+      const crate = (spec && typeof spec === 'object' && spec.package) || name;
+      if (crate in target) continue;
+
+      if (typeof spec === 'string') {
+        target[crate] = spec;
+      } else if (spec && typeof spec === 'object' && typeof spec.version === 'string') {
+        target[crate] = spec.version;
+      } else {
+        // Path, git and workspace-inherited dependencies
+        target[crate] = '';
+      }
+    }
+  }
+
+  /**
+   * Read the toolchain channel pinned by rust-toolchain.toml or rust-toolchain
+   * @param {Function} read - Reads a file of the project, resolves to null when missing
+   * @returns {Promise<string|null>} - Channel like "1.78.0" or "nightly-2024-05-01"
+   */
+  static async readToolchain(read) {
+    const tomlContent = await read('rust-toolchain.toml');
+    const legacyContent = tomlContent === null ? await read('rust-toolchain') : null;
+    const content = tomlContent ?? legacyContent;
+    if (content === null) {
+      return null;
+    }
+
+    // The legacy file may contain only the channel name
+    if (!content.includes('[toolchain]')) {
+      return content.trim().split(/\r?\n/)[0] || null;
+    }
+
+    try {
+      const channel = ManifestParser.parseToml(content).toolchain?.channel;
+      return typeof channel === 'string' ? channel : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Detect technologies based on dependencies
+   *
+   * @param {Object} dependencies - Map of crate names to version requirements
+   * @returns {Object} - Object containing detected technologies by category
+   */
+  static detectTechnologies(dependencies) {
+    const result = {};
+    const depNames = Object.keys(dependencies);
+
+    for (const [category, techMap] of Object.entries(RUST_TECH_MAPPINGS)) {
+      const detectedInCategory = depNames.filter(dep => techMap[dep]).map(dep => techMap[dep]);
+
+      if (detectedInCategory.length > 0) {
+        result[category] = [...new Set(detectedInCategory)];
+      }
+    }
+
+    return result;
+  }
+}
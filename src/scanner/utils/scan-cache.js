@@ -0,0 +1,190 @@
+/**
+ * Scan Cache
+ * Persists per-file analyzer results in `.vdk/cache` so unchanged files are not
+ * parsed again on the next scan. Entries are keyed by the file's relative path and
+ * validated by mtime and size; when only the mtime changed the content hash decides.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import chalk from 'chalk';
+
+import { getVersion } from './version.js';
+
+// Bumped when analyzer results change, so cached results of older analyzers are not reused
+const CACHE_VERSION = 4;
+const CACHE_FILE = path.join('.vdk', 'cache', 'scan-cache.json');
+
+export class ScanCache {
+  /**
+   * @param {Object} options - { projectPath, enabled, readOnly, verbose }
+   *   readOnly keeps the cache file untouched, e.g. during dry runs
+   */
+  constructor(options = {}) {
+    this.projectPath = path.resolve(options.projectPath || process.cwd());
+    this.enabled = options.enabled !== false;
+    this.readOnly = options.readOnly || false;
+    this.verbose = options.verbose || false;
+    this.cachePath = path.join(this.projectPath, CACHE_FILE);
+    this.entries = {};
+    this.stats = { hits: 0, revalidated: 0, misses: 0, invalidated: 0 };
+  }
+
+  /**
+   * Hash file content
+   * @param {string} content - File content
+   * @returns {string} sha1 hex digest
+   */
+  static hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+  }
+
+  /**
+   * Load the cache file. Caches written by another VDK version are discarded
+   * because analyzer output may have changed.
+   */
+  async load() {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.cachePath, 'utf8'));
+      if (data.version === CACHE_VERSION && data.vdkVersion === getVersion()) {
+        this.entries = data.files || {};
+      }
+    } catch (error) {
+      // Missing or unreadable cache, start empty
+      this.entries = {};
+    }
+  }
+
+  /**
+   * Get a cached analyzer result for a file
+   * @param {Object} file - File info from ProjectScanner (relativePath, size, modifiedTime)
+   * @param {string} analyzerName - Name of the analyzer
+   * @returns {Promise<{hit: boolean, analysis?: Object, content?: string}>} - On a miss
+   *   `content` is set when the file had to be read to compare hashes
+   */
+  async lookup(file, analyzerName) {
+    if (!this.enabled) {
+      return { hit: false };
+    }
+
+    const entry = this.entries[file.relativePath];
+    const cached = entry && entry.analyses[analyzerName];
+    if (!cached) {
+      this.stats.misses++;
+      return { hit: false };
+    }
+
+    const mtimeMs = new Date(file.modifiedTime).getTime();
+    if (entry.mtimeMs === mtimeMs && entry.size === file.size) {
+      this.stats.hits++;
+      return { hit: true, analysis: cached };
+    }
+
+    // Touched but possibly unchanged (checkouts, formatters that rewrite the same bytes)
+    if (entry.size === file.size) {
+      const content = await fs.readFile(path.join(this.projectPath, file.relativePath), 'utf8');
+      if (ScanCache.hashContent(content) === entry.hash) {
+        entry.mtimeMs = mtimeMs;
+        this.stats.revalidated++;
+        return { hit: true, analysis: cached };
+      }
+      this.invalidate(file.relativePath);
+      return { hit: false, content };
+    }
+
+    this.invalidate(file.relativePath);
+    return { hit: false };
+  }
+
+  /**
+   * Store an analyzer result for a file
+   * @param {Object} file - File info from ProjectScanner
+   * @param {string} analyzerName - Name of the analyzer
+   * @param {Object} analysis - Analyzer result (must be JSON serializable)
+   * @param {string} content - The content that was analyzed
+   */
+  store(file, analyzerName, analysis, content) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const mtimeMs = new Date(file.modifiedTime).getTime();
+    const hash = ScanCache.hashContent(content);
+    let entry = this.entries[file.relativePath];
+
+    if (!entry || entry.hash !== hash) {
+      entry = { mtimeMs, size: file.size, hash, analyses: {} };
+      this.entries[file.relativePath] = entry;
+    }
+
+    entry.mtimeMs = mtimeMs;
+    entry.analyses[analyzerName] = analysis;
+  }
+
+  /**
+   * Drop the cached results of a file
+   * @param {string} relativePath - Project-relative path
+   */
+  invalidate(relativePath) {
+    if (this.entries[relativePath]) {
+      delete this.entries[relativePath];
+      this.stats.invalidated++;
+      this.stats.misses++;
+    }
+  }
+
+  /**
+   * Remove entries for files that no longer exist in the project
+   * @param {Array} files - Files from the current scan
+   */
+  prune(files) {
+    const current = new Set(files.map(file => file.relativePath));
+    for (const relativePath of Object.keys(this.entries)) {
+      if (!current.has(relativePath)) {
+        delete this.entries[relativePath];
+      }
+    }
+  }
+
+  /**
+   * Write the cache file
+   */
+  async save() {
+    if (!this.enabled || this.readOnly) {
+      return;
+    }
+
+    try {
+      await fs.mkdir(path.dirname(this.cachePath), { recursive: true });
+      await fs.writeFile(this.cachePath, JSON.stringify({
+        version: CACHE_VERSION,
+        vdkVersion: getVersion(),
+        files: this.entries
+      }), 'utf8');
+    } catch (error) {
+      if (this.verbose) {
+        console.warn(chalk.yellow(`Warning: Could not write scan cache: ${error.message}`));
+      }
+    }
+  }
+
+  /**
+   * Describe the cache statistics of the current scan
+   * @returns {string} Summary line
+   */
+  getSummary() {
+    if (!this.enabled) {
+      return 'Scan cache disabled';
+    }
+
+    const { hits, revalidated, misses, invalidated } = this.stats;
+    const lookups = hits + revalidated + misses;
+    const hitRate = lookups > 0 ? Math.round(((hits + revalidated) / lookups) * 100) : 0;
+    return `Scan cache: ${hits + revalidated}/${lookups} hits (${hitRate}%), ${revalidated} revalidated by hash, ${invalidated} invalidated, ${Object.keys(this.entries).length} files cached`;
+  }
+}
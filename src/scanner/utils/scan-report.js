@@ -0,0 +1,479 @@
+/**
+ * Scan Report
+ * Versioned, machine-readable record of everything a scan found: project structure,
+ * technology stack, patterns, dependency insights, workspace packages and the
+ * evidence behind each detection. Written to `.vdk/scan-report.json` on every scan,
+ * printed by `vdk scan --json` and rendered as Markdown or HTML by `--report`.
+ * The format is documented in docs/Scan-Report-Schema.md.
+ */
+
+import path from 'path';
+import chalk from 'chalk';
+
+import { getVersion } from './version.js';
+import { DEFAULTS } from './constants.js';
+
+// Bumped on incompatible changes to the report layout; adding fields keeps the version
+export const SCAN_REPORT_SCHEMA_VERSION = 1;
+
+// Formats the report can be rendered in
+export const REPORT_FORMATS = ['json', 'markdown', 'html'];
+
+// Detection categories in report and explanation order
+const DETECTION_CATEGORIES = ['languages', 'frameworks', 'stacks', 'patterns'];
+
+// Technology stack fields copied into the report, for the project and every workspace package
+const TECH_STACK_FIELDS = [
+  'primaryLanguages', 'frameworks', 'libraries', 'buildTools', 'linters', 'testingFrameworks', 'stacks'
+];
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape a Markdown table cell
+ * @param {*} value - Cell text
+ * @returns {string}
+ */
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+export class ScanReport {
+  /**
+   * Collect the detections of a scan with their confidence and evidence
+   * @param {Object} techStack - Result of TechnologyAnalyzer (with merged workspace packages)
+   * @param {Object} patterns - Result of PatternDetector
+   * @returns {Object} Detections by category, each { name, confidence, evidence }
+   */
+  static collectDetections(techStack = {}, patterns = {}) {
+    const detections = techStack.detections || {};
+
+    return {
+      languages: detections.languages || [],
+      frameworks: detections.frameworks || [],
+      stacks: detections.stacks || [],
+      patterns: (patterns.architecturalPatterns || []).map(pattern => ({
+        name: pattern.name,
+        confidence: pattern.confidence,
+        source: pattern.source,
+        evidence: pattern.evidence || []
+      }))
+    };
+  }
+
+  /**
+   * Collect the detection overrides of the project config
+   * @param {Object} techStack - Result of TechnologyAnalyzer
+   * @param {Object} patterns - Result of PatternDetector
+   * @param {Object} [projectConfig] - Loaded project config
+   * @returns {Object} { configFile, entries }
+   */
+  static collectOverrides(techStack = {}, patterns = {}, projectConfig = null) {
+    return {
+      configFile: projectConfig?.configFile || null,
+      entries: [...(techStack.overrides || []), ...(patterns.overrides || [])]
+    };
+  }
+
+  /**
+   * Copy the technology fields of a tech stack
+   * @param {Object} techStack - Result of TechnologyAnalyzer
+   * @returns {Object}
+   */
+  static summarizeTechStack(techStack = {}) {
+    const summary = {};
+    for (const field of TECH_STACK_FIELDS) {
+      summary[field] = techStack[field] || [];
+    }
+    summary.languageShares = techStack.languageShares || {};
+    summary.languageVersions = techStack.languageVersions || {};
+    summary.technologyVersions = techStack.technologyVersions || {};
+    return summary;
+  }
+
+  /**
+   * Build the report of a scan
+   * @param {Object} analysis - Result of analyzeProject { projectPath, projectStructure, techStack,
+   *   patterns, workspace, projectConfig, styleConfig }, plus the generated rules { outputPath, generatedFiles }
+   * @returns {Object} Report
+   */
+  static build({ projectPath, projectStructure = {}, techStack = {}, patterns = {}, workspace = null, projectConfig = null, styleConfig = null, outputPath = null, generatedFiles = [] }) {
+    const relationships = projectStructure.relationships;
+
+    return {
+      schemaVersion: SCAN_REPORT_SCHEMA_VERSION,
+      vdkVersion: getVersion(),
+      generatedAt: new Date().toISOString(),
+      project: {
+        name: path.basename(projectPath),
+        path: projectPath
+      },
+      structure: {
+        fileCount: projectStructure.files?.length || 0,
+        directoryCount: projectStructure.directories?.length || 0,
+        fileTypes: projectStructure.fileTypes || {},
+        fileExtensions: projectStructure.fileExtensions || [],
+        // Only a deep scan follows imports
+        moduleGraph: relationships
+          ? {
+            analyzedFiles: relationships.analyzedFiles,
+            edgeCount: relationships.edgeCount,
+            entryPoints: relationships.entryPoints,
+            leaves: relationships.leaves
+          }
+          : null
+      },
+      techStack: this.summarizeTechStack(techStack),
+      patterns: {
+        namingConventions: patterns.namingConventions || {},
+        areaConventions: patterns.areaConventions || { divergent: [], areas: [] },
+        architecturalPatterns: (patterns.architecturalPatterns || []).map(pattern => ({
+          name: pattern.name,
+          confidence: pattern.confidence,
+          description: pattern.description,
+          source: pattern.source,
+          ...(pattern.details ? { details: pattern.details } : {})
+        })),
+        codePatterns: patterns.codePatterns || [],
+        declarations: patterns.declarations || { decorators: {}, exports: {} },
+        reactUsage: patterns.reactUsage || { hooks: {}, customHooks: [], propPatterns: {} },
+        consistencyMetrics: patterns.consistencyMetrics || {}
+      },
+      dependencies: patterns.dependencyInsights || { moduleCount: 0, edgeCount: 0, cycles: [] },
+      sampling: {
+        strategy: patterns.sampling?.strategy || 'stratified',
+        languages: patterns.sampling?.languages || {},
+        dependencyGraph: patterns.sampling?.dependencyGraph || null
+      },
+      codeStyle: styleConfig || { sources: [], settings: {}, languages: {}, linters: [] },
+      workspace: {
+        isMonorepo: Boolean(workspace?.isMonorepo),
+        tools: workspace?.tools || [],
+        packages: (workspace?.packages || []).map(pkg => ({
+          name: pkg.name,
+          path: pkg.path,
+          ecosystem: pkg.ecosystem,
+          manifest: pkg.manifest,
+          internalDependencies: pkg.internalDependencies || [],
+          dependents: pkg.dependents || [],
+          fileCount: pkg.fileCount || 0,
+          techStack: pkg.techStack ? this.summarizeTechStack(pkg.techStack) : null
+        }))
+      },
+      detections: this.collectDetections(techStack, patterns),
+      overrides: this.collectOverrides(techStack, patterns, projectConfig),
+      rules: {
+        outputPath: outputPath ? path.relative(projectPath, outputPath) || '.' : null,
+        files: generatedFiles.map(file => path.relative(projectPath, file))
+      }
+    };
+  }
+
+  /**
+   * Write a report to the state directory of the project
+   * @param {Object} report - Report from build()
+   * @param {Object} fileSystem - File system layer, a dry run only plans the write
+   * @returns {Promise<string>} Path of the report file
+   */
+  static async write(report, fileSystem) {
+    const stateDir = path.join(report.project.path, DEFAULTS.STATE_DIR);
+    const reportPath = path.join(stateDir, DEFAULTS.SCAN_REPORT_FILE);
+
+    await fileSystem.mkdir(stateDir, { recursive: true });
+    await fileSystem.writeFile(reportPath, this.render(report, 'json'), 'utf8');
+    return reportPath;
+  }
+
+  /**
+   * Format of a report file: the given format, or else the one its extension implies
+   * @param {string} filePath - Report file
+   * @param {string} [format] - Explicit format
+   * @returns {string} 'json', 'markdown' or 'html'
+   */
+  static formatFor(filePath, format) {
+    if (format) return format;
+
+    const extension = path.extname(filePath).toLowerCase();
+    if (['.md', '.markdown'].includes(extension)) return 'markdown';
+    if (['.html', '.htm'].includes(extension)) return 'html';
+    return 'json';
+  }
+
+  /**
+   * Render a report
+   * @param {Object} report - Report from build()
+   * @param {string} format - 'json', 'markdown' or 'html'
+   * @returns {string}
+   */
+  static render(report, format = 'json') {
+    switch (format) {
+      case 'json':
+        return `${JSON.stringify(report, null, 2)}\n`;
+      case 'markdown':
+        return this.toMarkdown(report);
+      case 'html':
+        return this.toHtml(report);
+      default:
+        throw new Error(`Unknown report format "${format}" (expected ${REPORT_FORMATS.join(', ')})`);
+    }
+  }
+
+  /**
+   * The human-readable sections of a report, shared by the Markdown and HTML renderings
+   * @param {Object} report - Report from build()
+   * @returns {Object[]} Sections { title, items } (a list) or { title, headers, rows } (a table)
+   */
+  static sections(report) {
+    const { techStack, patterns, structure, workspace } = report;
+    const withVersion = name => {
+      const version = techStack.technologyVersions[name]?.version;
+      return version ? `${name} ${version}` : name;
+    };
+
+    const sections = [
+      {
+        title: 'Summary',
+        headers: ['', ''],
+        rows: [
+          ['Project', report.project.name],
+          ['Files', structure.fileCount],
+          ['Directories', structure.directoryCount],
+          ['Modules in dependency graph', report.dependencies.moduleCount],
+          ['Workspace packages', workspace.packages.length],
+          ['Generated rules', report.rules.files.length],
+          ['VDK version', report.vdkVersion],
+          ['Generated at', report.generatedAt]
+        ]
+      },
+      {
+        title: 'Technology Stack',
+        headers: ['Category', 'Detected'],
+        rows: [
+          ['Languages', techStack.primaryLanguages.map(language => {
+            const version = techStack.languageVersions[language];
+            return version ? `${language} ${version}` : language;
+          }).join(', ')],
+          ['Frameworks', techStack.frameworks.map(withVersion).join(', ')],
+          ['Libraries', techStack.libraries.map(withVersion).join(', ')],
+          ['Testing', techStack.testingFrameworks.map(withVersion).join(', ')],
+          ['Build tools', techStack.buildTools.map(withVersion).join(', ')],
+          ['Linters', techStack.linters.map(withVersion).join(', ')],
+          ['Stacks', techStack.stacks.join(', ')]
+        ].filter(([, detected]) => detected)
+      },
+      {
+        title: 'Detections',
+        headers: ['Category', 'Name', 'Confidence', 'Evidence'],
+        rows: DETECTION_CATEGORIES.flatMap(category => report.detections[category].map(detection => [
+          category,
+          detection.name,
+          `${detection.confidence}%`,
+          detection.evidence.map(item => `${item.type}: ${item.value}`).join('; ')
+        ]))
+      },
+      {
+        title: 'Architectural Patterns',
+        headers: ['Pattern', 'Confidence', 'Description'],
+        rows: patterns.architecturalPatterns.map(pattern => [pattern.name, `${pattern.confidence}%`, pattern.description || ''])
+      },
+      {
+        title: 'Naming Conventions',
+        headers: ['Element', 'Dominant', 'Samples'],
+        rows: Object.entries(patterns.namingConventions)
+          .filter(([, convention]) => convention.total > 0)
+          .map(([element, convention]) => [element, convention.dominant || 'unknown', convention.total])
+      }
+    ];
+
+    sections.push({
+      title: 'Conventions by Area',
+      headers: ['Area', 'Element', 'Dominant', 'Samples'],
+      rows: patterns.areaConventions.areas.flatMap(area => area.divergent.map(element => [
+        area.path,
+        element,
+        area.namingConventions[element].dominant,
+        area.namingConventions[element].total
+      ]))
+    });
+
+    if (patterns.codePatterns.length > 0) {
+      sections.push({ title: 'Code Patterns', items: patterns.codePatterns });
+    }
+
+    const { languages, dependencyGraph } = report.sampling;
+    sections.push({
+      title: 'Sampled Files',
+      headers: ['Analysis', 'Sampled', 'Files', 'Budget'],
+      rows: [
+        ...Object.entries(languages).map(([language, sample]) => [language, sample.files.length, sample.total, sample.budget]),
+        ...(dependencyGraph ? [['dependency graph', dependencyGraph.files.length, dependencyGraph.total, dependencyGraph.budget]] : [])
+      ]
+    });
+
+    const { codeStyle } = report;
+    if (codeStyle.sources.length > 0) {
+      const scopes = [['all files', codeStyle.settings], ...Object.entries(codeStyle.languages)];
+      sections.push({
+        title: 'Code Style',
+        headers: ['Scope', 'Setting', 'Value', 'Source'],
+        rows: scopes.flatMap(([scope, settings]) => Object.entries(settings).map(([setting, { value, source }]) => [
+          scope,
+          setting,
+          value === null ? 'none' : String(value),
+          source
+        ]))
+      });
+      sections.push({
+        title: 'Lint Rules',
+        headers: ['Linter', 'Config', 'Extends', 'Enabled rules', 'Scoped rules'],
+        rows: codeStyle.linters.map(linter => [
+          linter.tool,
+          linter.source,
+          linter.presets.join(', '),
+          linter.rules.length,
+          (linter.scopes || []).reduce((count, scope) => count + scope.rules.length, 0)
+        ])
+      });
+    }
+
+    if (report.dependencies.cycles?.length > 0) {
+      sections.push({ title: 'Circular Dependencies', items: report.dependencies.cycles.map(cycle => cycle.join(' → ')) });
+    }
+
+    if (workspace.isMonorepo) {
+      sections.push({
+        title: `Workspace Packages (${workspace.tools.join(', ')})`,
+        headers: ['Package', 'Path', 'Ecosystem', 'Frameworks', 'Depends on'],
+        rows: workspace.packages.map(pkg => [
+          pkg.name,
+          pkg.path,
+          pkg.ecosystem,
+          (pkg.techStack?.frameworks || []).join(', '),
+          pkg.internalDependencies.join(', ')
+        ])
+      });
+    }
+
+    if (report.overrides.entries.length > 0) {
+      sections.push({
+        title: `Overrides (${report.overrides.configFile})`,
+        headers: ['Category', 'Name', 'Action', 'Applied'],
+        rows: report.overrides.entries.map(override => [override.category, override.name, override.action, override.applied ? 'yes' : 'no'])
+      });
+    }
+
+    if (report.rules.files.length > 0) {
+      sections.push({ title: 'Generated Rules', items: report.rules.files });
+    }
+
+    return sections.filter(section => (section.items || section.rows).length > 0);
+  }
+
+  /**
+   * Render a report as Markdown
+   * @param {Object} report - Report from build()
+   * @returns {string}
+   */
+  static toMarkdown(report) {
+    const lines = [`# VDK Scan Report: ${report.project.name}`, ''];
+
+    for (const section of this.sections(report)) {
+      lines.push(`## ${section.title}`, '');
+      if (section.items) {
+        lines.push(...section.items.map(item => `- ${item}`));
+      } else {
+        lines.push(`| ${section.headers.join(' | ')} |`);
+        lines.push(`| ${section.headers.map(() => '---').join(' | ')} |`);
+        lines.push(...section.rows.map(row => `| ${row.map(escapeCell).join(' | ')} |`));
+      }
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a report as a standalone HTML page
+   * @param {Object} report - Report from build()
+   * @returns {string}
+   */
+  static toHtml(report) {
+    const body = this.sections(report).map(section => {
+      const content = section.items
+        ? `<ul>${section.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+        : `<table>\n<thead><tr>${section.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>\n<tbody>\n${section.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')}\n</tbody>\n</table>`;
+      return `<h2>${escapeHtml(section.title)}</h2>\n${content}`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>VDK Scan Report: ${escapeHtml(report.project.name)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2933; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; }
+th, td { border: 1px solid #cbd2d9; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f5f7fa; }
+</style>
+</head>
+<body>
+<h1>VDK Scan Report: ${escapeHtml(report.project.name)}</h1>
+${body}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Print every detection with its confidence and evidence
+   * @param {Object} detections - Detections by category from collectDetections()
+   * @param {Object} [overrides] - Overrides from collectOverrides()
+   */
+  static explain(detections, overrides = { entries: [] }) {
+    console.log('\n' + chalk.cyan('Detection evidence:'));
+
+    for (const category of DETECTION_CATEGORIES) {
+      const entries = detections[category] || [];
+      console.log(chalk.bold(`\n${category.charAt(0).toUpperCase()}${category.slice(1)}`));
+
+      if (entries.length === 0) {
+        console.log(chalk.gray('  (none detected)'));
+        continue;
+      }
+
+      for (const entry of entries) {
+        const color = entry.confidence >= 80 ? chalk.green : entry.confidence >= 50 ? chalk.yellow : chalk.red;
+        console.log(`  ${entry.name} ${color(`${entry.confidence}%`)}`);
+
+        for (const item of entry.evidence) {
+          const detail = item.detail ? chalk.gray(` (${item.detail})`) : '';
+          console.log(chalk.gray(`    - ${item.type}: `) + item.value + detail);
+        }
+      }
+    }
+
+    if (overrides.entries.length > 0) {
+      console.log(chalk.bold(`\nOverrides (${overrides.configFile})`));
+      for (const override of overrides.entries) {
+        const sign = override.action === 'exclude' ? '-' : '+';
+        const note = override.applied
+          ? override.detection ? chalk.gray(` (was ${override.detection.confidence}%)`) : ''
+          : chalk.yellow(override.action === 'exclude' ? ' (not detected)' : ' (already detected)');
+        console.log(`  ${sign} ${override.category}: ${override.name}${note}`);
+      }
+    }
+    console.log('');
+  }
+}
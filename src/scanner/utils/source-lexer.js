@@ -0,0 +1,204 @@
+/**
+ * Source Lexer
+ * Removes comments, and optionally the content of string literals, from the source of
+ * C-family languages (Rust, C#, Kotlin, PHP, Dart, C++) while keeping line breaks, so the
+ * analyzers can match declarations without picking up commented-out code or code in strings.
+ */
+
+// Comment and string syntax by language
+const SYNTAX = {
+  rust: { nestedComments: true, charLiterals: true, rawStrings: /^r(#*)"/ },
+  csharp: { charLiterals: true, rawStrings: /^@"/, tripleQuotes: true },
+  kotlin: { nestedComments: true, charLiterals: true, tripleQuotes: true },
+  php: { hashComments: true },
+  dart: { tripleQuotes: true, rawStrings: /^r(?=['"])/ },
+  cpp: { charLiterals: true, rawStrings: /^R"([^(\s]*)\(/ }
+};
+
+// A character literal ('a', '\n', '\u{1F600}'), as opposed to a Rust lifetime ('a)
+const CHAR_LITERAL = /^'(?:\\[^']*|[^'\\\n])'/;
+
+// Characters a string or character literal can start with, raw string prefixes included
+const QUOTE_START = /["'`rR@]/;
+
+/**
+ * Lexical helpers shared by the analyzers of C-family languages
+ */
+export class SourceLexer {
+  /**
+   * Replace the comments of a source file, and optionally the content of its strings, with spaces
+   *
+   * @param {string} content - Source code
+   * @param {string} language - Key of SYNTAX (rust, csharp, kotlin, php, dart, cpp)
+   * @param {Object} [options] - { blankStrings } also replace the content of string literals,
+   *   keeping their delimiters, for matching declarations rather than imports
+   * @returns {string} - The code with the same length and line breaks, without comments
+   */
+  static stripComments(content, language, options = {}) {
+    const syntax = SYNTAX[language] || {};
+    let code = '';
+    let i = 0;
+
+    while (i < content.length) {
+      const char = content[i];
+      const next = content[i + 1];
+
+      // Line comments, PHP also has `#` comments but `#[` starts an attribute
+      if ((char === '/' && next === '/') || (syntax.hashComments && char === '#' && next !== '[')) {
+        const end = content.indexOf('\n', i);
+        const stop = end === -1 ? content.length : end;
+        code += ' '.repeat(stop - i);
+        i = stop;
+        continue;
+      }
+
+      // Block comments, nested in Rust and Kotlin
+      if (char === '/' && next === '*') {
+        const stop = this.blockCommentEnd(content, i, syntax.nestedComments);
+        code += this.blank(content.slice(i, stop));
+        i = stop;
+        continue;
+      }
+
+      const stop = QUOTE_START.test(char) ? this.stringEnd(content, i, syntax) : i;
+      if (stop > i) {
+        const literal = content.slice(i, stop);
+        code += options.blankStrings && literal.length > 2
+          ? literal[0] + this.blank(literal.slice(1, -1)) + literal[literal.length - 1]
+          : literal;
+        i = stop;
+        continue;
+      }
+
+      code += char;
+      i++;
+    }
+
+    return code;
+  }
+
+  /**
+   * Index after the block comment starting at `start`
+   *
+   * @param {string} content - Source code
+   * @param {number} start - Index of the opening `/*`
+   * @param {boolean} nested - Whether block comments nest
+   * @returns {number}
+   */
+  static blockCommentEnd(content, start, nested) {
+    let depth = 0;
+    let i = start;
+
+    while (i < content.length) {
+      if (content[i] === '/' && content[i + 1] === '*') {
+        depth = nested ? depth + 1 : 1;
+        i += 2;
+      } else if (content[i] === '*' && content[i + 1] === '/') {
+        depth--;
+        i += 2;
+        if (depth === 0) return i;
+      } else {
+        i++;
+      }
+    }
+
+    return content.length;
+  }
+
+  /**
+   * Index after the string or character literal starting at `start`, `start` itself when
+   * no literal starts there
+   *
+   * @param {string} content - Source code
+   * @param {number} start - Index to look at
+   * @param {Object} syntax - Entry of SYNTAX
+   * @returns {number}
+   */
+  static stringEnd(content, start, syntax) {
+    const rest = content.slice(start, start + 64);
+
+    // Raw strings have no escapes: r#"..."# in Rust, @"..." in C#, R"x(...)x" in C++, r'...' in Dart
+    const raw = syntax.rawStrings && (start === 0 || !/\w/.test(content[start - 1])) ? rest.match(syntax.rawStrings) : null;
+    if (raw) {
+      const open = start + raw[0].length;
+      const quote = raw[0].startsWith('R"') ? `)${raw[1]}"` : raw[0].startsWith('r#') || raw[0] === 'r"' ? `"${raw[1]}` : null;
+      if (quote) {
+        const end = content.indexOf(quote, open);
+        return end === -1 ? content.length : end + quote.length;
+      }
+      if (raw[0] === '@"') {
+        return this.quotedEnd(content, open, '"', { doubledQuotes: true });
+      }
+      // Dart raw string: the quote follows the `r`
+      return this.quotedEnd(content, open + 1, content[open], { escapes: false });
+    }
+
+    const char = content[start];
+    if (char === '"' || (char === "'" && !syntax.charLiterals) || (char === '`' && syntax.hashComments)) {
+      const triple = char.repeat(3);
+      if (syntax.tripleQuotes && content.startsWith(triple, start)) {
+        const end = content.indexOf(triple, start + 3);
+        return end === -1 ? content.length : end + 3;
+      }
+      return this.quotedEnd(content, start + 1, char, { escapes: true });
+    }
+
+    if (char === "'" && syntax.charLiterals) {
+      const literal = rest.match(CHAR_LITERAL);
+      return literal ? start + literal[0].length : start;
+    }
+
+    return start;
+  }
+
+  /**
+   * Index after the closing quote of a string whose content starts at `start`
+   *
+   * @param {string} content - Source code
+   * @param {number} start - Index of the first character after the opening quote
+   * @param {string} quote - Quote character
+   * @param {Object} options - { escapes } backslash escapes, { doubledQuotes } `""` escapes a quote
+   * @returns {number}
+   */
+  static quotedEnd(content, start, quote, options = {}) {
+    let i = start;
+
+    while (i < content.length) {
+      if (options.escapes && content[i] === '\\') {
+        i += 2;
+      } else if (content[i] === quote) {
+        if (options.doubledQuotes && content[i + 1] === quote) {
+          i += 2;
+        } else {
+          return i + 1;
+        }
+      } else {
+        i++;
+      }
+    }
+
+    return content.length;
+  }
+
+  /**
+   * Spaces in place of a piece of source, keeping its line breaks
+   *
+   * @param {string} text - Source text
+   * @returns {string}
+   */
+  static blank(text) {
+    return text.replace(/[^\n]/g, ' ');
+  }
+
+  /**
+   * Capture group of every match of a global pattern
+   *
+   * @param {RegExp} pattern - Pattern with the `g` flag
+   * @param {string} code - Code to search
+   * @param {number} [group] - Capture group to collect
+   * @returns {string[]}
+   */
+  static collect(pattern, code, group = 1) {
+    return Array.from(code.matchAll(pattern), match => match[group]).filter(Boolean);
+  }
+}
@@ -0,0 +1,720 @@
+/**
+ * Style Config Analyzer
+ * Reads the formatter and linter configuration of a project (.editorconfig, Prettier,
+ * ESLint, Biome, Ruff, RuboCop, rustfmt and clang-format) and resolves the settings
+ * they enforce, so generated rules state the team's style instead of guessing it from code.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ManifestParser } from './manifest-parser.js';
+import { SourceLexer } from './source-lexer.js';
+
+// Config files by tool, in the order each tool looks them up
+const CONFIG_FILES = {
+  editorconfig: ['.editorconfig'],
+  prettier: ['.prettierrc', '.prettierrc.json', '.prettierrc.yaml', '.prettierrc.yml', '.prettierrc.toml',
+    '.prettierrc.js', '.prettierrc.cjs', '.prettierrc.mjs', 'prettier.config.js', 'prettier.config.cjs', 'prettier.config.mjs'],
+  eslint: ['eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs', 'eslint.config.ts', 'eslint.config.mts', 'eslint.config.cts',
+    '.eslintrc.js', '.eslintrc.cjs', '.eslintrc.yaml', '.eslintrc.yml', '.eslintrc.json', '.eslintrc'],
+  biome: ['biome.json', 'biome.jsonc'],
+  ruff: ['.ruff.toml', 'ruff.toml'],
+  rubocop: ['.rubocop.yml'],
+  rustfmt: ['rustfmt.toml', '.rustfmt.toml'],
+  clangFormat: ['.clang-format', '_clang-format']
+};
+
+// Languages of the extensions in .editorconfig section globs
+const EXTENSION_LANGUAGES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+  ts: 'typescript', tsx: 'typescript', mts: 'typescript', cts: 'typescript',
+  py: 'python', pyi: 'python',
+  rb: 'ruby', rake: 'ruby',
+  rs: 'rust',
+  go: 'go',
+  java: 'java',
+  kt: 'kotlin', kts: 'kotlin',
+  cs: 'csharp',
+  php: 'php',
+  dart: 'dart',
+  swift: 'swift',
+  c: 'cpp', cc: 'cpp', cpp: 'cpp', cxx: 'cpp', h: 'cpp', hh: 'cpp', hpp: 'cpp'
+};
+
+// Display names of the languages
+const LANGUAGE_LABELS = {
+  javascript: 'JavaScript', typescript: 'TypeScript', python: 'Python', ruby: 'Ruby', rust: 'Rust', go: 'Go',
+  java: 'Java', kotlin: 'Kotlin', csharp: 'C#', php: 'PHP', dart: 'Dart', swift: 'Swift', cpp: 'C/C++'
+};
+
+// Languages formatted by Prettier and Biome and linted by ESLint, whose settings apply to these only
+const SCRIPT_LANGUAGES = ['javascript', 'typescript'];
+
+// Settings Prettier uses when its config leaves them out; the first four fall back to .editorconfig
+const PRETTIER_DEFAULTS = { indentStyle: 'space', indentSize: 2, lineLength: 80, endOfLine: 'lf', quotes: 'double', semicolons: true, trailingCommas: 'all' };
+const PRETTIER_EDITORCONFIG_KEYS = ['indentStyle', 'indentSize', 'lineLength', 'endOfLine'];
+
+const BIOME_DEFAULTS = { indentStyle: 'tab', indentSize: 2, lineLength: 80, quotes: 'double', semicolons: true, trailingCommas: 'all' };
+const RUFF_DEFAULTS = { indentStyle: 'space', indentSize: 4, lineLength: 88, quotes: 'double' };
+const RUBOCOP_DEFAULTS = { indentStyle: 'space', indentSize: 2, lineLength: 120, quotes: 'single' };
+const RUSTFMT_DEFAULTS = { indentStyle: 'space', indentSize: 4, lineLength: 100 };
+
+// Column limit and indentation of the clang-format base styles
+const CLANG_FORMAT_STYLES = {
+  llvm: { lineLength: 80, indentSize: 2 },
+  google: { lineLength: 80, indentSize: 2 },
+  chromium: { lineLength: 80, indentSize: 2 },
+  mozilla: { lineLength: 80, indentSize: 2 },
+  webkit: { lineLength: null, indentSize: 4 },
+  microsoft: { lineLength: 120, indentSize: 4 },
+  gnu: { lineLength: 79, indentSize: 2 }
+};
+
+// ESLint rules that sort or group imports
+const ESLINT_IMPORT_ORDER_RULES = ['import/order', 'import-x/order', 'simple-import-sort/imports', 'perfectionist/sort-imports', 'sort-imports'];
+
+// Prettier options written as plain values in JavaScript config files
+const PRETTIER_OPTION = /\b(semi|singleQuote|tabWidth|useTabs|printWidth|trailingComma|endOfLine)\s*:\s*(true|false|\d+|'[^']*'|"[^"]*")/g;
+
+// ESLint rule entries in JavaScript config files: 'rule': 'error' or 'rule': ['warn', option]
+const ESLINT_RULE_ENTRY = /(?:['"]([@\w/-]+)['"]|\b([A-Za-z]\w*))\s*:\s*(\[\s*)?(['"](?:off|warn|error)['"]|[012])(?=\s*[,\]}\n])(?:\s*,\s*('[^']*'|"[^"]*"|\d+|\{[^}]*\})(?!\s*:))?/g;
+
+// Packages imported by flat ESLint configs that bring shared rule sets
+const ESLINT_PRESET_IMPORT = /\bfrom\s+['"]([^'"]*(?:eslint|prettier)[^'"]*)['"]|\brequire\(\s*['"]([^'"]*(?:eslint|prettier)[^'"]*)['"]\s*\)/g;
+
+const SETTING_LABELS = {
+  quotes: 'Quotes',
+  semicolons: 'Semicolons',
+  lineLength: 'Line length',
+  trailingCommas: 'Trailing commas',
+  endOfLine: 'Line endings',
+  finalNewline: 'Final newline',
+  importOrdering: 'Import ordering'
+};
+
+/**
+ * Strip the quotes of a string option taken from source code
+ * @param {string} value - Option text: a quoted string, a number, true or false
+ * @returns {*}
+ */
+function parseOption(value) {
+  if (value === undefined) return undefined;
+  if (/^['"]/.test(value)) return value.slice(1, -1);
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Parse JSON with comments and trailing commas (tsconfig, Biome and Prettier style)
+ * @param {string} content - JSON source
+ * @returns {*}
+ */
+function parseJsonc(content) {
+  return JSON.parse(SourceLexer.stripComments(content, 'json').replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * Index of the bracket closing the one at `start`
+ * @param {string} code - Source with comments and string contents blanked
+ * @param {number} start - Index of the opening bracket
+ * @returns {number}
+ */
+function closingBracket(code, start) {
+  const open = code[start];
+  const close = { '{': '}', '[': ']', '(': ')' }[open];
+  let depth = 0;
+  for (let i = start; i < code.length; i++) {
+    if (code[i] === open) depth++;
+    if (code[i] === close && --depth === 0) return i;
+  }
+  return code.length;
+}
+
+/**
+ * Index of the `{` of the object literal around `index`, -1 outside any object
+ * @param {string} code - Source with comments and string contents blanked
+ * @param {number} index - Index inside the object
+ * @returns {number}
+ */
+function enclosingBrace(code, index) {
+  let depth = 0;
+  for (let i = index - 1; i >= 0; i--) {
+    if (code[i] === '}') depth++;
+    if (code[i] === '{' && depth-- === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Level of an ESLint rule setting as off, warn or error
+ * @param {*} level - 0, 1, 2 or the level name
+ * @returns {*}
+ */
+function eslintLevel(level) {
+  return { 0: 'off', 1: 'warn', 2: 'error' }[level] || level;
+}
+
+/**
+ * Analyzes formatter and linter configuration files
+ */
+export class StyleConfigAnalyzer {
+  /**
+   * Read the style configuration in the project root and resolve the effective settings.
+   * .editorconfig applies to all files. Formatters and linters apply to the languages they
+   * handle, Prettier, Biome and ESLint to JavaScript and TypeScript, where formatters win over
+   * .editorconfig and ESLint stylistic rules win over what a formatter only sets by default.
+   *
+   * @param {string} projectPath - Path to the project
+   * @returns {Promise<Object>} { sources, settings, languages, linters } where settings and
+   *   languages[language] map a setting to { value, source }, with `default: true` for a tool's
+   *   default the config leaves unset, and linters lists
+   *   { tool, source, presets, rules: [{ name, level }], scopes } with the enabled rules and,
+   *   for ESLint, the rules of config blocks limited to some files as { files, ignores, rules }
+   */
+  static async analyze(projectPath) {
+    const read = async (fileName) => {
+      try {
+        return await fs.readFile(path.join(projectPath, fileName), 'utf8');
+      } catch (error) {
+        return null;
+      }
+    };
+
+    // The first config file of a tool that exists
+    const findConfig = async (tool) => {
+      for (const fileName of CONFIG_FILES[tool]) {
+        const content = await read(fileName);
+        if (content !== null) return { fileName, content };
+      }
+      return null;
+    };
+
+    const style = { sources: [], settings: {}, languages: {}, linters: [] };
+
+    let packageJson = null;
+    const packageContent = await read('package.json');
+    if (packageContent) {
+      try {
+        packageJson = JSON.parse(packageContent);
+      } catch (error) {
+        packageJson = null;
+      }
+    }
+
+    const readers = [
+      ['editorconfig', config => this.readEditorConfig(config, style)],
+      ['prettier', config => this.readPrettier(config, style)],
+      ['biome', config => this.readBiome(config, style)],
+      ['eslint', config => this.readEslint(config, style)],
+      ['ruff', config => this.readRuff(config, style)],
+      ['rubocop', config => this.readRubocop(config, style)],
+      ['rustfmt', config => this.readRustfmt(config, style)],
+      ['clangFormat', config => this.readClangFormat(config, style)]
+    ];
+
+    for (const [tool, reader] of readers) {
+      let config = await findConfig(tool);
+
+      // Prettier and ESLint can also be configured in package.json, Ruff in pyproject.toml
+      if (!config && tool === 'prettier' && packageJson?.prettier) {
+        config = { fileName: 'package.json', data: packageJson.prettier };
+      } else if (!config && tool === 'eslint' && packageJson?.eslintConfig) {
+        config = { fileName: 'package.json', data: packageJson.eslintConfig };
+      } else if (!config && tool === 'ruff') {
+        const pyproject = await read('pyproject.toml');
+        if (pyproject && /^\[tool\.ruff[\].]/m.test(pyproject)) {
+          config = { fileName: 'pyproject.toml', content: pyproject };
+        }
+      }
+      if (!config) continue;
+
+      try {
+        reader(config);
+        if (!style.sources.includes(config.fileName)) {
+          style.sources.push(config.fileName);
+        }
+      } catch (error) {
+        console.warn(`Warning: Error reading ${config.fileName}: ${error.message}`);
+      }
+    }
+
+    return style;
+  }
+
+  /**
+   * Record settings for the whole project, or for one language
+   *
+   * @param {Object} style - Analysis result
+   * @param {string|null} language - Language the settings apply to, null for all files
+   * @param {Object} values - Settings, undefined values are skipped
+   * @param {string} source - Config file the settings come from
+   * @param {Object} [options] - { keep } keys that keep a value set by an earlier config for
+   *   the language or for all files, { defaults } the values are the tool's defaults rather
+   *   than configured, so a later config may replace them
+   */
+  static apply(style, language, values, source, options = {}) {
+    const target = language ? style.languages[language] || {} : style.settings;
+    for (const [key, value] of Object.entries(values)) {
+      if (value === undefined) continue;
+      if (options.keep?.includes(key) && (target[key] || (language && style.settings[key]))) continue;
+      target[key] = options.defaults ? { value, source, default: true } : { value, source };
+    }
+    if (language && Object.keys(target).length > 0) {
+      style.languages[language] = target;
+    }
+  }
+
+  /**
+   * .editorconfig: the `[*]` section applies to all files, sections matching source
+   * extensions (`[*.py]`, `[*.{js,ts}]`) to those languages
+   * @param {Object} config - { fileName, content }
+   * @param {Object} style - Analysis result
+   */
+  static readEditorConfig({ fileName, content }, style) {
+    let section = null;
+    const sections = [];
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+
+      const header = /^\[(.+)\]$/.exec(line);
+      if (header) {
+        section = { glob: header[1].trim(), properties: {} };
+        sections.push(section);
+        continue;
+      }
+
+      const property = /^([\w-]+)\s*[=:]\s*(.*)$/.exec(line);
+      if (property && section) {
+        section.properties[property[1].toLowerCase()] = property[2].trim().toLowerCase();
+      }
+    }
+
+    for (const { glob, properties } of sections) {
+      const values = this.editorConfigValues(properties);
+      if (glob === '*' || glob === '**') {
+        this.apply(style, null, values, fileName);
+        continue;
+      }
+
+      // *.py, **.py, *.{js,ts}, src/**/*.rs
+      const extensions = /\*\.(?:\{([^}]+)\}|(\w+))$/.exec(glob);
+      if (!extensions) continue;
+      const languages = new Set((extensions[1] || extensions[2]).split(',').map(ext => EXTENSION_LANGUAGES[ext.trim()]).filter(Boolean));
+      languages.forEach(language => this.apply(style, language, values, fileName));
+    }
+  }
+
+  /**
+   * Settings of an .editorconfig section
+   * @param {Object} properties - Lowercased properties of the section
+   * @returns {Object}
+   */
+  static editorConfigValues(properties) {
+    const size = properties.indent_size === 'tab' ? properties.tab_width : properties.indent_size;
+    return {
+      indentStyle: ['space', 'tab'].includes(properties.indent_style) ? properties.indent_style : undefined,
+      indentSize: /^\d+$/.test(size || '') ? Number(size) : undefined,
+      lineLength: /^\d+$/.test(properties.max_line_length || '') ? Number(properties.max_line_length) : undefined,
+      endOfLine: ['lf', 'crlf', 'cr'].includes(properties.end_of_line) ? properties.end_of_line : undefined,
+      finalNewline: properties.insert_final_newline ? properties.insert_final_newline === 'true' : undefined,
+      quotes: ['single', 'double'].includes(properties.quote_type) ? properties.quote_type : undefined
+    };
+  }
+
+  /**
+   * Prettier: JSON, YAML and TOML configs are parsed, JavaScript configs are read for
+   * plain option values. Options left out take Prettier's defaults.
+   * @param {Object} config - { fileName, content } or { fileName, data } for package.json
+   * @param {Object} style - Analysis result
+   */
+  static readPrettier({ fileName, content, data }, style) {
+    let options = data;
+    if (options === undefined) {
+      if (/\.[cm]?js$/.test(fileName)) {
+        options = {};
+        for (const [, key, value] of SourceLexer.stripComments(content, 'javascript').matchAll(PRETTIER_OPTION)) {
+          options[key] = parseOption(value);
+        }
+      } else if (fileName.endsWith('.toml')) {
+        options = ManifestParser.parseToml(content);
+      } else if (/\.ya?ml$/.test(fileName) || (fileName === '.prettierrc' && !content.trim().startsWith('{'))) {
+        options = ManifestParser.parseYaml(content) || {};
+      } else {
+        options = parseJsonc(content);
+      }
+    }
+
+    // A string names a shared config package that cannot be resolved here
+    if (typeof options === 'string') {
+      style.linters.push({ tool: 'Prettier', source: fileName, presets: [options], rules: [] });
+      return;
+    }
+
+    const values = {
+      indentStyle: typeof options.useTabs === 'boolean' ? (options.useTabs ? 'tab' : 'space') : undefined,
+      indentSize: typeof options.tabWidth === 'number' ? options.tabWidth : undefined,
+      lineLength: typeof options.printWidth === 'number' ? options.printWidth : undefined,
+      endOfLine: ['lf', 'crlf', 'cr'].includes(options.endOfLine) ? options.endOfLine : undefined,
+      quotes: typeof options.singleQuote === 'boolean' ? (options.singleQuote ? 'single' : 'double') : undefined,
+      semicolons: typeof options.semi === 'boolean' ? options.semi : undefined,
+      trailingCommas: ['all', 'es5', 'none'].includes(options.trailingComma) ? options.trailingComma : undefined
+    };
+
+    for (const language of SCRIPT_LANGUAGES) {
+      this.apply(style, language, PRETTIER_DEFAULTS, fileName, { keep: PRETTIER_EDITORCONFIG_KEYS, defaults: true });
+      this.apply(style, language, values, fileName);
+    }
+  }
+
+  /**
+   * Biome: formatter settings, import organizing and the enabled lint rules
+   * @param {Object} config - { fileName, content }
+   * @param {Object} style - Analysis result
+   */
+  static readBiome({ fileName, content }, style) {
+    const biome = parseJsonc(content);
+    const formatter = biome.formatter || {};
+    const jsFormatter = biome.javascript?.formatter || {};
+
+    const values = {};
+    if (formatter.enabled !== false) {
+      SCRIPT_LANGUAGES.forEach(language => this.apply(style, language, BIOME_DEFAULTS, fileName, { defaults: true }));
+      Object.assign(values, {
+        indentStyle: ['space', 'tab'].includes(formatter.indentStyle) ? formatter.indentStyle : undefined,
+        indentSize: typeof formatter.indentWidth === 'number' ? formatter.indentWidth : undefined,
+        lineLength: typeof formatter.lineWidth === 'number' ? formatter.lineWidth : undefined,
+        endOfLine: ['lf', 'crlf', 'cr'].includes(formatter.lineEnding) ? formatter.lineEnding : undefined,
+        quotes: ['single', 'double'].includes(jsFormatter.quoteStyle) ? jsFormatter.quoteStyle : undefined,
+        semicolons: jsFormatter.semicolons ? jsFormatter.semicolons === 'always' : undefined,
+        trailingCommas: ['all', 'es5', 'none'].includes(jsFormatter.trailingCommas) ? jsFormatter.trailingCommas : undefined
+      });
+    }
+
+    // organizeImports in Biome 1, the organizeImports assist action in Biome 2
+    const organizeImports = biome.assist?.actions?.source?.organizeImports;
+    if (biome.organizeImports?.enabled !== false && (biome.organizeImports || (organizeImports && organizeImports !== 'off'))) {
+      values.importOrdering = 'sorted by Biome organize imports';
+    }
+    SCRIPT_LANGUAGES.forEach(language => this.apply(style, language, values, fileName));
+
+    if (biome.linter?.enabled === false) return;
+    const lintRules = biome.linter?.rules || {};
+    const presets = [...[].concat(biome.extends || []), ...(lintRules.recommended !== false ? ['recommended'] : [])];
+    const rules = [];
+    for (const [group, groupRules] of Object.entries(lintRules)) {
+      if (!groupRules || typeof groupRules !== 'object') continue;
+      for (const [name, setting] of Object.entries(groupRules)) {
+        const level = typeof setting === 'string' ? setting : setting?.level;
+        if (level && level !== 'off') rules.push({ name: `${group}/${name}`, level });
+      }
+    }
+    style.linters.push({ tool: 'Biome', source: fileName, presets, rules });
+  }
+
+  /**
+   * ESLint: shared configs and the enabled rules. Stylistic rules (quotes, semi, indent,
+   * max-len, comma-dangle) fill settings no formatter config sets, replacing formatter defaults. Rules of config blocks limited
+   * to some files (`files` or `ignores`, `overrides` in .eslintrc) are kept as scopes and
+   * leave the project-wide rules alone.
+   * @param {Object} config - { fileName, content } or { fileName, data } for package.json
+   * @param {Object} style - Analysis result
+   */
+  static readEslint({ fileName, content, data }, style) {
+    const presets = [];
+    let blocks;
+
+    if (data === undefined && /\.[cm]?[jt]s$/.test(fileName)) {
+      const code = SourceLexer.stripComments(content, 'javascript');
+      for (const match of code.matchAll(ESLINT_PRESET_IMPORT)) {
+        presets.push(match[1] || match[2]);
+      }
+      for (const match of code.matchAll(/\bextends\s*:\s*\[?\s*((?:['"][^'"]+['"]\s*,?\s*)+)/g)) {
+        presets.push(...[...match[1].matchAll(/['"]([^'"]+)['"]/g)].map(extended => extended[1]));
+      }
+      blocks = this.eslintRuleBlocks(content);
+    } else {
+      const eslintConfig = data !== undefined ? data
+        : /\.ya?ml$/.test(fileName) || (fileName === '.eslintrc' && !content.trim().startsWith('{'))
+          ? ManifestParser.parseYaml(content) || {}
+          : parseJsonc(content);
+      presets.push(...[].concat(eslintConfig.extends || []));
+
+      const block = (config, files = [], ignores = []) => ({
+        files: [].concat(files),
+        ignores: [].concat(ignores),
+        rules: Object.fromEntries(Object.entries(config.rules || {}).map(([name, setting]) => {
+          const [level, option] = Array.isArray(setting) ? setting : [setting];
+          return [name, { level: eslintLevel(level), option: option?.code ?? option }];
+        }))
+      });
+      const overrides = [].concat(eslintConfig.overrides || []).filter(override => override && typeof override === 'object');
+      blocks = [block(eslintConfig), ...overrides.map(override => block(override, override.files, override.excludedFiles))];
+    }
+
+    // Blocks for all files apply in order, a later setting of a rule replaces an earlier one
+    const scoped = block => block.files.length > 0 || block.ignores.length > 0;
+    const rules = Object.assign({}, ...blocks.filter(block => !scoped(block)).map(block => block.rules));
+    const enabled = Object.entries(rules)
+      .map(([name, { level, option }]) => ({ name, level, option }))
+      .filter(rule => ['warn', 'error'].includes(rule.level));
+
+    // @stylistic/quotes, @stylistic/js/semi and @typescript-eslint/indent configure the same settings
+    const stylistic = Object.fromEntries(enabled.map(rule => [rule.name.replace(/^@(?:stylistic|typescript-eslint)\/(?:js\/|ts\/)?/, ''), rule.option]));
+    const values = {};
+    if ('quotes' in stylistic && ['single', 'double'].includes(stylistic.quotes)) values.quotes = stylistic.quotes;
+    if ('semi' in stylistic) values.semicolons = stylistic.semi !== 'never';
+    if ('indent' in stylistic) {
+      values.indentStyle = stylistic.indent === 'tab' ? 'tab' : 'space';
+      if (stylistic.indent !== 'tab') values.indentSize = typeof stylistic.indent === 'number' ? stylistic.indent : 4;
+    }
+    if ('max-len' in stylistic) values.lineLength = typeof stylistic['max-len'] === 'number' ? stylistic['max-len'] : 80;
+    if ('comma-dangle' in stylistic) {
+      const trailing = { 'never': 'none', 'always': 'all', 'always-multiline': 'all' }[stylistic['comma-dangle'] || 'never'];
+      if (trailing) values.trailingCommas = trailing;
+    }
+    const importOrder = enabled.find(rule => ESLINT_IMPORT_ORDER_RULES.includes(rule.name));
+    if (importOrder) values.importOrdering = `enforced by the ESLint rule ${importOrder.name}`;
+
+    // Replace .editorconfig settings and formatter defaults, keep what a formatter config sets
+    for (const language of SCRIPT_LANGUAGES) {
+      const settings = style.languages[language] || {};
+      const unformatted = Object.entries(values)
+        .filter(([key]) => !settings[key] || settings[key].default || CONFIG_FILES.editorconfig.includes(settings[key].source));
+      this.apply(style, language, Object.fromEntries(unformatted), fileName);
+    }
+
+    style.linters.push({
+      tool: 'ESLint',
+      source: fileName,
+      presets: [...new Set(presets)],
+      rules: enabled.map(({ name, level }) => ({ name, level })),
+      scopes: blocks.filter(scoped)
+        .map(block => ({
+          files: block.files,
+          ignores: block.ignores,
+          rules: Object.entries(block.rules)
+            .filter(([, { level }]) => ['off', 'warn', 'error'].includes(level))
+            .map(([name, { level }]) => ({ name, level }))
+        }))
+        .filter(scope => scope.rules.length > 0)
+    });
+  }
+
+  /**
+   * Config blocks of a JavaScript ESLint config: each `rules` object with the `files` and
+   * `ignores` patterns of the object it sits in, empty for blocks that apply to all files
+   * @param {string} content - Config source
+   * @returns {Object[]} { files, ignores, rules } where rules maps a rule to { level, option }
+   */
+  static eslintRuleBlocks(content) {
+    const code = SourceLexer.stripComments(content, 'javascript');
+    const masked = SourceLexer.stripComments(content, 'javascript', { blankStrings: true });
+    const blocks = [];
+
+    for (const match of code.matchAll(/(['"]?)\brules\1\s*:\s*\{/g)) {
+      // A key in a string literal is blanked in the masked code
+      if (masked[match.index + match[1].length] !== 'r') continue;
+
+      const open = match.index + match[0].length - 1;
+      const rules = {};
+      for (const entry of code.slice(open, closingBracket(masked, open) + 1).matchAll(ESLINT_RULE_ENTRY)) {
+        const option = entry[5];
+        rules[entry[1] || entry[2]] = {
+          level: eslintLevel(parseOption(entry[4])),
+          option: option?.startsWith('{') ? Number(/\bcode\s*:\s*(\d+)/.exec(option)?.[1]) || undefined : parseOption(option)
+        };
+      }
+
+      // Top-level properties of the object around the rules, with nested values blanked
+      const block = { files: [], ignores: [], rules };
+      const objectStart = enclosingBrace(masked, match.index);
+      const objectEnd = objectStart === -1 ? -1 : closingBracket(masked, objectStart);
+      let depth = 0;
+      let properties = '';
+      for (let i = objectStart + 1; i < objectEnd; i++) {
+        if ('{[('.includes(masked[i])) depth++;
+        properties += depth === 0 ? code[i] : masked[i] === '\n' ? '\n' : ' ';
+        if ('}])'.includes(masked[i])) depth--;
+      }
+      for (const property of properties.matchAll(/(?:^|[\s,])(['"]?)(files|ignores)\1\s*:/g)) {
+        const valueStart = property.index + property[0].length;
+        const valueEnd = properties.indexOf(',', valueStart);
+        const value = code.slice(objectStart + 1 + valueStart, objectStart + 1 + (valueEnd === -1 ? properties.length : valueEnd));
+        const patterns = SourceLexer.collect(/['"]([^'"]+)['"]/g, value);
+        block[property[2]] = patterns.length > 0 ? patterns : [value.trim()];
+      }
+
+      blocks.push(block);
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Ruff: line length, indentation, quote style, isort and the selected rule codes of
+   * ruff.toml or the [tool.ruff] table of pyproject.toml
+   * @param {Object} config - { fileName, content }
+   * @param {Object} style - Analysis result
+   */
+  static readRuff({ fileName, content }, style) {
+    const parsed = ManifestParser.parseToml(content);
+    const ruff = fileName === 'pyproject.toml' ? parsed.tool?.ruff || {} : parsed;
+    const lint = ruff.lint || {};
+    const format = ruff.format || {};
+
+    this.apply(style, 'python', RUFF_DEFAULTS, fileName, { defaults: true });
+    this.apply(style, 'python', {
+      indentSize: typeof ruff['indent-width'] === 'number' ? ruff['indent-width'] : undefined,
+      lineLength: typeof ruff['line-length'] === 'number' ? ruff['line-length'] : undefined,
+      indentStyle: ['space', 'tab'].includes(format['indent-style']) ? format['indent-style'] : undefined,
+      quotes: ['single', 'double'].includes(format['quote-style']) ? format['quote-style'] : undefined,
+      endOfLine: ['lf', 'cr-lf'].includes(format['line-ending']) ? format['line-ending'].replace('-', '') : undefined
+    }, fileName);
+
+    // Older configs put select and ignore at the top level
+    const selected = [...(lint.select || ruff.select || ['E4', 'E7', 'E9', 'F']), ...(lint['extend-select'] || ruff['extend-select'] || [])];
+    const ignored = new Set([...(lint.ignore || ruff.ignore || [])]);
+    const codes = [...new Set(selected)].filter(code => !ignored.has(code));
+
+    if (codes.some(code => code === 'ALL' || /^I\d*$/.test(code))) {
+      this.apply(style, 'python', { importOrdering: 'sorted and grouped by the Ruff isort rules (I)' }, fileName);
+    }
+
+    style.linters.push({ tool: 'Ruff', source: fileName, presets: [], rules: codes.map(code => ({ name: code, level: 'error' })) });
+  }
+
+  /**
+   * RuboCop: layout and string literal cops, inherited configs and the enabled cops
+   * @param {Object} config - { fileName, content }
+   * @param {Object} style - Analysis result
+   */
+  static readRubocop({ fileName, content }, style) {
+    const rubocop = ManifestParser.parseYaml(content) || {};
+    const cop = name => (rubocop[name] && typeof rubocop[name] === 'object' ? rubocop[name] : {});
+    const stringStyle = cop('Style/StringLiterals').EnforcedStyle;
+
+    this.apply(style, 'ruby', RUBOCOP_DEFAULTS, fileName, { defaults: true });
+    this.apply(style, 'ruby', {
+      indentSize: typeof cop('Layout/IndentationWidth').Width === 'number' ? cop('Layout/IndentationWidth').Width : undefined,
+      indentStyle: { spaces: 'space', tabs: 'tab' }[cop('Layout/IndentationStyle').EnforcedStyle],
+      lineLength: cop('Layout/LineLength').Enabled === false ? null
+        : typeof cop('Layout/LineLength').Max === 'number' ? cop('Layout/LineLength').Max : undefined,
+      quotes: { single_quotes: 'single', double_quotes: 'double' }[stringStyle],
+      importOrdering: cop('Style/RequireOrder').Enabled === true ? 'requires sorted by the RuboCop cop Style/RequireOrder' : undefined
+    }, fileName);
+
+    const presets = [
+      ...[].concat(rubocop.inherit_from || []),
+      ...Object.keys(rubocop.inherit_gem || {}),
+      ...[].concat(rubocop.require || []),
+      ...[].concat(rubocop.plugins || [])
+    ].filter(preset => typeof preset === 'string');
+    const rules = Object.entries(rubocop)
+      .filter(([name, settings]) => /^[A-Z]\w*\/\w+$/.test(name) && settings?.Enabled !== false)
+      .map(([name]) => ({ name, level: 'enabled' }));
+
+    style.linters.push({ tool: 'RuboCop', source: fileName, presets, rules });
+  }
+
+  /**
+   * rustfmt: width, indentation and import grouping
+   * @param {Object} config - { fileName, content }
+   * @param {Object} style - Analysis result
+   */
+  static readRustfmt({ fileName, content }, style) {
+    const rustfmt = ManifestParser.parseToml(content);
+
+    const ordering = [];
+    if (rustfmt.reorder_imports !== false) ordering.push('sorted');
+    if (rustfmt.group_imports === 'StdExternalCrate') ordering.push('grouped as std, external crates, then this crate');
+    if (rustfmt.group_imports === 'One') ordering.push('in a single group');
+    if (typeof rustfmt.imports_granularity === 'string' && rustfmt.imports_granularity !== 'Preserve') {
+      ordering.push(`merged per ${rustfmt.imports_granularity.toLowerCase()}`);
+    }
+
+    this.apply(style, 'rust', RUSTFMT_DEFAULTS, fileName, { defaults: true });
+    this.apply(style, 'rust', {
+      indentStyle: typeof rustfmt.hard_tabs === 'boolean' ? (rustfmt.hard_tabs ? 'tab' : 'space') : undefined,
+      indentSize: typeof rustfmt.tab_spaces === 'number' ? rustfmt.tab_spaces : undefined,
+      lineLength: typeof rustfmt.max_width === 'number' ? rustfmt.max_width : undefined,
+      endOfLine: { Unix: 'lf', Windows: 'crlf' }[rustfmt.newline_style],
+      importOrdering: ordering.length > 0 ? `${ordering.join(', ')} by rustfmt` : 'kept as written (rustfmt reorder_imports is off)'
+    }, fileName);
+  }
+
+  /**
+   * clang-format: the base style's defaults overridden by the C/C++ document of the config
+   * @param {Object} config - { fileName, content }
+   * @param {Object} style - Analysis result
+   */
+  static readClangFormat({ fileName, content }, style) {
+    const documents = content.split(/^---\s*$/m)
+      .map(document => ManifestParser.parseYaml(document))
+      .filter(document => document && typeof document === 'object');
+    const clangFormat = documents.find(document => !document.Language || document.Language === 'Cpp') || {};
+    const base = CLANG_FORMAT_STYLES[String(clangFormat.BasedOnStyle || 'llvm').toLowerCase()] || CLANG_FORMAT_STYLES.llvm;
+
+    const sortIncludes = clangFormat.SortIncludes;
+    const sorted = sortIncludes !== false && sortIncludes !== 'Never';
+    const regrouped = clangFormat.IncludeBlocks === 'Regroup';
+
+    this.apply(style, 'cpp', { indentStyle: 'space', ...base }, fileName, { defaults: true });
+    this.apply(style, 'cpp', {
+      indentStyle: typeof clangFormat.UseTab === 'string' || typeof clangFormat.UseTab === 'boolean'
+        ? (clangFormat.UseTab === 'Never' || clangFormat.UseTab === false ? 'space' : 'tab') : undefined,
+      indentSize: typeof clangFormat.IndentWidth === 'number' ? clangFormat.IndentWidth : undefined,
+      lineLength: typeof clangFormat.ColumnLimit === 'number' ? clangFormat.ColumnLimit || null : undefined,
+      importOrdering: sorted
+        ? `includes sorted${regrouped ? ' and regrouped by category' : ' within blocks'} by clang-format`
+        : 'includes kept as written (clang-format SortIncludes is off)'
+    }, fileName);
+  }
+
+  /**
+   * Human-readable lines for a set of resolved settings, e.g. "Indentation: 2 spaces (.prettierrc)"
+   * @param {Object} settings - Setting name to { value, source }
+   * @param {Object} [inherited] - Settings for all files, completing a language's indentation
+   * @returns {string[]}
+   */
+  static describe(settings = {}, inherited = {}) {
+    const lines = [];
+    const indentStyle = settings.indentStyle || (settings.indentSize && inherited.indentStyle);
+    const indentSize = settings.indentSize || (settings.indentStyle && inherited.indentSize);
+
+    if (indentStyle || indentSize) {
+      const source = (indentSize || indentStyle).source;
+      const indentation = indentStyle?.value === 'tab'
+        ? `tabs${indentSize ? ` (width ${indentSize.value})` : ''}`
+        : `${indentSize ? indentSize.value : 'consistent'} spaces`;
+      lines.push(`Indentation: ${indentation} (${source})`);
+    }
+
+    for (const [key, label] of Object.entries(SETTING_LABELS)) {
+      const setting = settings[key];
+      if (!setting) continue;
+
+      let value = setting.value;
+      if (key === 'semicolons') value = value ? 'always' : 'never, except where required';
+      if (key === 'quotes') value = `${value} quotes for strings`;
+      if (key === 'lineLength') value = value === null ? 'no limit' : `${value} characters`;
+      if (key === 'trailingCommas') value = { all: 'wherever valid, in multiline lists', es5: 'where valid in ES5 (objects, arrays)', none: 'never' }[value] || value;
+      if (key === 'endOfLine') value = value.toUpperCase();
+      if (key === 'finalNewline') value = value ? 'required' : 'omitted';
+      lines.push(`${label}: ${value} (${setting.source})`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Display name of a language key
+   * @param {string} language - Language key (python, cpp...)
+   * @returns {string}
+   */
+  static languageLabel(language) {
+    return LANGUAGE_LABELS[language] || language;
+  }
+}
@@ -1,10 +1,27 @@
 /**
  * TypeScript Parser
- * Provides TypeScript parsing functionality for code analysis
+ * Parses TypeScript and TSX into a Babel AST with the TypeScript parsers bundled
+ * with jscodeshift, and extracts the imports, exports and type-level declarations
+ * (interfaces, type aliases, enums, decorators) the analyzers work with.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import createTsParser from 'jscodeshift/parser/ts.js';
+import createTsxParser from 'jscodeshift/parser/tsx.js';
+
+// `.ts` files are parsed without JSX so `<Type>value` assertions stay valid
+const tsParser = createTsParser();
+const tsxParser = createTsxParser();
+
+// Node properties that never contain child nodes worth visiting
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'tokens', 'comments', 'leadingComments', 'trailingComments', 'innerComments']);
+
+// Built-in utility types worth reporting
+const UTILITY_TYPES = ['Partial', 'Required', 'Readonly', 'Record', 'Pick', 'Omit', 'Exclude', 'Extract', 'NonNullable', 'ReturnType', 'Parameters', 'Awaited'];
+
+// Types used to annotate React function components
+const FUNCTION_COMPONENT_TYPES = ['FC', 'FunctionComponent', 'React.FC', 'React.FunctionComponent'];
 
 /**
  * Parses TypeScript files for analysis
@@ -12,68 +29,251 @@ import path from 'path';
 export class TypeScriptParser {
   /**
    * Determine if a file is likely TypeScript based on extension
-   * 
+   *
    * @param {string} filePath - Path to the file
    * @returns {boolean} - True if file is TypeScript
    */
   static isTypeScriptFile(filePath) {
     const ext = path.extname(filePath).toLowerCase();
-    return ext === '.ts' || ext === '.tsx' || ext === '.d.ts';
+    return ['.ts', '.tsx', '.mts', '.cts'].includes(ext);
+  }
+
+  /**
+   * Parse TypeScript source
+   *
+   * @param {string} content - Source code
+   * @param {string} filePath - Path of the file, `.tsx` files are parsed with JSX
+   * @returns {Object} - Babel AST (a File node)
+   * @throws {SyntaxError} - When the source does not parse
+   */
+  static parse(content, filePath) {
+    const parser = path.extname(filePath).toLowerCase() === '.tsx' ? tsxParser : tsParser;
+    return parser.parse(content);
   }
-  
+
   /**
-   * Safely parse TypeScript file content
-   * 
+   * Safely read and parse a TypeScript file
+   *
    * @param {string} filePath - Path to the TypeScript file
-   * @returns {Promise<{content: string, success: boolean, error: Error|null}>} - Parse result
+   * @returns {Promise<{content: string, ast: Object|null, success: boolean, error: Error|null}>} - Parse result
    */
   static async parseFile(filePath) {
+    let content = '';
     try {
-      // For now, we just read the file, but don't try to parse the syntax
-      // In a real implementation, we'd use the TypeScript compiler API
-      const content = await fs.readFile(filePath, 'utf8');
-      return { content, success: true, error: null };
+      content = await fs.readFile(filePath, 'utf8');
+      return { content, ast: this.parse(content, filePath), success: true, error: null };
     } catch (error) {
-      return { content: '', success: false, error };
+      return { content, ast: null, success: false, error };
     }
   }
-  
+
   /**
-   * Extract imports from TypeScript file
-   * 
-   * @param {string} content - File content
-   * @returns {string[]} - Array of imported modules
+   * Call the visitor of every node type found in a tree
+   *
+   * @param {Object} node - Root node
+   * @param {Object} visitors - Functions keyed by node type, called with (node, parent)
+   * @param {Object} [parent] - Parent of the root node
    */
-  static extractImports(content) {
-    // Simple regex to extract imports - this is a simplification
-    // A real implementation would use the TypeScript AST
-    const importRegex = /import\s+(?:{[^}]*}|\*\s+as\s+\w+|\w+)\s+from\s+['"]([^'"]+)['"]/g;
-    const imports = [];
-    let match;
-    
-    while ((match = importRegex.exec(content)) !== null) {
-      imports.push(match[1]);
+  static visit(node, visitors, parent = null) {
+    if (!node || typeof node.type !== 'string') return;
+
+    if (visitors[node.type]) {
+      visitors[node.type](node, parent);
+    }
+
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(item => item && typeof item === 'object' && this.visit(item, visitors, node));
+      } else if (child && typeof child === 'object') {
+        this.visit(child, visitors, node);
+      }
     }
-    
-    return imports;
   }
-  
+
   /**
-   * Extract exports from TypeScript file
-   * 
-   * @param {string} content - File content
-   * @returns {string[]} - Array of exported items
+   * Extract imports from a TypeScript AST
+   *
+   * @param {Object} ast - AST from parse()
+   * @returns {Array<{source: string, names: string[], typeOnly: boolean}>} - Imported modules with
+   *   the local names they bind
    */
-  static extractExports(content) {
-    // Simple regex to extract exports - this is a simplification
-    const exportRegex = /export\s+(const|let|var|function|class|interface|type|enum)\s+(\w+)/g;
+  static extractImports(ast) {
+    return ast.program.body
+      .filter(node => node.type === 'ImportDeclaration')
+      .map(node => ({
+        source: node.source.value,
+        names: node.specifiers.map(specifier => specifier.local.name),
+        typeOnly: node.importKind === 'type'
+      }));
+  }
+
+  /**
+   * Extract the exported API surface of a TypeScript AST
+   *
+   * @param {Object} ast - AST from parse()
+   * @returns {Array<{name: string, kind: string}>} - Exported names with their kind: class, function,
+   *   variable, interface, type, enum, namespace, binding (`export { name }`), re-export or value
+   *   (a default export of an expression)
+   */
+  static extractExports(ast) {
     const exports = [];
-    let match;
-    
-    while ((match = exportRegex.exec(content)) !== null) {
-      exports.push(match[2]);
+
+    for (const node of ast.program.body) {
+      if (node.type === 'ExportNamedDeclaration') {
+        if (node.declaration) {
+          exports.push(...this.declaredNames(node.declaration));
+        }
+        for (const specifier of node.specifiers) {
+          const exported = specifier.exported || specifier.local;
+          exports.push({
+            name: exported.name ?? exported.value,
+            kind: node.source ? 're-export' : 'binding'
+          });
+        }
+      } else if (node.type === 'ExportDefaultDeclaration') {
+        const [declared] = this.declaredNames(node.declaration);
+        exports.push({ name: 'default', kind: declared ? declared.kind : 'value' });
+      } else if (node.type === 'ExportAllDeclaration') {
+        exports.push({ name: node.exported ? node.exported.name : '*', kind: 're-export' });
+      } else if (node.type === 'TSExportAssignment') {
+        exports.push({ name: 'default', kind: 'value' });
+      }
     }
-    
+
     return exports;
   }
+
+  /**
+   * Names and kinds introduced by a declaration
+   *
+   * @param {Object} declaration - Declaration node
+   * @returns {Array<{name: string, kind: string}>}
+   */
+  static declaredNames(declaration) {
+    const name = declaration.id ? declaration.id.name ?? declaration.id.value : null;
+
+    switch (declaration.type) {
+      case 'ClassDeclaration':
+        return [{ name: name || 'default', kind: 'class' }];
+      case 'FunctionDeclaration':
+      case 'TSDeclareFunction':
+        return [{ name: name || 'default', kind: 'function' }];
+      case 'TSInterfaceDeclaration':
+        return [{ name, kind: 'interface' }];
+      case 'TSTypeAliasDeclaration':
+        return [{ name, kind: 'type' }];
+      case 'TSEnumDeclaration':
+        return [{ name, kind: 'enum' }];
+      case 'TSModuleDeclaration':
+        return [{ name, kind: 'namespace' }];
+      case 'VariableDeclaration':
+        return declaration.declarations
+          .filter(declarator => declarator.id.type === 'Identifier')
+          .map(declarator => ({ name: declarator.id.name, kind: 'variable' }));
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Extract the type-level declarations of a TypeScript AST
+   *
+   * @param {Object} ast - AST from parse()
+   * @returns {Object} - { interfaces, types, enums } (declared names), decorators ({ name, source } per
+   *   use, source being the module the decorator is imported from or null) and how often other
+   *   type features are used (genericCount, typeGuards, utilityTypes, mappedTypes, functionComponentTypes)
+   */
+  static extractDeclarations(ast) {
+    const declarations = {
+      interfaces: [],
+      types: [],
+      enums: [],
+      decorators: [],
+      genericCount: 0,
+      typeGuards: 0,
+      utilityTypes: [],
+      mappedTypes: 0,
+      functionComponentTypes: 0
+    };
+
+    // Local name -> module, to tell the decorators of different frameworks apart
+    const importSources = new Map();
+    for (const { source, names } of this.extractImports(ast)) {
+      names.forEach(name => importSources.set(name, source));
+    }
+
+    this.visit(ast.program, {
+      TSInterfaceDeclaration(node) {
+        declarations.interfaces.push(node.id.name);
+      },
+      TSTypeAliasDeclaration(node) {
+        declarations.types.push(node.id.name);
+      },
+      TSEnumDeclaration(node) {
+        declarations.enums.push(node.id.name);
+      },
+      Decorator(node) {
+        const name = TypeScriptParser.decoratorName(node.expression);
+        if (name) {
+          const [root] = name.split('.');
+          declarations.decorators.push({ name, source: importSources.get(root) || null });
+        }
+      },
+      TSTypeParameterDeclaration() {
+        declarations.genericCount++;
+      },
+      TSTypeParameterInstantiation() {
+        declarations.genericCount++;
+      },
+      TSTypePredicate() {
+        declarations.typeGuards++;
+      },
+      TSMappedType() {
+        declarations.mappedTypes++;
+      },
+      TSTypeReference(node) {
+        const name = TypeScriptParser.qualifiedName(node.typeName);
+        if (UTILITY_TYPES.includes(name)) {
+          declarations.utilityTypes.push(name);
+        } else if (FUNCTION_COMPONENT_TYPES.includes(name)) {
+          declarations.functionComponentTypes++;
+        }
+      }
+    });
+
+    declarations.utilityTypes = [...new Set(declarations.utilityTypes)];
+    return declarations;
+  }
+
+  /**
+   * Name of a decorator expression: `@Injectable()` and `@Injectable` give Injectable,
+   * `@core.Component()` gives core.Component
+   *
+   * @param {Object} expression - Decorator expression
+   * @returns {string|null}
+   */
+  static decoratorName(expression) {
+    const target = expression.type === 'CallExpression' ? expression.callee : expression;
+    if (target.type === 'Identifier') return target.name;
+    if (target.type === 'MemberExpression' && target.object.type === 'Identifier' && target.property.type === 'Identifier') {
+      return `${target.object.name}.${target.property.name}`;
+    }
+    return null;
+  }
+
+  /**
+   * Dotted name of a type reference (Partial, React.FC)
+   *
+   * @param {Object} typeName - Identifier or TSQualifiedName
+   * @returns {string}
+   */
+  static qualifiedName(typeName) {
+    if (typeName.type === 'TSQualifiedName') {
+      return `${this.qualifiedName(typeName.left)}.${typeName.right.name}`;
+    }
+    return typeName.name;
+  }
 }
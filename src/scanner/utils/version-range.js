@@ -0,0 +1,272 @@
+/**
+ * Version Range
+ * Compares versions and reads the version constraints of package manifests
+ * (npm, PEP 440, Bundler, Composer, Cargo, pub...), so detected technologies can
+ * carry a version and rule templates can declare the versions they apply to.
+ */
+
+// Comparison operators of the supported constraint syntaxes, longest first
+const OPERATOR_PATTERN = /^(===|==|>=|<=|~>|~=|!=|\^|~|>|<|=)?(.*)$/;
+
+/**
+ * Split a constraint into its alternatives (`||` in npm, `|` in Composer)
+ * and each alternative into its comparators
+ * @param {string} range - Version constraint
+ * @returns {string[][]} Comparators of each alternative
+ */
+function splitRange(range) {
+  return String(range)
+    .split(/\s*\|\|?\s*/)
+    .map(alternative => alternative
+      // Operators may be separated from their version (`>= 3.0`, `~> 7.1`)
+      .replace(/(===|==|>=|<=|~>|~=|!=|\^|~|>|<|=)\s+/g, '$1')
+      .split(/[\s,]+/)
+      .filter(Boolean));
+}
+
+/**
+ * Version comparison and constraint helpers
+ */
+export class VersionRange {
+  /**
+   * Read the numeric segments of a version, ignoring a `v` prefix and any
+   * pre-release or build suffix
+   * @param {string} version - Version like 18.2.0, v1.22 or 7.1.3.2
+   * @returns {number[]|null} Segments, or null when the value is not a version
+   */
+  static parse(version) {
+    if (version === null || version === undefined) return null;
+    const match = String(version).trim().replace(/^[v=]+/i, '').match(/^\d+(\.\d+)*/);
+    return match ? match[0].split('.').map(Number) : null;
+  }
+
+  /**
+   * Compare two versions, missing segments count as zero
+   * @param {string|number[]} a - First version
+   * @param {string|number[]} b - Second version
+   * @returns {number} Negative, zero or positive like a sort comparator
+   */
+  static compare(a, b) {
+    const left = Array.isArray(a) ? a : this.parse(a) || [];
+    const right = Array.isArray(b) ? b : this.parse(b) || [];
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const difference = (left[i] || 0) - (right[i] || 0);
+      if (difference !== 0) return difference;
+    }
+    return 0;
+  }
+
+  /**
+   * Major version of a version
+   * @param {string} version - Version
+   * @returns {number|null}
+   */
+  static major(version) {
+    const segments = this.parse(version);
+    return segments ? segments[0] : null;
+  }
+
+  /**
+   * Lowest version a manifest constraint allows, used as the version of a
+   * dependency that no lockfile resolves
+   * (^18.2.0 -> 18.2.0, ~> 7.1 -> 7.1, >=3.3.0 <4.0.0 -> 3.3.0, 4.2.* -> 4.2)
+   * @param {string} constraint - Version constraint
+   * @returns {string|null} Version, or null when the constraint has no lower bound
+   *   (*, latest, <5, git and path sources...)
+   */
+  static minVersion(constraint) {
+    if (!constraint) return null;
+
+    // Maven ranges ([1.0,2.0), (,2.0]) start with their lower bound
+    const mavenRange = String(constraint).trim().match(/^[[(]\s*([^,\])]*)/);
+    if (mavenRange) {
+      return this.parse(mavenRange[1]) ? mavenRange[1].trim() : null;
+    }
+
+    let lowest = null;
+    for (const comparators of splitRange(constraint)) {
+      // A hyphen range (1.2.3 - 2.3.4) is bounded below by its first version
+      const hyphen = comparators.indexOf('-');
+      let bound = null;
+
+      for (const comparator of hyphen === -1 ? comparators : comparators.slice(0, hyphen)) {
+        const [, operator = '', value] = comparator.match(OPERATOR_PATTERN);
+        if (['<', '<=', '!='].includes(operator)) continue;
+
+        const version = value.match(/^v?\d+(\.\d+)*/i);
+        if (!version) continue;
+
+        // All comparators of an alternative apply, so the highest lower bound wins
+        const normalized = version[0].replace(/^v/i, '');
+        if (!bound || this.compare(normalized, bound) > 0) bound = normalized;
+      }
+
+      if (bound && (!lowest || this.compare(bound, lowest) < 0)) lowest = bound;
+    }
+
+    return lowest;
+  }
+
+  /**
+   * Pre-release tag of a version (19.0.0-rc.1 -> rc.1)
+   * @param {string} version - Version
+   * @returns {string|null} Tag, or null for a release
+   */
+  static prerelease(version) {
+    const match = String(version).trim().replace(/^[v=]+/i, '').match(/^\d+(?:\.\d+)*-([0-9A-Za-z.-]+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Compare the pre-release tags of two versions with the same segments: a release
+   * comes after its pre-releases, numeric identifiers compare as numbers
+   * @param {string|null} a - First tag
+   * @param {string|null} b - Second tag
+   * @returns {number} Negative, zero or positive like a sort comparator
+   */
+  static comparePrerelease(a, b) {
+    if (a === b) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+
+    const left = a.split('.');
+    const right = b.split('.');
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      if (left[i] === undefined) return -1;
+      if (right[i] === undefined) return 1;
+      if (left[i] === right[i]) continue;
+
+      const leftNumeric = /^\d+$/.test(left[i]);
+      const rightNumeric = /^\d+$/.test(right[i]);
+      if (leftNumeric && rightNumeric) return Number(left[i]) - Number(right[i]);
+      if (leftNumeric !== rightNumeric) return leftNumeric ? -1 : 1;
+      return left[i] < right[i] ? -1 : 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Replace a hyphen range (1.2.3 - 2.3.4) with its comparators; a partial upper
+   * version includes everything it starts (1 - 2 -> >=1 <3)
+   * @param {string[]} comparators - Comparators of one alternative
+   * @returns {string[]}
+   */
+  static expandHyphenRange(comparators) {
+    const hyphen = comparators.indexOf('-');
+    if (hyphen <= 0 || hyphen === comparators.length - 1) return comparators;
+
+    const upper = comparators[hyphen + 1];
+    const upperSegments = this.parse(upper) || [0];
+    const upperBound = upperSegments.length < 3 || /[*xX]/.test(upper)
+      ? `<${this.increment(upperSegments, upperSegments.length - 1).join('.')}`
+      : `<=${upper}`;
+
+    return [...comparators.slice(0, hyphen - 1), `>=${comparators[hyphen - 1]}`, upperBound, ...comparators.slice(hyphen + 2)];
+  }
+
+  /**
+   * Whether a version satisfies a range in npm syntax: comparators (>=, >, <=, <, =),
+   * caret and tilde ranges, x-ranges (18, 18.x), hyphen ranges (1 - 2) and `||`
+   * alternatives. As in npm, a pre-release (19.0.0-rc.1) only satisfies an alternative
+   * that names a pre-release of the same version.
+   * @param {string} version - Version to test
+   * @param {string} range - Version range
+   * @returns {boolean}
+   */
+  static satisfies(version, range) {
+    const segments = this.parse(version);
+    if (!segments) return false;
+    const tag = this.prerelease(version);
+    if (!range || !String(range).trim() || String(range).trim() === '*') return tag === null;
+
+    return splitRange(range).some(alternative => {
+      const comparators = this.expandHyphenRange(alternative);
+      const values = comparators.map(comparator => comparator.match(OPERATOR_PATTERN)[2]);
+      if (tag && !values.some(value => this.prerelease(value) && this.compare(segments, this.parse(value) || []) === 0)) {
+        return false;
+      }
+
+      return comparators.every((comparator, index) => {
+        const [, operator = ''] = comparator.match(OPERATOR_PATTERN);
+        const value = values[index];
+        if (/^[*xX]$/.test(value)) return true;
+
+        const bound = this.parse(value);
+        if (!bound) return false;
+        const difference = this.compare(segments, bound) || this.comparePrerelease(tag, this.prerelease(value));
+
+        switch (operator) {
+          case '>=': return difference >= 0;
+          case '>': return difference > 0;
+          case '<=': return difference <= 0;
+          case '<': return difference < 0;
+          case '^': {
+            // Up to the next change of the first non-zero segment
+            const firstNonZero = bound.findIndex(segment => segment !== 0);
+            const index = firstNonZero === -1 ? bound.length - 1 : firstNonZero;
+            return difference >= 0 && this.compare(segments, this.increment(bound, index)) < 0;
+          }
+          case '~':
+            // Up to the next minor version, or the next major one when only a major is given
+            return difference >= 0 && this.compare(segments, this.increment(bound, Math.min(1, bound.length - 1))) < 0;
+          case '~>':
+          case '~=':
+            // Pessimistic constraints only let the last given segment grow
+            return difference >= 0 && this.compare(segments, this.increment(bound, Math.max(0, bound.length - 2))) < 0;
+          default:
+            // Exact versions match exactly, partial ones (18, 18.2.x) match the versions they start
+            return bound.length >= 3 && !/[*xX]/.test(value)
+              ? difference === 0
+              : this.compare(segments.slice(0, bound.length), bound) === 0;
+        }
+      });
+    });
+  }
+
+  /**
+   * Increment one segment of a version and drop the segments after it
+   * @param {number[]} segments - Version segments
+   * @param {number} index - Segment to increment
+   * @returns {number[]}
+   */
+  static increment(segments, index) {
+    return [...segments.slice(0, index), segments[index] + 1];
+  }
+
+  /**
+   * Resolve the version of each technology a manifest analyzer detected: the version
+   * its lockfile resolved, or else the lowest version its constraint allows
+   *
+   * @param {Object} techMappings - Technology maps by category of the analyzer
+   * @param {Object} dependencies - Map of package names to version constraints
+   * @param {Object} [resolvedVersions] - Map of package names to locked versions
+   * @param {Function} [lookup] - (techMap, packageName) => technology, for analyzers
+   *   that match more than exact package names
+   * @returns {Object} Map of technology to { version, constraint, package, source }
+   *   where source is 'lockfile', 'constraint' or null when the version is unknown
+   */
+  static resolveTechnologyVersions(techMappings, dependencies, resolvedVersions = {}, lookup = (techMap, name) => techMap[name]) {
+    const result = {};
+
+    for (const [name, constraint] of Object.entries(dependencies)) {
+      const locked = resolvedVersions[name] || null;
+      const version = locked || this.minVersion(constraint);
+      const entry = {
+        version,
+        constraint: constraint || null,
+        package: name,
+        source: locked ? 'lockfile' : version ? 'constraint' : null
+      };
+
+      for (const techMap of Object.values(techMappings)) {
+        const technology = lookup(techMap, name);
+        // The first package of a technology wins, unless it has no version and a later one has
+        if (technology && (!result[technology] || (!result[technology].version && version))) {
+          result[technology] = entry;
+        }
+      }
+    }
+
+    return result;
+  }
+}
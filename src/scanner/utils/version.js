@@ -5,10 +5,12 @@
  */
 
 import fs from 'fs/promises';
+import { readFileSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const packageJsonPath = path.resolve(__dirname, '../../../package.json');
 
 /**
  * Returns the version of the package from package.json
@@ -16,7 +18,6 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
  */
 export async function getVersionAsync() {
   try {
-    const packageJsonPath = path.resolve(__dirname, '../../package.json');
     const packageJsonContent = await fs.readFile(packageJsonPath, 'utf8');
     const packageJson = JSON.parse(packageJsonContent);
     return packageJson.version || '0.0.0';
@@ -32,9 +33,8 @@ export async function getVersionAsync() {
  */
 export function getVersion() {
   try {
-    // For simplicity in the synchronous version, we'll just return the current version
-    // This could be enhanced to use fs.readFileSync if needed
-    return '0.1.0';
+    const packageJson = JSON.parse(readFileSync(packageJsonPath, 'utf8'));
+    return packageJson.version || '0.0.0';
   } catch (error) {
     return '0.0.0';
   }
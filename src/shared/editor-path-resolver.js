@@ -205,20 +205,21 @@ function generateMCPConfigurationContent(projectPath) {
  *
  * @param {string} projectPath - Path to the project root
  * @param {string} rulePath - Path to the rule directory
+ * @param {Object} [fileSystem] - File system layer, defaults to the real file system
  * @returns {boolean} Success status
  */
-function updateMCPConfigurationFile(projectPath, rulePath) {
+function updateMCPConfigurationFile(projectPath, rulePath, fileSystem = fs) {
   const mcpFilePath = path.join(rulePath, '03-mcp-configuration.mdc');
 
   // Check if the file exists
-  if (!fs.existsSync(mcpFilePath)) {
+  if (!fileSystem.existsSync(mcpFilePath)) {
     console.error(`MCP configuration file not found: ${mcpFilePath}`);
     return false;
   }
 
   try {
     // Read the existing file
-    const existingContent = fs.readFileSync(mcpFilePath, 'utf8');
+    const existingContent = fileSystem.readFileSync(mcpFilePath, 'utf8');
 
     // Generate the new configuration content
     const newContent = generateMCPConfigurationContent(projectPath);
@@ -252,7 +253,7 @@ function updateMCPConfigurationFile(projectPath, rulePath) {
     }
 
     // Write the updated content back to the file
-    fs.writeFileSync(mcpFilePath, updatedContent, 'utf8');
+    fileSystem.writeFileSync(mcpFilePath, updatedContent, 'utf8');
 
     return true;
   } catch (error) {
@@ -0,0 +1,75 @@
+/**
+ * CLI Exit Codes
+ * -----------------------
+ * Exit codes returned by the `vdk` command line interface.
+ * Kept in sync with the "Exit Codes" table in docs/CLI-Reference.md.
+ */
+
+/**
+ * Documented process exit codes
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  GENERAL_ERROR: 1,
+  INVALID_ARGUMENTS: 2,
+  FILE_SYSTEM_ERROR: 3,
+  NETWORK_ERROR: 4,
+  VALIDATION_ERROR: 5,
+  CONFIGURATION_ERROR: 6
+};
+
+// Node.js error codes that indicate a file system problem
+const FILE_SYSTEM_ERROR_CODES = new Set([
+  'ENOENT', 'EACCES', 'EPERM', 'EISDIR', 'ENOTDIR', 'EEXIST', 'ENOTEMPTY', 'ENOSPC', 'EROFS', 'EMFILE'
+]);
+
+// Node.js error codes that indicate a network problem
+const NETWORK_ERROR_CODES = new Set([
+  'ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'
+]);
+
+/**
+ * Error carrying the exit code the CLI should terminate with
+ */
+class CLIError extends Error {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {number} exitCode - One of EXIT_CODES
+   */
+  constructor(message, exitCode = EXIT_CODES.GENERAL_ERROR) {
+    super(message);
+    this.name = 'CLIError';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Determine the exit code for an error thrown by a command
+ * @param {Error} error - The error to classify
+ * @returns {number} Exit code from EXIT_CODES
+ */
+function getExitCodeForError(error) {
+  if (!error) {
+    return EXIT_CODES.GENERAL_ERROR;
+  }
+
+  if (typeof error.exitCode === 'number') {
+    return error.exitCode;
+  }
+
+  if (FILE_SYSTEM_ERROR_CODES.has(error.code)) {
+    return EXIT_CODES.FILE_SYSTEM_ERROR;
+  }
+
+  if (NETWORK_ERROR_CODES.has(error.code)) {
+    return EXIT_CODES.NETWORK_ERROR;
+  }
+
+  return EXIT_CODES.GENERAL_ERROR;
+}
+
+export {
+  EXIT_CODES,
+  CLIError,
+  getExitCodeForError
+};
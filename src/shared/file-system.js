@@ -0,0 +1,288 @@
+/**
+ * File System Layer
+ * -----------------------
+ * Thin abstraction over the file system used by rule generation and setup.
+ * DiskFileSystem writes to disk; DryRunFileSystem keeps every write in memory
+ * and records the planned changes so they can be reviewed before touching
+ * the project.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { createUnifiedDiff } from './text-diff.js';
+
+/**
+ * File system operations backed by the real disk.
+ * Exposes the subset of the sync and promise based `fs` API that VDK uses.
+ */
+class DiskFileSystem {
+  constructor() {
+    this.dryRun = false;
+  }
+
+  existsSync(filePath) {
+    return fs.existsSync(filePath);
+  }
+
+  readFileSync(filePath, encoding) {
+    return fs.readFileSync(filePath, encoding);
+  }
+
+  writeFileSync(filePath, data, encoding) {
+    fs.writeFileSync(filePath, data, encoding);
+  }
+
+  copyFileSync(source, target) {
+    fs.copyFileSync(source, target);
+  }
+
+  mkdirSync(dirPath, options) {
+    return fs.mkdirSync(dirPath, options);
+  }
+
+  async readFile(filePath, encoding) {
+    return fs.promises.readFile(filePath, encoding);
+  }
+
+  async writeFile(filePath, data, encoding) {
+    return fs.promises.writeFile(filePath, data, encoding);
+  }
+
+  async mkdir(dirPath, options) {
+    return fs.promises.mkdir(dirPath, options);
+  }
+
+  async access(filePath) {
+    return fs.promises.access(filePath);
+  }
+
+  /**
+   * List a directory
+   * @param {string} dirPath - Directory path
+   * @returns {Promise<string[]>} Entry names
+   */
+  async readdir(dirPath) {
+    return fs.promises.readdir(dirPath);
+  }
+
+  /**
+   * Remove a file, ignoring files that do not exist
+   * @param {string} filePath - File path
+   */
+  async rm(filePath) {
+    return fs.promises.rm(filePath, { force: true });
+  }
+
+  /**
+   * Remove an empty directory
+   * @param {string} dirPath - Directory path
+   */
+  async rmdir(dirPath) {
+    return fs.promises.rmdir(dirPath);
+  }
+
+  /**
+   * Record a file that was intentionally not written (no-op on disk)
+   */
+  recordSkip() {}
+
+  /**
+   * @returns {Object[]} Planned changes, always empty when writing to disk
+   */
+  getChanges() {
+    return [];
+  }
+}
+
+/**
+ * In-memory overlay over the disk. Reads see earlier in-memory writes,
+ * writes never reach the disk.
+ */
+class DryRunFileSystem {
+  constructor() {
+    this.dryRun = true;
+    this.files = new Map();
+    this.directories = new Set();
+    this.removed = new Set();
+    this.changes = new Map();
+  }
+
+  /**
+   * Record a write and classify it against the content currently on disk
+   * @param {string} filePath - Target path
+   * @param {string|Buffer} data - Content that would be written
+   */
+  recordWrite(filePath, data) {
+    const absolutePath = path.resolve(filePath);
+    const content = Buffer.isBuffer(data) ? data.toString('utf8') : String(data);
+    const existing = this.changes.get(absolutePath);
+    const original = existing && existing.action !== 'skip'
+      ? existing.original
+      : (fs.existsSync(absolutePath) ? fs.readFileSync(absolutePath, 'utf8') : null);
+
+    let action = 'create';
+    if (original !== null) {
+      action = original === content ? 'unchanged' : 'overwrite';
+    }
+
+    this.files.set(absolutePath, content);
+    this.removed.delete(absolutePath);
+    this.changes.set(absolutePath, { path: absolutePath, action, original, content });
+  }
+
+  /**
+   * Record a file that would be left untouched
+   * @param {string} filePath - Path that was skipped
+   * @param {string} reason - Why the file was skipped
+   */
+  recordSkip(filePath, reason) {
+    const absolutePath = path.resolve(filePath);
+    if (!this.changes.has(absolutePath)) {
+      this.changes.set(absolutePath, { path: absolutePath, action: 'skip', reason });
+    }
+  }
+
+  existsSync(filePath) {
+    const absolutePath = path.resolve(filePath);
+    if (this.removed.has(absolutePath)) {
+      return false;
+    }
+    return this.files.has(absolutePath) || this.directories.has(absolutePath) || fs.existsSync(absolutePath);
+  }
+
+  readFileSync(filePath, encoding) {
+    const absolutePath = path.resolve(filePath);
+    if (this.files.has(absolutePath)) {
+      const content = this.files.get(absolutePath);
+      return encoding ? content : Buffer.from(content, 'utf8');
+    }
+    return fs.readFileSync(absolutePath, encoding);
+  }
+
+  writeFileSync(filePath, data) {
+    this.recordWrite(filePath, data);
+  }
+
+  copyFileSync(source, target) {
+    this.recordWrite(target, this.readFileSync(source, 'utf8'));
+  }
+
+  mkdirSync(dirPath) {
+    this.directories.add(path.resolve(dirPath));
+    this.removed.delete(path.resolve(dirPath));
+  }
+
+  async readFile(filePath, encoding) {
+    return this.readFileSync(filePath, encoding);
+  }
+
+  async writeFile(filePath, data) {
+    this.recordWrite(filePath, data);
+  }
+
+  async mkdir(dirPath) {
+    this.mkdirSync(dirPath);
+  }
+
+  async access(filePath) {
+    if (!this.existsSync(filePath)) {
+      const error = new Error(`ENOENT: no such file or directory, access '${filePath}'`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+  }
+
+  /**
+   * List a directory on disk together with the files written to it in memory
+   * @param {string} dirPath - Directory path
+   * @returns {Promise<string[]>} Entry names
+   */
+  async readdir(dirPath) {
+    const absolutePath = path.resolve(dirPath);
+    const names = new Set(fs.existsSync(absolutePath) ? fs.readdirSync(absolutePath) : []);
+    for (const filePath of this.files.keys()) {
+      if (path.dirname(filePath) === absolutePath) {
+        names.add(path.basename(filePath));
+      }
+    }
+    for (const filePath of this.removed) {
+      if (path.dirname(filePath) === absolutePath) {
+        names.delete(path.basename(filePath));
+      }
+    }
+    if (names.size === 0 && !this.existsSync(absolutePath)) {
+      const error = new Error(`ENOENT: no such file or directory, scandir '${dirPath}'`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+    return [...names];
+  }
+
+  /**
+   * Record the removal of a file
+   * @param {string} filePath - File that would be removed
+   */
+  async rm(filePath) {
+    const absolutePath = path.resolve(filePath);
+    const existing = this.changes.get(absolutePath);
+    this.files.delete(absolutePath);
+    this.removed.add(absolutePath);
+
+    // A file created earlier in the same run was never there
+    if (existing?.action === 'create') {
+      this.changes.delete(absolutePath);
+    } else {
+      this.changes.set(absolutePath, { path: absolutePath, action: 'remove' });
+    }
+  }
+
+  /**
+   * Hide an empty directory from later reads; directories are not listed as changes
+   * @param {string} dirPath - Directory that would be removed
+   */
+  async rmdir(dirPath) {
+    const absolutePath = path.resolve(dirPath);
+    this.directories.delete(absolutePath);
+    this.removed.add(absolutePath);
+  }
+
+  /**
+   * List the planned changes, with a unified diff for every overwrite
+   * @param {string} [basePath] - Directory used to label paths in diffs
+   * @returns {Object[]} { path, action, reason?, diff? } sorted by path
+   */
+  getChanges(basePath = process.cwd()) {
+    return [...this.changes.values()]
+      .sort((a, b) => a.path.localeCompare(b.path))
+      .map(change => {
+        const result = { path: change.path, action: change.action };
+        if (change.reason) {
+          result.reason = change.reason;
+        }
+        if (change.action === 'overwrite') {
+          const label = path.relative(basePath, change.path);
+          result.diff = createUnifiedDiff(change.original, change.content, {
+            fromFile: `a/${label}`,
+            toFile: `b/${label}`
+          });
+        }
+        return result;
+      });
+  }
+}
+
+/**
+ * Create the file system layer for a run
+ * @param {Object} [options] - { dryRun }
+ * @returns {DiskFileSystem|DryRunFileSystem}
+ */
+function createFileSystem(options = {}) {
+  return options.dryRun ? new DryRunFileSystem() : new DiskFileSystem();
+}
+
+export {
+  DiskFileSystem,
+  DryRunFileSystem,
+  createFileSystem
+};
@@ -183,14 +183,15 @@ function detectIDEs(projectPath) {
  * Create rule directory for IDE if it doesn't exist
  * @param {string} id - IDE identifier
  * @param {string} projectPath - Project root path
+ * @param {Object} [fileSystem] - File system layer, defaults to the real file system
  * @returns {string} Path to rule directory
  */
-function ensureRuleDirectory(id, projectPath) {
+function ensureRuleDirectory(id, projectPath, fileSystem = fs) {
   const config = getIDEConfigById(id) || IDE_CONFIGURATIONS.find(ide => ide.id === 'generic');
 
   const rulePath = path.join(projectPath, config.rulesFolder);
-  if (!fs.existsSync(rulePath)) {
-    fs.mkdirSync(rulePath, { recursive: true });
+  if (!fileSystem.existsSync(rulePath)) {
+    fileSystem.mkdirSync(rulePath, { recursive: true });
   }
 
   return rulePath;
@@ -0,0 +1,172 @@
+/**
+ * Generation Manifest
+ * -----------------------
+ * Records every file VDK writes into a project in `.vdk/manifest.json`
+ * (path, source template, content hash, generator version and timestamp),
+ * so generated files can later be told apart from the user's own files
+ * and cleaned up safely.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+
+import { DiskFileSystem } from './file-system.js';
+import { getVersion } from '../scanner/utils/version.js';
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_PATH = path.join('.vdk', 'manifest.json');
+
+/**
+ * Hash file content the way the manifest stores it
+ * @param {string|Buffer} content - File content
+ * @returns {string} sha256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * The set of files VDK generated in a project
+ */
+class GenerationManifest {
+  /**
+   * @param {string} projectPath - Project root
+   * @param {Object} [data] - Parsed manifest file
+   * @param {Object} [fileSystem] - File system layer used for reads and writes
+   */
+  constructor(projectPath, data = {}, fileSystem = new DiskFileSystem()) {
+    this.projectPath = path.resolve(projectPath);
+    this.fileSystem = fileSystem;
+    // Entries outside the project are dropped so `vdk clean` never removes files there
+    this.files = Object.fromEntries(Object.entries(data.files || {}).filter(([key]) => this.isInsideProject(key)));
+  }
+
+  /**
+   * Load the manifest of a project, starting empty when there is none
+   * @param {string} projectPath - Project root
+   * @param {Object} [fileSystem] - File system layer
+   * @returns {GenerationManifest}
+   */
+  static load(projectPath, fileSystem = new DiskFileSystem()) {
+    const manifestPath = path.join(path.resolve(projectPath), MANIFEST_PATH);
+
+    if (!fileSystem.existsSync(manifestPath)) {
+      return new GenerationManifest(projectPath, {}, fileSystem);
+    }
+
+    try {
+      return new GenerationManifest(projectPath, JSON.parse(fileSystem.readFileSync(manifestPath, 'utf8')), fileSystem);
+    } catch (error) {
+      console.warn(`Warning: Ignoring unreadable generation manifest ${manifestPath}: ${error.message}`);
+      return new GenerationManifest(projectPath, {}, fileSystem);
+    }
+  }
+
+  /**
+   * @returns {string} Absolute path of the manifest file
+   */
+  get manifestPath() {
+    return path.join(this.projectPath, MANIFEST_PATH);
+  }
+
+  /**
+   * Manifest key of a file: its project-relative path with forward slashes
+   * @param {string} filePath - File path
+   * @returns {string}
+   */
+  getKey(filePath) {
+    return path.relative(this.projectPath, path.resolve(filePath)).split(path.sep).join('/');
+  }
+
+  /**
+   * Whether a manifest key names a file inside the project
+   * @param {string} key - Manifest key
+   * @returns {boolean}
+   */
+  isInsideProject(key) {
+    const filePath = path.resolve(this.projectPath, key);
+    return filePath.startsWith(this.projectPath + path.sep);
+  }
+
+  /**
+   * Record a file written by VDK. Files outside the project, such as rules written to
+   * an output directory elsewhere, are not tracked.
+   * @param {string} filePath - Written file
+   * @param {string|Buffer} content - Content that was written
+   * @param {string} template - Template or source the file was generated from
+   */
+  record(filePath, content, template) {
+    const key = this.getKey(filePath);
+    if (!this.isInsideProject(key)) {
+      return;
+    }
+    this.files[key] = {
+      path: key,
+      template,
+      hash: hashContent(content),
+      generatorVersion: getVersion(),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Update the hash of a tracked file that VDK modified again
+   * @param {string} filePath - Modified file
+   * @param {string|Buffer} content - New content
+   */
+  refresh(filePath, content) {
+    const entry = this.files[this.getKey(filePath)];
+    if (entry) {
+      this.record(filePath, content, entry.template);
+    }
+  }
+
+  /**
+   * Stop tracking a file
+   * @param {string} filePath - File path or manifest key
+   */
+  remove(filePath) {
+    delete this.files[this.getKey(filePath)];
+  }
+
+  /**
+   * @returns {Object[]} Tracked entries sorted by path
+   */
+  getEntries() {
+    return Object.values(this.files).sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Compare a tracked file with the content VDK wrote
+   * @param {Object} entry - Manifest entry
+   * @returns {string} 'missing', 'unmodified' or 'modified'
+   */
+  getStatus(entry) {
+    const filePath = path.join(this.projectPath, entry.path);
+    if (!this.fileSystem.existsSync(filePath)) {
+      return 'missing';
+    }
+    return hashContent(this.fileSystem.readFileSync(filePath)) === entry.hash ? 'unmodified' : 'modified';
+  }
+
+  /**
+   * Write the manifest file
+   */
+  async save() {
+    const data = {
+      version: MANIFEST_VERSION,
+      generator: 'vdk-cli',
+      updatedAt: new Date().toISOString(),
+      files: Object.fromEntries(this.getEntries().map(entry => [entry.path, entry]))
+    };
+
+    await this.fileSystem.mkdir(path.dirname(this.manifestPath), { recursive: true });
+    await this.fileSystem.writeFile(this.manifestPath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+  }
+}
+
+export {
+  MANIFEST_PATH,
+  hashContent,
+  GenerationManifest
+};
@@ -0,0 +1,151 @@
+/**
+ * Text Diff Utilities
+ * -----------------------
+ * Line based diffing (Myers' O(ND) algorithm) and unified diff rendering,
+ * used to preview rule changes before they are written.
+ */
+
+/**
+ * Split text into lines, ignoring the final newline
+ * @param {string} text - Text to split
+ * @returns {string[]} Lines without line terminators
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compute the shortest edit script between two lists of lines
+ * @param {string[]} oldLines - Original lines
+ * @param {string[]} newLines - Updated lines
+ * @returns {Array<{type: string, line: string, oldIndex: number, newIndex: number}>}
+ *   Operations of type 'equal', 'delete' or 'insert', in order. oldIndex/newIndex
+ *   are the positions in each list at which the operation applies.
+ */
+function diffLines(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  search:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        break search;
+      }
+    }
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const operations = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const previousK = (k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1]))
+      ? k + 1
+      : k - 1;
+    const previousX = previous[offset + previousK];
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      x--;
+      y--;
+      operations.push({ type: 'equal', line: oldLines[x], oldIndex: x, newIndex: y });
+    }
+
+    if (d > 0) {
+      if (x === previousX) {
+        operations.push({ type: 'insert', line: newLines[previousY], oldIndex: previousX, newIndex: previousY });
+      } else {
+        operations.push({ type: 'delete', line: oldLines[previousX], oldIndex: previousX, newIndex: previousY });
+      }
+    }
+
+    x = previousX;
+    y = previousY;
+  }
+
+  return operations.reverse();
+}
+
+/**
+ * Render a unified diff between two texts
+ * @param {string} oldText - Original content
+ * @param {string} newText - Updated content
+ * @param {Object} [options] - { fromFile, toFile, context }
+ * @returns {string} The unified diff, or an empty string when the texts are equal
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = 3 } = options;
+  const operations = diffLines(splitLines(oldText), splitLines(newText));
+  const changeIndexes = operations
+    .map((operation, index) => (operation.type === 'equal' ? -1 : index))
+    .filter(index => index !== -1);
+
+  if (changeIndexes.length === 0) {
+    return '';
+  }
+
+  // Group nearby changes into hunks that share their context lines
+  const ranges = [];
+  for (const index of changeIndexes) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(operations.length, index + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  }
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+
+  for (const { start, end } of ranges) {
+    const hunk = operations.slice(start, end);
+    const oldCount = hunk.filter(operation => operation.type !== 'insert').length;
+    const newCount = hunk.filter(operation => operation.type !== 'delete').length;
+    const oldStart = oldCount === 0 ? hunk[0].oldIndex : hunk[0].oldIndex + 1;
+    const newStart = newCount === 0 ? hunk[0].newIndex : hunk[0].newIndex + 1;
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const operation of hunk) {
+      const prefix = operation.type === 'insert' ? '+' : operation.type === 'delete' ? '-' : ' ';
+      output.push(`${prefix}${operation.line}`);
+    }
+  }
+
+  return output.join('\n') + '\n';
+}
+
+export {
+  splitLines,
+  diffLines,
+  createUnifiedDiff
+};
@@ -588,6 +588,7 @@ async function main() {
 
 // Export functions for use in other modules
 export {
+  defaultSyncConfig,
   performSync,
   checkSyncStatus,
   initializeSync,
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+/**
+ * Scan Benchmark
+ *
+ * Generates a synthetic repository and scans it sequentially, with bounded
+ * concurrency and with analyzer worker threads. Fails when the parallel scans
+ * detect different patterns than the sequential one, or when --min-speedup is
+ * given and the parallel scans are not fast enough.
+ *
+ * Usage: node src/validation/benchmark-scan.js [--files 600] [--concurrency 16] [--min-speedup 1.5]
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import chalk from 'chalk';
+
+import { ProjectScanner } from '../scanner/core/ProjectScanner.js';
+import { PatternDetector } from '../scanner/core/PatternDetector.js';
+import { AnalyzerPool } from '../scanner/utils/analyzer-pool.js';
+import { DEFAULT_CONCURRENCY, parseConcurrency } from '../scanner/utils/concurrency.js';
+
+/**
+ * Read `--name value` pairs from the command line
+ * @returns {Object} { files, concurrency, minSpeedup, keep }
+ */
+function parseArguments() {
+  const args = process.argv.slice(2);
+  const value = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  return {
+    files: Number(value('--files') || 600),
+    concurrency: parseConcurrency(value('--concurrency') || DEFAULT_CONCURRENCY),
+    minSpeedup: value('--min-speedup') ? Number(value('--min-speedup')) : null,
+    keep: args.includes('--keep')
+  };
+}
+
+/**
+ * Write a synthetic project with a mix of JavaScript, TypeScript and Python modules
+ * @param {string} root - Fixture directory
+ * @param {number} fileCount - Number of source files
+ */
+async function createFixture(root, fileCount) {
+  const areas = ['components', 'services', 'utils', 'models', 'api'];
+  await fs.writeFile(path.join(root, 'package.json'), JSON.stringify({ name: 'benchmark-fixture', dependencies: { react: '^18.0.0' } }));
+
+  for (let i = 0; i < fileCount; i++) {
+    const area = areas[i % areas.length];
+    const dir = path.join(root, 'src', area, `group${Math.floor(i / 50)}`);
+    await fs.mkdir(dir, { recursive: true });
+
+    const functions = Array.from({ length: 20 }, (_, n) => n);
+    switch (i % 3) {
+      case 0:
+        await fs.writeFile(path.join(dir, `module${i}.js`), [
+          `import { helper${i} } from './helper.js';`,
+          `export class Service${i} {`,
+          ...functions.map(n => `  handleRequest${n}(userInput) { const parsedValue = userInput * ${n}; return helper${i}(parsedValue); }`),
+          '}',
+          ...functions.map(n => `export function formatValue${i}_${n}(rawValue) { const result = String(rawValue); return result.trim(); }`)
+        ].join('\n'));
+        break;
+      case 1:
+        await fs.writeFile(path.join(dir, `module${i}.ts`), [
+          `export interface Options${i} { retryCount: number; baseUrl: string; }`,
+          `export type Result${i} = { ok: boolean; value?: string };`,
+          `export class Client${i} {`,
+          `  constructor(private readonly options: Options${i}) {}`,
+          ...functions.map(n => `  async fetchItem${n}(itemId: string): Promise<Result${i}> { const response = await this.request(itemId); return { ok: true, value: response }; }`),
+          '  private async request(path: string): Promise<string> { return path; }',
+          '}'
+        ].join('\n'));
+        break;
+      default:
+        await fs.writeFile(path.join(dir, `module_${i}.py`), [
+          'import os',
+          `class Repository${i}:`,
+          ...functions.map(n => `    def load_item_${n}(self, item_id):\n        file_path = os.path.join("data", str(item_id))\n        return file_path`)
+        ].join('\n'));
+    }
+  }
+}
+
+/**
+ * Scan the fixture and detect patterns
+ * @param {string} root - Fixture directory
+ * @param {Object} options - { concurrency, analyzerPool }
+ * @returns {Promise<{duration: number, patterns: Object}>}
+ */
+async function runScan(root, options) {
+  // Analyzers report unparsable files on the console, which would drown the timings
+  const { error, warn } = console;
+  console.error = () => {};
+  console.warn = () => {};
+  try {
+    return await timeScan(root, options);
+  } finally {
+    console.error = error;
+    console.warn = warn;
+  }
+}
+
+/**
+ * @param {string} root - Fixture directory
+ * @param {Object} options - { concurrency, analyzerPool }
+ * @returns {Promise<{duration: number, patterns: Object}>}
+ */
+async function timeScan(root, options) {
+  const start = performance.now();
+
+  const scanner = new ProjectScanner({ concurrency: options.concurrency });
+  const projectStructure = await scanner.scanProject(root, { ignorePatterns: ['**/node_modules/**'] });
+
+  const patternDetector = new PatternDetector({
+    concurrency: options.concurrency,
+    analyzerPool: options.analyzerPool,
+    sampleSize: projectStructure.files.length
+  });
+  const patterns = await patternDetector.detectPatterns(projectStructure);
+
+  return { duration: performance.now() - start, patterns };
+}
+
+async function main() {
+  const options = parseArguments();
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'vdk-benchmark-'));
+
+  console.log(chalk.blue.bold(`⏱  Scan benchmark: ${options.files} source files, concurrency ${options.concurrency}\n`));
+
+  try {
+    await createFixture(root, options.files);
+
+    // Warm up module loading and the file system cache
+    await runScan(root, { concurrency: options.concurrency });
+
+    const sequential = await runScan(root, { concurrency: 1 });
+    const concurrent = await runScan(root, { concurrency: options.concurrency });
+
+    const analyzerPool = new AnalyzerPool();
+    let workers;
+    try {
+      workers = await runScan(root, { concurrency: options.concurrency, analyzerPool });
+    } finally {
+      await analyzerPool.close();
+    }
+
+    const runs = [
+      ['sequential', sequential],
+      [`concurrency ${options.concurrency}`, concurrent],
+      [`${analyzerPool.size} worker threads`, workers]
+    ];
+
+    const expected = JSON.stringify(sequential.patterns);
+    let failed = false;
+
+    for (const [label, run] of runs) {
+      const speedup = sequential.duration / run.duration;
+      const same = JSON.stringify(run.patterns) === expected;
+      console.log(`${label.padEnd(20)} ${run.duration.toFixed(0).padStart(6)} ms  ${speedup.toFixed(2)}x  ${same ? chalk.green('same results') : chalk.red('DIFFERENT RESULTS')}`);
+
+      if (!same) {
+        failed = true;
+      }
+      if (options.minSpeedup && run !== sequential && speedup < options.minSpeedup) {
+        console.log(chalk.red(`   below the required speedup of ${options.minSpeedup}x`));
+        failed = true;
+      }
+    }
+
+    if (failed) {
+      process.exitCode = 1;
+    } else {
+      console.log(chalk.green('\n✅ Parallel scans match the sequential scan'));
+    }
+  } finally {
+    if (options.keep) {
+      console.log(chalk.gray(`Fixture kept at ${root}`));
+    } else {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error(chalk.red(`Benchmark failed: ${error.message}`));
+  process.exit(1);
+});
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+
+/**
+ * Analyzer Contract Check
+ *
+ * Runs every registered language analyzer on a sample file and on an empty file
+ * and checks the analyzer contract: analyze(content, filePath) works on the content
+ * it is given without reading the file, returns the common fields and its declared
+ * capabilities as lists, finds the sample's class and function, and gives the same
+ * result in a worker thread.
+ *
+ * Usage: node src/validation/check-analyzers.js
+ */
+
+import chalk from 'chalk';
+
+import { AnalyzerRegistry, analyzerRegistry } from '../scanner/utils/analyzer-registry.js';
+import { AnalyzerPool } from '../scanner/utils/analyzer-pool.js';
+
+// Files passed to the analyzers do not exist, so an analyzer reading its file fails
+const SAMPLE_DIR = '/nonexistent/vdk-analyzer-contract';
+
+// A sample per analyzer, declaring the class UserService and the function findUser
+const SAMPLES = {
+  analyzeJavaScript: {
+    file: 'user-service.js',
+    content: `export class UserService {}
+
+export function findUser(id) {
+  const cacheKey = \`user:\${id}\`;
+  return cacheKey;
+}
+`
+  },
+  analyzeTypeScript: {
+    file: 'user-service.ts',
+    content: `export interface User { id: string }
+
+export class UserService {}
+
+export function findUser(id: string): User | undefined {
+  const cacheKey = \`user:\${id}\`;
+  return undefined;
+}
+`
+  },
+  analyzePython: {
+    file: 'user_service.py',
+    content: `class UserService:
+    def findUser(self, user_id):
+        cache_key = f"user:{user_id}"
+        return cache_key
+`
+  },
+  analyzeSwift: {
+    file: 'UserService.swift',
+    content: `class UserService {
+    func findUser(id: String) -> String? {
+        let cacheKey = "user:\\(id)"
+        return cacheKey
+    }
+}
+`
+  },
+  analyzeRuby: {
+    file: 'user_service.rb',
+    content: `class UserService
+  def findUser(id)
+    cache_key = "user:#{id}"
+    @users[cache_key]
+  end
+end
+`
+  },
+  analyzeGo: {
+    file: 'user_service.go',
+    content: `package users
+
+type UserService struct {
+	users map[string]string
+}
+
+func findUser(id string) string {
+	cacheKey := "user:" + id
+	return cacheKey
+}
+`
+  },
+  analyzeJava: {
+    file: 'UserService.java',
+    content: `package com.example.users;
+
+public class UserService {
+    public String findUser(String id) {
+        String cacheKey = "user:" + id;
+        return cacheKey;
+    }
+}
+`
+  },
+  analyzeRust: {
+    file: 'user_service.rs',
+    content: `pub struct UserService {
+    users: Vec<String>,
+}
+
+pub fn findUser(id: &str) -> String {
+    let cache_key = format!("user:{}", id);
+    cache_key
+}
+`
+  },
+  analyzeCSharp: {
+    file: 'UserService.cs',
+    content: `namespace Example.Users;
+
+public class UserService
+{
+    public string findUser(string id)
+    {
+        var cacheKey = $"user:{id}";
+        return cacheKey;
+    }
+}
+`
+  },
+  analyzeKotlin: {
+    file: 'UserService.kt',
+    content: `package com.example.users
+
+class UserService {
+    fun findUser(id: String): String {
+        val cacheKey = "user:$id"
+        return cacheKey
+    }
+}
+`
+  },
+  analyzePhp: {
+    file: 'UserService.php',
+    content: `<?php
+
+class UserService
+{
+    public function findUser(string $id): string
+    {
+        $cacheKey = "user:{$id}";
+        return $cacheKey;
+    }
+}
+`
+  },
+  analyzeDart: {
+    file: 'user_service.dart',
+    content: `class UserService {
+  String findUser(String id) {
+    final cacheKey = 'user:$id';
+    return cacheKey;
+  }
+}
+`
+  },
+  analyzeCpp: {
+    file: 'user_service.cpp',
+    content: `#include <string>
+
+class UserService {
+public:
+    std::string findUser(const std::string& id);
+};
+
+std::string findUser(const std::string& id) {
+    std::string cacheKey = "user:" + id;
+    return cacheKey;
+}
+`
+  }
+};
+
+// Names every sample declares
+const EXPECTED_NAMES = { classes: 'UserService', functions: 'findUser' };
+
+/**
+ * Contract problems of one analyzer
+ * @param {Object} definition - AnalyzerDefinition
+ * @param {AnalyzerPool} pool - Worker threads to compare results with
+ * @returns {Promise<string[]>} Empty when the analyzer follows the contract
+ */
+async function checkAnalyzer(definition, pool) {
+  const problems = AnalyzerRegistry.checkDefinition(definition);
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  if (definition.analyze.length !== 2) {
+    problems.push(`analyze takes ${definition.analyze.length} parameters instead of (content, filePath)`);
+  }
+
+  const sample = SAMPLES[definition.name];
+  if (!sample) {
+    return [...problems, 'no sample file in check-analyzers.js'];
+  }
+
+  const samplePath = `${SAMPLE_DIR}/${sample.file}`;
+  if (analyzerRegistry.forFile({ path: samplePath }) !== definition) {
+    problems.push(`${sample.file} is not handled by this analyzer`);
+  }
+
+  const runs = [
+    { label: 'sample', content: sample.content },
+    { label: 'empty file', content: '' }
+  ];
+
+  for (const { label, content } of runs) {
+    let result;
+    try {
+      result = await definition.analyze(content, samplePath);
+    } catch (error) {
+      problems.push(`${label}: threw ${error.message}`);
+      continue;
+    }
+
+    problems.push(...AnalyzerRegistry.checkResult(definition, result).map(problem => `${label}: ${problem}`));
+
+    if (content && Array.isArray(result?.classes) && Array.isArray(result?.functions)) {
+      for (const [field, name] of Object.entries(EXPECTED_NAMES)) {
+        if (!result[field].includes(name)) {
+          problems.push(`${label}: ${name} missing from ${field}`);
+        }
+      }
+    }
+  }
+
+  try {
+    const [direct, threaded] = await Promise.all([
+      analyzerRegistry.run(definition.name, sample.content, samplePath),
+      pool.run(definition, sample.content, samplePath)
+    ]);
+    if (direct.language !== definition.language) {
+      problems.push(`results report ${direct.language} instead of ${definition.language}`);
+    }
+    if (JSON.stringify(direct) !== JSON.stringify(threaded)) {
+      problems.push('worker thread result differs from the direct result');
+    }
+  } catch (error) {
+    problems.push(`registry run failed: ${error.message}`);
+  }
+
+  return problems;
+}
+
+async function main() {
+  console.log(chalk.blue.bold('🔎 Checking the language analyzer contract...\n'));
+
+  const pool = new AnalyzerPool({ size: 1 });
+  let failed = 0;
+
+  try {
+    for (const definition of analyzerRegistry.list()) {
+      const problems = await checkAnalyzer(definition, pool);
+
+      if (problems.length === 0) {
+        console.log(`${chalk.green('✓')} ${definition.name} ${chalk.gray(`(${definition.language}: ${definition.extensions.join(', ')})`)}`);
+      } else {
+        failed++;
+        console.log(`${chalk.red('✗')} ${definition.name}`);
+        for (const problem of problems) {
+          console.log(chalk.red(`   ${problem}`));
+        }
+      }
+    }
+  } finally {
+    await pool.close();
+  }
+
+  if (failed > 0) {
+    console.log(chalk.red(`\n❌ ${failed} analyzer(s) break the contract`));
+    process.exitCode = 1;
+  } else {
+    console.log(chalk.green(`\n✅ All ${analyzerRegistry.list().length} analyzers follow the contract`));
+  }
+}
+
+main().catch((error) => {
+  console.error(chalk.red(`Analyzer check failed: ${error.message}`));
+  process.exit(1);
+});
@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+
+/**
+ * Scan Check
+ *
+ * Writes small fixture projects and runs the vdk commands on them end to end,
+ * checking the rule files and the state in .vdk they leave behind. Every check
+ * gets a fresh project in the temp directory.
+ *
+ * Usage: node src/validation/check-scan.js
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+
+const CLI_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../cli.js');
+const RULES_DIR = '.ai/rules';
+
+/**
+ * Run a vdk command in a fixture project
+ * @param {string} root - Fixture directory, the working directory of the command
+ * @param {string[]} args - Command and options
+ * @returns {Promise<string>} Output of the command
+ */
+async function vdk(root, args) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [CLI_PATH, ...args], {
+      cwd: root,
+      timeout: 120000,
+      env: { ...process.env, FORCE_COLOR: '0' }
+    });
+    return stdout + stderr;
+  } catch (error) {
+    throw new Error(`vdk ${args.join(' ')} exited with ${error.code}: ${(error.stdout + error.stderr).trim().split('\n').pop()}`);
+  }
+}
+
+/**
+ * Whether a file of the fixture exists
+ * @param {string} root - Fixture directory
+ * @param {string} relativePath - Path inside the fixture
+ * @returns {Promise<boolean>}
+ */
+async function exists(root, relativePath) {
+  try {
+    await fs.access(path.join(root, relativePath));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Scan a fixture and read the tech stack of its scan report
+ * @param {string} root - Fixture directory
+ * @returns {Promise<Object>} techStack of .vdk/scan-report.json
+ */
+async function scanTechStack(root) {
+  await vdk(root, ['scan']);
+  return JSON.parse(await fs.readFile(path.join(root, '.vdk/scan-report.json'), 'utf8')).techStack;
+}
+
+// Fixture files by path, and the check run on the fixture; a check returns its problems
+const CHECKS = [
+  {
+    name: 'React project with Tailwind CSS and state libraries gets the React rule',
+    files: {
+      'package.json': JSON.stringify({
+        name: 'react-tailwind',
+        dependencies: { 'react': '^18.2.0', 'react-dom': '^18.2.0', '@reduxjs/toolkit': '^2.0.0', 'zustand': '^4.5.0' },
+        devDependencies: { 'tailwindcss': '^3.4.0', 'tailwind-merge': '^2.2.0' }
+      }),
+      'src/App.jsx': 'export function App() {\n  return <div className="p-4">Hello</div>;\n}\n'
+    },
+    async run(root) {
+      const output = await vdk(root, ['scan']);
+      const problems = [];
+      const reactRule = `${RULES_DIR}/technologies/React-Modern.mdc`;
+
+      if (!await exists(root, reactRule)) {
+        problems.push(`${reactRule} was not written`);
+      } else if (!(await fs.readFile(path.join(root, reactRule), 'utf8')).includes('**Zustand**')) {
+        problems.push(`${reactRule} does not list Zustand under Global State`);
+      }
+      if (/Could not generate/.test(output)) {
+        problems.push(output.split('\n').find(line => line.includes('Could not generate')).trim());
+      }
+      return problems;
+    }
+  },
+  {
+    name: 'clean keeps rules edited by hand and merged by a later scan',
+    files: {
+      'package.json': JSON.stringify({ name: 'edited-rules', dependencies: { express: '^4.19.0' } }),
+      'src/server.js': 'export function start() {\n  return 1;\n}\n'
+    },
+    async run(root) {
+      const edited = [`${RULES_DIR}/00-core-agent.mdc`, `${RULES_DIR}/01-project-context.mdc`];
+      const edit = '\n## Team Notes\n\nKeep handlers small.\n';
+
+      await vdk(root, ['scan']);
+      for (const rule of edited) {
+        await fs.appendFile(path.join(root, rule), edit);
+      }
+      await vdk(root, ['scan']);
+      await vdk(root, ['clean', '--yes']);
+
+      const problems = [];
+      for (const rule of edited) {
+        if (!await exists(root, rule)) {
+          problems.push(`${rule} was removed by clean`);
+        } else if (!(await fs.readFile(path.join(root, rule), 'utf8')).includes('Keep handlers small.')) {
+          problems.push(`${rule} lost the edit`);
+        }
+      }
+      if (await exists(root, `${RULES_DIR}/02-common-errors.mdc`)) {
+        problems.push(`${RULES_DIR}/02-common-errors.mdc was not edited but kept by clean`);
+      }
+      return problems;
+    }
+  },
+  {
+    name: 'ESLint stylistic rules win over Prettier defaults in the Code Style section',
+    files: {
+      'package.json': JSON.stringify({ name: 'eslint-over-prettier-defaults' }),
+      '.prettierrc.json': '{}\n',
+      'eslint.config.js': "export default [{ rules: { quotes: ['error', 'single'] } }];\n",
+      'src/index.js': "export const greeting = 'hello';\n"
+    },
+    async run(root) {
+      await vdk(root, ['scan']);
+      const coreAgent = await fs.readFile(path.join(root, RULES_DIR, '00-core-agent.mdc'), 'utf8');
+      return coreAgent.includes('Quotes: single quotes for strings (eslint.config.js)')
+        ? []
+        : ['00-core-agent.mdc does not state the single quotes of eslint.config.js'];
+    }
+  },
+  {
+    name: 'analyze does not call the rules up to date after clean removed them',
+    files: {
+      'package.json': JSON.stringify({ name: 'cleaned-rules', dependencies: { express: '^4.19.0' } }),
+      'src/server.js': 'export function start() {\n  return 1;\n}\n'
+    },
+    async run(root) {
+      await vdk(root, ['scan']);
+      await vdk(root, ['clean', '--yes']);
+      const output = await vdk(root, ['analyze']);
+      return output.includes('No rules generated yet')
+        ? []
+        : [`analyze printed "${output.split('\n').find(line => line.includes('Nothing changed'))?.trim()}" without rules on disk`];
+    }
+  },
+  {
+    name: 'a rescan removes the rule of a deleted workspace package',
+    files: {
+      'package.json': JSON.stringify({ name: 'workspace', private: true, workspaces: ['packages/*'] }),
+      'packages/web/package.json': JSON.stringify({ name: 'web', dependencies: { react: '^18.2.0' } }),
+      'packages/web/src/index.js': 'export const web = 1;\n',
+      'packages/api/package.json': JSON.stringify({ name: 'api', dependencies: { express: '^4.19.0' } }),
+      'packages/api/src/index.js': 'export const api = 1;\n'
+    },
+    async run(root) {
+      const apiRule = `${RULES_DIR}/packages/packages-api.mdc`;
+
+      await vdk(root, ['scan']);
+      if (!await exists(root, apiRule)) {
+        return [`${apiRule} was not written by the first scan`];
+      }
+      await fs.rm(path.join(root, 'packages/api'), { recursive: true });
+      await vdk(root, ['scan']);
+
+      const problems = [];
+      if (await exists(root, apiRule)) {
+        problems.push(`${apiRule} was kept after the package was deleted`);
+      }
+      const manifest = JSON.parse(await fs.readFile(path.join(root, '.vdk/manifest.json'), 'utf8'));
+      if (manifest.files[apiRule]) {
+        problems.push(`${apiRule} is still in the manifest`);
+      }
+      if (!await exists(root, `${RULES_DIR}/packages/packages-web.mdc`)) {
+        problems.push(`${RULES_DIR}/packages/packages-web.mdc was removed`);
+      }
+      return problems;
+    }
+  },
+  {
+    name: 'Gemfile with only rspec-core is tested with RSpec',
+    files: {
+      'Gemfile': "source 'https://rubygems.org'\n\ngem 'sinatra', '~> 4.0'\n\ngroup :test do\n  gem 'rspec-core', '~> 3.13'\nend\n",
+      'app.rb': "require 'sinatra'\n\nget '/' do\n  'hello'\nend\n"
+    },
+    async run(root) {
+      const techStack = await scanTechStack(root);
+      return techStack.testingFrameworks.includes('RSpec')
+        ? []
+        : [`testing frameworks are ${JSON.stringify(techStack.testingFrameworks)}, RSpec is missing`];
+    }
+  },
+  {
+    name: 'ASP.NET Core takes its version from the target framework',
+    files: {
+      'Api/Api.csproj': '<Project Sdk="Microsoft.NET.Sdk.Web">\n  <PropertyGroup>\n    <TargetFramework>net8.0</TargetFramework>\n  </PropertyGroup>\n</Project>\n',
+      'Api/Program.cs': 'var app = WebApplication.CreateBuilder(args).Build();\napp.Run();\n'
+    },
+    async run(root) {
+      const version = (await scanTechStack(root)).technologyVersions['ASP.NET Core']?.version;
+      return version === '8.0' ? [] : [`ASP.NET Core version is ${version}, expected 8.0`];
+    }
+  },
+  {
+    name: 'Flutter takes its version from the environment of pubspec.yaml',
+    files: {
+      'pubspec.yaml': 'name: app\nenvironment:\n  sdk: ">=3.3.0 <4.0.0"\n  flutter: ">=3.19.0"\ndependencies:\n  flutter:\n    sdk: flutter\n',
+      'pubspec.lock': 'packages:\n  flutter:\n    dependency: "direct main"\n    description: flutter\n    source: sdk\n    version: "0.0.0"\n',
+      'lib/main.dart': "import 'package:flutter/material.dart';\n\nvoid main() => runApp(const Placeholder());\n"
+    },
+    async run(root) {
+      const version = (await scanTechStack(root)).technologyVersions.Flutter?.version;
+      return version === '3.19.0' ? [] : [`Flutter version is ${version}, expected 3.19.0`];
+    }
+  },
+  {
+    name: 'testImplementation(kotlin("test")) is tested with kotlin.test',
+    files: {
+      'settings.gradle.kts': 'rootProject.name = "app"\n',
+      'build.gradle.kts': 'plugins {\n    kotlin("jvm") version "2.0.0"\n}\n\ndependencies {\n    testImplementation(kotlin("test"))\n}\n',
+      'src/main/kotlin/Main.kt': 'fun main() {\n    println("hello")\n}\n'
+    },
+    async run(root) {
+      const techStack = await scanTechStack(root);
+      return techStack.testingFrameworks.includes('kotlin.test')
+        ? []
+        : [`testing frameworks are ${JSON.stringify(techStack.testingFrameworks)}, kotlin.test is missing`];
+    }
+  }
+];
+
+async function main() {
+  console.log(chalk.blue.bold('🔎 Checking scans of fixture projects...\n'));
+
+  let failed = 0;
+
+  for (const check of CHECKS) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'vdk-check-scan-'));
+    let problems;
+
+    try {
+      for (const [relativePath, content] of Object.entries(check.files)) {
+        await fs.mkdir(path.dirname(path.join(root, relativePath)), { recursive: true });
+        await fs.writeFile(path.join(root, relativePath), content);
+      }
+      problems = await check.run(root);
+    } catch (error) {
+      problems = [error.message];
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+
+    if (problems.length === 0) {
+      console.log(`${chalk.green('✓')} ${check.name}`);
+    } else {
+      failed++;
+      console.log(`${chalk.red('✗')} ${check.name}`);
+      for (const problem of problems) {
+        console.log(chalk.red(`   ${problem}`));
+      }
+    }
+  }
+
+  if (failed > 0) {
+    console.log(chalk.red(`\n❌ ${failed} of ${CHECKS.length} scan check(s) failed`));
+    process.exitCode = 1;
+  } else {
+    console.log(chalk.green(`\n✅ All ${CHECKS.length} scan checks passed`));
+  }
+}
+
+main().catch((error) => {
+  console.error(chalk.red(`Scan check failed: ${error.message}`));
+  process.exit(1);
+});